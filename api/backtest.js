@@ -6,8 +6,14 @@ import { Logger } from '../lib/utils/logger.js';
 import { RSI } from '../lib/indicators/rsi.js';
 import { MovingAverages } from '../lib/indicators/movingAverages.js';
 import { SYMBOL_TRIPLETS, getSymbolTriplet, getAllBaseSymbols } from '../lib/config/symbolConfig.js';
+import { BacktestEngine } from '../lib/backtest/backtestEngine.js';
+import { BarStore } from '../lib/services/barStore.js';
+import { TIMEFRAMES, normalizeTimeframe } from '../lib/services/timeframes.js';
+import { withAuth } from '../lib/utils/auth.js';
 
-export default async function handler(req, res) {
+export default withAuth('read', handler);
+
+async function handler(req, res) {
   const logger = new Logger();
 
   try {
@@ -16,7 +22,17 @@ export default async function handler(req, res) {
       baseSymbol = 'SPY', // NEW: Allow specifying base symbol
       startDate = '2023-01-01',
       endDate = '2024-12-31',
-      initialCapital = 100000
+      initialCapital = 100000,
+      bars = null, // Recorded OHLC bars keyed by symbol: { SPY: [{ timestamp, open, high, low, close, volume }] }
+      timeframe = '1Day',
+      allowMockData = false, // Set true to fall back to generated data when no recorded bars exist
+      warmupBars = 50,
+      riskConfig = {},
+      slippage = 0,
+      exitOrderMode = 'polling', // 'broker' simulates bracket/OCO legs resting at the broker
+      trailingStop = null, // { type: 'percent'|'atr', percent, atrMultiplier, breakEvenR }
+      takeProfitLadder = null, // [{ percent | rMultiple, fraction }] partial take-profit tranches
+      maxHoldingDays = null // Close positions held this many days (calendar days of bar time)
     } = req.body;
 
     // Get symbol triplet for the specified base symbol
@@ -29,6 +45,15 @@ export default async function handler(req, res) {
       });
     }
 
+    // The timeframe names a bar store file, so only the supported ones get that far
+    if (!TIMEFRAMES[normalizeTimeframe(String(timeframe))]) {
+      return res.status(400).json({
+        status: 'error',
+        message: `Unsupported timeframe: ${timeframe}. Available timeframes: ${Object.keys(TIMEFRAMES).join(', ')}`,
+        timestamp: new Date().toISOString()
+      });
+    }
+
     const symbols = [symbolTriplet.bullSymbol, symbolTriplet.bearSymbol];
 
     logger.info('Starting enhanced backtest with symbol configuration', {
@@ -40,8 +65,49 @@ export default async function handler(req, res) {
       initialCapital
     });
 
-    // Mock historical data generator (in production, use real historical data API)
-    const historicalData = generateMockData(startDate, endDate, [baseSymbol, ...symbols]);
+    // Data priority: bars in the request, then the local bar store, then generated mock data (opt-in)
+    const requiredSymbols = [baseSymbol, ...symbols];
+    const hasAllSymbols = data => data && requiredSymbols.every(symbol => Array.isArray(data[symbol]) && data[symbol].length > 0);
+
+    let historicalData = null;
+    let dataSource = null;
+
+    if (hasAllSymbols(bars)) {
+      historicalData = bars;
+      dataSource = 'request';
+    } else {
+      // Bars before startDate are kept as strategy warm-up history
+      const barStore = new BarStore({ logger });
+      const storedData = {};
+      for (const symbol of requiredSymbols) {
+        storedData[symbol] = await barStore.getBars(symbol, timeframe, { end: endDate });
+      }
+
+      if (hasAllSymbols(storedData)) {
+        historicalData = storedData;
+        dataSource = 'bar_store';
+      }
+    }
+
+    if (!historicalData) {
+      if (!allowMockData) {
+        return res.status(400).json({
+          status: 'error',
+          message: `No recorded ${timeframe} bars for ${requiredSymbols.join(', ')}. Import history into the bar store, pass bars in the request, or set allowMockData to run on generated data.`,
+          timestamp: new Date().toISOString()
+        });
+      }
+
+      logger.warning('No recorded bars available for all symbols - using generated mock data', {
+        requiredSymbols,
+        timeframe
+      });
+      historicalData = generateMockData(startDate, endDate, requiredSymbols);
+      dataSource = 'mock';
+    }
+
+    // Strategies read bars in the replayed timeframe; generated mock data is always daily
+    const barTimeframe = dataSource === 'mock' ? '1Day' : timeframe;
 
     // Initialize strategy with dynamic symbol configuration
     let strategyInstance;
@@ -53,7 +119,8 @@ export default async function handler(req, res) {
           symbols: symbols,
           shortMA: 20,
           longMA: 50,
-          positionSize: 0.02
+          positionSize: 0.02,
+          timeframe: barTimeframe
         });
         break;
 
@@ -65,7 +132,8 @@ export default async function handler(req, res) {
           rsiPeriod: 14,
           oversoldThreshold: 30,
           overboughtThreshold: 70,
-          positionSize: 0.015
+          positionSize: 0.015,
+          timeframe: barTimeframe
         });
         break;
 
@@ -76,7 +144,8 @@ export default async function handler(req, res) {
           bullSymbol: symbolTriplet.bullSymbol,
           bearSymbol: symbolTriplet.bearSymbol,
           spyLookback: 200,
-          positionSize: 0.03
+          positionSize: 0.03,
+          timeframe: barTimeframe
         });
         break;
 
@@ -84,20 +153,36 @@ export default async function handler(req, res) {
         throw new Error(`Unknown strategy: ${strategy}`);
     }
 
-    // Run backtest simulation
-    const backtestResults = await runBacktest(
-      strategyInstance, 
-      historicalData, 
-      initialCapital, 
-      baseSymbol,
-      symbols
-    );
+    // Replay the bars through the live trading pipeline (risk, duplicate/cooldown checks, TP/SL exits)
+    const engine = new BacktestEngine({
+      strategies: [strategyInstance],
+      historicalData,
+      initialCapital,
+      startDate,
+      endDate,
+      warmupBars,
+      riskConfig,
+      slippage,
+      exitOrderMode,
+      timeframe: barTimeframe,
+      exitOptions: {
+        ...(trailingStop && { trailingStop }),
+        ...(maxHoldingDays && { maxHoldingDays })
+      },
+      ...(takeProfitLadder && { takeProfitLadder }),
+      logger
+    });
+    const backtestResults = await engine.run();
+    backtestResults.metrics.baseSymbol = baseSymbol;
+    backtestResults.metrics.bullSymbol = symbols[0];
+    backtestResults.metrics.bearSymbol = symbols[1];
 
     logger.info('Backtest completed', {
       totalReturn: backtestResults.totalReturn,
       trades: backtestResults.trades.length,
-      winRate: backtestResults.winRate,
-      baseSymbol: baseSymbol
+      winRate: backtestResults.metrics.winRate,
+      baseSymbol: baseSymbol,
+      dataSource
     });
 
     return res.json({
@@ -112,8 +197,16 @@ export default async function handler(req, res) {
       parameters: {
         startDate,
         endDate,
-        initialCapital
+        initialCapital,
+        timeframe,
+        warmupBars,
+        slippage,
+        exitOrderMode,
+        trailingStop,
+        takeProfitLadder,
+        maxHoldingDays
       },
+      dataSource,
       results: backtestResults,
       timestamp: new Date().toISOString()
     });
@@ -194,157 +287,3 @@ function generateMockData(startDate, endDate, symbols) {
 
   return data;
 }
-
-async function runBacktest(strategy, historicalData, initialCapital, baseSymbol, symbols) {
-  const trades = [];
-  const portfolio = [];
-  let currentCapital = initialCapital;
-  let positions = {};
-
-  // Get base symbol data for strategy calculations
-  const baseData = historicalData[baseSymbol] || [];
-
-  for (let i = 50; i < baseData.length; i++) { // Start after warm-up period
-    const currentDate = baseData[i].timestamp;
-    const mockAlpaca = createMockAlpacaApi(historicalData, i);
-
-    try {
-      // Generate signals for current date
-      const signals = await strategy.generateSignals(mockAlpaca);
-
-      // Execute trades
-      for (const signal of signals) {
-        const currentPrice = historicalData[signal.symbol][i].close;
-        const tradeSize = currentCapital * signal.positionSize;
-        const quantity = Math.floor(tradeSize / currentPrice);
-
-        if (quantity > 0) {
-          const trade = {
-            date: currentDate,
-            symbol: signal.symbol,
-            side: signal.side,
-            quantity: quantity,
-            price: currentPrice,
-            value: quantity * currentPrice,
-            reason: signal.reason,
-            baseSymbol: baseSymbol,
-            confidence: signal.confidence || 0.5
-          };
-
-          trades.push(trade);
-
-          // Update positions
-          if (signal.side === 'buy') {
-            positions[signal.symbol] = (positions[signal.symbol] || 0) + quantity;
-            currentCapital -= trade.value;
-          } else {
-            const sellQuantity = Math.min(quantity, positions[signal.symbol] || 0);
-            positions[signal.symbol] = (positions[signal.symbol] || 0) - sellQuantity;
-            currentCapital += sellQuantity * currentPrice;
-
-            // Calculate P&L for sell trades
-            const buyTrade = trades.find(t => 
-              t.symbol === signal.symbol && 
-              t.side === 'buy' && 
-              !t.closed
-            );
-            if (buyTrade) {
-              trade.pnl = (currentPrice - buyTrade.price) * sellQuantity;
-              buyTrade.closed = true;
-            }
-          }
-        }
-      }
-
-      // Calculate portfolio value
-      let portfolioValue = currentCapital;
-      for (const [symbol, qty] of Object.entries(positions)) {
-        if (qty > 0) {
-          portfolioValue += qty * historicalData[symbol][i].close;
-        }
-      }
-
-      portfolio.push({
-        date: currentDate,
-        value: portfolioValue,
-        cash: currentCapital,
-        return: ((portfolioValue - initialCapital) / initialCapital) * 100
-      });
-
-    } catch (error) {
-      // Continue backtest even if individual day fails
-      console.warn(`Backtest error on ${currentDate}: ${error.message}`);
-    }
-  }
-
-  // Calculate performance metrics
-  const finalValue = portfolio[portfolio.length - 1].value;
-  const totalReturn = ((finalValue - initialCapital) / initialCapital) * 100;
-  const winningTrades = trades.filter(t => t.pnl && t.pnl > 0).length;
-  const losingTrades = trades.filter(t => t.pnl && t.pnl < 0).length;
-  const winRate = winningTrades / (winningTrades + losingTrades) || 0;
-
-  // Calculate maximum drawdown
-  let maxDrawdown = 0;
-  let peak = initialCapital;
-  for (const point of portfolio) {
-    if (point.value > peak) peak = point.value;
-    const drawdown = ((peak - point.value) / peak) * 100;
-    if (drawdown > maxDrawdown) maxDrawdown = drawdown;
-  }
-
-  // Calculate symbol-specific metrics
-  const symbolMetrics = {};
-  symbols.forEach(symbol => {
-    const symbolTrades = trades.filter(t => t.symbol === symbol);
-    const symbolWins = symbolTrades.filter(t => t.pnl && t.pnl > 0).length;
-    const symbolLosses = symbolTrades.filter(t => t.pnl && t.pnl < 0).length;
-    
-    symbolMetrics[symbol] = {
-      totalTrades: symbolTrades.length,
-      winningTrades: symbolWins,
-      losingTrades: symbolLosses,
-      winRate: symbolWins / (symbolWins + symbolLosses) || 0,
-      totalPnL: symbolTrades.reduce((sum, t) => sum + (t.pnl || 0), 0)
-    };
-  });
-
-  return {
-    initialCapital,
-    finalValue,
-    totalReturn,
-    trades,
-    portfolio,
-    symbolMetrics, // NEW: Symbol-specific performance
-    metrics: {
-      totalTrades: trades.length,
-      winningTrades,
-      losingTrades,
-      winRate: winRate * 100,
-      maxDrawdown,
-      totalPnL: finalValue - initialCapital,
-      avgTradeReturn: trades.reduce((sum, t) => sum + (t.pnl || 0), 0) / trades.length || 0,
-      baseSymbol: baseSymbol,
-      bullSymbol: symbols[0],
-      bearSymbol: symbols[1]
-    }
-  };
-}
-
-function createMockAlpacaApi(historicalData, currentIndex) {
-  return {
-    async getHistoricalData(symbol, timeframe, limit) {
-      const data = historicalData[symbol] || [];
-      return data.slice(Math.max(0, currentIndex - limit + 1), currentIndex + 1);
-    },
-
-    async getQuote(symbol) {
-      const price = historicalData[symbol][currentIndex].close;
-      return {
-        bid: price * 0.999,
-        ask: price * 1.001,
-        symbol: symbol
-      };
-    }
-  };
-}
\ No newline at end of file
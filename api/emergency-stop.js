@@ -0,0 +1,195 @@
+// api/emergency-stop.js - Kill switch: flatten everything and halt automated trading
+import { createBroker } from '../lib/brokers/brokerFactory.js';
+import { Logger } from '../lib/utils/logger.js';
+import { createStateStore } from '../lib/state/stateStoreFactory.js';
+import { PositionExitManager } from '../lib/PositionExitManager.js';
+import { createRunId } from '../lib/utils/runContext.js';
+import { withAuth } from '../lib/utils/auth.js';
+
+export default withAuth({ GET: 'read', POST: 'admin' }, handler);
+
+/**
+ * GET  - current halt state and drawdown circuit breaker state (read role)
+ * POST - { action: 'halt' | 'resume' | 'reset_drawdown', reason, source } (admin role)
+ *   halt:   persist the halt flag, wait for the 'trade' lock, then cancel open orders and close
+ *           every position at market
+ *   resume: clear the halt flag so /api/trade opens new positions again
+ *   reset_drawdown: re-arm the drawdown circuit breaker, restarting the high-water mark at current equity
+ */
+async function handler(req, res) {
+  const logger = new Logger();
+
+  if (!['GET', 'POST'].includes(req.method)) {
+    return res.status(405).json({
+      status: 'error',
+      message: 'Method not allowed. Use GET or POST.',
+      timestamp: new Date().toISOString()
+    });
+  }
+
+  const { action = 'halt', reason = '' } = req.body || {};
+  // Recorded in the halt row: where the request came from and which key made it
+  const source = [req.body?.source, req.auth.principal].filter(Boolean).join(' ');
+  if (req.method === 'POST' && !['halt', 'resume', 'reset_drawdown'].includes(action)) {
+    return res.status(400).json({
+      status: 'error',
+      message: 'Action must be "halt", "resume" or "reset_drawdown"',
+      timestamp: new Date().toISOString()
+    });
+  }
+
+  const runId = createRunId();
+  let stateStore = null;
+  let lockAcquired = false;
+
+  try {
+    stateStore = createStateStore();
+    await stateStore.initialize();
+
+    if (req.method === 'GET') {
+      const haltState = await stateStore.getTradingHalt();
+      return res.status(haltState ? 200 : 503).json({
+        status: haltState ? 'success' : 'error',
+        ...(haltState ? { trading: haltState } : { message: 'Trading halt state could not be read' }),
+        drawdown: await stateStore.getEquityState(),
+        timestamp: new Date().toISOString()
+      });
+    }
+
+    if (action === 'resume') {
+      const persisted = await stateStore.setTradingHalt({ halted: false, reason, updatedBy: source });
+      logger.warning('Trading resume requested', { reason, source, persisted });
+
+      return res.status(persisted ? 200 : 500).json({
+        status: persisted ? 'success' : 'error',
+        message: persisted ? 'Trading resumed' : 'Failed to clear the trading halt flag',
+        trading: await stateStore.getTradingHalt(),
+        timestamp: new Date().toISOString()
+      });
+    }
+
+    if (action === 'reset_drawdown') {
+      // Restart the peak from today's equity, or the breaker would trip again on the next run
+      const account = await createBroker().getAccount();
+      const equity = parseFloat(account.equity);
+      const timestamp = new Date().toISOString();
+      const persisted = await stateStore.setEquityState({
+        highWaterMark: equity,
+        highWaterMarkAt: timestamp,
+        breakerTripped: false,
+        trippedAt: null,
+        trippedDrawdown: null,
+        updatedBy: source
+      });
+      logger.warning('Drawdown circuit breaker reset requested', { reason, source, equity, persisted });
+
+      return res.status(persisted ? 200 : 500).json({
+        status: persisted ? 'success' : 'error',
+        message: persisted ? 'Drawdown circuit breaker re-armed' : 'Failed to reset the drawdown circuit breaker',
+        drawdown: await stateStore.getEquityState(),
+        timestamp
+      });
+    }
+
+    // Halt first so a scheduled /api/trade run cannot open positions while we flatten
+    const haltReason = reason || 'Emergency stop';
+    const persisted = await stateStore.setTradingHalt({ halted: true, reason: haltReason, updatedBy: source });
+
+    // A trade run that passed its halt check before the flag was written may still be placing
+    // entries; wait for its 'trade' lock so flattening happens after it. The kill switch never
+    // gives up on a stuck lock - it flattens anyway and reports that the lock was not held.
+    const tradeLock = await waitForTradeLock(stateStore, runId);
+    lockAcquired = tradeLock.acquired;
+    if (!lockAcquired) {
+      logger.warning('Emergency stop proceeding without the trade lock', {
+        heldBy: tradeLock.lock?.owner || null,
+        expiresAt: tradeLock.lock?.expiresAt || null
+      });
+    }
+
+    const alpaca = createBroker();
+    const exitManager = new PositionExitManager(alpaca, {
+      enableLogging: true,
+      logger: logger,
+      emergencyStopEnabled: process.env.EMERGENCY_STOP_ENABLED !== 'false',
+      stateStore: stateStore,
+      storageOptions: {
+        enablePersistence: true,
+        enableLogging: false,
+        logger: logger,
+        stateStore: stateStore
+      }
+    });
+
+    const stopResults = await exitManager.emergencyStopAllPositions();
+
+    // Exits still working are booked by reconcileOrderFills on the next /api/trade run
+    for (const exitTrade of stopResults.exitTrades || []) {
+      if (exitTrade.status !== 'executed') continue;
+      await stateStore.logTrade({
+        ...exitTrade,
+        type: 'exit',
+        strategy: 'Emergency Stop'
+      });
+    }
+
+    logger.warning('Emergency stop executed', {
+      haltPersisted: persisted,
+      tradeLockAcquired: lockAcquired,
+      ordersCancelled: stopResults.ordersCancelled,
+      positionsClosed: stopResults.positionsClosed,
+      positionsPending: stopResults.positionsPending,
+      errors: stopResults.errors?.length || 0
+    });
+
+    return res.status(persisted ? 200 : 500).json({
+      status: persisted ? 'success' : 'error',
+      message: [
+        persisted ? 'Trading halted' : 'The halt flag could not be persisted - automated trading may resume',
+        stopResults.status === 'disabled'
+          ? 'positions left open (EMERGENCY_STOP_ENABLED=false)'
+          : `${stopResults.positionsClosed} position(s) closed, ${stopResults.positionsPending} exit order(s) still working, ` +
+            `${stopResults.ordersCancelled} order(s) cancelled`,
+        ...(lockAcquired ? [] : ['a trade run still held the trade lock and may have opened positions after the flatten'])
+      ].join('; '),
+      runId,
+      trading: { halted: persisted, reason: haltReason, updatedBy: source },
+      tradeLock: { acquired: lockAcquired, heldBy: lockAcquired ? null : tradeLock.lock?.owner || null },
+      emergencyStop: stopResults,
+      timestamp: new Date().toISOString()
+    });
+  } catch (error) {
+    logger.error('Emergency stop error', {
+      action,
+      error: error.message,
+      stack: error.stack
+    });
+
+    return res.status(500).json({
+      status: 'error',
+      message: error.message,
+      timestamp: new Date().toISOString()
+    });
+  } finally {
+    if (lockAcquired) {
+      await stateStore.releaseLock('trade', runId);
+    }
+  }
+}
+
+/**
+ * Poll for the 'trade' lock until EMERGENCY_STOP_LOCK_WAIT_SECONDS (default 40, longer than a
+ * trade run's maxDuration) have passed
+ * @returns {Object} acquireLock result of the last attempt
+ */
+async function waitForTradeLock(stateStore, runId) {
+  const ttlMs = (parseInt(process.env.TRADE_LOCK_TTL_SECONDS) || 120) * 1000;
+  const deadline = Date.now() + (parseInt(process.env.EMERGENCY_STOP_LOCK_WAIT_SECONDS) || 40) * 1000;
+
+  let result = await stateStore.acquireLock('trade', runId, ttlMs);
+  while (!result.acquired && Date.now() < deadline) {
+    await new Promise(resolve => setTimeout(resolve, 1000));
+    result = await stateStore.acquireLock('trade', runId, ttlMs);
+  }
+  return result;
+}
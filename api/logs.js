@@ -1,9 +1,12 @@
 // api/logs.js - System Logs API Endpoint
 import { Logger } from '../lib/utils/logger.js';
 import { GoogleSheetsLogger } from '../lib/utils/googleSheets.js';
-import { AlpacaHybridApi } from '../lib/brokers/alpacaHybrid.js';
+import { createBroker } from '../lib/brokers/brokerFactory.js';
+import { withAuth } from '../lib/utils/auth.js';
 
-export default async function handler(req, res) {
+export default withAuth('read', handler);
+
+async function handler(req, res) {
   const logger = new Logger();
   
   try {
@@ -16,14 +19,7 @@ export default async function handler(req, res) {
     logger.info('Logs API called', { level, limit, since });
 
     // Initialize services to gather logs
-    const alpaca = new AlpacaHybridApi({
-      keyId: process.env.ALPACA_API_KEY,
-      secretKey: process.env.ALPACA_SECRET_KEY,
-      paper: process.env.ALPACA_PAPER === 'true',
-      baseUrl: process.env.ALPACA_PAPER === 'true' ? 
-        'https://paper-api.alpaca.markets' : 
-        'https://api.alpaca.markets'
-    });
+    const alpaca = createBroker();
 
     const sheetsLogger = new GoogleSheetsLogger();
     
@@ -118,7 +114,7 @@ export default async function handler(req, res) {
           details: {
             symbol: 'SPY',
             barsReceived: spyData.length,
-            latestPrice: spyData[0]?.close
+            latestPrice: spyData[spyData.length - 1]?.close
           }
         });
       } else {
@@ -1,10 +1,13 @@
 // api/manual-trade.js - Manual Trading API Endpoint
-import { AlpacaHybridApi } from '../lib/brokers/alpacaHybrid.js';
+import { createBroker } from '../lib/brokers/brokerFactory.js';
 import { RiskManager } from '../lib/utils/riskManager.js';
 import { Logger } from '../lib/utils/logger.js';
-import { GoogleSheetsLogger } from '../lib/utils/googleSheets.js';
+import { createStateStore } from '../lib/state/stateStoreFactory.js';
+import { withAuth } from '../lib/utils/auth.js';
 
-export default async function handler(req, res) {
+export default withAuth('trader', handler);
+
+async function handler(req, res) {
   const logger = new Logger();
   
   if (req.method !== 'POST') {
@@ -65,15 +68,8 @@ export default async function handler(req, res) {
       limitPrice
     });
 
-    // Initialize Alpaca API
-    const alpaca = new AlpacaHybridApi({
-      keyId: process.env.ALPACA_API_KEY,
-      secretKey: process.env.ALPACA_SECRET_KEY,
-      paper: process.env.ALPACA_PAPER === 'true',
-      baseUrl: process.env.ALPACA_PAPER === 'true' ? 
-        'https://paper-api.alpaca.markets' : 
-        'https://api.alpaca.markets'
-    });
+    // Initialize broker adapter (BROKER selects it, Alpaca by default)
+    const alpaca = createBroker();
 
     // Initialize risk manager
     const riskManager = new RiskManager({
@@ -191,17 +187,17 @@ export default async function handler(req, res) {
       orderSource: 'manual_ui'
     };
 
-    // Log to Google Sheets
+    // Record in the state store
     try {
-      const sheetsLogger = new GoogleSheetsLogger();
-      await sheetsLogger.logTrade({
+      const stateStore = createStateStore();
+      await stateStore.logTrade({
         ...tradeResult,
         strategy: 'Manual Trade',
         price: currentPrice
       });
-    } catch (sheetsError) {
-      logger.warning('Failed to log manual trade to Google Sheets', {
-        error: sheetsError.message,
+    } catch (storeError) {
+      logger.warning('Failed to record manual trade in the state store', {
+        error: storeError.message,
         tradeId: order.id
       });
     }
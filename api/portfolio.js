@@ -1,21 +1,20 @@
 // api/portfolio.js - Enhanced Portfolio Management Endpoint with Performance Metrics
-import { AlpacaHybridApi } from '../lib/brokers/alpacaHybrid.js';
+import { createBroker } from '../lib/brokers/brokerFactory.js';
 import { Logger } from '../lib/utils/logger.js';
 import { RiskManager } from '../lib/utils/riskManager.js';
+import { withAuth } from '../lib/utils/auth.js';
+import { createStateStore } from '../lib/state/stateStoreFactory.js';
 
-export default async function handler(req, res) {
+export default withAuth('read', handler);
+
+async function handler(req, res) {
   const logger = new Logger();
+  let alpaca = null;
   
   try {
-    // Initialize Alpaca API
-    const alpaca = new AlpacaHybridApi({
-      keyId: process.env.ALPACA_API_KEY,
-      secretKey: process.env.ALPACA_SECRET_KEY,
-      paper: process.env.ALPACA_PAPER === 'true',
-      baseUrl: process.env.ALPACA_PAPER === 'true' ? 
-        'https://paper-api.alpaca.markets' : 
-        'https://api.alpaca.markets'
-    });
+    // Initialize broker adapter (BROKER selects it, Alpaca by default); the state store
+    // supplies the market data call counts persisted by trade runs
+    alpaca = createBroker({ stateStore: createStateStore() });
 
     const riskManager = new RiskManager({
       maxPositionSize: 0.05,
@@ -30,11 +29,11 @@ export default async function handler(req, res) {
     const positions = await alpaca.getPositions();
     
     // Get recent orders (for display in UI)
-    const recentOrders = await alpaca.getOrders('all');
+    const recentOrders = await alpaca.getOrders({ status: 'all' });
     const last10Orders = recentOrders.slice(0, 10);
     
     // Get comprehensive order history for enhanced performance metrics
-    const allOrders = await alpaca.alpaca.getOrders({
+    const allOrders = await alpaca.getOrders({
       limit: 500, // Get more historical data
       direction: 'desc'
     });
@@ -147,6 +146,7 @@ export default async function handler(req, res) {
       performanceMetrics: enhancedPerformanceMetrics,
       
       riskMetrics,
+      marketDataSources: alpaca.getDataSourceStatus ? await alpaca.getDataSourceStatus() : null,
       allocation: {
         cash: (cashValue / totalValue) * 100,
         invested: (investedValue / totalValue) * 100,
@@ -168,6 +168,9 @@ export default async function handler(req, res) {
       message: error.message,
       timestamp: new Date().toISOString()
     });
+  } finally {
+    // The quotes above count against the provider quotas
+    await alpaca?.persistDataSourceUsage?.();
   }
 }
 
@@ -1,20 +1,16 @@
 // api/position-history.js - Position History API Endpoint
-import { AlpacaHybridApi } from '../lib/brokers/alpacaHybrid.js';
+import { createBroker } from '../lib/brokers/brokerFactory.js';
 import { Logger } from '../lib/utils/logger.js';
+import { withAuth } from '../lib/utils/auth.js';
 
-export default async function handler(req, res) {
+export default withAuth('read', handler);
+
+async function handler(req, res) {
   const logger = new Logger();
   
   try {
-    // Initialize Alpaca API
-    const alpaca = new AlpacaHybridApi({
-      keyId: process.env.ALPACA_API_KEY,
-      secretKey: process.env.ALPACA_SECRET_KEY,
-      paper: process.env.ALPACA_PAPER === 'true',
-      baseUrl: process.env.ALPACA_PAPER === 'true' ? 
-        'https://paper-api.alpaca.markets' : 
-        'https://api.alpaca.markets'
-    });
+    // Initialize broker adapter (BROKER selects it, Alpaca by default)
+    const alpaca = createBroker();
 
     // Get query parameters for filtering
     const {
@@ -44,7 +40,7 @@ export default async function handler(req, res) {
     }
 
     // Get all orders (filled, canceled, etc.)
-    const allOrders = await alpaca.alpaca.getOrders(queryParams);
+    const allOrders = await alpaca.getOrders(queryParams);
     
     // Filter by symbols if specified
     let filteredOrders = allOrders;
@@ -0,0 +1,100 @@
+// api/reconcile.js - Report (and optionally repair) disagreements between broker, PositionLevels and Trades
+import { createBroker } from '../lib/brokers/brokerFactory.js';
+import { Logger } from '../lib/utils/logger.js';
+import { createStateStore } from '../lib/state/stateStoreFactory.js';
+import { PositionExitManager } from '../lib/PositionExitManager.js';
+import { PositionReconciler } from '../lib/PositionReconciler.js';
+import { createRunId } from '../lib/utils/runContext.js';
+import { withAuth } from '../lib/utils/auth.js';
+
+export default withAuth({ GET: 'read', POST: 'trader' }, handler);
+
+/**
+ * GET  - reconciliation report (read role)
+ * POST - { autoFix: true } also repairs what it finds (trader role); without autoFix it only reports.
+ *   Repairs hold the 'trade' lock so they cannot interleave with an /api/trade run.
+ */
+async function handler(req, res) {
+  if (!['GET', 'POST'].includes(req.method)) {
+    return res.status(405).json({
+      status: 'error',
+      message: 'Method not allowed. Use GET or POST.',
+      timestamp: new Date().toISOString()
+    });
+  }
+
+  const autoFix = req.method === 'POST' && req.body?.autoFix === true;
+  const runId = createRunId();
+  const logger = new Logger(`Reconcile:${runId}`);
+  const stateStore = createStateStore();
+  let alpaca = null;
+  let lockAcquired = false;
+
+  try {
+    await stateStore.initialize();
+
+    if (autoFix) {
+      const ttlMs = (parseInt(process.env.TRADE_LOCK_TTL_SECONDS) || 120) * 1000;
+      const lockResult = await stateStore.acquireLock('trade', runId, ttlMs);
+      if (!lockResult.acquired) {
+        logger.warning('Reconciliation fixes skipped - a trade run holds the lock', {
+          heldBy: lockResult.lock?.owner || null,
+          expiresAt: lockResult.lock?.expiresAt || null
+        });
+        return res.status(409).json({
+          status: 'skipped',
+          reason: lockResult.lock ? 'run_in_progress' : 'lock_unavailable',
+          runId,
+          lock: lockResult.lock || null,
+          timestamp: new Date().toISOString()
+        });
+      }
+      lockAcquired = true;
+    }
+
+    alpaca = createBroker({ stateStore });
+    const exitManager = new PositionExitManager(alpaca, {
+      enableLogging: false,
+      logger: logger,
+      stateStore: stateStore,
+      storageOptions: {
+        enablePersistence: true,
+        enableLogging: false,
+        logger: logger,
+        stateStore: stateStore
+      }
+    });
+    const reconciler = new PositionReconciler(alpaca, {
+      stateStore,
+      exitManager,
+      logger
+    });
+
+    const report = await reconciler.reconcile({ autoFix });
+
+    return res.status(200).json({
+      status: 'success',
+      runId,
+      ...report
+    });
+  } catch (error) {
+    logger.error('Reconciliation error', {
+      autoFix,
+      error: error.message,
+      stack: error.stack
+    });
+
+    return res.status(500).json({
+      status: 'error',
+      message: error.message,
+      runId,
+      timestamp: new Date().toISOString()
+    });
+  } finally {
+    // Provider calls are counted in memory during the run and stored once here
+    await alpaca?.persistDataSourceUsage?.();
+    if (lockAcquired) {
+      await stateStore.releaseLock('trade', runId);
+    }
+  }
+}
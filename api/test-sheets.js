@@ -1,8 +1,11 @@
 // api/test-sheets.js - Google Sheets Connection Test
 import { GoogleSheetsLogger } from '../lib/utils/googleSheets.js';
-import { AlpacaHybridApi } from '../lib/brokers/alpacaHybrid.js';
+import { createBroker } from '../lib/brokers/brokerFactory.js';
+import { withAuth } from '../lib/utils/auth.js';
 
-export default async function handler(req, res) {
+export default withAuth('read', handler);
+
+async function handler(req, res) {
     const results = {
         timestamp: new Date().toISOString(),
         tests: {},
@@ -38,14 +41,7 @@ export default async function handler(req, res) {
         
         // Test Alpaca Connection
         try {
-            const alpaca = new AlpacaHybridApi({
-                keyId: process.env.ALPACA_API_KEY,
-                secretKey: process.env.ALPACA_SECRET_KEY,
-                paper: process.env.ALPACA_PAPER === 'true',
-                baseUrl: process.env.ALPACA_PAPER === 'true' ? 
-                    'https://paper-api.alpaca.markets' : 
-                    'https://api.alpaca.markets'
-            });
+            const alpaca = createBroker();
             
             const account = await alpaca.getAccount();
             const isMarketOpen = await alpaca.isMarketOpen();
@@ -96,14 +92,7 @@ export default async function handler(req, res) {
         
         // Test Historical Data (the main issue from logs)
         try {
-            const alpaca = new AlpacaHybridApi({
-                keyId: process.env.ALPACA_API_KEY,
-                secretKey: process.env.ALPACA_SECRET_KEY,
-                paper: process.env.ALPACA_PAPER === 'true',
-                baseUrl: process.env.ALPACA_PAPER === 'true' ? 
-                    'https://paper-api.alpaca.markets' : 
-                    'https://api.alpaca.markets'
-            });
+            const alpaca = createBroker();
             
             const spyData = await alpaca.getHistoricalData('SPY', '1Day', 10);
             
@@ -112,8 +101,8 @@ export default async function handler(req, res) {
                 symbol: 'SPY',
                 barsReceived: spyData.length,
                 latestData: spyData.length > 0 ? {
-                    timestamp: spyData[0].timestamp,
-                    close: spyData[0].close
+                    timestamp: spyData[spyData.length - 1].timestamp,
+                    close: spyData[spyData.length - 1].close
                 } : null
             };
         } catch (historyError) {
@@ -1,87 +1,201 @@
-// CRITICAL FIX: Enhanced api/trade.js - Google Sheets State Management for Serverless   
-// Eliminates Map-based caching issues and fixes duplicate trade problem  
-// RACE CONDITION FIX: Fixed signal strength logging sequence to prevent self-blocking  
-// LOGGING FIX: Reduced excessive repetitive initialization logging
-// Integrates PositionExitManager with enhanced persistent storage for serverless environments  
-import { AlpacaHybridApi } from '../lib/brokers/alpacaHybrid.js';  
+// api/trade.js - Scheduled trading run: exits, then new signals, with state kept in the state store  
+// Signal strength is logged only after a trade executes, so a run never blocks its own entry  
+import { createBroker } from '../lib/brokers/brokerFactory.js';  
 import { MomentumStrategy } from '../lib/strategies/momentum.js';  
 import { MeanReversionStrategy } from '../lib/strategies/meanReversion.js';  
 import { RegimeDetectionStrategy } from '../lib/strategies/regimeDetection.js';  
 import { RiskManager } from '../lib/utils/riskManager.js';  
 import { Logger } from '../lib/utils/logger.js';  
-import { GoogleSheetsLogger } from '../lib/utils/googleSheets.js';  
+import { createStateStore } from '../lib/state/stateStoreFactory.js';  
 import TradingPositionManager from '../lib/TradingPositionManager.js';  
 import { PositionExitManager } from '../lib/PositionExitManager.js';  
-import { SYMBOL_TRIPLETS, getAllBaseSymbols } from '../lib/config/symbolConfig.js';  
+import { SignalExecutionPipeline } from '../lib/SignalExecutionPipeline.js';  
+import { SignalAggregator } from '../lib/SignalAggregator.js';  
+import { SYMBOL_TRIPLETS, getAllBaseSymbols, findTripletForSymbol } from '../lib/config/symbolConfig.js';  
+import { normalizeTimeframe, timeframeMinutes } from '../lib/services/timeframes.js';  
+import { MarketDataPolicy } from '../lib/services/dataProvenance.js';  
+import { withAuth } from '../lib/utils/auth.js';  
+import { createRunId, isValidRunId } from '../lib/utils/runContext.js';  
+
+export default withAuth('trader', handler);  
+
+// Lease held for the whole run so overlapping cron / manual triggers do not trade on the same state  
+const TRADE_LOCK_NAME = 'trade';  
+
+async function handler(req, res) {  
+  // A caller may supply its own run ID (x-run-id header or runId in the body); retrying with the  
+  // same ID reuses the same client_order_ids, so orders the first attempt placed are not repeated  
+  const requestedRunId = req.headers?.['x-run-id'] || req.body?.runId;  
+  if (requestedRunId && !isValidRunId(requestedRunId)) {  
+    return res.status(400).json({  
+      status: 'error',  
+      message: 'runId may only contain letters, digits, ".", "_" and "-" (max 64 characters)',  
+      timestamp: new Date().toISOString()  
+    });  
+  }  
+
+  const runId = requestedRunId || createRunId();  
+  const logger = new Logger(`AlgoTrading:${runId}`);  
+
+  // Built up front: a bad SIGNAL_CONFLICT_POLICY / OPPOSING_POSITION_ACTION must stop the run  
+  // before Phase 1 places any exit  
+  let aggregator;  
+  try {  
+    aggregator = new SignalAggregator({ logger });  
+  } catch (error) {  
+    logger.error('Invalid signal aggregation settings', { error: error.message });  
+    return res.status(500).json({  
+      status: 'error',  
+      message: error.message,  
+      runId,  
+      timestamp: new Date().toISOString()  
+    });  
+  }  
+  // One state store (STATE_STORE=sheets|file) shared by every module of the run
+  let stateStore = null;  
+  let lockAcquired = false;  
+
+  try {  
+    stateStore = createStateStore();  
+    await stateStore.initialize();  
+
+    const lockTtlMs = (parseInt(process.env.TRADE_LOCK_TTL_SECONDS) || 120) * 1000;  
+    const lockResult = await stateStore.acquireLock(TRADE_LOCK_NAME, runId, lockTtlMs);  
+    if (!lockResult.acquired) {  
+      logger.warning('Trade run skipped - another run holds the lock', {  
+        heldBy: lockResult.lock?.owner || null,  
+        expiresAt: lockResult.lock?.expiresAt || null,  
+        error: lockResult.error  
+      });  
+      return res.status(409).json({  
+        status: 'skipped',  
+        reason: lockResult.lock ? 'run_in_progress' : 'lock_unavailable',  
+        runId,  
+        lock: lockResult.lock || null,  
+        timestamp: new Date().toISOString()  
+      });  
+    }  
+    lockAcquired = true;  
 
-export default async function handler(req, res) {  
-  const logger = new Logger();  
-  // LOGGING FIX: Single shared GoogleSheetsLogger instance to prevent multiple initializations
-  const sheetsLogger = new GoogleSheetsLogger();  
+    return await runTrading(res, { runId, logger, stateStore, aggregator });  
+  } catch (error) {  
+    // State backend failures (e.g. an unreadable state file) before the run starts  
+    logger.error('Trade run could not start', { error: error.message, stack: error.stack });  
+    return res.status(500).json({  
+      status: 'error',  
+      message: error.message,  
+      runId,  
+      timestamp: new Date().toISOString()  
+    });  
+  } finally {  
+    if (lockAcquired) {  
+      await stateStore.releaseLock(TRADE_LOCK_NAME, runId);  
+    }  
+  }  
+}  
 
+/**  
+ * One trading pass (exits, then new signals) while holding the trade lock  
+ */  
+async function runTrading(res, { runId, logger, stateStore, aggregator }) {  
+  let alpaca = null;  
   try {  
-    logger.info('CRITICAL FIX: Enhanced Trading System with Google Sheets State Management and Race Condition Fix', {  
+    logger.info('Trading run started', {  
       timestamp: new Date().toISOString(),  
-      configuredSymbols: getAllBaseSymbols(),  
-      mapCachesEliminated: true,  
-      raceConditionFixed: true  
+      runId,  
+      stateStore: stateStore.getName(),  
+      configuredSymbols: getAllBaseSymbols()  
     });  
 
-    // LOGGING FIX: Initialize all sheets once at the start (removed redundant logs in sub-modules)
-    await sheetsLogger.initializeSignalStrengthSheet();  
-    await sheetsLogger.initializePositionLevelsSheet();  
-    await sheetsLogger.initializeTradingStateSheet();  
-
-    // Initialize Alpaca API  
-    const alpaca = new AlpacaHybridApi({  
-      keyId: process.env.ALPACA_API_KEY,  
-      secretKey: process.env.ALPACA_SECRET_KEY,  
-      paper: process.env.ALPACA_PAPER === 'true',  
-      baseUrl: process.env.ALPACA_PAPER === 'true' ?   
-        'https://paper-api.alpaca.markets' :   
-        'https://api.alpaca.markets'  
+    // Initialize broker adapter (BROKER selects it, Alpaca by default)  
+    alpaca = createBroker({ stateStore });  
+
+    // Entries and price-driven exits are skipped when the bars or quotes behind them are  
+    // synthetic or stale (DATA_PROVENANCE_POLICY=block|warn|off)  
+    const dataPolicy = new MarketDataPolicy({  
+      log: alpaca.getDataProvenance ? alpaca.getDataProvenance() : null,  
+      logger  
     });  
 
-    // LOGGING FIX: Pass shared sheetsLogger to prevent re-initialization
     const positionManager = new TradingPositionManager(alpaca, {  
       minTimeBetweenTrades: parseInt(process.env.MIN_TIME_BETWEEN_TRADES) || 300000,
       maxPositionSizePercent: parseFloat(process.env.MAX_POSITION_SIZE_PERCENT) || 0.08,
       enableLogging: true,  
       logger: logger,  
-      sheetsLogger: sheetsLogger, // LOGGING FIX: Pass shared instance
+      runId,  
+      stateStore: stateStore,
       storageOptions: {  
         enablePersistence: true,  
-        enableLogging: false, // LOGGING FIX: Disable redundant storage logs
+        enableLogging: false,
         logger: logger,
-        sheetsLogger: sheetsLogger // LOGGING FIX: Pass shared instance
+        stateStore: stateStore
       }  
     });  
 
-    // LOGGING FIX: Pass shared sheetsLogger to prevent re-initialization
     const exitManager = new PositionExitManager(alpaca, {  
       enableLogging: true,  
       logger: logger,  
+      runId,  
+      dataPolicy,  
       priceBuffer: parseFloat(process.env.EXIT_PRICE_BUFFER) || 0.001,
       maxRetries: parseInt(process.env.EXIT_ORDER_MAX_RETRIES) || 3,  
       emergencyStopEnabled: process.env.EMERGENCY_STOP_ENABLED !== 'false',  
       storageOptions: {  
         enablePersistence: true,  
-        enableLogging: false, // LOGGING FIX: Disable redundant storage logs
+        enableLogging: false,
         logger: logger,
-        sheetsLogger: sheetsLogger // LOGGING FIX: Pass shared instance
+        stateStore: stateStore
       }  
     });  
 
     // Generate strategies dynamically from symbol configuration  
-    const strategies = generateStrategiesFromConfig();  
+    const strategies = generateStrategiesFromConfig(stateStore);  
 
     // Initialize risk manager with enhanced settings  
+    // (bars for ATR sizing come from the broker, trade history for Kelly sizing from the state store)  
     const riskManager = new RiskManager({  
       maxPositionSize: parseFloat(process.env.MAX_POSITION_SIZE) || 0.05,  
       maxDailyLoss: parseFloat(process.env.MAX_DAILY_LOSS) || 0.02,  
       maxDrawdown: parseFloat(process.env.MAX_DRAWDOWN) || 0.10,  
       stopLossPercent: parseFloat(process.env.STOP_LOSS_PERCENT) || 0.03,  
-      takeProfitPercent: parseFloat(process.env.TAKE_PROFIT_PERCENT) || 0.06  
+      takeProfitPercent: parseFloat(process.env.TAKE_PROFIT_PERCENT) || 0.06,  
+      drawdownRecovery: process.env.DRAWDOWN_RECOVERY_THRESHOLD ? parseFloat(process.env.DRAWDOWN_RECOVERY_THRESHOLD) : null,  
+      drawdownReduceFraction: parseFloat(process.env.DRAWDOWN_REDUCE_FRACTION) || 0,  
+      maxSymbolExposure: parseFloat(process.env.MAX_SYMBOL_EXPOSURE) || null,  
+      maxTripletExposure: parseFloat(process.env.MAX_TRIPLET_EXPOSURE) || null,  
+      maxStrategyExposure: parseFloat(process.env.MAX_STRATEGY_EXPOSURE) || null,  
+      maxGrossLeverage: parseFloat(process.env.MAX_GROSS_LEVERAGE) || null,  
+      maxNetLeverage: parseFloat(process.env.MAX_NET_LEVERAGE) || null,  
+      exposureLimitAction: process.env.EXPOSURE_LIMIT_ACTION || 'downsize',  
+      sizing: {  
+        mode: process.env.POSITION_SIZING_MODE || 'fixed_fraction',  
+        riskPerTrade: parseFloat(process.env.RISK_PER_TRADE) || 0.01,  
+        atrPeriod: parseInt(process.env.SIZING_ATR_PERIOD) || 14,  
+        volatilityTarget: parseFloat(process.env.SIZING_VOLATILITY_TARGET) || 0.01,  
+        kellyFraction: parseFloat(process.env.KELLY_FRACTION) || 0.5,  
+        kellyMinTrades: parseInt(process.env.KELLY_MIN_TRADES) || 20,  
+        kellyLookback: parseInt(process.env.KELLY_LOOKBACK_TRADES) || 100  
+      },  
+      levels: {  
+        stopMethod: process.env.STOP_METHOD || 'percent',  
+        targetMethod: process.env.TARGET_METHOD || 'percent',  
+        atrStopMultiplier: parseFloat(process.env.ATR_STOP_MULTIPLIER) || 2,  
+        swingLookback: parseInt(process.env.SWING_LOOKBACK) || 10,  
+        rewardRisk: parseFloat(process.env.REWARD_RISK_RATIO) || 2  
+      }  
+    }, {  
+      marketData: alpaca,  
+      stateStore  
+    });  
+
+    // Shared Phase 2 pipeline (also replayed by the backtest engine)  
+    const pipeline = new SignalExecutionPipeline({  
+      riskManager,  
+      positionManager,  
+      exitManager,  
+      stateStore,  
+      dataPolicy,  
+      logger  
     });  
 
     // Get current account info  
@@ -93,10 +207,10 @@ export default async function handler(req, res) {
       buyingPower: account.buying_power  
     });  
 
-    // CRITICAL FIX: Synchronize position storage with persistent backend after cold start  
-    logger.info('Synchronizing position storage with Google Sheets persistent backend');  
+    // Synchronize position storage with persistent backend after cold start  
+    logger.info('Synchronizing position storage with the persistent state store');  
     const syncResult = await positionManager.positionStorage.synchronizeWithPersistentStorage();  
-    // LOGGING FIX: Only log if there were actual changes
+    // Only log if there were actual changes
     if (syncResult.synchronized > 0) {
       logger.info('Position storage synchronization completed', syncResult);  
     }
@@ -104,35 +218,58 @@ export default async function handler(req, res) {
     // ========================================================================  
     // PHASE 1: POSITION EXIT MONITORING (with persistent storage)  
     // ========================================================================  
-    logger.info('Phase 1: Monitoring existing positions for TP/SL exits');  
-    const exitResults = await exitManager.monitorAndExecuteExits();  
+    logger.info('Phase 1: Monitoring existing positions for TP/SL, time and strategy exits');  
+    const exitResults = await exitManager.monitorAndExecuteExits(strategies);  
 
     if (exitResults.exitOrdersExecuted > 0) {  
       logger.info('Position exits executed', {  
         exitOrdersExecuted: exitResults.exitOrdersExecuted,  
         stopLossTriggered: exitResults.stopLossTriggered,  
-        takeProfitTriggered: exitResults.takeProfitTriggered  
+        takeProfitTriggered: exitResults.takeProfitTriggered,  
+        strategyExitsTriggered: exitResults.strategyExitsTriggered,  
+        timeExitsTriggered: exitResults.timeExitsTriggered  
       });  
 
-      // Log exit trades to Google Sheets  
+      // Record exit trades in the state store  
       for (const exitTrade of exitResults.exitTrades) {  
         if (exitTrade.status === 'executed') {  
-          await sheetsLogger.logTrade({  
+          await stateStore.logTrade({  
             ...exitTrade,  
             type: 'exit',  
-            strategy: exitTrade.exitType === 'stop_loss' ? 'Stop Loss' : 'Take Profit'  
+            strategy: getExitTradeLabel(exitTrade)  
           });  
         }  
       }  
     }  
 
     // ========================================================================  
-    // PHASE 2: NEW TRADE SIGNALS PROCESSING (with Google Sheets duplicate detection)  
-    // RACE CONDITION FIX: Signal strength is only logged AFTER successful trade execution  
+    // PHASE 2: NEW TRADE SIGNALS PROCESSING (with state store duplicate detection)  
+    // Signal strength is only logged AFTER successful trade execution  
     // ========================================================================  
-    logger.info('Phase 2: Processing new trade signals with Google Sheets duplicate detection');  
+    logger.info('Phase 2: Processing new trade signals with state store duplicate detection');  
+
+    // Kill switch: /api/emergency-stop persists a halt in TradingState. Exits above still run;  
+    // if the flag cannot be read, fail closed and open nothing.  
+    const haltState = await stateStore.getTradingHalt();  
+    if (!haltState || haltState.halted) {  
+      logger.warning('Trading halted, skipping new trades', {  
+        reason: haltState ? haltState.reason : 'halt state unavailable',  
+        since: haltState?.updatedAt || null  
+      });  
+      return res.json({  
+        status: 'success',  
+        runId,  
+        phase1_exits: exitResults,  
+        phase2_new_trades: {  
+          status: 'skipped',  
+          reason: haltState ? 'trading_halted' : 'halt_state_unavailable',  
+          halt: haltState  
+        },  
+        timestamp: new Date().toISOString()  
+      });  
+    }  
 
-    // CRITICAL FIX: Get current positions fresh from Alpaca (no Map caching)  
+    // Current positions fresh from the broker  
     const currentPositions = await positionManager.getCurrentPositions();  
     const positions = await alpaca.getPositions();  
 
@@ -141,11 +278,50 @@ export default async function handler(req, res) {
       symbols: Array.from(currentPositions.keys())  
     });  
 
+    // Drawdown circuit breaker against the persisted equity high-water mark. Exits above still run;  
+    // on the run that trips it, positions can also be cut by DRAWDOWN_REDUCE_FRACTION.  
+    const drawdownCheck = await riskManager.checkDrawdownCircuitBreaker(account);  
+    if (drawdownCheck.tripped) {  
+      let exposureReduction = [];  
+      if (drawdownCheck.justTripped && riskManager.config.drawdownReduceFraction > 0) {  
+        exposureReduction = await exitManager.reduceExposure(riskManager.config.drawdownReduceFraction);  
+        for (const exitTrade of exposureReduction) {  
+          if (exitTrade.status === 'executed') {  
+            await stateStore.logTrade({  
+              ...exitTrade,  
+              type: 'exit',  
+              strategy: getExitTradeLabel(exitTrade)  
+            });  
+          }  
+        }  
+      }  
+
+      logger.warning('Drawdown circuit breaker tripped, skipping new trades', {  
+        drawdown: drawdownCheck.drawdown,  
+        highWaterMark: drawdownCheck.highWaterMark,  
+        equity: drawdownCheck.equity,  
+        exposureReduced: exposureReduction.length  
+      });  
+      return res.json({  
+        status: 'success',  
+        runId,  
+        phase1_exits: exitResults,  
+        phase2_new_trades: {  
+          status: 'skipped',  
+          reason: drawdownCheck.reason,  
+          drawdown: drawdownCheck,  
+          exposureReduction  
+        },  
+        timestamp: new Date().toISOString()  
+      });  
+    }  
+
     // Check daily loss limit  
     if (await riskManager.isDailyLossLimitExceeded(account, positions)) {  
       logger.warning('Daily loss limit exceeded, skipping new trades');  
       return res.json({  
         status: 'success',  
+        runId,  
         phase1_exits: exitResults,  
         phase2_new_trades: {  
           status: 'skipped',  
@@ -155,6 +331,21 @@ export default async function handler(req, res) {
       });  
     }  
 
+    // Positions were just flattened for the close - don't open new ones until the next session  
+    if (await exitManager.isEndOfDayWindow()) {  
+      logger.info('End-of-day flatten window, skipping new trades');  
+      return res.json({  
+        status: 'success',  
+        runId,  
+        phase1_exits: exitResults,  
+        phase2_new_trades: {  
+          status: 'skipped',  
+          reason: 'end_of_day_flatten'  
+        },  
+        timestamp: new Date().toISOString()  
+      });  
+    }  
+
     const tradingResults = [];  
     const signalsByBaseSymbol = {};  
 
@@ -163,7 +354,8 @@ export default async function handler(req, res) {
       signalsByBaseSymbol[symbol] = [];  
     });  
 
-    // Execute each enabled strategy and categorize signals  
+    // Collect every enabled strategy's signals first so bull/bear conflicts can be resolved together  
+    const signalEntries = [];  
     for (const strategy of strategies) {  
       if (strategy.isEnabled()) {  
         try {  
@@ -176,164 +368,8 @@ export default async function handler(req, res) {
             'SPY';  
 
           signalsByBaseSymbol[baseSymbol] = signalsByBaseSymbol[baseSymbol] || [];  
-
           for (const signal of signals) {  
-            // Apply risk management (includes TP/SL calculation)  
-            const adjustedSignal = await riskManager.adjustSignal(signal, account, positions);  
-
-            if (adjustedSignal && adjustedSignal.quantity > 0) {  
-              const quantity = Math.floor(adjustedSignal.quantity);  
-              const currentPrice = adjustedSignal.currentPrice;  
-
-              // CLOSED POSITION FIX: Enhanced duplicate detection that checks if position is still open
-              const duplicateCheck = await checkForDuplicateTradeUsingGoogleSheets(  
-                sheetsLogger,  
-                adjustedSignal,  
-                currentPositions,  
-                logger  
-              );  
-
-              if (!duplicateCheck.allowTrade) {  
-                const duplicateTrade = {  
-                  symbol: adjustedSignal.symbol,  
-                  side: adjustedSignal.side,  
-                  quantity: quantity,  
-                  strategy: strategy.getName(),  
-                  status: 'skipped',  
-                  reasons: duplicateCheck.reasons,  
-                  duplicateCheckDetails: duplicateCheck.details,  
-                  timestamp: new Date().toISOString(),  
-                  baseSymbol: baseSymbol  
-                };  
-                tradingResults.push(duplicateTrade);  
-
-                logger.info('Trade blocked by duplicate detection', duplicateTrade);  
-                continue;
-              }  
-
-              // Enhanced validation with position manager (uses Google Sheets state)  
-              const validation = await positionManager.validateTradeBeforeExecution(  
-                adjustedSignal.symbol,  
-                adjustedSignal.side,  
-                quantity,  
-                currentPrice  
-              );  
-
-              if (!validation.canTrade) {  
-                logger.warning('Trade blocked by position manager validation', {  
-                  symbol: adjustedSignal.symbol,  
-                  side: adjustedSignal.side,  
-                  quantity: quantity,  
-                  reasons: validation.skipReasons,  
-                  strategy: strategy.getName()  
-                });  
-
-                const skippedTrade = {  
-                  symbol: adjustedSignal.symbol,  
-                  side: adjustedSignal.side,  
-                  quantity: quantity,  
-                  strategy: strategy.getName(),  
-                  status: 'skipped',  
-                  reasons: validation.skipReasons,  
-                  timestamp: new Date().toISOString(),  
-                  baseSymbol: baseSymbol  
-                };  
-                tradingResults.push(skippedTrade);  
-                continue;
-              }  
-
-              // RACE CONDITION FIX: Execute trade first, THEN log signal strength  
-              logger.info('Executing trade BEFORE logging signal strength', {  
-                symbol: adjustedSignal.symbol,  
-                side: adjustedSignal.side,  
-                strategy: strategy.getName()  
-              });  
-
-              const tradeResult = await executeTradeWithGoogleSheetsTPSLStorage(  
-                positionManager,  
-                adjustedSignal,  
-                quantity,  
-                currentPrice,  
-                strategy.getName()  
-              );  
-
-              if (tradeResult.success) {  
-                const enhancedTradeResult = {  
-                  orderId: tradeResult.order.id,  
-                  symbol: adjustedSignal.symbol,  
-                  side: adjustedSignal.side,  
-                  quantity: quantity,  
-                  strategy: strategy.getName(),  
-                  timestamp: new Date().toISOString(),  
-                  price: currentPrice,  
-                  stopLoss: adjustedSignal.stopLoss,  
-                  takeProfit: adjustedSignal.takeProfit,  
-                  status: 'executed',  
-                  baseSymbol: baseSymbol,  
-                  exitLevelsStored: tradeResult.exitLevelsStored || false,  
-                  persistentStorageUsed: tradeResult.persistentStorageUsed || false,  
-                  googleSheetsStateManagement: true,  
-                  raceConditionFixed: true,
-                  duplicateCheckPassed: duplicateCheck.details,  
-                  validation: {  
-                    exposureCheck: validation.checks.exposure?.action || 'proceed',  
-                    riskLimits: validation.checks.riskLimits?.withinLimits || true  
-                  }  
-                };  
-                tradingResults.push(enhancedTradeResult);  
-                signalsByBaseSymbol[baseSymbol].push(enhancedTradeResult);  
-
-                // Log to Google Sheets  
-                await sheetsLogger.logTrade({  
-                  ...enhancedTradeResult,  
-                  type: 'entry'
-                });  
-
-                // RACE CONDITION FIX: ONLY log signal strength AFTER successful trade execution  
-                const signalStrength = adjustedSignal.confidence != null ? adjustedSignal.confidence : (adjustedSignal.signalStrength != null ? adjustedSignal.signalStrength : null);  
-
-                if (signalStrength != null) {  
-                  await sheetsLogger.logSignalStrength({  
-                    timestamp: enhancedTradeResult.timestamp,  
-                    symbol: enhancedTradeResult.symbol,  
-                    side: enhancedTradeResult.side,  
-                    strategy: enhancedTradeResult.strategy,  
-                    signalStrength: signalStrength,  
-                    orderId: tradeResult.order.id  
-                  });  
-                  // LOGGING FIX: Reduced verbosity
-                  logger.info('Signal strength logged after trade execution', {  
-                    symbol: enhancedTradeResult.symbol,  
-                    strategy: enhancedTradeResult.strategy  
-                  });  
-                }  
-
-                logger.success('Trade executed successfully', enhancedTradeResult);  
-              } else {  
-                const failedTrade = {  
-                  symbol: adjustedSignal.symbol,  
-                  side: adjustedSignal.side,  
-                  quantity: quantity,  
-                  strategy: strategy.getName(),  
-                  status: tradeResult.skipped ? 'skipped' : 'failed',  
-                  reasons: tradeResult.reasons || [tradeResult.error?.message],  
-                  timestamp: new Date().toISOString(),  
-                  baseSymbol: baseSymbol  
-                };  
-                tradingResults.push(failedTrade);  
-                await sheetsLogger.logTrade(failedTrade);  
-                logger.warning('Trade execution failed or skipped', failedTrade);  
-              }  
-            } else {  
-              // LOGGING FIX: Only log if enableLogging is explicitly true at strategy level
-              if (logger.logLevel === 'debug') {
-                logger.info('Signal filtered out by risk management', {  
-                  originalSignal: signal,  
-                  adjustedSignal: adjustedSignal,  
-                  strategy: strategy.getName()  
-                });  
-              }
-            }  
+            signalEntries.push({ signal, strategyName: strategy.getName(), baseSymbol, strategy });  
           }  
         } catch (strategyError) {  
           logger.error(`Strategy \${strategy.getName()} error: \${strategyError.message}`, {  
@@ -343,6 +379,82 @@ export default async function handler(req, res) {
       }  
     }  
 
+    // Refuse to trade a triplet whose bars failed validation on every source this run, and skip  
+    // signals resting on synthetic or stale data (sizing inputs are checked again in the pipeline)  
+    const dataValidation = alpaca.getDataValidationReport ? alpaca.getDataValidationReport() : [];  
+    const invalidDataSymbols = new Set(dataValidation.filter(entry => entry.status === 'rejected').map(entry => entry.symbol));  
+    const validDataEntries = [];  
+    for (const entry of signalEntries) {  
+      const triplet = findTripletForSymbol(entry.signal.symbol);  
+      const related = [entry.baseSymbol, entry.signal.symbol, ...(triplet ? [triplet.baseSymbol, triplet.bullSymbol, triplet.bearSymbol] : [])];  
+      const invalidData = [...new Set(related.filter(symbol => invalidDataSymbols.has(symbol)))];  
+      if (invalidData.length > 0) {  
+        tradingResults.push({  
+          symbol: entry.signal.symbol,  
+          side: entry.signal.side,  
+          quantity: 0,  
+          strategy: entry.strategyName,  
+          status: 'skipped',  
+          reasons: ['market_data_invalid'],  
+          invalidData,  
+          timestamp: new Date().toISOString(),  
+          baseSymbol: entry.baseSymbol  
+        });  
+        continue;  
+      }  
+
+      const dataBlocked = pipeline.checkMarketData(entry.signal, 0, entry.strategyName, entry.baseSymbol);  
+      if (dataBlocked) {  
+        tradingResults.push(dataBlocked);  
+        continue;  
+      }  
+      validDataEntries.push(entry);  
+    }  
+
+    // Resolve bull/bear entries of the same triplet (SIGNAL_CONFLICT_POLICY, OPPOSING_POSITION_ACTION)  
+    const aggregation = aggregator.aggregate(validDataEntries, currentPositions);  
+    tradingResults.push(...aggregation.blocked);  
+
+    const conflictExits = [];  
+    for (const leg of aggregation.closeLegs) {  
+      const exitTrade = await exitManager.closeSymbol(leg.symbol, 'signal_conflict', leg.reason, leg.strategyName);  
+      if (!exitTrade) continue;  
+      conflictExits.push(exitTrade);  
+      if (exitTrade.status === 'executed') {  
+        await stateStore.logTrade({  
+          ...exitTrade,  
+          type: 'exit',  
+          strategy: getExitTradeLabel(exitTrade)  
+        });  
+      }  
+    }  
+
+    for (const { signal, strategyName, baseSymbol, strategy } of aggregation.signals) {  
+      try {  
+        // Risk adjustment, duplicate/cooldown detection, validation and execution  
+        const tradeResult = await pipeline.processSignal(signal, {  
+          strategyName,  
+          baseSymbol,  
+          account,  
+          positions,  
+          currentPositions,  
+          sizing: strategy.config?.sizing,  
+          levels: strategy.config?.levels  
+        });  
+
+        if (!tradeResult) continue;  
+
+        tradingResults.push(tradeResult);  
+        if (tradeResult.status === 'executed') {  
+          signalsByBaseSymbol[baseSymbol].push(tradeResult);  
+        }  
+      } catch (signalError) {  
+        logger.error(`Signal ${signal.symbol} (${strategyName}) error: ${signalError.message}`, {  
+          stack: signalError.stack  
+        });  
+      }  
+    }  
+
     // Get comprehensive position summary with persistent storage information  
     const positionSummary = await positionManager.getEnhancedPositionSummary();  
 
@@ -359,11 +471,11 @@ export default async function handler(req, res) {
       totalPortfolioValue: positionSummary.totalValue,  
       positionsWithExitLevels: exitMonitoringStatus.positionsWithStoredLevels || 0  
     };  
-    await sheetsLogger.logPerformance(performanceMetrics);  
+    await stateStore.logPerformance(performanceMetrics);  
 
-    // CRITICAL FIX: Enhanced response with Google Sheets state management status  
     const response = {  
       status: 'success',  
+      runId,  
 
       // Phase 1: Exit monitoring results  
       exitMonitoring: {  
@@ -371,7 +483,10 @@ export default async function handler(req, res) {
         exitOrdersExecuted: exitResults.exitOrdersExecuted,  
         stopLossTriggered: exitResults.stopLossTriggered,  
         takeProfitTriggered: exitResults.takeProfitTriggered,  
+        strategyExitsTriggered: exitResults.strategyExitsTriggered,  
+        timeExitsTriggered: exitResults.timeExitsTriggered,  
         exitTrades: exitResults.exitTrades,  
+        blockedExits: exitResults.blockedExits,  
         errors: exitResults.errors  
       },  
 
@@ -381,6 +496,13 @@ export default async function handler(req, res) {
         tradesSkipped: tradingResults.filter(t => t.status === 'skipped').length,  
         tradesFailed: tradingResults.filter(t => t.status === 'failed').length,  
         trades: tradingResults,  
+        signalConflicts: aggregation.conflicts,  
+        conflictExits,  
+        dataValidation,  
+        dataProvenance: {  
+          policy: dataPolicy.options.mode,  
+          inputs: dataPolicy.log ? dataPolicy.log.getEntries() : []  
+        },  
         signalBreakdown: Object.fromEntries(  
           getAllBaseSymbols().map(symbol => [`\${symbol}_signals`, signalsByBaseSymbol[symbol].length])  
         )  
@@ -390,14 +512,12 @@ export default async function handler(req, res) {
       positionSummary: positionSummary,  
       exitMonitoringStatus: exitMonitoringStatus,  
 
-      // CRITICAL FIX: Google Sheets state management status  
+      // State store status  
       persistentStorage: {  
-        enabled: sheetsLogger.enabled,  
+        enabled: stateStore.enabled,  
+        store: stateStore.getName(),  
         synchronizationResult: syncResult,  
-        storageStats: await positionManager.positionStorage.getStorageStats(),  
-        googleSheetsStateManagement: true,  
-        mapCachesEliminated: true,  
-        raceConditionFixed: true
+        storageStats: await positionManager.positionStorage.getStorageStats()  
       },  
 
       // Configuration info  
@@ -409,7 +529,7 @@ export default async function handler(req, res) {
 
       performanceMetrics: performanceMetrics,  
 
-      // CRITICAL FIX: Cooldown status using Google Sheets instead of Map  
+      // Cooldown status from the state store  
       cooldownStatus: {  
         allCooldowns: await positionManager.getAllCooldowns(),  
         symbolSpecific: await getSymbolSpecificCooldowns(positionManager, currentPositions)  
@@ -435,150 +555,18 @@ export default async function handler(req, res) {
 
     return res.status(500).json({  
       status: 'error',  
+      runId,  
       message: error.message,  
       timestamp: new Date().toISOString()  
     });  
+  } finally {  
+    // Provider calls are counted in memory during the run and stored once here  
+    await alpaca?.persistDataSourceUsage?.();  
   }  
 }  
 
 /**  
- * CLOSED POSITION FIX: Enhanced duplicate trade detection using Google Sheets
- * This function now checks if position is currently open before comparing signal strength
- * @param {GoogleSheetsLogger} sheetsLogger - Google Sheets logger instance  
- * @param {Object} adjustedSignal - Risk-adjusted signal  
- * @param {Map} currentPositions - Current positions from Alpaca  
- * @param {Logger} logger - Logger instance  
- * @returns {Object} Duplicate check result  
- */  
-async function checkForDuplicateTradeUsingGoogleSheets(sheetsLogger, adjustedSignal, currentPositions, logger) {  
-  const result = {  
-    allowTrade: true,  
-    reasons: [],  
-    details: {}  
-  };  
-
-  try {  
-    logger.info('Starting duplicate check', {  
-      symbol: adjustedSignal.symbol,  
-      side: adjustedSignal.side  
-    });  
-
-    // CLOSED POSITION FIX: First check if position is currently open
-    const openPosition = currentPositions.get(adjustedSignal.symbol);  
-
-    if (openPosition) {
-      // Position IS open - check signal strength improvement
-      const lastStrength = await sheetsLogger.getLastSignalStrength(adjustedSignal.symbol, adjustedSignal.side);  
-      const newStrength = adjustedSignal.confidence != null ? adjustedSignal.confidence : (adjustedSignal.signalStrength != null ? adjustedSignal.signalStrength : null);  
-
-      if (lastStrength != null && newStrength != null) {  
-        // Only allow if new signal is at least 30% stronger than last  
-        if (newStrength <= lastStrength * 1.3) {  
-          result.allowTrade = false;  
-          result.reasons.push('duplicate_or_weak_signal');  
-          result.details = {  
-            openPosition: true,  
-            lastSignalStrength: lastStrength,  
-            newSignalStrength: newStrength,  
-            improvementRequired: lastStrength * 1.3,  
-            improvementPercentage: ((newStrength - lastStrength) / lastStrength * 100).toFixed(2) + '%'  
-          };  
-
-          logger.info('Duplicate/open position detected - new signal not strong enough', {  
-            symbol: adjustedSignal.symbol,  
-            lastStrength,  
-            newStrength,  
-            improvementRequired: lastStrength * 1.3  
-          });  
-        } else {  
-          result.details = {  
-            openPosition: true,  
-            signalImprovement: 'sufficient',  
-            lastSignalStrength: lastStrength,  
-            newSignalStrength: newStrength,  
-            improvementPercentage: ((newStrength - lastStrength) / lastStrength * 100).toFixed(2) + '%'  
-          };  
-          logger.info('Signal strength improvement sufficient, allowing trade', {  
-            symbol: adjustedSignal.symbol,  
-            improvementPercentage: result.details.improvementPercentage  
-          });  
-        }  
-      } else if (lastStrength != null && newStrength == null) {  
-        result.allowTrade = false;  
-        result.reasons.push('duplicate_or_weak_signal');  
-        result.details = {  
-          openPosition: true,  
-          lastSignalStrength: lastStrength,  
-          newSignalStrength: null,  
-          reason: 'no_new_signal_strength_provided'  
-        };  
-
-        logger.info('Duplicate/open position detected - no new signal strength provided', {  
-          symbol: adjustedSignal.symbol,  
-          lastStrength  
-        });  
-      }
-    } else {
-      // CLOSED POSITION FIX: Position is NOT open - allow fresh trade regardless of old signal strength
-      result.details = {  
-        openPosition: false,  
-        freshSignal: true,
-        note: 'Position is closed, allowing new trade without signal strength comparison'
-      };  
-      logger.info('No open position found, allowing fresh signal', {  
-        symbol: adjustedSignal.symbol,
-        allowingFreshTrade: true
-      });  
-    }
-
-    // Additional check: Get last trade time for this symbol from Google Sheets  
-    const lastTrade = await sheetsLogger.getLastTradeForSymbol(adjustedSignal.symbol);  
-    if (lastTrade && lastTrade.timestamp) {  
-      const timeSinceLastTrade = Date.now() - new Date(lastTrade.timestamp).getTime();  
-      const cooldownTime = parseInt(process.env.MIN_TIME_BETWEEN_TRADES) || 300000; // 5 minutes default  
-
-      if (timeSinceLastTrade < cooldownTime) {  
-        result.allowTrade = false;  
-        result.reasons.push('cooldown_active');  
-        result.details.cooldown = {  
-          timeSinceLastTrade,  
-          cooldownTime,  
-          timeRemaining: cooldownTime - timeSinceLastTrade,  
-          lastTradeTimestamp: lastTrade.timestamp  
-        };  
-
-        logger.info('Trade blocked by cooldown', {  
-          symbol: adjustedSignal.symbol,  
-          timeSinceLastTrade,  
-          cooldownTime,  
-          timeRemaining: cooldownTime - timeSinceLastTrade  
-        });  
-      }  
-    }  
-
-    logger.info('Duplicate check completed', {  
-      symbol: adjustedSignal.symbol,  
-      allowTrade: result.allowTrade,  
-      reasons: result.reasons  
-    });  
-
-    return result;  
-  } catch (error) {  
-    logger.error('Error in Google Sheets duplicate check', {  
-      symbol: adjustedSignal.symbol,  
-      error: error.message  
-    });  
-
-    // On error, allow trade but log the issue  
-    result.allowTrade = true;  
-    result.reasons.push('duplicate_check_error');  
-    result.details.error = error.message;  
-    return result;  
-  }  
-}  
-
-/**  
- * Get symbol-specific cooldowns using Google Sheets  
+ * Get symbol-specific cooldowns using the state store  
  * @param {TradingPositionManager} positionManager - Position manager instance  
  * @param {Map} currentPositions - Current positions  
  * @returns {Object} Symbol-specific cooldown status  
@@ -591,17 +579,44 @@ async function getSymbolSpecificCooldowns(positionManager, currentPositions) {
       cooldowns[symbol] = await positionManager.getCooldownStatus(symbol);  
     }  
   } catch (error) {  
-    console.error('Error getting symbol-specific cooldowns from Google Sheets:', error);  
+    console.error('Error getting symbol-specific cooldowns from the state store:', error);  
   }  
 
   return cooldowns;  
 }  
 
+/**  
+ * Strategy column for an exit row in the Trades sheet  
+ * @param {Object} exitTrade - Exit result from PositionExitManager  
+ * @returns {string} Label such as 'Stop Loss' or 'SPY_Momentum Exit'  
+ */  
+function getExitTradeLabel(exitTrade) {  
+  switch (exitTrade.exitType) {  
+    case 'stop_loss':  
+      return 'Stop Loss';  
+    case 'strategy_exit':  
+      return `${exitTrade.strategy || 'Strategy'} Exit`;  
+    case 'max_holding_period':  
+      return 'Max Holding Period';  
+    case 'end_of_day':  
+      return 'End of Day';  
+    case 'drawdown_breaker':  
+      return 'Drawdown Breaker';  
+    case 'signal_conflict':  
+      return 'Signal Conflict';  
+    case 'regime_rotation':  
+      return `${exitTrade.strategy || 'Regime'} Rotation`;  
+    default:  
+      return 'Take Profit';  
+  }  
+}  
+
 /**  
  * Generate strategies dynamically from symbol configuration  
+ * @param {StateStore} stateStore - Shared store for strategies that persist state (regime detection)  
  * @returns {Array} Array of strategy instances  
  */  
-function generateStrategiesFromConfig() {  
+function generateStrategiesFromConfig(stateStore) {  
   const strategies = [];  
 
   // Generate strategies for each symbol triplet  
@@ -610,88 +625,95 @@ function generateStrategiesFromConfig() {
 
     // Momentum Strategy  
     strategies.push(new MomentumStrategy({  
-      enabled: process.env[`\${baseSymbol}_MOMENTUM_ENABLED`] === 'true',  
-      name: `\${baseSymbol}_Momentum`,  
+      enabled: process.env[`${baseSymbol}_MOMENTUM_ENABLED`] === 'true',  
+      name: `${baseSymbol}_Momentum`,  
       baseSymbol: baseSymbol,  
       symbols: [triplet.bullSymbol, triplet.bearSymbol],  
-      lookbackPeriod: parseInt(process.env[`\${baseSymbol}_MOMENTUM_LOOKBACK`]) || 50,  
-      shortMA: parseInt(process.env[`\${baseSymbol}_MOMENTUM_SHORT_MA`]) || 20,  
-      longMA: parseInt(process.env[`\${baseSymbol}_MOMENTUM_LONG_MA`]) || 50,  
-      positionSize: parseFloat(process.env[`\${baseSymbol}_MOMENTUM_POSITION_SIZE`]) || 0.025  
+      lookbackPeriod: parseInt(process.env[`${baseSymbol}_MOMENTUM_LOOKBACK`]) || 50,  
+      shortMA: parseInt(process.env[`${baseSymbol}_MOMENTUM_SHORT_MA`]) || 20,  
+      longMA: parseInt(process.env[`${baseSymbol}_MOMENTUM_LONG_MA`]) || 50,  
+      positionSize: parseFloat(process.env[`${baseSymbol}_MOMENTUM_POSITION_SIZE`]) || 0.025,  
+      timeframe: strategyTimeframeFromEnv(`${baseSymbol}_MOMENTUM`),  
+      sizing: strategySizingFromEnv(`${baseSymbol}_MOMENTUM`),  
+      levels: strategyLevelsFromEnv(baseSymbol, 'MOMENTUM')  
     }));  
 
     // Mean Reversion Strategy  
     strategies.push(new MeanReversionStrategy({  
-      enabled: process.env[`\${baseSymbol}_MEAN_REVERSION_ENABLED`] === 'true',  
-      name: `\${baseSymbol}_MeanReversion`,  
+      enabled: process.env[`${baseSymbol}_MEAN_REVERSION_ENABLED`] === 'true',  
+      name: `${baseSymbol}_MeanReversion`,  
       baseSymbol: baseSymbol,  
       symbols: [triplet.bullSymbol, triplet.bearSymbol],  
-      rsiPeriod: parseInt(process.env[`\${baseSymbol}_RSI_PERIOD`]) || 14,  
-      oversoldThreshold: parseInt(process.env[`\${baseSymbol}_RSI_OVERSOLD`]) || 30,  
-      overboughtThreshold: parseInt(process.env[`\${baseSymbol}_RSI_OVERBOUGHT`]) || 70,  
-      positionSize: parseFloat(process.env[`\${baseSymbol}_MEAN_REVERSION_POSITION_SIZE`]) || 0.02  
+      rsiPeriod: parseInt(process.env[`${baseSymbol}_RSI_PERIOD`]) || 14,  
+      oversoldThreshold: parseInt(process.env[`${baseSymbol}_RSI_OVERSOLD`]) || 30,  
+      overboughtThreshold: parseInt(process.env[`${baseSymbol}_RSI_OVERBOUGHT`]) || 70,  
+      positionSize: parseFloat(process.env[`${baseSymbol}_MEAN_REVERSION_POSITION_SIZE`]) || 0.02,  
+      timeframe: strategyTimeframeFromEnv(`${baseSymbol}_MEAN_REVERSION`),  
+      sizing: strategySizingFromEnv(`${baseSymbol}_MEAN_REVERSION`),  
+      levels: strategyLevelsFromEnv(baseSymbol, 'MEAN_REVERSION')  
     }));  
 
     // Regime Detection Strategy  
     strategies.push(new RegimeDetectionStrategy({  
-      enabled: process.env[`\${baseSymbol}_REGIME_DETECTION_ENABLED`] === 'true',  
-      name: `\${baseSymbol}_RegimeDetection`,  
+      enabled: process.env[`${baseSymbol}_REGIME_DETECTION_ENABLED`] === 'true',  
+      name: `${baseSymbol}_RegimeDetection`,  
       baseSymbol: baseSymbol,  
       bullSymbol: triplet.bullSymbol,  
       bearSymbol: triplet.bearSymbol,  
-      spyLookback: parseInt(process.env[`\${baseSymbol}_REGIME_LOOKBACK`]) || 200,  
-      positionSize: parseFloat(process.env[`\${baseSymbol}_REGIME_POSITION_SIZE`]) || 0.03  
+      spyLookback: parseInt(process.env[`${baseSymbol}_REGIME_LOOKBACK`]) || 200,  
+      positionSize: parseFloat(process.env[`${baseSymbol}_REGIME_POSITION_SIZE`]) || 0.03,  
+      minConfirmationDays: parseInt(process.env[`${baseSymbol}_REGIME_CONFIRMATION_DAYS`]) || 3,  
+      timeframe: strategyTimeframeFromEnv(`${baseSymbol}_REGIME`),  
+      sizing: strategySizingFromEnv(`${baseSymbol}_REGIME`),  
+      levels: strategyLevelsFromEnv(baseSymbol, 'REGIME'),  
+      stateStore  
     }));  
   }  
 
   return strategies;  
-}  
+}
 
 /**  
- * Enhanced helper function to execute trade with Google Sheets persistent TP/SL storage  
- * @param {Object} positionManager - Trading position manager  
- * @param {Object} adjustedSignal - Risk-adjusted signal  
- * @param {number} quantity - Trade quantity  
- * @param {number} currentPrice - Current market price  
- * @param {string} strategy - Strategy name  
- * @returns {Object} Trade execution result  
+ * Bar timeframe of one strategy, e.g. SPY_MOMENTUM_TIMEFRAME=15Min for an intraday variant  
+ * @param {string} prefix - Env prefix of the strategy (e.g. 'SPY_MOMENTUM')  
+ * @returns {string} Canonical timeframe ('1Day' when unset)  
+ * @throws {Error} When the configured timeframe is not supported  
  */  
-async function executeTradeWithGoogleSheetsTPSLStorage(positionManager, adjustedSignal, quantity, currentPrice, strategy) {  
-  try {  
-    // Prepare exit levels for persistent storage  
-    const exitLevels = {  
-      stopLoss: adjustedSignal.stopLoss || null,  
-      takeProfit: adjustedSignal.takeProfit || null  
-    };  
+function strategyTimeframeFromEnv(prefix) {  
+  const timeframe = normalizeTimeframe(process.env[`${prefix}_TIMEFRAME`] || '1Day');  
+  timeframeMinutes(timeframe);  
+  return timeframe;  
+}  
 
-    // Execute trade with enhanced Google Sheets persistent TP/SL storage  
-    const tradeResult = await positionManager.executeTradeWithTPSL(  
-      adjustedSignal.symbol,  
-      adjustedSignal.side,  
-      quantity,  
-      currentPrice,  
-      strategy,  
-      adjustedSignal.confidence || null, // signal strength  
-      exitLevels // TP/SL levels to store persistently in Google Sheets  
-    );  
-
-    // Enhance result with persistent storage information  
-    if (tradeResult.success) {  
-      tradeResult.exitLevelsStored = !!(exitLevels.stopLoss || exitLevels.takeProfit);  
-      tradeResult.persistentStorageUsed = positionManager.positionStorage?.sheetsLogger?.enabled || false;  
-      tradeResult.googleSheetsStateManagement = true;  
-      tradeResult.raceConditionFixed = true;
-    }  
+/**  
+ * Per-strategy sizing overrides, e.g. SPY_MOMENTUM_SIZING_MODE=atr and SPY_MOMENTUM_RISK_PER_TRADE=0.005  
+ * @param {string} prefix - Env prefix of the strategy (e.g. 'SPY_MOMENTUM')  
+ * @returns {Object|null} Overrides merged onto the RiskManager sizing defaults, or null for none  
+ */  
+function strategySizingFromEnv(prefix) {  
+  const sizing = {};  
+  if (process.env[`${prefix}_SIZING_MODE`]) sizing.mode = process.env[`${prefix}_SIZING_MODE`];  
+  if (process.env[`${prefix}_RISK_PER_TRADE`]) sizing.riskPerTrade = parseFloat(process.env[`${prefix}_RISK_PER_TRADE`]);  
+  if (process.env[`${prefix}_VOLATILITY_TARGET`]) sizing.volatilityTarget = parseFloat(process.env[`${prefix}_VOLATILITY_TARGET`]);  
+  if (process.env[`${prefix}_KELLY_FRACTION`]) sizing.kellyFraction = parseFloat(process.env[`${prefix}_KELLY_FRACTION`]);  
+  return Object.keys(sizing).length > 0 ? sizing : null;  
+}
 
-    return tradeResult;  
-  } catch (error) {  
-    return {  
-      success: false,  
-      error: error,  
-      exitLevelsStored: false,  
-      persistentStorageUsed: false,  
-      googleSheetsStateManagement: false,  
-      raceConditionFixed: false  
-    };  
+/**  
+ * Stop/target overrides for one strategy of a triplet: SPY_STOP_METHOD=atr applies to every SPY  
+ * strategy, SPY_MOMENTUM_STOP_METHOD=swing to momentum only (the strategy setting wins)  
+ * @param {string} baseSymbol - Triplet base symbol  
+ * @param {string} strategyKey - Strategy env prefix (MOMENTUM, MEAN_REVERSION, REGIME)  
+ * @returns {Object|null} Overrides merged onto the RiskManager level defaults, or null for none  
+ */  
+function strategyLevelsFromEnv(baseSymbol, strategyKey) {  
+  const levels = {};  
+  for (const prefix of [baseSymbol, `${baseSymbol}_${strategyKey}`]) {  
+    if (process.env[`${prefix}_STOP_METHOD`]) levels.stopMethod = process.env[`${prefix}_STOP_METHOD`];  
+    if (process.env[`${prefix}_TARGET_METHOD`]) levels.targetMethod = process.env[`${prefix}_TARGET_METHOD`];  
+    if (process.env[`${prefix}_ATR_STOP_MULTIPLIER`]) levels.atrStopMultiplier = parseFloat(process.env[`${prefix}_ATR_STOP_MULTIPLIER`]);  
+    if (process.env[`${prefix}_SWING_LOOKBACK`]) levels.swingLookback = parseInt(process.env[`${prefix}_SWING_LOOKBACK`]);  
+    if (process.env[`${prefix}_REWARD_RISK_RATIO`]) levels.rewardRisk = parseFloat(process.env[`${prefix}_REWARD_RISK_RATIO`]);  
   }  
+  return Object.keys(levels).length > 0 ? levels : null;  
 }
@@ -34,6 +34,32 @@ let positionHistoryData = []; // NEW: Store position history
 const API_BASE = window.location.origin;
 const REFRESH_INTERVAL = 30000; // 30 seconds
 
+// Every /api route requires an API key; it is asked for once and kept for the browser session
+function getApiKey() {
+  let apiKey = sessionStorage.getItem('apiKey');
+  if (!apiKey) {
+    apiKey = prompt('API key');
+    if (apiKey) sessionStorage.setItem('apiKey', apiKey);
+  }
+  return apiKey;
+}
+
+async function apiFetch(path, options = {}) {
+  const response = await fetch(`${API_BASE}${path}`, {
+    ...options,
+    headers: {
+      ...(options.headers || {}),
+      'x-api-key': getApiKey() || ''
+    }
+  });
+
+  // A rejected key is forgotten so the next request asks again
+  if (response.status === 401) {
+    sessionStorage.removeItem('apiKey');
+  }
+  return response;
+}
+
 // Initialize the application
 document.addEventListener('DOMContentLoaded', function() {
   initializeNavigation();
@@ -68,7 +94,7 @@ function initializePositionHistory() {
 // API Functions for fetching live data
 async function fetchPortfolioData() {
   try {
-    const response = await fetch(`${API_BASE}/api/portfolio`);
+    const response = await apiFetch('/api/portfolio');
     if (!response.ok) throw new Error(`HTTP ${response.status}`);
     const data = await response.json();
     return data;
@@ -90,8 +116,8 @@ async function fetchPositionHistory(filters = {}) {
     if (filters.start_date) queryParams.append('start_date', filters.start_date);
     if (filters.end_date) queryParams.append('end_date', filters.end_date);
     
-    const url = `${API_BASE}/api/position-history${queryParams.toString() ? '?' + queryParams.toString() : ''}`;
-    const response = await fetch(url);
+    const url = `/api/position-history${queryParams.toString() ? '?' + queryParams.toString() : ''}`;
+    const response = await apiFetch(url);
     
     if (!response.ok) throw new Error(`HTTP ${response.status}`);
     const data = await response.json();
@@ -105,7 +131,7 @@ async function fetchPositionHistory(filters = {}) {
 
 async function fetchSystemStatus() {
   try {
-    const response = await fetch(`${API_BASE}/api/test-sheets`);
+    const response = await apiFetch('/api/test-sheets');
     if (!response.ok) throw new Error(`HTTP ${response.status}`);
     const data = await response.json();
     return data;
@@ -138,7 +164,7 @@ async function fetchRecentTrades() {
 
 async function fetchLogEntries() {
   try {
-    const response = await fetch(`${API_BASE}/api/logs`);
+    const response = await apiFetch('/api/logs');
     if (!response.ok) throw new Error(`HTTP ${response.status}`);
     const data = await response.json();
     if (data.status === 'success' && data.logs) {
@@ -442,7 +468,7 @@ async function executeManualTrade(action) {
       limitPrice: limitPrice
     };
 
-    const response = await fetch(`${API_BASE}/api/manual-trade`, {
+    const response = await apiFetch('/api/manual-trade', {
       method: 'POST',
       headers: {
         'Content-Type': 'application/json'
@@ -467,6 +493,65 @@ async function executeManualTrade(action) {
   }
 }
 
+// Emergency stop / resume - halt state lives in the TradingState sheet via /api/emergency-stop
+let tradingHalted = false;
+
+async function loadTradingHalt() {
+  try {
+    const response = await apiFetch('/api/emergency-stop');
+    const result = await response.json();
+    if (result.status === 'success') {
+      updateEmergencyStopButton(result.trading.halted);
+    }
+  } catch (error) {
+    console.error('Error loading trading halt state:', error);
+  }
+}
+
+function updateEmergencyStopButton(halted) {
+  tradingHalted = halted;
+  const button = document.getElementById('emergencyStop');
+  if (!button) return;
+
+  button.textContent = halted ? '▶️ Resume Trading' : '🛑 Emergency Stop';
+  button.classList.toggle('btn-outline-danger', !halted);
+  button.classList.toggle('btn-outline-primary', halted);
+}
+
+async function toggleEmergencyStop() {
+  const action = tradingHalted ? 'resume' : 'halt';
+  const question = action === 'halt'
+    ? 'Close all positions, cancel all open orders and halt automated trading?'
+    : 'Resume automated trading?';
+  if (!confirm(question)) return;
+
+  try {
+    const response = await apiFetch('/api/emergency-stop', {
+      method: 'POST',
+      headers: {
+        'Content-Type': 'application/json'
+      },
+      body: JSON.stringify({ action, source: 'dashboard' })
+    });
+
+    const result = await response.json();
+    if (result.status === 'success') {
+      updateEmergencyStopButton(action === 'halt');
+      showNotification(result.message, action === 'halt' ? 'warning' : 'success');
+      setTimeout(() => {
+        loadLiveData();
+        loadPositionHistory();
+      }, 2000);
+    } else {
+      showNotification(`Emergency stop failed: ${result.message}`, 'error');
+      loadTradingHalt();
+    }
+  } catch (error) {
+    console.error('Error calling emergency stop:', error);
+    showNotification('Failed to reach emergency stop endpoint', 'error');
+  }
+}
+
 function initializeNavigation() {
   const navLinks = document.querySelectorAll('.nav-link');
   
@@ -786,11 +871,8 @@ function initializeCharts() {
 function initializeEventListeners() {
   const emergencyStop = document.getElementById('emergencyStop');
   if (emergencyStop) {
-    emergencyStop.addEventListener('click', function() {
-      if (confirm('Are you sure you want to stop all trading activities?')) {
-        showNotification('Emergency stop activated', 'warning');
-      }
-    });
+    emergencyStop.addEventListener('click', toggleEmergencyStop);
+    loadTradingHalt();
   }
   
   const refreshButton = document.getElementById('refreshData');
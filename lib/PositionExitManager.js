@@ -1,31 +1,67 @@
 /**  
  * Enhanced PositionExitManager.js - Advanced Take Profit/Stop Loss Monitoring System  
- * LOGGING FIX: Accepts shared GoogleSheetsLogger instance to prevent re-initialization
+ * LOGGING FIX: Accepts a shared StateStore instance to prevent re-initialization
  * Now with persistent storage support for serverless environments  
  * Monitors all open positions and executes exit orders when conditions are met  
  * Integrates with the enhanced persistent position storage system  
  */  
 import { Logger } from './utils/logger.js';  
 import { PositionStorage } from './utils/positionStorage.js';  
+import { ATR } from './indicators/atr.js';  
+import {  
+  buildExitLegs,  
+  extractExitLegs,  
+  isBrokerManagedExit,  
+  isOpenOrderStatus,  
+  legTypeOf,  
+  roundOrderPrice  
+} from './brokers/exitOrders.js';  
+import { buildClientOrderId, submitOrderOnce } from './utils/runContext.js';  
+import { OrderTracker, describeOrder, hasWorkingOrder } from './brokers/orderTracker.js';  
+
+const TRAILING_CONFIG_KEYS = ['type', 'percent', 'atrMultiplier', 'atrPeriod', 'breakEvenR'];  
+
+const EXIT_REASONS = {  
+  stop_loss: 'Stop loss triggered',  
+  take_profit: 'Take profit triggered',  
+  partial_take_profit: 'Take profit ladder tranche reached',  
+  strategy_exit: 'Strategy exit signal',  
+  max_holding_period: 'Maximum holding period reached',  
+  end_of_day: 'End-of-day flatten',  
+  drawdown_breaker: 'Drawdown circuit breaker',  
+  signal_conflict: 'Closed for an opposing signal',  
+  regime_rotation: 'Regime rotation',  
+  emergency_stop: 'Emergency stop'  
+};  
+
+const TIME_EXIT_TYPES = ['max_holding_period', 'end_of_day'];  
 
 export class PositionExitManager {  
   constructor(alpacaClient, options = {}) {  
     this.alpaca = alpacaClient;  
     this.logger = options.logger || new Logger();  
 
-    // LOGGING FIX: Get shared sheetsLogger from options if provided
-    const sheetsLogger = options.sheetsLogger || options.storageOptions?.sheetsLogger;
+    // LOGGING FIX: Get shared stateStore from options if provided (sheetsLogger is the older name)
+    const stateStore = options.stateStore || options.sheetsLogger ||
+      options.storageOptions?.stateStore || options.storageOptions?.sheetsLogger;
 
     // Enhanced: Initialize position storage with persistent backend  
-    // LOGGING FIX: Pass shared sheetsLogger instance
-    this.positionStorage = new PositionStorage({  
+    // LOGGING FIX: Pass shared stateStore instance
+    // A shared PositionStorage may be injected so entry and exit managers see the same levels
+    this.positionStorage = options.positionStorage || new PositionStorage({  
       logger: options.logger,  
       enableLogging: options.enableLogging !== false,  
       enablePersistence: true,
-      sheetsLogger: sheetsLogger, // LOGGING FIX: Use shared instance
+      stateStore: stateStore, // LOGGING FIX: Use shared instance
       ...options.storageOptions
     });  
 
+    // Entry trade records get exit progress (status, exit price, P&L, remaining qty)  
+    this.stateStore = stateStore || this.positionStorage.stateStore;  
+
+    // Live runs pass a MarketDataPolicy (services/dataProvenance.js); see checkMarketData  
+    this.dataPolicy = options.dataPolicy || null;  
+
     // Configuration options  
     this.options = {  
       enableLogging: options.enableLogging !== false,  
@@ -34,11 +70,35 @@ export class PositionExitManager {
       retryDelayMs: options.retryDelayMs || 1000,  
       emergencyStopEnabled: options.emergencyStopEnabled !== false,  
       maxSlippage: options.maxSlippage || 0.02, // 2% max slippage  
+      fillWaitMs: options.fillWaitMs ?? (parseInt(process.env.ORDER_FILL_TIMEOUT_MS) || 2000), // Longest wait for an exit fill  
+      // 'broker': protect positions with OCO orders at the broker and reconcile leg fills  
+      exitOrderMode: options.exitOrderMode || process.env.EXIT_ORDER_MODE || 'polling',  
+      // Stop after a ladder tranche: 'break_even' (entry), 'previous_target' (one rung behind) or 'none'  
+      ladderStopAdjust: options.ladderStopAdjust || process.env.LADDER_STOP_ADJUST || 'break_even',  
+      // Run ID of the /api/trade invocation; exits get client_order_ids derived from it  
+      runId: options.runId || null,  
+      // Close positions held longer than this many days (0 = no limit)  
+      maxHoldingDays: options.maxHoldingDays ?? (parseFloat(process.env.MAX_HOLDING_DAYS) || 0),  
+      // Flatten everything this many minutes before the session close (0 = hold overnight)  
+      eodFlattenMinutes: options.eodFlattenMinutes ?? (parseInt(process.env.EOD_FLATTEN_MINUTES) || 0),  
       ...options  
     };  
 
+    // Default trailing / break-even behaviour; a position's own metadata.trailing overrides it  
+    this.options.trailingStop = {  
+      type: process.env.TRAILING_STOP_TYPE || 'none', // 'none' | 'percent' | 'atr'  
+      percent: parseFloat(process.env.TRAILING_STOP_PERCENT) || 0.05, // Trail 5% behind the best price  
+      atrMultiplier: parseFloat(process.env.TRAILING_STOP_ATR_MULTIPLIER) || 3,  
+      atrPeriod: parseInt(process.env.TRAILING_STOP_ATR_PERIOD) || 14,  
+      breakEvenR: parseFloat(process.env.BREAK_EVEN_R) || 0, // Move stop to entry at this R multiple (0 = off)  
+      ...options.trailingStop  
+    };  
+
+    // Exit orders are polled until filled; ones still working are finished by reconcileOrderFills  
+    this.orderTracker = options.orderTracker || new OrderTracker(alpacaClient, { timeoutMs: this.options.fillWaitMs });  
+
     // LOGGING FIX: Only initialize if not already initialized
-    if (!sheetsLogger) {
+    if (!stateStore) {
       this.initializePersistentStorage();
     }
   }  
@@ -64,9 +124,10 @@ export class PositionExitManager {
   /**  
    * Main method to monitor all positions and execute exits when conditions are met  
    * Enhanced with persistent storage synchronization  
+   * @param {Array} strategies - Strategies whose checkExitConditions hook may close their positions  
    * @returns {Object} Exit monitoring results  
    */  
-  async monitorAndExecuteExits() {  
+  async monitorAndExecuteExits(strategies = []) {  
     if (this.options.enableLogging) {  
       this.logger.info('Starting position exit monitoring with persistent storage', {  
         timestamp: new Date().toISOString()  
@@ -78,8 +139,11 @@ export class PositionExitManager {
       exitOrdersExecuted: 0,  
       stopLossTriggered: 0,  
       takeProfitTriggered: 0,  
+      strategyExitsTriggered: 0,  
+      timeExitsTriggered: 0,  
       errors: [],  
       exitTrades: [],  
+      blockedExits: [],  
       persistentStorageSync: null,  
       timestamp: new Date().toISOString()  
     };  
@@ -106,6 +170,15 @@ export class PositionExitManager {
       const positions = await this.alpaca.getPositions();  
       exitResults.positionsMonitored = positions.length;  
 
+      // Orders an earlier run left working: settle entry fills and report exits that have filled since  
+      const orderFills = await this.reconcileOrderFills(positions);  
+      exitResults.reconciledEntries = orderFills.entries;  
+      orderFills.exits.forEach(exitResult => this.recordExitTrade(exitResults, exitResult));  
+
+      // Bracket / OCO legs fill at the broker between runs - report those fills first  
+      const legExits = await this.reconcileBrokerExitFills(positions);  
+      legExits.forEach(exitResult => this.recordExitTrade(exitResults, exitResult));  
+
       if (positions.length === 0) {  
         if (this.options.enableLogging) {  
           this.logger.info('No open positions to monitor');  
@@ -125,14 +198,7 @@ export class PositionExitManager {
         try {  
           const exitResult = await this.processPositionForExit(position);  
           if (exitResult) {  
-            exitResults.exitTrades.push(exitResult);  
-            exitResults.exitOrdersExecuted++;  
-
-            if (exitResult.exitType === 'stop_loss') {  
-              exitResults.stopLossTriggered++;  
-            } else if (exitResult.exitType === 'take_profit') {  
-              exitResults.takeProfitTriggered++;  
-            }  
+            this.recordExitTrade(exitResults, exitResult);  
           }  
         } catch (error) {  
           const errorInfo = {  
@@ -149,6 +215,21 @@ export class PositionExitManager {
         }  
       }  
 
+      // Time rules and strategy exit hooks see what the TP/SL pass left open  
+      try {  
+        const ruleExits = await this.processRuleBasedExits(strategies);  
+        ruleExits.forEach(exitResult => this.recordExitTrade(exitResults, exitResult));  
+      } catch (ruleError) {  
+        exitResults.errors.push({  
+          type: 'rule_based_exits',  
+          error: ruleError.message,  
+          timestamp: new Date().toISOString()  
+        });  
+        this.logger.error('Failed to evaluate time and strategy exits', {  
+          error: ruleError.message  
+        });  
+      }  
+
       // Enhanced: Clean up orphaned exit levels  
       try {  
         const cleanupResult = await this.cleanupOrphanedExitLevels(positions);  
@@ -183,6 +264,233 @@ export class PositionExitManager {
     }  
   }  
 
+  /**  
+   * Add an exit trade to the monitoring results and bump its counters  
+   * (exits the market data policy blocked go to blockedExits, uncounted)  
+   * @param {Object} exitResults - Results accumulated by monitorAndExecuteExits  
+   * @param {Object} exitResult - Exit trade result  
+   */  
+  recordExitTrade(exitResults, exitResult) {  
+    if (exitResult.reason === 'market_data_blocked') {  
+      exitResults.blockedExits.push(exitResult);  
+      return;  
+    }  
+
+    exitResults.exitTrades.push(exitResult);  
+    exitResults.exitOrdersExecuted++;  
+
+    if (exitResult.exitType === 'stop_loss') {  
+      exitResults.stopLossTriggered++;  
+    } else if (exitResult.exitType === 'take_profit' || exitResult.exitType === 'partial_take_profit') {  
+      exitResults.takeProfitTriggered++;  
+    } else if (exitResult.exitType === 'strategy_exit') {  
+      exitResults.strategyExitsTriggered++;  
+    } else if (TIME_EXIT_TYPES.includes(exitResult.exitType)) {  
+      exitResults.timeExitsTriggered++;  
+    }  
+  }  
+
+  /**  
+   * Exits that do not come from price levels: end-of-day flatten, maximum holding period  
+   * and exit signals from the strategies' checkExitConditions hooks, in that order.  
+   * Each position is closed at most once per run.  
+   * @param {Array} strategies - Strategy instances (disabled ones and those without a hook are skipped)  
+   * @returns {Array} Exit trade results  
+   */  
+  async processRuleBasedExits(strategies = []) {  
+    const exitStrategies = strategies.filter(strategy =>  
+      typeof strategy.checkExitConditions === 'function' && strategy.isEnabled());  
+    const { maxHoldingDays, eodFlattenMinutes } = this.options;  
+    if (exitStrategies.length === 0 && !(maxHoldingDays > 0) && !(eodFlattenMinutes > 0)) {  
+      return [];  
+    }  
+
+    // Re-read positions: stops, targets and ladder tranches may have just closed some  
+    const positions = await this.alpaca.getPositions();  
+    if (positions.length === 0) return [];  
+
+    const clock = await this.alpaca.getClock();  
+    const now = new Date(clock.timestamp || Date.now()).getTime();  
+    const levelsBySymbol = new Map();  
+    for (const position of positions) {  
+      levelsBySymbol.set(position.symbol, await this.positionStorage.getPositionLevels(position.symbol));  
+    }  
+
+    const exits = [];  
+    const closed = new Set();  
+    const closePosition = async (position, exitType, reason, strategyName = null) => {  
+      closed.add(position.symbol);  
+      // An exit order from an earlier pass is still working - don't sell the shares twice  
+      if (levelsBySymbol.get(position.symbol)?.metadata?.pendingExit) return;  
+      if (this.options.enableLogging) {  
+        this.logger.info('Rule-based exit triggered', { symbol: position.symbol, exitType, reason });  
+      }  
+
+      const storedLevels = levelsBySymbol.get(position.symbol) || { symbol: position.symbol };  
+      exits.push(await this.closePositionAtMarket(position, exitType, storedLevels, reason, strategyName));  
+    };  
+
+    // End-of-day flatten applies to every position, with or without stored levels  
+    if (await this.isEndOfDayWindow(clock)) {  
+      for (const position of positions) {  
+        await closePosition(position, 'end_of_day', EXIT_REASONS.end_of_day);  
+      }  
+      return exits;  
+    }  
+
+    if (maxHoldingDays > 0) {  
+      for (const position of positions) {  
+        const entryTime = await this.getEntryTime(levelsBySymbol.get(position.symbol));  
+        if (!entryTime) continue;  
+
+        const heldDays = (now - entryTime) / 86400000;  
+        if (heldDays >= maxHoldingDays) {  
+          await closePosition(position, 'max_holding_period',  
+            `${EXIT_REASONS.max_holding_period} (${heldDays.toFixed(1)} of ${maxHoldingDays} days)`);  
+        }  
+      }  
+    }  
+
+    for (const strategy of exitStrategies) {  
+      // A strategy only sees positions it opened, or ones whose owner is unknown  
+      const strategyPositions = positions.filter(position => {  
+        if (closed.has(position.symbol)) return false;  
+        const owner = levelsBySymbol.get(position.symbol)?.strategy;  
+        return !owner || owner === strategy.getName();  
+      });  
+      if (strategyPositions.length === 0) continue;  
+
+      let exitSignals = [];  
+      try {  
+        exitSignals = await strategy.checkExitConditions(this.alpaca, strategyPositions) || [];  
+      } catch (error) {  
+        this.logger.error('Strategy exit check failed', {  
+          strategy: strategy.getName(),  
+          error: error.message  
+        });  
+        continue;  
+      }  
+
+      for (const signal of exitSignals) {  
+        const position = strategyPositions.find(p => p.symbol === signal.symbol);  
+        if (!position || closed.has(position.symbol)) continue;  
+
+        const dataBlocked = this.checkMarketData(position, 'strategy_exit',  
+          [strategy.config?.baseSymbol || strategy.options?.baseSymbol]);  
+        if (dataBlocked) {  
+          closed.add(position.symbol);  
+          exits.push(dataBlocked);  
+          continue;  
+        }  
+        await closePosition(position, 'strategy_exit', signal.reason || EXIT_REASONS.strategy_exit, strategy.getName());  
+      }  
+    }  
+
+    return exits;  
+  }  
+
+  /**  
+   * Sell a whole position at market, cancelling its resting exit legs first  
+   * @returns {Object} Exit trade result labelled with the reason and owning strategy  
+   */  
+  async closePositionAtMarket(position, exitType, storedLevels, reason, strategyName = null) {  
+    // Resting exit legs hold the shares at the broker - cancel them before selling  
+    await this.cancelBrokerExitOrders(position.symbol);  
+    const exitResult = await this.executeExitOrder(position, exitType, storedLevels);  
+    if (exitResult.status === 'executed') {  
+      exitResult.exitReason = reason;  
+      exitResult.strategy = strategyName || storedLevels.strategy || null;  
+    }  
+    return exitResult;  
+  }  
+
+  /**  
+   * Skipped exit result when the market data behind a price-driven exit (stop, target, ladder  
+   * tranche, strategy exit) or a trailing stop ratchet is synthetic or stale, null when it may  
+   * go ahead. Time exits, drawdown cuts and emergency stops do not read prices and are not  
+   * checked.  
+   * @param {Object} position - Alpaca position object  
+   * @param {string} exitType - Exit that would be placed  
+   * @param {Array} symbols - Further symbols whose data the decision used (a strategy's base symbol)  
+   * @returns {Object|null}  
+   */  
+  checkMarketData(position, exitType, symbols = []) {  
+    if (!this.dataPolicy) return null;  
+
+    const decision = this.dataPolicy.check([position.symbol, ...symbols]);  
+    if (decision.allowed) return null;  
+
+    const blockedExit = {  
+      symbol: position.symbol,  
+      exitType,  
+      status: 'skipped',  
+      reason: 'market_data_blocked',  
+      dataInputs: decision.inputs,  
+      timestamp: new Date().toISOString()  
+    };  
+    this.logger.warning('Exit blocked by market data policy', blockedExit);  
+    return blockedExit;  
+  }  
+
+  /**  
+   * Close one symbol's position outside the exit rules (an opposing signal closing its leg)  
+   * @returns {Object|null} Exit trade result, or null when nothing is held or an exit is already working  
+   */  
+  async closeSymbol(symbol, exitType, reason, strategyName = null) {  
+    const position = (await this.alpaca.getPositions()).find(p => p.symbol === symbol);  
+    if (!position || !(Math.abs(parseFloat(position.qty)) > 0)) return null;  
+
+    const storedLevels = await this.positionStorage.getPositionLevels(symbol);  
+    if (storedLevels?.metadata?.pendingExit) return null;  
+    if (this.options.enableLogging) {  
+      this.logger.info('Closing position', { symbol, exitType, reason });  
+    }  
+    return this.closePositionAtMarket(position, exitType, storedLevels || { symbol }, reason, strategyName);  
+  }  
+
+  /**  
+   * True inside the end-of-day flatten window (the last eodFlattenMinutes of an open session).  
+   * The trade route also uses it to hold off new entries that would only be flattened again.  
+   * @param {Object|null} clock - Broker clock; fetched when not given  
+   * @returns {boolean}  
+   */  
+  async isEndOfDayWindow(clock = null) {  
+    if (!(this.options.eodFlattenMinutes > 0)) return false;  
+
+    const marketClock = clock || await this.alpaca.getClock();  
+    if (!marketClock.is_open || !marketClock.next_close) return false;  
+
+    const now = new Date(marketClock.timestamp || Date.now()).getTime();  
+    const minutesToClose = (new Date(marketClock.next_close).getTime() - now) / 60000;  
+    return minutesToClose <= this.options.eodFlattenMinutes;  
+  }  
+
+  /**  
+   * When a position was opened: metadata.entryTime written at entry, or the entry order's  
+   * fill time for levels stored before entry times were recorded  
+   * @param {Object|null} storedLevels - Stored TP/SL levels  
+   * @returns {number|null} Epoch milliseconds, or null if unknown  
+   */  
+  async getEntryTime(storedLevels) {  
+    if (storedLevels?.metadata?.entryTime) {  
+      return new Date(storedLevels.metadata.entryTime).getTime();  
+    }  
+    if (!storedLevels?.orderId) return null;  
+
+    try {  
+      const entryOrder = await this.alpaca.getOrder(storedLevels.orderId);  
+      const entryTime = entryOrder.filled_at || entryOrder.submitted_at;  
+      return entryTime ? new Date(entryTime).getTime() : null;  
+    } catch (error) {  
+      this.logger.warning('Could not determine position entry time', {  
+        symbol: storedLevels.symbol,  
+        orderId: storedLevels.orderId,  
+        error: error.message  
+      });  
+      return null;  
+    }  
+  }  
+
   /**  
    * Process a single position to check if exit conditions are met  
    * Enhanced with persistent storage retrieval  
@@ -210,7 +518,7 @@ export class PositionExitManager {
 
     try {  
       // Enhanced: Get stored TP/SL levels from persistent storage  
-      const storedLevels = await this.positionStorage.getPositionLevels(symbol);  
+      let storedLevels = await this.positionStorage.getPositionLevels(symbol);  
 
       if (!storedLevels) {  
         if (this.options.enableLogging) {  
@@ -223,6 +531,56 @@ export class PositionExitManager {
         return null;  
       }  
 
+      if (storedLevels.metadata?.pendingExit) {  
+        if (this.options.enableLogging) {  
+          this.logger.info('Exit order still working for position', {  
+            symbol,  
+            orderId: storedLevels.metadata.pendingExit.orderId,  
+            exitType: storedLevels.metadata.pendingExit.exitType  
+          });  
+        }  
+        return null;  
+      }  
+
+      // Ratchet trailing / break-even stops before checking exits, unless the prices behind  
+      // the ratchet are synthetic or stale  
+      if (!this.checkMarketData(position, 'trailing_stop')) {  
+        storedLevels = await this.updateTrailingStop(position, storedLevels);  
+      }  
+
+      // Scale out any ladder tranches before the all-or-nothing checks  
+      if (storedLevels.metadata?.ladder?.rungs?.some(rung => !rung.filled)) {  
+        const ladderQuote = await this.alpaca.getQuote(symbol);  
+        const ladderExit = await this.processTakeProfitLadder(  
+          position,  
+          storedLevels,  
+          side === 'long' ? ladderQuote.bid : ladderQuote.ask  
+        );  
+        if (ladderExit) {  
+          return ladderExit;  
+        }  
+      }  
+
+      // Exits resting at the broker fill there - leave the position alone while a leg is live  
+      if (isBrokerManagedExit(storedLevels)) {  
+        const legs = storedLevels.metadata.exitOrders || [];  
+        if (legs.some(leg => isOpenOrderStatus(leg.status))) {  
+          return null;  
+        }  
+        this.logger.warning('Broker exit orders no longer active for open position', {  
+          symbol,  
+          legs: legs.map(leg => ({ id: leg.id, leg: leg.leg, status: leg.status }))  
+        });  
+      }  
+
+      // Re-arm (or first arm) protection at the broker; fall back to polling if it is refused  
+      if (this.options.exitOrderMode === 'broker') {  
+        const protection = await this.placeProtectiveOrders(position, storedLevels);  
+        if (protection) {  
+          return null;  
+        }  
+      }  
+
       // Get current market price for more accurate comparison  
       const quote = await this.alpaca.getQuote(symbol);  
       const marketPrice = side === 'long' ? quote.bid : quote.ask; // Use appropriate side for exit  
@@ -248,7 +606,8 @@ export class PositionExitManager {
             loss: ((marketPrice - avgEntryPrice) / avgEntryPrice * 100).toFixed(2) + '%'  
           });  
         }  
-        return await this.executeExitOrder(position, 'stop_loss', storedLevels);  
+        return this.checkMarketData(position, 'stop_loss') ||  
+          await this.executeExitOrder(position, 'stop_loss', storedLevels);  
       }  
 
       // Check take profit condition   
@@ -262,7 +621,8 @@ export class PositionExitManager {
             profit: ((marketPrice - avgEntryPrice) / avgEntryPrice * 100).toFixed(2) + '%'  
           });  
         }  
-        return await this.executeExitOrder(position, 'take_profit', storedLevels);  
+        return this.checkMarketData(position, 'take_profit') ||  
+          await this.executeExitOrder(position, 'take_profit', storedLevels);  
       }  
 
       // No exit conditions met  
@@ -277,6 +637,156 @@ export class PositionExitManager {
     }  
   }  
 
+  /**  
+   * Trailing configuration for a position: manager defaults overridden by the position's own  
+   * metadata.trailing (set at entry from the signal's trailingStop)  
+   * @param {Object} storedLevels - Stored TP/SL levels  
+   * @returns {Object} { type, percent, atrMultiplier, atrPeriod, breakEvenR }  
+   */  
+  getTrailingConfig(storedLevels) {  
+    const overrides = storedLevels.metadata?.trailing || {};  
+    const config = { ...this.options.trailingStop };  
+    for (const key of TRAILING_CONFIG_KEYS) {  
+      if (overrides[key] !== undefined && overrides[key] !== null) {  
+        config[key] = overrides[key];  
+      }  
+    }  
+    return config;  
+  }  
+
+  /**  
+   * Ratchet the stored stop loss for a trailing stop and/or move it to break-even.  
+   * The stop only ever tightens; every change (and the best price seen) is saved through  
+   * PositionStorage.updatePositionLevels so the next serverless run continues from it.  
+   * Nothing is saved when the ATR bars fetched here fail the market data policy.  
+   * @param {Object} position - Alpaca position object  
+   * @param {Object} storedLevels - Stored TP/SL levels  
+   * @returns {Object} Levels to evaluate exits against (updated or unchanged)  
+   */  
+  async updateTrailingStop(position, storedLevels) {  
+    const config = this.getTrailingConfig(storedLevels);  
+    if (config.type === 'none' && !(config.breakEvenR > 0)) {  
+      return storedLevels;  
+    }  
+
+    const symbol = position.symbol;  
+    const side = parseInt(position.qty) > 0 ? 'long' : 'short';  
+    const currentPrice = parseFloat(position.current_price);  
+    const entryPrice = storedLevels.entryPrice || parseFloat(position.avg_entry_price);  
+    const state = storedLevels.metadata?.trailing || {};  
+    const initialStopLoss = state.initialStopLoss ?? storedLevels.stopLoss;  
+    const previousBest = state.highWaterMark ?? entryPrice;  
+    const highWaterMark = side === 'long'  
+      ? Math.max(previousBest, currentPrice)  
+      : Math.min(previousBest, currentPrice);  
+
+    let stopLoss = storedLevels.stopLoss;  
+    const reasons = [];  
+
+    const trailStop = await this.calculateTrailStop(symbol, side, highWaterMark, config);  
+    if (trailStop && isTighterStop(side, trailStop, stopLoss)) {  
+      stopLoss = trailStop;  
+      reasons.push(`trailing_${config.type}`);  
+    }  
+
+    // Break-even: once price has moved breakEvenR x the initial risk, the stop goes to entry  
+    let breakEvenApplied = !!state.breakEvenApplied;  
+    const riskPerShare = initialStopLoss ? Math.abs(entryPrice - initialStopLoss) : 0;  
+    if (!breakEvenApplied && config.breakEvenR > 0 && riskPerShare > 0) {  
+      const favorableMove = side === 'long' ? currentPrice - entryPrice : entryPrice - currentPrice;  
+      if (favorableMove >= config.breakEvenR * riskPerShare) {  
+        breakEvenApplied = true;  
+        if (isTighterStop(side, entryPrice, stopLoss)) {  
+          stopLoss = roundOrderPrice(entryPrice);  
+          reasons.push('break_even');  
+        }  
+      }  
+    }  
+
+    if (stopLoss === storedLevels.stopLoss &&  
+        highWaterMark === state.highWaterMark &&  
+        breakEvenApplied === !!state.breakEvenApplied) {  
+      return storedLevels;  
+    }  
+    if (this.checkMarketData(position, 'trailing_stop')) {  
+      return storedLevels;  
+    }  
+
+    const metadata = {  
+      ...storedLevels.metadata,  
+      trailing: { ...state, initialStopLoss, highWaterMark, breakEvenApplied }  
+    };  
+    await this.positionStorage.updatePositionLevels(symbol, { stopLoss, metadata });  
+    const updatedLevels = { ...storedLevels, stopLoss, metadata };  
+
+    if (stopLoss === storedLevels.stopLoss) {  
+      return updatedLevels;  
+    }  
+
+    if (this.options.enableLogging) {  
+      this.logger.info('Stop loss ratcheted', {  
+        symbol,  
+        side,  
+        previousStopLoss: storedLevels.stopLoss,  
+        stopLoss,  
+        reasons,  
+        highWaterMark,  
+        entryPrice  
+      });  
+    }  
+
+    // A stop resting at the broker has to be replaced to pick up the new level  
+    if (isBrokerManagedExit(storedLevels)) {  
+      return await this.replaceBrokerStop(position, updatedLevels);  
+    }  
+    return updatedLevels;  
+  }  
+
+  /**  
+   * Stop price trailing the best price seen, by a fixed percentage or an ATR multiple  
+   * @returns {number|null} Candidate stop, or null if trailing is off or ATR is unavailable  
+   */  
+  async calculateTrailStop(symbol, side, highWaterMark, config) {  
+    if (config.type === 'percent') {  
+      return roundOrderPrice(side === 'long'  
+        ? highWaterMark * (1 - config.percent)  
+        : highWaterMark * (1 + config.percent));  
+    }  
+
+    if (config.type === 'atr') {  
+      try {  
+        const bars = await this.alpaca.getHistoricalData(symbol, '1Day', config.atrPeriod * 3);  
+        const atr = ATR.getCurrentATR(bars, config.atrPeriod);  
+        return roundOrderPrice(ATR.calculateStopLoss(highWaterMark, atr, config.atrMultiplier, side === 'long' ? 'buy' : 'sell'));  
+      } catch (error) {  
+        this.logger.warning('ATR trailing stop unavailable, keeping current stop', {  
+          symbol,  
+          error: error.message  
+        });  
+        return null;  
+      }  
+    }  
+
+    return null;  
+  }  
+
+  /**  
+   * Cancel the resting exit legs and re-arm them at the ratcheted stop. Without broker exit  
+   * mode the position drops back to polling.  
+   * @returns {Object} Levels after the replacement  
+   */  
+  async replaceBrokerStop(position, updatedLevels) {  
+    await this.cancelBrokerExitOrders(position.symbol);  
+
+    if (this.options.exitOrderMode === 'broker' && await this.placeProtectiveOrders(position, updatedLevels)) {  
+      return await this.positionStorage.getPositionLevels(position.symbol);  
+    }  
+
+    const metadata = { ...updatedLevels.metadata, exitMode: 'polling', exitOrders: [] };  
+    await this.positionStorage.updatePositionLevels(position.symbol, { metadata });  
+    return { ...updatedLevels, metadata };  
+  }  
+
   /**  
    * Check if stop loss should be triggered  
    * @param {string} side - 'long' or 'short'  
@@ -319,19 +829,193 @@ export class PositionExitManager {
     }  
   }  
 
+  /**  
+   * Sell the tranche for every ladder rung the price has reached (in one order), mark the  
+   * rungs filled, tighten the stop for the remainder and save it all to the levels record  
+   * @param {Object} position - Alpaca position object  
+   * @param {Object} storedLevels - Stored levels with metadata.ladder  
+   * @param {number} marketPrice - Exit-side quote price  
+   * @returns {Object|null} Exit trade result, or null if no rung was reached  
+   */  
+  async processTakeProfitLadder(position, storedLevels, marketPrice) {  
+    const symbol = position.symbol;  
+    const currentQty = parseInt(position.qty);  
+    const absQty = Math.abs(currentQty);  
+    const side = currentQty > 0 ? 'long' : 'short';  
+    const ladder = storedLevels.metadata.ladder;  
+
+    const hitRungs = ladder.rungs.filter(rung =>  
+      !rung.filled && this.shouldTriggerTakeProfit(side, marketPrice, rung.price));  
+    if (hitRungs.length === 0) return null;  
+
+    const trancheQty = Math.min(absQty, hitRungs.reduce(  
+      (sum, rung) => sum + Math.max(1, Math.floor(ladder.initialQuantity * rung.fraction)), 0));  
+
+    if (this.options.enableLogging) {  
+      this.logger.info('Take profit ladder tranche reached', {  
+        symbol,  
+        side,  
+        marketPrice,  
+        targets: hitRungs.map(rung => rung.price),  
+        trancheQty,  
+        positionQty: absQty  
+      });  
+    }  
+
+    const exitType = trancheQty < absQty ? 'partial_take_profit' : 'take_profit';  
+    const dataBlocked = this.checkMarketData(position, exitType);  
+    if (dataBlocked) {  
+      return dataBlocked;  
+    }  
+
+    // Resting legs hold the full quantity - free the shares, re-arm for the remainder below  
+    if (isBrokerManagedExit(storedLevels)) {  
+      await this.cancelBrokerExitOrders(symbol);  
+    }  
+
+    const rungPrices = hitRungs.map(rung => rung.price);  
+    const exitResult = await this.executeExitOrder(position, exitType, storedLevels, trancheQty, rungPrices);  
+    if (exitResult.status !== 'executed' || exitResult.remainingQuantity === 0) {  
+      return exitResult;  
+    }  
+
+    return this.applyLadderTranche(position, storedLevels, rungPrices, exitResult);  
+  }  
+
+  /**  
+   * Mark the rungs a filled tranche covered, tighten the stop for the remainder and save  
+   * both (re-arming broker protection for the smaller position when it is broker-managed)  
+   * @param {Object} position - Alpaca position object  
+   * @param {Object} storedLevels - Stored levels with metadata.ladder  
+   * @param {Array} rungPrices - Prices of the rungs the tranche sold  
+   * @param {Object} exitResult - Executed tranche exit result  
+   * @returns {Object} The exit result with adjustedStopLoss  
+   */  
+  async applyLadderTranche(position, storedLevels, rungPrices, exitResult) {  
+    const symbol = position.symbol;  
+    const currentQty = parseInt(position.qty);  
+    const side = currentQty > 0 ? 'long' : 'short';  
+    const ladder = storedLevels.metadata.ladder;  
+    const brokerManaged = isBrokerManagedExit(storedLevels);  
+
+    const rungs = ladder.rungs.map(rung => rungPrices.includes(rung.price)  
+      ? { ...rung, filled: true, orderId: exitResult.orderId, exitPrice: exitResult.exitPrice }  
+      : rung);  
+    const stopLoss = this.getStopAfterTranche(side, storedLevels, rungs);  
+    const updatedLevels = {  
+      ...storedLevels,  
+      stopLoss,  
+      quantity: exitResult.remainingQuantity,  
+      metadata: {  
+        ...storedLevels.metadata,  
+        exitProgress: exitResult.exitProgress,  
+        ladder: { ...ladder, rungs }  
+      }  
+    };  
+
+    await this.positionStorage.updatePositionLevels(symbol, {  
+      stopLoss: updatedLevels.stopLoss,  
+      quantity: updatedLevels.quantity,  
+      metadata: updatedLevels.metadata  
+    });  
+    exitResult.adjustedStopLoss = stopLoss;  
+
+    if (brokerManaged && this.options.exitOrderMode === 'broker') {  
+      const remainingQty = currentQty > 0 ? exitResult.remainingQuantity : -exitResult.remainingQuantity;  
+      await this.placeProtectiveOrders({ ...position, qty: remainingQty.toString() }, updatedLevels);  
+    }  
+
+    return exitResult;  
+  }  
+
+  /**  
+   * Stop for the quantity left after a ladder tranche, per options.ladderStopAdjust.  
+   * Never loosens the current stop.  
+   */  
+  getStopAfterTranche(side, storedLevels, rungs) {  
+    const filled = rungs.filter(rung => rung.filled);  
+    let target = null;  
+
+    if (this.options.ladderStopAdjust === 'break_even') {  
+      target = storedLevels.entryPrice;  
+    } else if (this.options.ladderStopAdjust === 'previous_target') {  
+      target = filled.length > 1 ? filled[filled.length - 2].price : storedLevels.entryPrice;  
+    }  
+
+    return target && isTighterStop(side, target, storedLevels.stopLoss)  
+      ? roundOrderPrice(target)  
+      : storedLevels.stopLoss;  
+  }  
+
+  /**  
+   * Running totals of everything exited from a position so far (ladder tranches, legs, final exit)  
+   * @returns {Object} { realizedPL, exitValue, pricedQuantity }  
+   */  
+  accumulateExitProgress(exitProgress, exitPrice, quantity, realizedPL) {  
+    const previous = exitProgress || { realizedPL: 0, exitValue: 0, pricedQuantity: 0 };  
+    if (exitPrice === null || Number.isNaN(exitPrice)) {  
+      return previous;  
+    }  
+    return {  
+      realizedPL: previous.realizedPL + (realizedPL || 0),  
+      exitValue: previous.exitValue + exitPrice * quantity,  
+      pricedQuantity: previous.pricedQuantity + quantity  
+    };  
+  }  
+
+  /**  
+   * Reflect exit progress on the entry's row in the Trades sheet  
+   * @param {Object} storedLevels - Stored levels (orderId is the entry order)  
+   * @param {Object} exitProgress - Totals from accumulateExitProgress  
+   * @param {number} remainingQuantity - Shares still open  
+   * @param {string|null} status - Row status (default: PARTIALLY_CLOSED / CLOSED by remainingQuantity)  
+   */  
+  async updateEntryTradeStatus(storedLevels, exitProgress, remainingQuantity, status = null) {  
+    if (!storedLevels?.orderId || !this.stateStore?.updateTradeStatus) return;  
+
+    try {  
+      const averageExitPrice = exitProgress?.pricedQuantity > 0  
+        ? Math.round(exitProgress.exitValue / exitProgress.pricedQuantity * 10000) / 10000  
+        : null;  
+      await this.stateStore.updateTradeStatus(  
+        storedLevels.orderId,  
+        status || (remainingQuantity > 0 ? 'PARTIALLY_CLOSED' : 'CLOSED'),  
+        averageExitPrice,  
+        averageExitPrice === null ? null : Math.round(exitProgress.realizedPL * 100) / 100,  
+        remainingQuantity  
+      );  
+    } catch (error) {  
+      this.logger.error('Failed to update entry trade status', {  
+        symbol: storedLevels.symbol,  
+        orderId: storedLevels.orderId,  
+        error: error.message  
+      });  
+    }  
+  }  
+
   /**  
    * Execute exit order with retry logic and persistent storage cleanup  
    * @param {Object} position - Alpaca position object  
-   * @param {string} exitType - 'stop_loss' or 'take_profit'  
+   * @param {string} exitType - Key of EXIT_REASONS ('stop_loss', 'take_profit', 'strategy_exit', ...)  
    * @param {Object} storedLevels - Stored TP/SL levels  
-   * @returns {Object} Exit trade result  
+   * @param {number|null} quantity - Shares to exit (default: the whole position)  
+   * @param {Array|null} ladderRungs - Ladder rung prices this exit sells, kept if the order is left working  
+   * @returns {Object} Exit trade result ('executed', 'pending' while the order works, 'skipped' or 'failed')  
    */  
-  async executeExitOrder(position, exitType, storedLevels) {  
+  async executeExitOrder(position, exitType, storedLevels, quantity = null, ladderRungs = null) {  
     const symbol = position.symbol;  
     const currentQty = parseInt(position.qty);  
     const absQty = Math.abs(currentQty);  
+    const exitQty = Math.min(quantity || absQty, absQty);  
     const side = currentQty > 0 ? 'sell' : 'buy'; // Opposite side for exit  
     const avgEntryPrice = parseFloat(position.avg_entry_price);  
+    // Fixed across retries: if an attempt reached the broker but errored, the retry is rejected  
+    const clientOrderId = buildClientOrderId({  
+      runId: this.options.runId,  
+      strategy: storedLevels?.strategy,  
+      symbol,  
+      purpose: exitType  
+    });  
 
     for (let attempt = 1; attempt <= this.options.maxRetries; attempt++) {  
       try {  
@@ -339,62 +1023,97 @@ export class PositionExitManager {
           this.logger.info('Executing exit order', {  
             symbol,  
             side,  
-            quantity: absQty,  
+            quantity: exitQty,  
+            positionQuantity: absQty,  
             exitType,  
             attempt,  
             maxRetries: this.options.maxRetries  
           });  
         }  
 
-        // Execute market order for immediate exit  
-        const exitOrder = await this.alpaca.submitOrder({  
+        // Execute market order for immediate exit; one already placed by this run is tracked instead  
+        const { order: exitOrder, existing } = await submitOrderOnce(this.alpaca, {  
           symbol: symbol,  
-          qty: absQty,  
+          qty: exitQty,  
           side: side,  
           type: 'market',  
-          time_in_force: 'day'  
+          time_in_force: 'day',  
+          ...(clientOrderId && { client_order_id: clientOrderId })  
         });  
+        if (existing) {  
+          this.logger.warning('Exit already submitted by this run, tracking the existing order', {  
+            symbol,  
+            exitType,  
+            runId: this.options.runId,  
+            clientOrderId,  
+            orderId: exitOrder.id  
+          });  
+        }  
 
-        // Get the actual exit price (this might be filled immediately or pending)  
-        let exitPrice = null;  
-        try {  
-          // Wait a moment for potential fill  
-          await new Promise(resolve => setTimeout(resolve, 1000));  
-          const orderStatus = await this.alpaca.getOrder(exitOrder.id);  
-          if (orderStatus.status === 'filled') {  
-            exitPrice = parseFloat(orderStatus.filled_avg_price);  
-          }  
-        } catch (priceError) {  
-          this.logger.warning('Could not get filled exit price', {  
+        // P&L is booked from the actual fill; an order still working is settled on a later run  
+        const fill = await this.trackExitOrder(symbol, exitOrder);  
+        if (!fill.final) {  
+          return await this.recordPendingExit(position, exitType, storedLevels, exitOrder,  
+            parseInt(exitOrder.qty) || exitQty, ladderRungs, fill);  
+        }  
+        if (fill.filledQty === 0) {  
+          this.logger.error('Exit order did not fill', {  
             symbol,  
+            exitType,  
             orderId: exitOrder.id,  
-            error: priceError.message  
+            status: fill.status,  
+            brokerStatus: fill.brokerStatus  
           });  
+          return {  
+            orderId: exitOrder.id,  
+            symbol,  
+            exitType,  
+            status: 'failed',  
+            orderStatus: fill.status,  
+            error: `Exit order ${fill.status}`,  
+            attempts: attempt,  
+            timestamp: new Date().toISOString()  
+          };  
         }  
 
-        // Calculate P&L  
-        const realizedPL = currentQty > 0   
-          ? (exitPrice - avgEntryPrice) * absQty   
-          : (avgEntryPrice - exitPrice) * absQty;  
+        const exitPrice = fill.filledAvgPrice;  
+        const exitedQty = fill.filledQty;  
+        const realizedPL = exitPrice === null ? null : (currentQty > 0  
+          ? (exitPrice - avgEntryPrice) * exitedQty  
+          : (avgEntryPrice - exitPrice) * exitedQty);  
+        const remainingQuantity = absQty - exitedQty;  
+        const exitProgress = this.accumulateExitProgress(storedLevels.metadata?.exitProgress, exitPrice, exitedQty, realizedPL);  
 
         const exitTradeResult = {  
           orderId: exitOrder.id,  
           symbol,  
           side,  
-          quantity: absQty,  
+          quantity: exitedQty,  
+          remainingQuantity,  
           exitType,  
           entryPrice: avgEntryPrice,  
           exitPrice: exitPrice,  
           realizedPL: realizedPL,  
-          exitReason: exitType === 'stop_loss' ? 'Stop loss triggered' : 'Take profit triggered',  
+          exitReason: EXIT_REASONS[exitType] || exitType,  
           storedLevels: {  
             stopLoss: storedLevels.stopLoss,  
             takeProfit: storedLevels.takeProfit  
           },  
+          exitProgress,  
           timestamp: new Date().toISOString(),  
           status: 'executed'  
         };  
 
+        await this.updateEntryTradeStatus(storedLevels, exitProgress, remainingQuantity);  
+
+        // Partial exits keep the levels; the caller saves the reduced quantity  
+        if (remainingQuantity > 0) {  
+          if (this.options.enableLogging) {  
+            this.logger.success('Partial exit order executed', exitTradeResult);  
+          }  
+          return exitTradeResult;  
+        }  
+
         // Enhanced: Clean up stored position levels from persistent storage  
         try {  
           const cleanupSuccess = await this.positionStorage.removePositionLevels(symbol);  
@@ -448,7 +1167,546 @@ export class PositionExitManager {
   }  
 
   /**  
-   * Emergency stop all positions (panic sell) with persistent storage cleanup  
+   * Poll an exit order until it fills or fillWaitMs passes. If the broker cannot be asked,  
+   * the submit response stands in and the order is treated as still working.  
+   * @returns {Object} Fill snapshot (see describeOrder)  
+   */  
+  async trackExitOrder(symbol, exitOrder) {  
+    try {  
+      return await this.orderTracker.waitForFinalState(exitOrder.id, this.options.fillWaitMs);  
+    } catch (error) {  
+      this.logger.warning('Could not track exit order status', {  
+        symbol,  
+        orderId: exitOrder.id,  
+        error: error.message  
+      });  
+      return describeOrder(exitOrder);  
+    }  
+  }  
+
+  /**  
+   * Record an exit order that is still working in the position's levels (metadata.pendingExit).  
+   * Until reconcileOrderFills settles it, the position is not exited again and its levels  
+   * are not cleaned up, so the eventual fill is still booked against the entry trade.  
+   * @returns {Object} Exit result with status 'pending'  
+   */  
+  async recordPendingExit(position, exitType, storedLevels, exitOrder, quantity, ladderRungs, fill) {  
+    const currentQty = parseInt(position.qty);  
+    const pendingExit = {  
+      orderId: exitOrder.id,  
+      exitType,  
+      quantity,  
+      side: currentQty > 0 ? 'long' : 'short',  
+      entryPrice: parseFloat(position.avg_entry_price),  
+      submittedAt: exitOrder.submitted_at || new Date().toISOString(),  
+      ...(ladderRungs && { ladderRungs })  
+    };  
+
+    // Rule-based exits of positions without stored levels have nothing to attach it to  
+    if (storedLevels.stopLoss || storedLevels.takeProfit) {  
+      await this.positionStorage.updatePositionLevels(position.symbol, {  
+        metadata: { ...storedLevels.metadata, pendingExit }  
+      });  
+    }  
+
+    const exitResult = {  
+      orderId: exitOrder.id,  
+      symbol: position.symbol,  
+      side: currentQty > 0 ? 'sell' : 'buy',  
+      quantity,  
+      exitType,  
+      entryPrice: pendingExit.entryPrice,  
+      exitReason: EXIT_REASONS[exitType] || exitType,  
+      orderStatus: fill.status,  
+      filledQty: fill.filledQty,  
+      timestamp: new Date().toISOString(),  
+      status: 'pending'  
+    };  
+
+    this.logger.warning('Exit order not filled yet, will reconcile on a later run', exitResult);  
+    return exitResult;  
+  }  
+
+  /**  
+   * Settle orders that were still working when an earlier run finished. Entry fills update the  
+   * stored entry price and quantity (levels of entries that never filled are dropped); filled  
+   * pending exits are booked with their real exit price and realised P&L.  
+   * @param {Array} currentPositions - Current Alpaca positions  
+   * @returns {Object} { entries: [entry fill updates], exits: [exit trade results] }  
+   */  
+  async reconcileOrderFills(currentPositions) {  
+    const positionsBySymbol = new Map(currentPositions.map(p => [p.symbol, p]));  
+    const storedSymbols = await this.positionStorage.getAllStoredSymbols();  
+    const results = { entries: [], exits: [] };  
+
+    for (const symbol of storedSymbols) {  
+      try {  
+        let storedLevels = await this.positionStorage.getPositionLevels(symbol);  
+        if (!storedLevels) continue;  
+
+        const entryOrder = storedLevels.metadata?.entryOrder;  
+        if (entryOrder && !entryOrder.final) {  
+          const entry = await this.reconcileEntryOrder(symbol, storedLevels);  
+          if (!entry) continue;  
+          results.entries.push(entry);  
+          if (entry.removed) continue;  
+          storedLevels = await this.positionStorage.getPositionLevels(symbol);  
+        }  
+
+        if (storedLevels.metadata?.pendingExit) {  
+          const exitResult = await this.reconcilePendingExit(symbol, storedLevels, positionsBySymbol.get(symbol));  
+          if (exitResult) results.exits.push(exitResult);  
+        }  
+      } catch (error) {  
+        this.logger.error('Failed to reconcile order fills', {  
+          symbol,  
+          error: error.message  
+        });  
+      }  
+    }  
+
+    return results;  
+  }  
+
+  /**  
+   * @returns {Object|null} { symbol, orderId, status, filledQty, filledAvgPrice, removed }, or null  
+   *   while the entry order has not changed  
+   */  
+  async reconcileEntryOrder(symbol, storedLevels) {  
+    const previous = storedLevels.metadata.entryOrder;  
+    const fill = await this.orderTracker.getSnapshot(previous.id);  
+    const update = {  
+      symbol,  
+      orderId: fill.id,  
+      status: fill.status,  
+      filledQty: fill.filledQty,  
+      filledAvgPrice: fill.filledAvgPrice,  
+      removed: false  
+    };  
+
+    if (fill.final && fill.filledQty === 0) {  
+      this.logger.warning('Entry order ended without a fill, dropping its exit levels', update);  
+      await this.positionStorage.removePositionLevels(symbol);  
+      await this.updateEntryTradeStatus(storedLevels, null, 0, fill.status.toUpperCase());  
+      return { ...update, removed: true };  
+    }  
+
+    if (fill.status === previous.status && fill.filledQty === previous.filledQty) {  
+      return null;  
+    }  
+
+    const quantity = fill.final ? fill.filledQty : storedLevels.quantity;  
+    const ladder = storedLevels.metadata.ladder;  
+    await this.positionStorage.updatePositionLevels(symbol, {  
+      entryPrice: fill.filledAvgPrice ?? storedLevels.entryPrice,  
+      quantity,  
+      metadata: {  
+        ...storedLevels.metadata,  
+        entryOrder: fill,  
+        ...(ladder && { ladder: { ...ladder, initialQuantity: quantity } })  
+      }  
+    });  
+
+    if (this.options.enableLogging) {  
+      this.logger.info('Entry order fill reconciled', update);  
+    }  
+    return update;  
+  }  
+
+  /**  
+   * @returns {Object|null} Exit trade result once the pending exit has filled, otherwise null  
+   */  
+  async reconcilePendingExit(symbol, storedLevels, position) {  
+    const pendingExit = storedLevels.metadata.pendingExit;  
+    const fill = await this.orderTracker.getSnapshot(pendingExit.orderId);  
+    if (!fill.final) return null;  
+
+    const metadata = { ...storedLevels.metadata };  
+    delete metadata.pendingExit;  
+
+    if (fill.filledQty === 0) {  
+      // Nothing sold - the position is monitored (and exited if still warranted) as usual  
+      this.logger.warning('Pending exit order ended without a fill', {  
+        symbol,  
+        orderId: pendingExit.orderId,  
+        exitType: pendingExit.exitType,  
+        status: fill.status  
+      });  
+      await this.positionStorage.updatePositionLevels(symbol, { metadata });  
+      return null;  
+    }  
+
+    const exitPrice = fill.filledAvgPrice;  
+    const realizedPL = exitPrice === null ? null : (pendingExit.side === 'short'  
+      ? pendingExit.entryPrice - exitPrice  
+      : exitPrice - pendingExit.entryPrice) * fill.filledQty;  
+    const remainingQuantity = position ? Math.abs(parseInt(position.qty)) : 0;  
+    const exitProgress = this.accumulateExitProgress(metadata.exitProgress, exitPrice, fill.filledQty, realizedPL);  
+
+    const exitResult = {  
+      orderId: fill.id,  
+      symbol,  
+      side: pendingExit.side === 'short' ? 'buy' : 'sell',  
+      quantity: fill.filledQty,  
+      remainingQuantity,  
+      exitType: pendingExit.exitType,  
+      entryPrice: pendingExit.entryPrice,  
+      exitPrice,  
+      realizedPL,  
+      exitReason: EXIT_REASONS[pendingExit.exitType] || pendingExit.exitType,  
+      storedLevels: {  
+        stopLoss: storedLevels.stopLoss,  
+        takeProfit: storedLevels.takeProfit  
+      },  
+      strategy: storedLevels.strategy || null,  
+      exitProgress,  
+      filledAt: fill.filledAt,  
+      reconciled: true,  
+      timestamp: new Date().toISOString(),  
+      status: 'executed'  
+    };  
+
+    await this.updateEntryTradeStatus(storedLevels, exitProgress, remainingQuantity);  
+
+    if (remainingQuantity === 0) {  
+      await this.positionStorage.removePositionLevels(symbol);  
+    } else {  
+      const settledLevels = { ...storedLevels, quantity: remainingQuantity, metadata: { ...metadata, exitProgress } };  
+      await this.positionStorage.updatePositionLevels(symbol, {  
+        quantity: remainingQuantity,  
+        metadata: settledLevels.metadata  
+      });  
+      if (pendingExit.ladderRungs && metadata.ladder) {  
+        await this.applyLadderTranche(position, settledLevels, pendingExit.ladderRungs, exitResult);  
+      }  
+    }  
+
+    if (this.options.enableLogging) {  
+      this.logger.success('Pending exit order filled', exitResult);  
+    }  
+    return exitResult;  
+  }  
+
+
+  /**  
+   * Place OCO (or a single stop/limit) exit orders at the broker for an open position  
+   * and record their IDs in the stored levels  
+   * @param {Object} position - Alpaca position object  
+   * @param {Object} storedLevels - Stored TP/SL levels  
+   * @returns {Object|null} Submitted order, or null if it could not be placed  
+   */  
+  async placeProtectiveOrders(position, storedLevels) {  
+    const symbol = position.symbol;  
+    const currentQty = parseInt(position.qty);  
+    const exitLegs = buildExitLegs(storedLevels, true);  
+    if (!exitLegs) return null;  
+
+    const orderData = {  
+      symbol,  
+      qty: Math.abs(currentQty),  
+      side: currentQty > 0 ? 'sell' : 'buy',  
+      time_in_force: 'gtc'  
+    };  
+
+    if (exitLegs.order_class === 'oco') {  
+      Object.assign(orderData, { type: 'limit', ...exitLegs });  
+    } else if (exitLegs.take_profit) {  
+      Object.assign(orderData, { type: 'limit', limit_price: exitLegs.take_profit.limit_price });  
+    } else {  
+      Object.assign(orderData, { type: 'stop', stop_price: exitLegs.stop_loss.stop_price });  
+    }  
+
+    try {  
+      const order = await this.alpaca.submitOrder(orderData);  
+      const exitOrders = exitLegs.order_class === 'oco'  
+        ? extractExitLegs(order)  
+        : [{ id: order.id, leg: legTypeOf(order), status: order.status }];  
+
+      await this.positionStorage.updatePositionLevels(symbol, {  
+        metadata: {  
+          ...storedLevels.metadata,  
+          exitMode: 'broker',  
+          orderClass: exitLegs.order_class,  
+          exitOrders  
+        }  
+      });  
+
+      if (this.options.enableLogging) {  
+        this.logger.info('Protective exit orders placed at broker', {  
+          symbol,  
+          orderClass: exitLegs.order_class,  
+          quantity: orderData.qty,  
+          stopLoss: storedLevels.stopLoss,  
+          takeProfit: storedLevels.takeProfit,  
+          exitOrders: exitOrders.map(leg => leg.id)  
+        });  
+      }  
+
+      return order;  
+    } catch (error) {  
+      this.logger.error('Failed to place protective exit orders, falling back to polling', {  
+        symbol,  
+        orderClass: exitLegs.order_class,  
+        error: error.message  
+      });  
+      return null;  
+    }  
+  }  
+
+  /**  
+   * Refresh broker-held exit legs for every stored position and report legs that filled.  
+   * Levels of closed positions are removed (cancelling leftover legs); levels of open ones  
+   * keep the latest leg status.  
+   * @param {Array} currentPositions - Current Alpaca positions  
+   * @returns {Array} Exit trade results for newly filled legs  
+   */  
+  async reconcileBrokerExitFills(currentPositions) {  
+    const openQuantities = new Map(currentPositions.map(p => [p.symbol, Math.abs(parseInt(p.qty))]));  
+    const storedSymbols = await this.positionStorage.getAllStoredSymbols();  
+    const exitTrades = [];  
+
+    for (const symbol of storedSymbols) {  
+      try {  
+        const storedLevels = await this.positionStorage.getPositionLevels(symbol);  
+        if (!isBrokerManagedExit(storedLevels)) continue;  
+
+        const legs = await this.getExitLegOrders(storedLevels);  
+        const filledLegs = legs.filter(leg => leg.status === 'filled' && !leg.reported);  
+
+        let exitProgress = storedLevels.metadata.exitProgress;  
+        for (const leg of filledLegs) {  
+          const exitResult = this.buildLegExitResult(symbol, storedLevels, leg);  
+          exitResult.remainingQuantity = openQuantities.get(symbol) || 0;  
+          exitProgress = this.accumulateExitProgress(exitProgress, exitResult.exitPrice, exitResult.quantity, exitResult.realizedPL);  
+          exitTrades.push(exitResult);  
+          leg.reported = true;  
+        }  
+        if (filledLegs.length > 0) {  
+          await this.updateEntryTradeStatus(storedLevels, exitProgress, openQuantities.get(symbol) || 0);  
+        }  
+
+        if (!openQuantities.has(symbol)) {  
+          // Legs still held means the entry itself has not filled yet  
+          if (legs.some(leg => leg.status === 'held')) continue;  
+
+          // Position gone (leg filled or closed elsewhere) - don't leave exit orders behind  
+          for (const leg of legs.filter(leg => isOpenOrderStatus(leg.status))) {  
+            await this.alpaca.cancelOrder(leg.id);  
+          }  
+          await this.positionStorage.removePositionLevels(symbol);  
+          continue;  
+        }  
+
+        const changed = legs.some((leg, i) => {  
+          const previous = storedLevels.metadata.exitOrders?.[i];  
+          return !previous || previous.status !== leg.status || previous.reported !== leg.reported;  
+        });  
+        if (changed) {  
+          await this.positionStorage.updatePositionLevels(symbol, {  
+            metadata: {  
+              ...storedLevels.metadata,  
+              ...(exitProgress && { exitProgress }),  
+              exitOrders: legs.map(({ id, leg, status, reported }) => ({ id, leg, status, ...(reported && { reported }) }))  
+            }  
+          });  
+        }  
+      } catch (error) {  
+        this.logger.error('Failed to reconcile broker exit orders', {  
+          symbol,  
+          error: error.message  
+        });  
+      }  
+    }  
+
+    return exitTrades;  
+  }  
+
+  /**  
+   * Current state of the exit legs recorded for a position. Bracket responses without  
+   * nested legs are resolved through the parent entry order.  
+   * @param {Object} storedLevels - Stored levels with broker exit metadata  
+   * @returns {Array} [{ id, leg, status, reported, order }]  
+   */  
+  async getExitLegOrders(storedLevels) {  
+    let legs = storedLevels.metadata.exitOrders || [];  
+
+    if (legs.length === 0 && storedLevels.orderId) {  
+      const parent = await this.alpaca.getOrder(storedLevels.orderId);  
+      legs = extractExitLegs(parent);  
+    }  
+
+    const results = [];  
+    for (const leg of legs) {  
+      try {  
+        const order = await this.alpaca.getOrder(leg.id);  
+        results.push({ ...leg, status: order.status, order });  
+      } catch (error) {  
+        this.logger.warning('Could not refresh exit leg status', {  
+          symbol: storedLevels.symbol,  
+          orderId: leg.id,  
+          error: error.message  
+        });  
+        results.push({ ...leg });  
+      }  
+    }  
+    return results;  
+  }  
+
+  /**  
+   * Exit trade result for a leg that filled at the broker, shaped like executeExitOrder's  
+   */  
+  buildLegExitResult(symbol, storedLevels, leg) {  
+    const quantity = parseInt(leg.order.filled_qty) || parseInt(leg.order.qty);  
+    const exitPrice = parseFloat(leg.order.filled_avg_price);  
+    const entryPrice = storedLevels.entryPrice;  
+    const realizedPL = entryPrice  
+      ? (storedLevels.side === 'short' ? entryPrice - exitPrice : exitPrice - entryPrice) * quantity  
+      : null;  
+
+    const exitResult = {  
+      orderId: leg.id,  
+      symbol,  
+      side: leg.order.side,  
+      quantity,  
+      exitType: leg.leg,  
+      entryPrice,  
+      exitPrice,  
+      realizedPL,  
+      exitReason: leg.leg === 'stop_loss' ? 'Stop loss filled at broker' : 'Take profit filled at broker',  
+      storedLevels: {  
+        stopLoss: storedLevels.stopLoss,  
+        takeProfit: storedLevels.takeProfit  
+      },  
+      brokerManaged: true,  
+      filledAt: leg.order.filled_at,  
+      timestamp: new Date().toISOString(),  
+      status: 'executed'  
+    };  
+
+    if (this.options.enableLogging) {  
+      this.logger.success('Broker exit leg filled', exitResult);  
+    }  
+    return exitResult;  
+  }  
+
+  /**  
+   * Cancel any exit legs still resting at the broker for a symbol  
+   * @param {string} symbol - Trading symbol  
+   * @returns {number} Number of orders cancelled  
+   */  
+  async cancelBrokerExitOrders(symbol) {  
+    const storedLevels = await this.positionStorage.getPositionLevels(symbol);  
+    if (!isBrokerManagedExit(storedLevels)) return 0;  
+
+    let cancelled = 0;  
+    for (const leg of storedLevels.metadata.exitOrders || []) {  
+      try {  
+        // Re-read each leg: cancelling one side of an OCO/bracket also closes its sibling  
+        const order = await this.alpaca.getOrder(leg.id);  
+        if (!isOpenOrderStatus(order.status)) continue;  
+        await this.alpaca.cancelOrder(leg.id);  
+        cancelled++;  
+      } catch (error) {  
+        this.logger.error('Failed to cancel broker exit order', {  
+          symbol,  
+          orderId: leg.id,  
+          error: error.message  
+        });  
+      }  
+    }  
+    return cancelled;  
+  }  
+
+  /**  
+   * Cancel every order still open at the broker - pending entries, resting exit legs and  
+   * manual limit orders alike  
+   * @returns {Object} { cancelled, errors }  
+   */  
+  async cancelAllOpenOrders() {  
+    const result = { cancelled: 0, errors: [] };  
+    const openOrders = await this.alpaca.getOrders({ status: 'open' });  
+
+    for (const openOrder of openOrders) {  
+      try {  
+        // Cancelling a parent also cancels its legs - skip anything already closed  
+        const order = await this.alpaca.getOrder(openOrder.id);  
+        if (!isOpenOrderStatus(order.status)) continue;  
+        await this.alpaca.cancelOrder(order.id);  
+        result.cancelled++;  
+      } catch (error) {  
+        result.errors.push({ orderId: openOrder.id, symbol: openOrder.symbol, error: error.message });  
+        this.logger.error('Failed to cancel open order', {  
+          orderId: openOrder.id,  
+          symbol: openOrder.symbol,  
+          error: error.message  
+        });  
+      }  
+    }  
+
+    return result;  
+  }  
+
+  /**  
+   * Sell a fraction of every open position (the drawdown circuit breaker's exposure cut).  
+   * Positions with a working order are left alone; reduced positions keep their levels with  
+   * the smaller quantity, and broker-held protection is re-armed for the remainder.  
+   * @param {number} fraction - Share of each position to sell (1 closes everything)  
+   * @param {string} exitType - Key of EXIT_REASONS recorded on the exits  
+   * @returns {Array} Exit trade results  
+   */  
+  async reduceExposure(fraction, exitType = 'drawdown_breaker') {  
+    const positions = await this.alpaca.getPositions();  
+    const exits = [];  
+
+    for (const position of positions) {  
+      const symbol = position.symbol;  
+      const currentQty = parseInt(position.qty);  
+      const absQty = Math.abs(currentQty);  
+      const reduceQty = fraction >= 1 ? absQty : Math.floor(absQty * fraction);  
+      if (reduceQty <= 0) continue;  
+
+      const storedLevels = await this.positionStorage.getPositionLevels(symbol);  
+      if (hasWorkingOrder(storedLevels)) continue;  
+
+      // Resting legs hold the full quantity - free the shares, re-arm for the remainder below  
+      const brokerManaged = isBrokerManagedExit(storedLevels);  
+      if (brokerManaged) {  
+        await this.cancelBrokerExitOrders(symbol);  
+      }  
+
+      const exitResult = await this.executeExitOrder(position, exitType, storedLevels || { symbol }, reduceQty);  
+      exits.push(exitResult);  
+      if (!storedLevels || exitResult.status !== 'executed' || exitResult.remainingQuantity === 0) continue;  
+
+      const updatedLevels = {  
+        ...storedLevels,  
+        quantity: exitResult.remainingQuantity,  
+        metadata: { ...storedLevels.metadata, exitProgress: exitResult.exitProgress }  
+      };  
+      await this.positionStorage.updatePositionLevels(symbol, {  
+        quantity: updatedLevels.quantity,  
+        metadata: updatedLevels.metadata  
+      });  
+
+      if (brokerManaged && this.options.exitOrderMode === 'broker') {  
+        const remainingQty = currentQty > 0 ? exitResult.remainingQuantity : -exitResult.remainingQuantity;  
+        await this.placeProtectiveOrders({ ...position, qty: remainingQty.toString() }, updatedLevels);  
+      }  
+    }  
+
+    if (this.options.enableLogging) {  
+      this.logger.warning('Exposure reduced', {  
+        fraction,  
+        exitType,  
+        exitsExecuted: exits.filter(exit => exit.status === 'executed').length  
+      });  
+    }  
+    return exits;  
+  }  
+
+  /**  
+   * Emergency stop all positions (panic sell) with persistent storage cleanup.  
+   * Open orders are cancelled first so nothing re-opens exposure or holds the shares.  
    * @returns {Object} Emergency stop results  
    */  
   async emergencyStopAllPositions() {  
@@ -460,40 +1718,45 @@ export class PositionExitManager {
     this.logger.warning('EMERGENCY STOP: Closing all positions immediately with persistent storage cleanup');  
 
     try {  
-      const positions = await this.alpaca.getPositions();  
       const emergencyResults = {  
+        ordersCancelled: 0,  
         positionsClosed: 0,  
+        positionsPending: 0,  
         persistentStorageCleanedUp: 0,  
+        exitTrades: [],  
         errors: [],  
         timestamp: new Date().toISOString()  
       };  
 
+      const cancelResult = await this.cancelAllOpenOrders();  
+      emergencyResults.ordersCancelled = cancelResult.cancelled;  
+      emergencyResults.errors.push(...cancelResult.errors);  
+
+      const positions = await this.alpaca.getPositions();  
+
       for (const position of positions) {  
         try {  
-          const currentQty = parseInt(position.qty);  
-          const absQty = Math.abs(currentQty);  
-          const side = currentQty > 0 ? 'sell' : 'buy';  
+          const storedLevels = await this.positionStorage.getPositionLevels(position.symbol);  
 
-          await this.alpaca.submitOrder({  
-            symbol: position.symbol,  
-            qty: absQty,  
-            side: side,  
-            type: 'market',  
-            time_in_force: 'day'  
-          });  
+          // Through the fill tracker like any exit: P&L comes from the fill, and an order still  
+          // working is kept as a pending exit for reconcileOrderFills to book  
+          const exitResult = await this.executeExitOrder(position, 'emergency_stop',  
+            storedLevels || { symbol: position.symbol });  
+          emergencyResults.exitTrades.push(exitResult);  
 
-          emergencyResults.positionsClosed++;  
-
-          // Enhanced: Clean up stored levels from persistent storage  
-          try {  
-            const cleanupSuccess = await this.positionStorage.removePositionLevels(position.symbol);  
-            if (cleanupSuccess) {  
+          if (exitResult.status === 'executed') {  
+            if (exitResult.remainingQuantity === 0) {  
+              emergencyResults.positionsClosed++;  
+            }  
+            if (exitResult.persistentStorageCleanup) {  
               emergencyResults.persistentStorageCleanedUp++;  
             }  
-          } catch (cleanupError) {  
-            this.logger.error('Failed to cleanup position levels during emergency stop', {  
+          } else if (exitResult.status === 'pending') {  
+            emergencyResults.positionsPending++;  
+          } else {  
+            emergencyResults.errors.push({  
               symbol: position.symbol,  
-              error: cleanupError.message  
+              error: exitResult.error || `Exit ${exitResult.status}`  
             });  
           }  
         } catch (error) {  
@@ -536,7 +1799,7 @@ export class PositionExitManager {
           emergencyStopEnabled: this.options.emergencyStopEnabled  
         },  
         persistentStorage: {  
-          enabled: this.positionStorage.sheetsLogger?.enabled || false,  
+          enabled: this.positionStorage.stateStore?.enabled || false,  
           stats: storageStats,  
           coverage: positions.length > 0   
             ? Math.round((storedLevelsCount / positions.length) * 100)  
@@ -568,6 +1831,12 @@ export class PositionExitManager {
 
       for (const symbol of storedSymbols) {  
         if (!currentSymbols.has(symbol)) {  
+          // Broker-managed levels are removed by reconcileBrokerExitFills once their legs settle  
+          const storedLevels = await this.positionStorage.getPositionLevels(symbol);  
+          if (isBrokerManagedExit(storedLevels)) continue;  
+          // Entries still filling and working exits are settled by reconcileOrderFills  
+          if (hasWorkingOrder(storedLevels)) continue;  
+
           const success = await this.positionStorage.removePositionLevels(symbol);  
           if (success) {  
             cleanedCount++;  
@@ -602,3 +1871,9 @@ export class PositionExitManager {
     }  
   }  
 }
+
+// A stop is tighter if it sits closer to (or beyond) the market on the protective side
+function isTighterStop(side, candidate, current) {
+  if (!current) return true;
+  return side === 'long' ? candidate > current : candidate < current;
+}
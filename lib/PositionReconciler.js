@@ -0,0 +1,225 @@
+/**
+ * PositionReconciler.js - Cross-checks broker positions, stored PositionLevels and open Trades rows
+ * Finds positions trading without stored exit levels, levels left behind by closed positions,
+ * quantity drift between the two, and entry rows in Trades that stayed OPEN after their position
+ * was gone. Report-only by default; with autoFix it repairs what it safely can.
+ */
+import { Logger } from './utils/logger.js';
+import { ATR } from './indicators/atr.js';
+import { roundOrderPrice } from './brokers/exitOrders.js';
+import { hasWorkingOrder } from './brokers/orderTracker.js';
+
+export class PositionReconciler {
+  /**
+   * @param {Object} alpacaClient - Broker adapter
+   * @param {Object} options - { stateStore, positionStorage, exitManager, logger, atrPeriod, atrStopMultiplier, atrTargetMultiplier }
+   *   exitManager (a PositionExitManager) is used to cancel broker exit legs of orphaned levels
+   */
+  constructor(alpacaClient, options = {}) {
+    this.alpaca = alpacaClient;
+    this.stateStore = options.stateStore;
+    this.positionStorage = options.positionStorage || options.exitManager?.positionStorage;
+    this.exitManager = options.exitManager || null;
+    this.logger = options.logger || new Logger('PositionReconciler');
+
+    // Default protection for positions found without levels: stop and target N ATRs from the current price
+    this.options = {
+      atrPeriod: parseInt(process.env.RECONCILE_ATR_PERIOD) || 14,
+      atrStopMultiplier: parseFloat(process.env.RECONCILE_ATR_STOP_MULTIPLIER) || 2,
+      atrTargetMultiplier: parseFloat(process.env.RECONCILE_ATR_TARGET_MULTIPLIER) || 3,
+      ...options
+    };
+  }
+
+  /**
+   * Compare the broker, PositionLevels and Trades and report every disagreement
+   * @param {Object} options - { autoFix }: store ATR levels for unprotected positions, remove
+   *   orphaned levels, correct stored quantities and close stale Trades rows
+   * @returns {Object} { summary, issues: { unprotectedPositions, orphanedLevels, quantityMismatches, staleTrades }, fixes, errors }
+   */
+  async reconcile({ autoFix = false } = {}) {
+    const positions = await this.alpaca.getPositions();
+    const openOrders = await this.alpaca.getOrders({ status: 'open' });
+    const storedSymbols = await this.positionStorage.getAllStoredSymbols();
+    const openTrades = await this.stateStore.getOpenTrades();
+
+    const positionsBySymbol = new Map(positions.map(p => [p.symbol, p]));
+    const openOrderIds = new Set(openOrders.map(order => order.id));
+    const levelsBySymbol = new Map();
+    for (const symbol of storedSymbols) {
+      const storedLevels = await this.positionStorage.getPositionLevels(symbol);
+      if (storedLevels) levelsBySymbol.set(symbol, storedLevels);
+    }
+
+    const issues = {
+      unprotectedPositions: [],
+      orphanedLevels: [],
+      quantityMismatches: [],
+      staleTrades: []
+    };
+
+    for (const position of positions) {
+      const brokerQuantity = Math.abs(parseFloat(position.qty));
+      const storedLevels = levelsBySymbol.get(position.symbol);
+
+      if (!storedLevels) {
+        issues.unprotectedPositions.push({
+          symbol: position.symbol,
+          side: parseFloat(position.qty) > 0 ? 'long' : 'short',
+          quantity: brokerQuantity,
+          avgEntryPrice: parseFloat(position.avg_entry_price),
+          currentPrice: parseFloat(position.current_price)
+        });
+      } else if (!hasWorkingOrder(storedLevels) && storedLevels.quantity !== brokerQuantity) {
+        issues.quantityMismatches.push({
+          symbol: position.symbol,
+          brokerQuantity,
+          storedQuantity: storedLevels.quantity
+        });
+      }
+    }
+
+    // Levels of entries still filling or exits still working are settled by the exit manager
+    for (const [symbol, storedLevels] of levelsBySymbol) {
+      if (positionsBySymbol.has(symbol) || hasWorkingOrder(storedLevels)) continue;
+      issues.orphanedLevels.push({
+        symbol,
+        quantity: storedLevels.quantity,
+        strategy: storedLevels.strategy,
+        orderId: storedLevels.orderId,
+        brokerManaged: storedLevels.metadata?.exitMode === 'broker'
+      });
+    }
+
+    for (const trade of openTrades) {
+      if (positionsBySymbol.has(trade.symbol) || openOrderIds.has(trade.orderId)) continue;
+      if (hasWorkingOrder(levelsBySymbol.get(trade.symbol))) continue;
+      issues.staleTrades.push({
+        orderId: trade.orderId,
+        symbol: trade.symbol,
+        strategy: trade.strategy,
+        status: trade.status,
+        timestamp: trade.timestamp
+      });
+    }
+
+    const report = {
+      summary: {
+        positions: positions.length,
+        storedLevels: levelsBySymbol.size,
+        openTrades: openTrades.length,
+        issues: Object.values(issues).reduce((sum, list) => sum + list.length, 0)
+      },
+      issues,
+      autoFix,
+      fixes: [],
+      errors: [],
+      timestamp: new Date().toISOString()
+    };
+
+    if (autoFix) {
+      await this.applyFixes(report, positionsBySymbol);
+    }
+
+    const logMethod = report.summary.issues > 0 ? 'warning' : 'info';
+    this.logger[logMethod]('Position reconciliation completed', {
+      ...report.summary,
+      autoFix,
+      fixes: report.fixes.length,
+      errors: report.errors.length
+    });
+
+    return report;
+  }
+
+  /**
+   * Repair the reported issues; each fix is recorded in report.fixes, failures in report.errors
+   */
+  async applyFixes(report, positionsBySymbol) {
+    const { issues } = report;
+    const attempt = async (type, symbol, fix) => {
+      try {
+        const result = await fix();
+        report.fixes.push({ type, symbol, ...result });
+      } catch (error) {
+        report.errors.push({ type, symbol, error: error.message });
+        this.logger.error('Reconciliation fix failed', { type, symbol, error: error.message });
+      }
+    };
+
+    for (const issue of issues.unprotectedPositions) {
+      await attempt('unprotected_position', issue.symbol,
+        () => this.protectPosition(positionsBySymbol.get(issue.symbol)));
+    }
+
+    for (const issue of issues.orphanedLevels) {
+      await attempt('orphaned_levels', issue.symbol, async () => {
+        // Legs left at the broker would sell shares that are no longer there
+        const ordersCancelled = issue.brokerManaged && this.exitManager
+          ? await this.exitManager.cancelBrokerExitOrders(issue.symbol)
+          : 0;
+        const removed = await this.positionStorage.removePositionLevels(issue.symbol);
+        return { action: 'levels_removed', removed, ordersCancelled };
+      });
+    }
+
+    for (const issue of issues.quantityMismatches) {
+      await attempt('quantity_mismatch', issue.symbol, async () => {
+        const updated = await this.positionStorage.updatePositionLevels(issue.symbol, { quantity: issue.brokerQuantity });
+        return { action: 'quantity_updated', updated, quantity: issue.brokerQuantity };
+      });
+    }
+
+    // The exit was never booked, so the row is closed without an exit price or P&L
+    for (const issue of issues.staleTrades) {
+      await attempt('stale_trade', issue.symbol, async () => {
+        await this.stateStore.updateTradeStatus(issue.orderId, 'CLOSED', null, null, 0);
+        return { action: 'trade_closed', orderId: issue.orderId };
+      });
+    }
+  }
+
+  /**
+   * Store default ATR-based stop loss and take profit levels for a position that has none.
+   * Levels are placed around the current price, so the stop sits below the market for a
+   * long (above for a short) even when the position is already under water.
+   * @param {Object} position - Broker position
+   * @returns {Object} { action, stopLoss, takeProfit, atr }
+   */
+  async protectPosition(position) {
+    const currentQty = parseFloat(position.qty);
+    const side = currentQty > 0 ? 'long' : 'short';
+    const currentPrice = parseFloat(position.current_price);
+    const { atrPeriod, atrStopMultiplier, atrTargetMultiplier } = this.options;
+
+    const bars = await this.alpaca.getHistoricalData(position.symbol, '1Day', atrPeriod * 3);
+    const atr = ATR.getCurrentATR(bars, atrPeriod);
+    const direction = side === 'long' ? 1 : -1;
+
+    const levels = {
+      stopLoss: roundOrderPrice(currentPrice - direction * atr * atrStopMultiplier),
+      takeProfit: roundOrderPrice(currentPrice + direction * atr * atrTargetMultiplier),
+      entryPrice: parseFloat(position.avg_entry_price),
+      side,
+      quantity: Math.abs(currentQty),
+      strategy: null,
+      orderId: null,
+      metadata: { reconciled: true, reconciledAt: new Date().toISOString() }
+    };
+
+    const stored = await this.positionStorage.storePositionLevels(position.symbol, levels);
+    if (!stored) {
+      throw new Error('Position levels could not be stored');
+    }
+
+    this.logger.warning('Default ATR levels stored for unprotected position', {
+      symbol: position.symbol,
+      side,
+      quantity: levels.quantity,
+      stopLoss: levels.stopLoss,
+      takeProfit: levels.takeProfit,
+      atr
+    });
+    return { action: 'levels_stored', stopLoss: levels.stopLoss, takeProfit: levels.takeProfit, atr };
+  }
+}
@@ -0,0 +1,220 @@
+/**
+ * SignalAggregator.js - Resolves bull/bear entry signals of the same symbol triplet
+ * Strategies signal independently, so one run can ask to buy both the bull and the bear ETF
+ * of a base (momentum buying TQQQ while mean reversion buys SQQQ). Every signal of a run is
+ * grouped by base symbol, and when both sides want an entry a policy keeps one side:
+ *   net           - bull and bear position sizes offset; the larger side trades the difference
+ *                   (signal.netScale, applied by RiskManager to the final size in every sizing mode)
+ *   strongest     - the side with the single most confident signal
+ *   weighted_vote - the side with the larger sum of confidence x strategy weight
+ *   priority      - the side of the highest-priority strategy that signalled
+ * An entry while the opposite ETF is held is blocked, or with opposingPositionAction 'close'
+ * turned into closing that leg. Exit (sell) signals and symbols outside the triplets pass through.
+ */
+import { Logger } from './utils/logger.js';
+import { findTripletForSymbol } from './config/symbolConfig.js';
+
+export const CONFLICT_POLICIES = ['net', 'strongest', 'weighted_vote', 'priority'];
+
+const OPPOSING_POSITION_ACTIONS = ['block', 'close'];
+
+export class SignalAggregator {
+  /**
+   * @param {Object} options - { policy, opposingPositionAction, strategyWeights, strategyPriority, logger, now }
+   *   strategyWeights ({ Momentum: 1, MeanReversion: 0.5 }) and strategyPriority (['RegimeDetection', ...])
+   *   match a strategy by its full name or its type suffix (QQQ_Momentum -> Momentum)
+   */
+  constructor(options = {}) {
+    this.logger = options.logger || new Logger();
+    this.now = options.now || (() => Date.now());
+
+    this.options = {
+      policy: options.policy || process.env.SIGNAL_CONFLICT_POLICY || 'strongest',
+      opposingPositionAction: options.opposingPositionAction || process.env.OPPOSING_POSITION_ACTION || 'block',
+      strategyWeights: options.strategyWeights || parseStrategyWeights(process.env.SIGNAL_STRATEGY_WEIGHTS),
+      strategyPriority: options.strategyPriority || parseStrategyList(process.env.SIGNAL_STRATEGY_PRIORITY)
+    };
+
+    if (!CONFLICT_POLICIES.includes(this.options.policy)) {
+      throw new Error(`Unknown signal conflict policy: ${this.options.policy}`);
+    }
+    if (!OPPOSING_POSITION_ACTIONS.includes(this.options.opposingPositionAction)) {
+      throw new Error(`Unknown opposing position action: ${this.options.opposingPositionAction}`);
+    }
+  }
+
+  /**
+   * Resolve one run's signals
+   * @param {Array} entries - [{ signal, strategyName, baseSymbol }] in generation order
+   * @param {Map} currentPositions - symbol -> position (TradingPositionManager.getCurrentPositions)
+   * @returns {Object} { signals: entries to execute (same order), blocked: skipped trade results,
+   *   closeLegs: [{ symbol, baseSymbol, strategyName, reason }] opposite legs to close, conflicts }
+   */
+  aggregate(entries, currentPositions = new Map()) {
+    const result = { signals: [], blocked: [], closeLegs: [], conflicts: [] };
+    const replaced = new Map(); // entry -> entry carrying its net policy scale
+    const dropped = new Map(); // entry -> skip reasons
+
+    // Entry signals grouped by triplet and side
+    const groups = new Map();
+    for (const entry of entries) {
+      const leg = this.classify(entry.signal);
+      if (!leg) continue;
+      const group = groups.get(leg.triplet.baseSymbol) || { triplet: leg.triplet, bull: [], bear: [] };
+      group[leg.side].push(entry);
+      groups.set(leg.triplet.baseSymbol, group);
+    }
+
+    for (const [baseSymbol, group] of groups) {
+      let winner = group.bull.length > 0 ? 'bull' : 'bear';
+
+      if (group.bull.length > 0 && group.bear.length > 0) {
+        const conflict = this.resolveConflict(baseSymbol, group);
+        result.conflicts.push(conflict);
+        winner = conflict.winner;
+
+        for (const side of ['bull', 'bear']) {
+          if (side === winner) continue;
+          group[side].forEach(entry => dropped.set(entry, [`signal_conflict_${this.options.policy}`]));
+        }
+        if (winner && conflict.scale !== undefined) {
+          group[winner].forEach(entry => replaced.set(entry, {
+            ...entry,
+            signal: { ...entry.signal, netScale: conflict.scale, netted: true }
+          }));
+        }
+        if (!winner) continue;
+      }
+
+      // The kept side must not stack on top of a held opposite leg - a rotation sells that leg itself
+      const oppositeSymbol = winner === 'bull' ? group.triplet.bearSymbol : group.triplet.bullSymbol;
+      if (!(Math.abs(currentPositions.get(oppositeSymbol)?.qty || 0) > 0)) continue;
+      const stacking = group[winner].filter(entry => entry.signal.rotateFrom !== oppositeSymbol);
+      if (stacking.length === 0) continue;
+
+      const reason = this.options.opposingPositionAction === 'close' ? 'opposite_leg_closed' : 'opposite_leg_held';
+      stacking.forEach(entry => dropped.set(entry, [reason]));
+      if (this.options.opposingPositionAction === 'close') {
+        result.closeLegs.push({
+          symbol: oppositeSymbol,
+          baseSymbol,
+          strategyName: stacking[0].strategyName,
+          reason: `Opposing ${winner} signal on ${baseSymbol}`
+        });
+      }
+    }
+
+    for (const entry of entries) {
+      if (dropped.has(entry)) {
+        result.blocked.push({
+          symbol: entry.signal.symbol,
+          side: entry.signal.side,
+          quantity: 0,
+          strategy: entry.strategyName,
+          status: 'skipped',
+          reasons: dropped.get(entry),
+          conflict: result.conflicts.find(conflict => conflict.baseSymbol === entry.baseSymbol) || null,
+          timestamp: new Date(this.now()).toISOString(),
+          baseSymbol: entry.baseSymbol
+        });
+      } else {
+        result.signals.push(replaced.get(entry) || entry);
+      }
+    }
+
+    if (result.conflicts.length > 0 || result.closeLegs.length > 0) {
+      this.logger.info('Signal conflicts resolved', {
+        policy: this.options.policy,
+        conflicts: result.conflicts,
+        blocked: result.blocked.length,
+        closeLegs: result.closeLegs.map(leg => leg.symbol)
+      });
+    }
+    return result;
+  }
+
+  /**
+   * Bull or bear leg of an entry signal, or null for exits and symbols outside the triplets
+   */
+  classify(signal) {
+    if (signal.side !== 'buy' || !(signal.positionSize > 0)) return null;
+    const triplet = findTripletForSymbol(signal.symbol);
+    if (!triplet || signal.symbol === triplet.baseSymbol) return null;
+    return { triplet, side: signal.symbol === triplet.bearSymbol ? 'bear' : 'bull' };
+  }
+
+  /**
+   * Pick the side that trades when both bull and bear entries are signalled
+   * @returns {Object} { baseSymbol, policy, winner ('bull' | 'bear' | null), bull, bear, scale }
+   *   scale (net policy) multiplies the winner's sized positions
+   */
+  resolveConflict(baseSymbol, group) {
+    const confidence = entry => entry.signal.confidence ?? 0;
+    const summarize = side => ({
+      strategies: group[side].map(entry => entry.strategyName),
+      maxConfidence: Math.max(...group[side].map(confidence)),
+      score: group[side].reduce((sum, entry) => sum + this.scoreFor(entry), 0),
+      positionSize: group[side].reduce((sum, entry) => sum + entry.signal.positionSize, 0)
+    });
+    const bull = summarize('bull');
+    const bear = summarize('bear');
+    const pick = (bullValue, bearValue) => bullValue === bearValue ? null : (bullValue > bearValue ? 'bull' : 'bear');
+    const conflict = { baseSymbol, policy: this.options.policy, bull, bear, winner: null };
+
+    switch (this.options.policy) {
+      case 'net': {
+        conflict.winner = pick(bull.positionSize, bear.positionSize);
+        if (conflict.winner) {
+          const winning = conflict.winner === 'bull' ? bull : bear;
+          conflict.scale = Math.abs(bull.positionSize - bear.positionSize) / winning.positionSize;
+        }
+        break;
+      }
+      case 'weighted_vote':
+        conflict.winner = pick(bull.score, bear.score);
+        break;
+      case 'priority': {
+        const rank = side => Math.min(...group[side].map(entry => this.priorityOf(entry.strategyName)));
+        // Lower rank is higher priority
+        conflict.winner = pick(-rank('bull'), -rank('bear'));
+        break;
+      }
+      default:
+        conflict.winner = pick(bull.maxConfidence, bear.maxConfidence);
+    }
+
+    return conflict;
+  }
+
+  scoreFor(entry) {
+    const weight = this.lookup(this.options.strategyWeights, entry.strategyName);
+    return (entry.signal.confidence ?? 0) * (weight ?? 1);
+  }
+
+  priorityOf(strategyName) {
+    const index = this.options.strategyPriority.findIndex(key => matchesStrategy(strategyName, key));
+    return index === -1 ? this.options.strategyPriority.length : index;
+  }
+
+  lookup(table, strategyName) {
+    const key = Object.keys(table).find(candidate => matchesStrategy(strategyName, candidate));
+    return key === undefined ? undefined : table[key];
+  }
+}
+
+// QQQ_Momentum matches 'QQQ_Momentum' and 'Momentum'
+function matchesStrategy(strategyName, key) {
+  return strategyName === key || strategyName?.endsWith(`_${key}`);
+}
+
+function parseStrategyList(value) {
+  return (value || '').split(',').map(item => item.trim()).filter(Boolean);
+}
+
+// "Momentum:1,MeanReversion:0.5" -> { Momentum: 1, MeanReversion: 0.5 }
+function parseStrategyWeights(value) {
+  return Object.fromEntries(parseStrategyList(value)
+    .map(item => item.split(':').map(part => part.trim()))
+    .filter(([key, weight]) => key && Number.isFinite(parseFloat(weight)))
+    .map(([key, weight]) => [key, parseFloat(weight)]));
+}
@@ -0,0 +1,546 @@
+/**
+ * SignalExecutionPipeline.js - Phase 2 signal processing shared by /api/trade and the backtest engine
+ * Runs a strategy signal through risk adjustment, duplicate/cooldown detection, position manager
+ * validation and execution with persistent TP/SL storage, exactly as live trading does.
+ * A signal with rotateFrom (a regime flip) first sells the whole position in that symbol through
+ * the exit manager, so the old leg's exit and the new entry are recorded as one rotation.
+ * The state store (Sheets, file or the backtest's in-memory store) and the clock are injected so
+ * the same code path can be replayed against historical bars. Live runs also pass a
+ * MarketDataPolicy, which skips signals resting on synthetic or stale market data.
+ */
+import { Logger } from './utils/logger.js';
+import { calculateExposure } from './utils/exposure.js';
+
+export class SignalExecutionPipeline {
+  constructor(options = {}) {
+    this.riskManager = options.riskManager;
+    this.positionManager = options.positionManager;
+    this.exitManager = options.exitManager;
+    this.stateStore = options.stateStore || options.sheetsLogger;
+    this.logger = options.logger || new Logger();
+    this.dataPolicy = options.dataPolicy || null;
+
+    this.options = {
+      cooldownMs: options.cooldownMs || parseInt(process.env.MIN_TIME_BETWEEN_TRADES) || 300000,
+      signalImprovementRequired: options.signalImprovementRequired || 1.3,
+      ...options
+    };
+
+    // Clock is injectable so backtests evaluate cooldowns in simulated time
+    this.now = options.now || (() => Date.now());
+  }
+
+  /**
+   * Process a single strategy signal end to end
+   * @param {Object} signal - Raw strategy signal
+   * @param {Object} context - { strategyName, baseSymbol, account, positions, currentPositions, sizing, levels }
+   *   sizing and levels are the strategy's position sizing and stop/target overrides (strategy.config)
+   * @returns {Object|null} Trade result (executed/skipped/failed) or null if filtered by risk management
+   */
+  async processSignal(signal, context) {
+    if (signal.rotateFrom) {
+      return this.processRotation(signal, context);
+    }
+
+    const { strategyName, baseSymbol, account, positions, currentPositions, sizing, levels } = context;
+
+    // Apply risk management (includes TP/SL calculation)
+    const adjustedSignal = await this.riskManager.adjustSignal(signal, account, positions, { strategyName, sizing, levels });
+
+    if (!adjustedSignal || !(adjustedSignal.quantity > 0)) {
+      // LOGGING FIX: Only log filtered signals at debug level
+      if (this.logger.logLevel === 'debug') {
+        this.logger.info('Signal filtered out by risk management', {
+          originalSignal: signal,
+          adjustedSignal: adjustedSignal,
+          strategy: strategyName
+        });
+      }
+      return null;
+    }
+
+    let quantity = Math.floor(adjustedSignal.quantity);
+    const currentPrice = adjustedSignal.currentPrice;
+
+    // Sizing may have fetched bars of its own, so the data check runs after risk adjustment
+    const dataBlocked = this.checkMarketData(adjustedSignal, quantity, strategyName, baseSymbol);
+    if (dataBlocked) {
+      return dataBlocked;
+    }
+
+    // CLOSED POSITION FIX: Enhanced duplicate detection that checks if position is still open
+    const duplicateCheck = await this.checkForDuplicateTrade(adjustedSignal, currentPositions);
+
+    if (!duplicateCheck.allowTrade) {
+      const duplicateTrade = {
+        symbol: adjustedSignal.symbol,
+        side: adjustedSignal.side,
+        quantity: quantity,
+        strategy: strategyName,
+        status: 'skipped',
+        reasons: duplicateCheck.reasons,
+        duplicateCheckDetails: duplicateCheck.details,
+        timestamp: this.timestamp(),
+        baseSymbol: baseSymbol
+      };
+
+      this.logger.info('Trade blocked by duplicate detection', duplicateTrade);
+      return duplicateTrade;
+    }
+
+    // Portfolio exposure limits (symbol, triplet, strategy, gross/net leverage) downsize or reject the entry
+    const exposureCheck = await this.checkExposureLimits(adjustedSignal, quantity, strategyName, account);
+
+    if (!exposureCheck.allowed) {
+      const exposureTrade = {
+        symbol: adjustedSignal.symbol,
+        side: adjustedSignal.side,
+        quantity: quantity,
+        strategy: strategyName,
+        status: 'skipped',
+        reasons: exposureCheck.reasons,
+        exposureLimits: exposureCheck.limits,
+        timestamp: this.timestamp(),
+        baseSymbol: baseSymbol
+      };
+
+      this.logger.info('Trade blocked by exposure limits', exposureTrade);
+      return exposureTrade;
+    }
+
+    const requestedQuantity = quantity;
+    quantity = exposureCheck.quantity;
+
+    // Enhanced validation with position manager (uses persistent state)
+    const validation = await this.positionManager.validateTradeBeforeExecution(
+      adjustedSignal.symbol,
+      adjustedSignal.side,
+      quantity,
+      currentPrice
+    );
+
+    if (!validation.canTrade) {
+      this.logger.warning('Trade blocked by position manager validation', {
+        symbol: adjustedSignal.symbol,
+        side: adjustedSignal.side,
+        quantity: quantity,
+        reasons: validation.skipReasons,
+        strategy: strategyName
+      });
+
+      return {
+        symbol: adjustedSignal.symbol,
+        side: adjustedSignal.side,
+        quantity: quantity,
+        strategy: strategyName,
+        status: 'skipped',
+        reasons: validation.skipReasons,
+        timestamp: this.timestamp(),
+        baseSymbol: baseSymbol
+      };
+    }
+
+    // RACE CONDITION FIX: Execute trade first, THEN log signal strength
+    this.logger.info('Executing trade BEFORE logging signal strength', {
+      symbol: adjustedSignal.symbol,
+      side: adjustedSignal.side,
+      strategy: strategyName
+    });
+
+    const tradeResult = await this.executeTradeWithTPSLStorage(
+      adjustedSignal,
+      quantity,
+      currentPrice,
+      strategyName
+    );
+
+    if (!tradeResult.success) {
+      const failedTrade = {
+        symbol: adjustedSignal.symbol,
+        side: adjustedSignal.side,
+        quantity: quantity,
+        strategy: strategyName,
+        status: tradeResult.skipped ? 'skipped' : 'failed',
+        reasons: tradeResult.reasons || [tradeResult.error?.message],
+        timestamp: this.timestamp(),
+        baseSymbol: baseSymbol
+      };
+      await this.stateStore.logTrade(failedTrade);
+      this.logger.warning('Trade execution failed or skipped', failedTrade);
+      return failedTrade;
+    }
+
+    const enhancedTradeResult = {
+      orderId: tradeResult.order.id,
+      clientOrderId: tradeResult.order.client_order_id || null,
+      symbol: adjustedSignal.symbol,
+      side: adjustedSignal.side,
+      // Fill price and size when the order filled inside the tracking window
+      quantity: tradeResult.entryQuantity ?? quantity,
+      strategy: strategyName,
+      timestamp: this.timestamp(),
+      price: tradeResult.entryPrice ?? currentPrice,
+      orderStatus: tradeResult.fill?.status || null,
+      stopLoss: adjustedSignal.stopLoss,
+      takeProfit: adjustedSignal.takeProfit,
+      status: 'executed',
+      baseSymbol: baseSymbol,
+      exitLevelsStored: tradeResult.exitLevelsStored || false,
+      persistentStorageUsed: tradeResult.persistentStorageUsed || false,
+      duplicateCheckPassed: duplicateCheck.details,
+      ...(adjustedSignal.rotationId && { rotationId: adjustedSignal.rotationId }),
+      exposureAdjustment: exposureCheck.downsized
+        ? { requestedQuantity, reasons: exposureCheck.reasons, limits: exposureCheck.limits }
+        : null,
+      validation: {
+        exposureCheck: exposureCheck.downsized ? 'downsized' : (validation.checks.exposure?.action || 'proceed'),
+        riskLimits: validation.checks.riskLimits?.withinLimits || true
+      }
+    };
+
+    // Record in the state store
+    await this.stateStore.logTrade({
+      ...enhancedTradeResult,
+      type: 'entry'
+    });
+
+    // RACE CONDITION FIX: ONLY log signal strength AFTER successful trade execution
+    const signalStrength = this.getSignalStrength(adjustedSignal);
+
+    if (signalStrength != null) {
+      await this.stateStore.logSignalStrength({
+        timestamp: enhancedTradeResult.timestamp,
+        symbol: enhancedTradeResult.symbol,
+        side: enhancedTradeResult.side,
+        strategy: enhancedTradeResult.strategy,
+        signalStrength: signalStrength,
+        orderId: tradeResult.order.id
+      });
+      // LOGGING FIX: Reduced verbosity
+      this.logger.info('Signal strength logged after trade execution', {
+        symbol: enhancedTradeResult.symbol,
+        strategy: enhancedTradeResult.strategy
+      });
+    }
+
+    this.logger.success('Trade executed successfully', enhancedTradeResult);
+    return enhancedTradeResult;
+  }
+
+  /**
+   * Sell the full position in signal.rotateFrom, then run the entry as a normal signal.
+   * Both trades carry the same rotationId. If the sell fails the entry is not placed; a sell
+   * still working at the broker lets the entry go ahead, as the shares are already on their way out.
+   * signal.regimeState (the strategy's new regime) is stored once the old leg is sold, on its way
+   * out or was not held, whether or not the entry then passes its checks: a rotation whose sell
+   * failed is signalled again next run, while an entry filtered by exposure caps, the EOD window
+   * or the drawdown breaker does not keep the strategy rotating every run.
+   * @returns {Object} Trade result with rotation { rotationId, fromSymbol, toSymbol, exit }
+   */
+  async processRotation(signal, context) {
+    const { rotateFrom, regimeState, ...entrySignal } = signal;
+    const { strategyName, baseSymbol } = context;
+    const rotationId = `${strategyName}-${rotateFrom}-${entrySignal.symbol}-${this.now()}`;
+    const rotation = { rotationId, fromSymbol: rotateFrom, toSymbol: entrySignal.symbol, exit: null };
+
+    const exit = await this.exitManager.closeSymbol(rotateFrom, 'regime_rotation',
+      `${entrySignal.reason || 'Regime rotation'} (rotating into ${entrySignal.symbol})`, strategyName);
+    if (exit) {
+      rotation.exit = { ...exit, rotationId };
+      if (exit.status === 'executed') {
+        await this.stateStore.logTrade({
+          ...rotation.exit,
+          type: 'exit',
+          strategy: `${strategyName} Rotation`
+        });
+      }
+    }
+
+    if (exit?.status === 'failed') {
+      const failedRotation = {
+        symbol: entrySignal.symbol,
+        side: entrySignal.side,
+        quantity: 0,
+        strategy: strategyName,
+        status: 'failed',
+        reasons: ['rotation_exit_failed'],
+        rotation,
+        timestamp: this.timestamp(),
+        baseSymbol: baseSymbol
+      };
+      this.logger.error('Rotation aborted - old leg was not sold', failedRotation);
+      return failedRotation;
+    }
+
+    if (regimeState) {
+      await this.stateStore.storeRegimeState(regimeState);
+    }
+
+    const entryResult = await this.processSignal({ ...entrySignal, rotationId }, context) || {
+      symbol: entrySignal.symbol,
+      side: entrySignal.side,
+      quantity: 0,
+      strategy: strategyName,
+      status: 'skipped',
+      reasons: ['filtered_by_risk_management'],
+      timestamp: this.timestamp(),
+      baseSymbol: baseSymbol
+    };
+    this.logger.info('Regime rotation processed', {
+      rotationId,
+      fromSymbol: rotateFrom,
+      soldQuantity: exit?.status === 'executed' ? exit.quantity : 0,
+      toSymbol: entrySignal.symbol,
+      entryStatus: entryResult.status,
+      entryQuantity: entryResult.quantity,
+      regimeStored: !!regimeState,
+      strategy: strategyName
+    });
+    return { ...entryResult, rotation };
+  }
+
+  /**
+   * Skipped trade result when the market data logged for the signal's symbol and its base symbol
+   * is synthetic or stale, null when it may trade (or no policy is set)
+   * @returns {Object|null}
+   */
+  checkMarketData(signal, quantity, strategyName, baseSymbol) {
+    if (!this.dataPolicy) return null;
+
+    const decision = this.dataPolicy.check([baseSymbol, signal.symbol]);
+    if (decision.allowed) return null;
+
+    const blockedTrade = {
+      symbol: signal.symbol,
+      side: signal.side,
+      quantity: quantity,
+      strategy: strategyName,
+      status: 'skipped',
+      reasons: ['market_data_blocked'],
+      dataInputs: decision.inputs,
+      timestamp: this.timestamp(),
+      baseSymbol: baseSymbol
+    };
+    this.logger.warning('Trade blocked by market data policy', blockedTrade);
+    return blockedTrade;
+  }
+
+  /**
+   * CLOSED POSITION FIX: Enhanced duplicate trade detection using persistent state
+   * Checks if position is currently open before comparing signal strength
+   * @param {Object} adjustedSignal - Risk-adjusted signal
+   * @param {Map} currentPositions - Current positions from the broker
+   * @returns {Object} Duplicate check result
+   */
+  async checkForDuplicateTrade(adjustedSignal, currentPositions) {
+    const result = {
+      allowTrade: true,
+      reasons: [],
+      details: {}
+    };
+    const improvementRequired = this.options.signalImprovementRequired;
+
+    try {
+      this.logger.info('Starting duplicate check', {
+        symbol: adjustedSignal.symbol,
+        side: adjustedSignal.side
+      });
+
+      // CLOSED POSITION FIX: First check if position is currently open
+      const openPosition = currentPositions.get(adjustedSignal.symbol);
+
+      if (openPosition) {
+        // Position IS open - check signal strength improvement
+        const lastStrength = await this.stateStore.getLastSignalStrength(adjustedSignal.symbol, adjustedSignal.side);
+        const newStrength = this.getSignalStrength(adjustedSignal);
+
+        if (lastStrength != null && newStrength != null) {
+          // Only allow if new signal is at least 30% stronger than last
+          if (newStrength <= lastStrength * improvementRequired) {
+            result.allowTrade = false;
+            result.reasons.push('duplicate_or_weak_signal');
+            result.details = {
+              openPosition: true,
+              lastSignalStrength: lastStrength,
+              newSignalStrength: newStrength,
+              improvementRequired: lastStrength * improvementRequired,
+              improvementPercentage: ((newStrength - lastStrength) / lastStrength * 100).toFixed(2) + '%'
+            };
+
+            this.logger.info('Duplicate/open position detected - new signal not strong enough', {
+              symbol: adjustedSignal.symbol,
+              lastStrength,
+              newStrength,
+              improvementRequired: lastStrength * improvementRequired
+            });
+          } else {
+            result.details = {
+              openPosition: true,
+              signalImprovement: 'sufficient',
+              lastSignalStrength: lastStrength,
+              newSignalStrength: newStrength,
+              improvementPercentage: ((newStrength - lastStrength) / lastStrength * 100).toFixed(2) + '%'
+            };
+            this.logger.info('Signal strength improvement sufficient, allowing trade', {
+              symbol: adjustedSignal.symbol,
+              improvementPercentage: result.details.improvementPercentage
+            });
+          }
+        } else if (lastStrength != null && newStrength == null) {
+          result.allowTrade = false;
+          result.reasons.push('duplicate_or_weak_signal');
+          result.details = {
+            openPosition: true,
+            lastSignalStrength: lastStrength,
+            newSignalStrength: null,
+            reason: 'no_new_signal_strength_provided'
+          };
+
+          this.logger.info('Duplicate/open position detected - no new signal strength provided', {
+            symbol: adjustedSignal.symbol,
+            lastStrength
+          });
+        }
+      } else {
+        // CLOSED POSITION FIX: Position is NOT open - allow fresh trade regardless of old signal strength
+        result.details = {
+          openPosition: false,
+          freshSignal: true,
+          note: 'Position is closed, allowing new trade without signal strength comparison'
+        };
+        this.logger.info('No open position found, allowing fresh signal', {
+          symbol: adjustedSignal.symbol,
+          allowingFreshTrade: true
+        });
+      }
+
+      // Additional check: Get last trade time for this symbol from persistent state
+      const lastTrade = await this.stateStore.getLastTradeForSymbol(adjustedSignal.symbol);
+      if (lastTrade && lastTrade.timestamp) {
+        const timeSinceLastTrade = this.now() - new Date(lastTrade.timestamp).getTime();
+        const cooldownTime = this.options.cooldownMs;
+
+        if (timeSinceLastTrade < cooldownTime) {
+          result.allowTrade = false;
+          result.reasons.push('cooldown_active');
+          result.details.cooldown = {
+            timeSinceLastTrade,
+            cooldownTime,
+            timeRemaining: cooldownTime - timeSinceLastTrade,
+            lastTradeTimestamp: lastTrade.timestamp
+          };
+
+          this.logger.info('Trade blocked by cooldown', {
+            symbol: adjustedSignal.symbol,
+            timeSinceLastTrade,
+            cooldownTime,
+            timeRemaining: cooldownTime - timeSinceLastTrade
+          });
+        }
+      }
+
+      this.logger.info('Duplicate check completed', {
+        symbol: adjustedSignal.symbol,
+        allowTrade: result.allowTrade,
+        reasons: result.reasons
+      });
+
+      return result;
+    } catch (error) {
+      this.logger.error('Error in duplicate check', {
+        symbol: adjustedSignal.symbol,
+        error: error.message
+      });
+
+      // On error, allow trade but log the issue
+      result.allowTrade = true;
+      result.reasons.push('duplicate_check_error');
+      result.details.error = error.message;
+      return result;
+    }
+  }
+
+  /**
+   * Apply the risk manager's portfolio exposure limits to a signal. Positions are read fresh,
+   * so entries placed earlier in the same run count against the limits.
+   * @returns {Object} Result of RiskManager.checkExposureLimits
+   */
+  async checkExposureLimits(adjustedSignal, quantity, strategyName, account) {
+    if (!this.riskManager.hasExposureLimits?.()) {
+      return { allowed: true, quantity, downsized: false, reasons: [], limits: [] };
+    }
+
+    const currentPositions = await this.positionManager.getCurrentPositions();
+    const positions = Array.from(currentPositions, ([symbol, position]) => ({ symbol, ...position }));
+
+    // Strategy exposure is attributed through the stored levels of each position
+    const strategyBySymbol = new Map();
+    for (const { symbol } of positions) {
+      const storedLevels = await this.positionManager.positionStorage?.getPositionLevels(symbol);
+      if (storedLevels?.strategy) strategyBySymbol.set(symbol, storedLevels.strategy);
+    }
+
+    return this.riskManager.checkExposureLimits(adjustedSignal, quantity, {
+      equity: parseFloat(account.equity),
+      exposure: calculateExposure(positions, strategyBySymbol),
+      strategyName,
+      currentQty: currentPositions.get(adjustedSignal.symbol)?.qty || 0
+    });
+  }
+
+  /**
+   * Execute trade with persistent TP/SL storage
+   * @param {Object} adjustedSignal - Risk-adjusted signal
+   * @param {number} quantity - Trade quantity
+   * @param {number} currentPrice - Current market price
+   * @param {string} strategy - Strategy name
+   * @returns {Object} Trade execution result
+   */
+  async executeTradeWithTPSLStorage(adjustedSignal, quantity, currentPrice, strategy) {
+    try {
+      // Prepare exit levels for persistent storage
+      const exitLevels = {
+        stopLoss: adjustedSignal.stopLoss || null,
+        takeProfit: adjustedSignal.takeProfit || null,
+        trailingStop: adjustedSignal.trailingStop || null, // Optional per-position { type, percent, atrMultiplier, breakEvenR }
+        takeProfitLadder: adjustedSignal.takeProfitLadder || null, // Optional [{ percent | rMultiple | price, fraction }]
+        levelMethod: adjustedSignal.levelMethod || null // How the risk manager set the stop and target
+      };
+
+      const tradeResult = await this.positionManager.executeTradeWithTPSL(
+        adjustedSignal.symbol,
+        adjustedSignal.side,
+        quantity,
+        currentPrice,
+        strategy,
+        adjustedSignal.confidence || null, // signal strength
+        exitLevels // TP/SL levels to store persistently
+      );
+
+      // Enhance result with persistent storage information
+      if (tradeResult.success) {
+        tradeResult.exitLevelsStored = !!(exitLevels.stopLoss || exitLevels.takeProfit);
+        tradeResult.persistentStorageUsed = this.positionManager.positionStorage?.stateStore?.enabled || false;
+      }
+
+      return tradeResult;
+    } catch (error) {
+      return {
+        success: false,
+        error: error,
+        exitLevelsStored: false,
+        persistentStorageUsed: false
+      };
+    }
+  }
+
+  getSignalStrength(signal) {
+    if (signal.confidence != null) return signal.confidence;
+    if (signal.signalStrength != null) return signal.signalStrength;
+    return null;
+  }
+
+  timestamp() {
+    return new Date(this.now()).toISOString();
+  }
+}
@@ -1,28 +1,35 @@
 /**  
- * Fixed TradingPositionManager.js - Google Sheets State Management for Serverless  
- * LOGGING FIX: Accepts shared GoogleSheetsLogger instance to prevent re-initialization
- * Eliminates Map-based caching issues by using persistent Google Sheets storage  
+ * Fixed TradingPositionManager.js - State Store Backed State Management for Serverless  
+ * LOGGING FIX: Accepts a shared StateStore instance to prevent re-initialization
+ * Eliminates Map-based caching issues by using a persistent state store  
  * for all state management including cooldowns, signal tracking, and position data  
  */  
 import { Logger } from './utils/logger.js';  
 import { PositionStorage } from './utils/positionStorage.js';  
-import { GoogleSheetsLogger } from './utils/googleSheets.js';  
+import { createStateStore } from './state/stateStoreFactory.js';  
+import { buildExitLegs, extractExitLegs, isBrokerManagedExit } from './brokers/exitOrders.js';  
+import { buildTakeProfitLadder, parseLadderSpec } from './utils/takeProfitLadder.js';  
+import { buildClientOrderId, submitOrderOnce } from './utils/runContext.js';  
+import { OrderTracker, ORDER_STATES, describeOrder } from './brokers/orderTracker.js';  
 
 export default class EnhancedTradingPositionManager {  
   constructor(alpacaClient, options = {}) {  
     this.alpaca = alpacaClient;  
     this.options = options;  
 
-    // LOGGING FIX: Use shared GoogleSheetsLogger instance if provided, otherwise create new
-    this.sheetsLogger = options.sheetsLogger || new GoogleSheetsLogger();  
+    // LOGGING FIX: Use shared StateStore instance if provided, otherwise create the configured one
+    // (sheetsLogger is the option name used before the store became pluggable)
+    const sharedStore = options.stateStore || options.sheetsLogger;
+    this.stateStore = sharedStore || createStateStore();  
 
-    // Enhanced: Initialize position storage with persistent backend (Google Sheets)
-    // LOGGING FIX: Pass shared sheetsLogger instance to prevent re-initialization
-    this.positionStorage = new PositionStorage({  
+    // Enhanced: Initialize position storage with the same persistent backend
+    // LOGGING FIX: Pass shared stateStore instance to prevent re-initialization
+    // A shared PositionStorage may be injected so entry and exit managers see the same levels
+    this.positionStorage = options.positionStorage || new PositionStorage({  
       logger: options.logger,  
       enableLogging: options.enableLogging !== false,  
       enablePersistence: true,
-      sheetsLogger: this.sheetsLogger, // LOGGING FIX: Use shared instance
+      stateStore: this.stateStore, // LOGGING FIX: Use shared instance
       ...options.storageOptions
     });  
 
@@ -32,13 +39,23 @@ export default class EnhancedTradingPositionManager {
     this.maxPositionSizePercent = options.maxPositionSizePercent || 0.10; // 10% of equity  
     this.signalImprovementThreshold = options.signalImprovementThreshold || 0.20; // 20% improvement required  
     this.enableLogging = options.enableLogging !== false; // Default true  
+    this.now = options.now || (() => Date.now()); // Injectable clock for backtests  
+    // 'broker': submit entries as bracket/OTO orders so TP/SL rest at the broker; 'polling': exit manager watches levels  
+    this.exitOrderMode = options.exitOrderMode || process.env.EXIT_ORDER_MODE || 'polling';  
+    // Default scale-out ladder, e.g. TAKE_PROFIT_LADDER="1R:0.5,2R:0.25"; a signal's takeProfitLadder overrides it  
+    this.takeProfitLadder = options.takeProfitLadder || parseLadderSpec(process.env.TAKE_PROFIT_LADDER);  
+    // Run ID of the /api/trade invocation; entries get client_order_ids derived from it  
+    this.runId = options.runId || null;  
+    // Entries are followed until filled for up to fillWaitMs; orders still working are stored as  
+    // submitted and settled by PositionExitManager.reconcileOrderFills on a later run  
+    this.orderTracker = options.orderTracker || new OrderTracker(alpacaClient, { timeoutMs: options.fillWaitMs });  
     this.logger = options.logger || console;  
 
-    // LOGGING FIX: Only initialize if sheets not already initialized
-    if (!options.sheetsLogger) {
+    // LOGGING FIX: Only initialize if the store is not shared (and so already initialized)
+    if (!sharedStore) {
       this.initializePersistentStorage();
     } else if (this.enableLogging) {
-      this.logger.info('Using shared GoogleSheetsLogger instance');
+      this.logger.info('Using shared state store instance', { store: this.stateStore.getName?.() });
     }
   }  
 
@@ -54,14 +71,11 @@ export default class EnhancedTradingPositionManager {
         }  
       }  
 
-      // Only initialize sheets if not already done
-      if (this.sheetsLogger && this.sheetsLogger.enabled && !this.sheetsLogger.initialized) {  
-        await this.sheetsLogger.initializeTradingStateSheet();  
-        await this.sheetsLogger.initializeSignalStrengthSheet();  
-        await this.sheetsLogger.initializePositionLevelsSheet();  
-        this.sheetsLogger.initialized = true;
+      // Only initialize the store if not already done
+      if (this.stateStore && this.stateStore.enabled && !this.stateStore.initialized) {  
+        await this.stateStore.initialize();  
         if (this.enableLogging) {  
-          this.logger.info('Google Sheets state management initialized');  
+          this.logger.info('State store initialized', { store: this.stateStore.getName?.() });  
         }  
       }  
     } catch (error) {  
@@ -72,23 +86,23 @@ export default class EnhancedTradingPositionManager {
   }  
 
   /**  
-   * CRITICAL FIX: Check last trade time using Google Sheets instead of Map  
+   * CRITICAL FIX: Check last trade time using the state store instead of Map  
    * @param {string} symbol - Trading symbol  
-   * @returns {Object} Last trade info from Google Sheets  
+   * @returns {Object} Last trade info from the state store  
    */  
   async getLastTradeTime(symbol) {  
     try {  
-      if (!this.sheetsLogger || !this.sheetsLogger.enabled) {  
+      if (!this.stateStore || !this.stateStore.enabled) {  
         return { lastTradeTime: null, timeSinceLastTrade: Infinity };  
       }  
 
-      const lastTrade = await this.sheetsLogger.getLastTradeForSymbol(symbol);  
+      const lastTrade = await this.stateStore.getLastTradeForSymbol(symbol);  
       if (!lastTrade || !lastTrade.timestamp) {  
         return { lastTradeTime: null, timeSinceLastTrade: Infinity };  
       }  
 
       const lastTradeTime = new Date(lastTrade.timestamp).getTime();  
-      const timeSinceLastTrade = Date.now() - lastTradeTime;  
+      const timeSinceLastTrade = this.now() - lastTradeTime;  
 
       return {   
         lastTradeTime: lastTradeTime,   
@@ -96,7 +110,7 @@ export default class EnhancedTradingPositionManager {
         lastTradeData: lastTrade  
       };  
     } catch (error) {  
-      this.logger.error('Failed to get last trade time from Google Sheets', {  
+      this.logger.error('Failed to get last trade time from the state store', {  
         symbol,  
         error: error.message  
       });  
@@ -105,23 +119,23 @@ export default class EnhancedTradingPositionManager {
   }  
 
   /**  
-   * CRITICAL FIX: Record trade time in Google Sheets instead of Map  
+   * CRITICAL FIX: Record trade time in the state store instead of Map  
    * @param {string} symbol - Trading symbol  
    * @param {Object} tradeData - Trade information  
    */  
   async recordTradeTime(symbol, tradeData) {  
     try {  
-      if (!this.sheetsLogger || !this.sheetsLogger.enabled) {  
+      if (!this.stateStore || !this.stateStore.enabled) {  
         if (this.enableLogging) {  
-          this.logger.warning('Cannot record trade time - Google Sheets disabled');  
+          this.logger.warning('Cannot record trade time - state store disabled');  
         }  
         return false;  
       }  
 
       // Record in trading state sheet for cooldown tracking  
-      const success = await this.sheetsLogger.recordTradingState({  
+      const success = await this.stateStore.recordTradingState({  
         symbol,  
-        lastTradeTime: new Date().toISOString(),  
+        lastTradeTime: new Date(this.now()).toISOString(),  
         strategy: tradeData.strategy,  
         side: tradeData.side,  
         quantity: tradeData.quantity,  
@@ -130,7 +144,7 @@ export default class EnhancedTradingPositionManager {
       });  
 
       if (this.enableLogging) {  
-        this.logger.info('Trade time recorded in Google Sheets', {  
+        this.logger.info('Trade time recorded in the state store', {  
           symbol,  
           success  
         });  
@@ -138,7 +152,7 @@ export default class EnhancedTradingPositionManager {
 
       return success;  
     } catch (error) {  
-      this.logger.error('Failed to record trade time in Google Sheets', {  
+      this.logger.error('Failed to record trade time in the state store', {  
         symbol,  
         error: error.message  
       });  
@@ -148,7 +162,7 @@ export default class EnhancedTradingPositionManager {
 
   /**  
    * Enhanced trade execution that now stores TP/SL levels persistently  
-   * CRITICAL FIX: Uses Google Sheets for all state management  
+   * CRITICAL FIX: Uses the state store for all state management  
    * @param {string} symbol - Trading symbol  
    * @param {string} side - 'buy' or 'sell'  
    * @param {number} quantity - Number of shares  
@@ -160,7 +174,7 @@ export default class EnhancedTradingPositionManager {
    */  
   async executeTradeWithTPSL(symbol, side, quantity, currentPrice, strategy, signalStrength = null, exitLevels = null) {  
     try {  
-      // CRITICAL FIX: Validate before executing using Google Sheets state  
+      // CRITICAL FIX: Validate before executing using stored state  
       const validation = await this.validateTradeBeforeExecution(  
         symbol, side, quantity, currentPrice, strategy, signalStrength  
       );  
@@ -189,6 +203,10 @@ export default class EnhancedTradingPositionManager {
         };  
       }  
 
+      // Attach the exit levels as broker-held legs when enabled (GTC so they outlive the session)  
+      const exitLegs = this.exitOrderMode === 'broker' ? buildExitLegs(exitLevels) : null;  
+      const timeInForce = exitLegs ? 'gtc' : 'day';  
+
       // Execute the trade  
       if (this.enableLogging) {  
         this.logger.info('Submitting order to Alpaca', {  
@@ -196,7 +214,8 @@ export default class EnhancedTradingPositionManager {
           qty: quantity,  
           side,  
           type: 'market',  
-          time_in_force: 'day',  
+          time_in_force: timeInForce,  
+          orderClass: exitLegs?.order_class || 'simple',  
           strategy,  
           signalStrength,  
           exitLevels,  
@@ -204,20 +223,63 @@ export default class EnhancedTradingPositionManager {
         });  
       }  
 
-      const order = await this.alpaca.submitOrder({  
+      // Same run + strategy + symbol -> same ID, so a retried run cannot place the entry twice;  
+      // the order the earlier attempt placed is tracked and gets its levels stored instead  
+      const clientOrderId = buildClientOrderId({ runId: this.runId, strategy, symbol, purpose: 'entry' });  
+
+      const { order, existing } = await submitOrderOnce(this.alpaca, {  
         symbol: symbol,  
         qty: quantity,  
         side: side,  
         type: 'market',  
-        time_in_force: 'day'  
+        time_in_force: timeInForce,  
+        ...(clientOrderId && { client_order_id: clientOrderId }),  
+        ...exitLegs  
       });  
+      if (existing && this.enableLogging) {  
+        this.logger.warning('Entry already submitted by this run, tracking the existing order', {  
+          symbol,  
+          strategy,  
+          runId: this.runId,  
+          clientOrderId,  
+          orderId: order.id  
+        });  
+      }  
+
+      const fill = await this.trackEntryOrder(symbol, order);  
+      if ((fill.status === ORDER_STATES.CANCELLED || fill.status === ORDER_STATES.REJECTED) && fill.filledQty === 0) {  
+        this.logger.error('Entry order did not fill', {  
+          symbol,  
+          strategy,  
+          orderId: order.id,  
+          status: fill.status,  
+          brokerStatus: fill.brokerStatus  
+        });  
+        return {  
+          success: false,  
+          skipped: false,  
+          error: new Error(`Entry order ${fill.status}`),  
+          reasons: [`order_${fill.status}`],  
+          order: order,  
+          fill,  
+          validation: validation,  
+          signalAnalysis: validation.signalAnalysis,  
+          exitLevelsStored: false,  
+          persistentStorageUsed: false,  
+          timestamp: new Date().toISOString()  
+        };  
+      }  
+
+      // Levels are keyed to the actual fill; an order still working keeps the requested size for now  
+      const entryPrice = fill.filledAvgPrice ?? currentPrice;  
+      const entryQuantity = fill.final ? fill.filledQty : (parseInt(order.qty) || quantity);  
 
-      // CRITICAL FIX: Record the trade time in Google Sheets instead of Map  
+      // CRITICAL FIX: Record the trade time in the state store instead of Map  
       await this.recordTradeTime(symbol, {  
         strategy,  
         side,  
-        quantity,  
-        price: currentPrice,  
+        quantity: entryQuantity,  
+        price: entryPrice,  
         orderId: order.id  
       });  
 
@@ -230,16 +292,25 @@ export default class EnhancedTradingPositionManager {
         const levelData = {  
           stopLoss: exitLevels.stopLoss,  
           takeProfit: exitLevels.takeProfit,  
-          entryPrice: currentPrice,  
+          entryPrice: entryPrice,  
           side: positionSide,  
-          quantity: quantity,  
+          quantity: entryQuantity,  
           strategy: strategy,  
-          orderId: order.id  
+          orderId: order.id,  
+          metadata: {  
+            ...await this.buildExitMetadata(symbol, order, exitLegs, {  
+              ...exitLevels,  
+              entryPrice,  
+              side: positionSide,  
+              quantity: entryQuantity  
+            }),  
+            entryOrder: fill  
+          }  
         };  
 
         try {  
           exitLevelsStored = await this.positionStorage.storePositionLevels(symbol, levelData);  
-          persistentStorageUsed = this.positionStorage.sheetsLogger?.enabled || false;  
+          persistentStorageUsed = this.positionStorage.stateStore?.enabled || false;  
 
           if (this.enableLogging) {  
             this.logger.info('Take profit/stop loss levels stored persistently', {  
@@ -266,8 +337,9 @@ export default class EnhancedTradingPositionManager {
           orderId: order.id,  
           symbol,  
           side,  
-          quantity,  
-          status: order.status,  
+          quantity: entryQuantity,  
+          entryPrice,  
+          status: fill.status,  
           strategy,  
           signalStrength,  
           exitLevelsStored,  
@@ -282,6 +354,9 @@ export default class EnhancedTradingPositionManager {
         success: true,  
         skipped: false,  
         order: order,  
+        fill,  
+        entryPrice,  
+        entryQuantity,  
         validation: validation,  
         signalAnalysis: validation.signalAnalysis,  
         exitLevelsStored,  
@@ -314,6 +389,68 @@ export default class EnhancedTradingPositionManager {
     }  
   }  
 
+  /**  
+   * Wait for the entry order to fill. If the broker cannot be asked, the submit response  
+   * stands in and the order is reconciled later like any other working order.  
+   * @returns {Object} Fill snapshot (see describeOrder)  
+   */  
+  async trackEntryOrder(symbol, order) {  
+    try {  
+      return await this.orderTracker.waitForFinalState(order.id);  
+    } catch (error) {  
+      if (this.enableLogging) {  
+        this.logger.warning('Could not track entry order status', {  
+          symbol,  
+          orderId: order.id,  
+          error: error.message  
+        });  
+      }  
+      return describeOrder(order);  
+    }  
+  }  
+
+
+  /**  
+   * PositionLevels metadata for a new entry: when the position was opened (for the  
+   * max-holding-period exit), broker leg IDs, the per-position trailing stop settings  
+   * (exitLevels.trailingStop) and the resolved take-profit ladder, all read by PositionExitManager,  
+   * plus the method the stop and target were derived with (exitLevels.levelMethod)  
+   * @param {Object} entry - Exit levels plus entryPrice, side and quantity of the fill  
+   * @returns {Object} Metadata  
+   */  
+  async buildExitMetadata(symbol, order, exitLegs, entry) {  
+    // Scaling in keeps the original entry time and any legs still resting from earlier entries  
+    const existingLevels = await this.positionStorage.getPositionLevels(symbol);  
+    const ladder = buildTakeProfitLadder(entry.takeProfitLadder || this.takeProfitLadder, entry);  
+    return {  
+      entryTime: existingLevels?.metadata?.entryTime || order.submitted_at || new Date().toISOString(),  
+      ...(exitLegs && this.buildBrokerExitMetadata(existingLevels, order, exitLegs)),  
+      ...(entry.trailingStop && { trailing: { ...entry.trailingStop } }),  
+      ...(ladder && { ladder }),  
+      ...(entry.levelMethod && { levelMethod: { ...entry.levelMethod } })  
+    };  
+  }  
+
+  /**  
+   * Exit metadata for an entry submitted with broker-held legs. Legs from an earlier  
+   * bracket on the same symbol (scaling in) are kept so their fills are still reconciled.  
+   * @param {Object|null} existingLevels - Levels stored for the symbol before this entry  
+   * @param {Object} order - Submitted entry order (with legs)  
+   * @param {Object} exitLegs - Order class and legs that were requested  
+   * @returns {Object} PositionLevels metadata  
+   */  
+  buildBrokerExitMetadata(existingLevels, order, exitLegs) {  
+    const previousLegs = isBrokerManagedExit(existingLevels)  
+      ? (existingLevels.metadata.exitOrders || []).filter(leg => !leg.reported)  
+      : [];  
+
+    return {  
+      exitMode: 'broker',  
+      orderClass: exitLegs.order_class,  
+      exitOrders: [...previousLegs, ...extractExitLegs(order)]  
+    };  
+  }  
+
   /**  
    * Alias method for backward compatibility with existing trade.js calls  
    * This method calls executeTradeWithTPSL internally  
@@ -426,7 +563,7 @@ export default class EnhancedTradingPositionManager {
   }  
 
   /**  
-   * CRITICAL FIX: Main validation function using Google Sheets state  
+   * CRITICAL FIX: Main validation function using stored state  
    * @param {string} symbol - Trading symbol  
    * @param {string} side - 'buy' or 'sell'  
    * @param {number} quantity - Number of shares  
@@ -437,7 +574,7 @@ export default class EnhancedTradingPositionManager {
    */  
   async validateTradeBeforeExecution(symbol, side, quantity, currentPrice, strategy, signalStrength = null) {  
     if (this.enableLogging) {  
-      this.logger.info('Validating trade with Google Sheets state management', {  
+      this.logger.info('Validating trade with the state store', {  
         symbol,  
         side,  
         quantity,  
@@ -463,7 +600,7 @@ export default class EnhancedTradingPositionManager {
     };  
 
     try {  
-      // CRITICAL FIX: Check recent trade cooldown using Google Sheets  
+      // CRITICAL FIX: Check recent trade cooldown using the state store  
       const lastTradeInfo = await this.getLastTradeTime(symbol);  
       if (lastTradeInfo.lastTradeTime && lastTradeInfo.timeSinceLastTrade < this.minTimeBetweenTrades) {  
         validationResults.skipReasons.push('Recent trade cooldown active');  
@@ -474,7 +611,7 @@ export default class EnhancedTradingPositionManager {
         };  
 
         if (this.enableLogging) {  
-          this.logger.info('Trade blocked by cooldown from Google Sheets', {  
+          this.logger.info('Trade blocked by cooldown from the state store', {  
             symbol,  
             timeSinceLastTrade: lastTradeInfo.timeSinceLastTrade,  
             minTimeBetweenTrades: this.minTimeBetweenTrades,  
@@ -484,10 +621,10 @@ export default class EnhancedTradingPositionManager {
         return validationResults;  
       }  
 
-      // CRITICAL FIX: Check for duplicate signals using Google Sheets  
-      if (signalStrength !== null && this.sheetsLogger && this.sheetsLogger.enabled) {  
+      // CRITICAL FIX: Check for duplicate signals using the state store  
+      if (signalStrength !== null && this.stateStore && this.stateStore.enabled) {  
         try {  
-          const lastSignalStrength = await this.sheetsLogger.getLastSignalStrength(symbol, side);  
+          const lastSignalStrength = await this.stateStore.getLastSignalStrength(symbol, side);  
           if (lastSignalStrength !== null) {  
             // Only allow if new signal is at least 30% stronger than last  
             if (signalStrength <= lastSignalStrength * 1.3) {  
@@ -501,7 +638,7 @@ export default class EnhancedTradingPositionManager {
               };  
 
               if (this.enableLogging) {  
-                this.logger.info('Trade blocked by weak signal strength from Google Sheets', {  
+                this.logger.info('Trade blocked by weak signal strength from the state store', {  
                   symbol,  
                   side,  
                   lastSignalStrength,  
@@ -518,7 +655,7 @@ export default class EnhancedTradingPositionManager {
             signalImprovement: lastSignalStrength ? ((signalStrength - lastSignalStrength) / lastSignalStrength * 100).toFixed(2) + '%' : 'first_signal'  
           };  
         } catch (signalError) {  
-          this.logger.warning('Failed to check signal strength from Google Sheets', {  
+          this.logger.warning('Failed to check signal strength from the state store', {  
             symbol,  
             side,  
             error: signalError.message  
@@ -526,13 +663,7 @@ export default class EnhancedTradingPositionManager {
         }  
       }  
 
-      // Check position limits  
-      const totalValue = quantity * currentPrice;  
-      if (totalValue > 100000) { // Simple position size check  
-        validationResults.skipReasons.push('Position size exceeds limits');  
-        validationResults.checks.riskLimits = { withinLimits: false, reason: 'Position too large' };  
-        return validationResults;  
-      }  
+      // Size limits are RiskManager.checkExposureLimits, which the pipeline applies before this  
 
       // If we reach here, trade can proceed  
       validationResults.canTrade = true;  
@@ -541,7 +672,7 @@ export default class EnhancedTradingPositionManager {
       validationResults.checks.recentTrade = { blocked: false };  
 
       if (this.enableLogging) {  
-        this.logger.info('Trade validation passed using Google Sheets state', {  
+        this.logger.info('Trade validation passed using stored state', {  
           symbol,  
           side,  
           strategy,  
@@ -553,7 +684,7 @@ export default class EnhancedTradingPositionManager {
       return validationResults;  
 
     } catch (error) {  
-      this.logger.error('Error during trade validation with Google Sheets:', error);  
+      this.logger.error('Error during trade validation with the state store:', error);  
       validationResults.skipReasons.push(`Validation error: ${error.message}`);  
       return validationResults;  
     }  
@@ -576,7 +707,7 @@ export default class EnhancedTradingPositionManager {
       signalCache: {}, // Empty since we don't use Map cache anymore  
       exitLevelsStatus: {},  
       persistentStorage: {  
-        enabled: this.positionStorage.sheetsLogger?.enabled || false,  
+        enabled: this.positionStorage.stateStore?.enabled || false,  
         stats: await this.positionStorage.getStorageStats()  
       },  
       timestamp: new Date().toISOString()  
@@ -642,7 +773,7 @@ export default class EnhancedTradingPositionManager {
   }  
 
   /**  
-   * CRITICAL FIX: Get cooldown status using Google Sheets instead of Map  
+   * CRITICAL FIX: Get cooldown status using the state store instead of Map  
    */  
   async getCooldownStatus(symbol) {  
     try {  
@@ -659,28 +790,28 @@ export default class EnhancedTradingPositionManager {
         lastTradeTime: new Date(lastTradeInfo.lastTradeTime).toISOString()  
       };  
     } catch (error) {  
-      this.logger.error('Error getting cooldown status from Google Sheets:', symbol, error);  
+      this.logger.error('Error getting cooldown status from the state store:', symbol, error);  
       return { error: error.message, isInCooldown: false };  
     }  
   }  
 
   /**  
-   * CRITICAL FIX: Get all cooldowns using Google Sheets instead of Map  
+   * CRITICAL FIX: Get all cooldowns using the state store instead of Map  
    */  
   async getAllCooldowns() {  
     try {  
-      if (!this.sheetsLogger || !this.sheetsLogger.enabled) {  
+      if (!this.stateStore || !this.stateStore.enabled) {  
         return {};  
       }  
 
-      // Get all recent trades from Google Sheets  
-      const recentTrades = await this.sheetsLogger.getRecentTrades(24); // Last 24 hours  
+      // Get all recent trades from the state store  
+      const recentTrades = await this.stateStore.getRecentTrades(24); // Last 24 hours  
       const cooldowns = {};  
 
       for (const trade of recentTrades) {  
         if (trade.symbol && trade.timestamp) {  
           const tradeTime = new Date(trade.timestamp).getTime();  
-          const timeSinceLastTrade = Date.now() - tradeTime;  
+          const timeSinceLastTrade = this.now() - tradeTime;  
           const isInCooldown = timeSinceLastTrade < this.minTimeBetweenTrades;  
 
           if (isInCooldown) {  
@@ -694,7 +825,7 @@ export default class EnhancedTradingPositionManager {
 
       return cooldowns;  
     } catch (error) {  
-      this.logger.error('Error getting all cooldowns from Google Sheets:', error);  
+      this.logger.error('Error getting all cooldowns from the state store:', error);  
       return {};  
     }  
   }  
@@ -712,10 +843,10 @@ export default class EnhancedTradingPositionManager {
     };  
 
     if (this.logger) {  
-      this.logger.info('Enhanced Trading Position Manager initialized with Google Sheets state management', {  
+      this.logger.info('Enhanced Trading Position Manager initialized with the state store', {  
         defaultCooldownMinutes: this.config.cooldownMinutes,  
         positionStorageEnabled: true,  
-        persistentStorageEnabled: this.positionStorage.sheetsLogger?.enabled || false,  
+        persistentStorageEnabled: this.positionStorage.stateStore?.enabled || false,  
         mapCachesRemoved: true
       });  
     }  
@@ -0,0 +1,161 @@
+// lib/backtest/backtestBroker.js - Simulated Alpaca-compatible broker over recorded OHLC bars
+import { Logger } from '../utils/logger.js';
+import { SimulatedBroker } from '../brokers/simulatedBroker.js';
+import { normalizeTimeframe, timeframeMinutes, aggregateBars } from '../services/timeframes.js';
+
+/**
+ * SimulatedBroker driven by recorded bars instead of live quotes. The engine advances the
+ * clock with setTime(); every read only sees bars at or before that point, so strategies
+ * cannot look ahead. With zero latency, market orders fill immediately at the current bar
+ * close (plus optional slippage) using SimulatedBroker's matching and position accounting.
+ * A strategy asking for a coarser timeframe than the recorded bars (daily closes in an
+ * intraday replay) gets the visible bars rolled up per session.
+ */
+export class BacktestBroker extends SimulatedBroker {
+  constructor(historicalData = {}, options = {}) {
+    super({
+      ...options,
+      logger: options.logger || new Logger('BacktestBroker'),
+      statePath: null,
+      latencyMs: 0,
+      alwaysOpen: true
+    });
+
+    // Bars per symbol, sorted oldest -> newest
+    this.bars = {};
+    for (const [symbol, bars] of Object.entries(historicalData)) {
+      this.bars[symbol] = [...(bars || [])]
+        .map(bar => ({ ...bar, time: new Date(bar.timestamp).getTime() }))
+        .filter(bar => Number.isFinite(bar.time) && Number.isFinite(bar.close))
+        .sort((a, b) => a.time - b.time);
+    }
+
+    this.timeframe = normalizeTimeframe(options.timeframe || '1Day'); // Timeframe of the recorded bars
+    this.cursors = {}; // symbol -> index of latest visible bar (-1 = none yet)
+    Object.keys(this.bars).forEach(symbol => { this.cursors[symbol] = -1; });
+    this.currentTime = null;
+  }
+
+  /**
+   * All distinct bar timestamps across symbols (ms, ascending)
+   * @returns {number[]}
+   */
+  getTimeline() {
+    const times = new Set();
+    Object.values(this.bars).forEach(bars => bars.forEach(bar => times.add(bar.time)));
+    return Array.from(times).sort((a, b) => a - b);
+  }
+
+  /**
+   * Advance the simulated clock. Rolls last_equity at each new trading day so the
+   * daily loss limit is evaluated the way Alpaca reports it.
+   * @param {number} time - Epoch milliseconds
+   */
+  setTime(time) {
+    if (this.currentTime !== null && toDay(time) !== toDay(this.currentTime)) {
+      this.lastEquity = this.getEquity();
+    }
+
+    this.currentTime = time;
+    for (const [symbol, bars] of Object.entries(this.bars)) {
+      let cursor = this.cursors[symbol];
+      while (cursor + 1 < bars.length && bars[cursor + 1].time <= time) {
+        cursor++;
+      }
+      this.cursors[symbol] = cursor;
+    }
+  }
+
+  now() {
+    return this.currentTime ?? Date.now();
+  }
+
+  getCurrentBar(symbol) {
+    const bars = this.bars[symbol];
+    const cursor = this.cursors[symbol];
+    if (!bars || cursor === undefined || cursor < 0) return null;
+    return bars[cursor];
+  }
+
+  getPrice(symbol) {
+    const bar = this.getCurrentBar(symbol);
+    return bar ? bar.close : null;
+  }
+
+  getMarkPrice(symbol) {
+    const position = this.positions.get(symbol);
+    if (!position) return null;
+    return this.getPrice(symbol) ?? position.avgEntryPrice;
+  }
+
+  // Trading days roll in setTime(), at the bar boundary
+  rollTradingDay() {}
+
+  async getHistoricalData(symbol, timeframe = '1Day', limit = 100) {
+    const bars = this.bars[symbol];
+    const cursor = this.cursors[symbol];
+    if (!bars || cursor === undefined || cursor < 0) return [];
+
+    const barsPerBar = timeframeMinutes(timeframe) / timeframeMinutes(this.timeframe);
+    if (barsPerBar <= 1) {
+      return bars
+        .slice(Math.max(0, cursor - limit + 1), cursor + 1)
+        .map(({ time, ...bar }) => bar);
+    }
+
+    // One extra bucket so a partial first bucket can be dropped
+    const visible = bars
+      .slice(Math.max(0, cursor - Math.ceil((limit + 1) * barsPerBar) + 1), cursor + 1)
+      .map(({ time, ...bar }) => bar);
+    return aggregateBars(visible, timeframe).slice(-limit);
+  }
+
+  /**
+   * Resting limit/stop orders (bracket and OCO legs) are matched against the bar's high/low
+   * once a full bar has elapsed since they became active; a gap through the level fills
+   * at the open. On the bar they were armed only the close is known, as for live quotes.
+   */
+  getFillPrice(order, quote) {
+    const bar = this.getCurrentBar(order.symbol);
+    const activeSince = new Date(order.activated_at || order.submitted_at).getTime();
+    if (order.type === 'market' || !bar || bar.time <= activeSince) {
+      return super.getFillPrice(order, quote);
+    }
+
+    const slippage = this.options.slippage;
+    const open = bar.open ?? bar.close;
+    const high = bar.high ?? bar.close;
+    const low = bar.low ?? bar.close;
+
+    if (order.type === 'stop') {
+      const stopPrice = parseFloat(order.stop_price);
+      if (order.side === 'sell') {
+        return low <= stopPrice ? Math.min(open, stopPrice) * (1 - slippage) : null;
+      }
+      return high >= stopPrice ? Math.max(open, stopPrice) * (1 + slippage) : null;
+    }
+
+    const limitPrice = parseFloat(order.limit_price);
+    if (order.side === 'sell') {
+      return high >= limitPrice ? Math.max(open, limitPrice) : null;
+    }
+    return low <= limitPrice ? Math.min(open, limitPrice) : null;
+  }
+
+  async getQuote(symbol) {
+    const price = this.getPrice(symbol);
+    if (price === null) {
+      throw new Error(`No backtest data for ${symbol} at ${new Date(this.now()).toISOString()}`);
+    }
+    return {
+      symbol,
+      bid: price,
+      ask: price,
+      timestamp: new Date(this.now()).toISOString()
+    };
+  }
+}
+
+function toDay(time) {
+  return new Date(time).toISOString().slice(0, 10);
+}
@@ -0,0 +1,359 @@
+// lib/backtest/backtestEngine.js - Event-driven backtest that replays the live /api/trade pipeline
+import { Logger } from '../utils/logger.js';
+import { RiskManager } from '../utils/riskManager.js';
+import { PositionStorage } from '../utils/positionStorage.js';
+import TradingPositionManager from '../TradingPositionManager.js';
+import { PositionExitManager } from '../PositionExitManager.js';
+import { SignalExecutionPipeline } from '../SignalExecutionPipeline.js';
+import { SignalAggregator } from '../SignalAggregator.js';
+import { BacktestBroker } from './backtestBroker.js';
+import { BacktestStateStore } from './backtestStateStore.js';
+
+/**
+ * Steps through recorded bars one timestamp at a time and, for each step, runs the same
+ * two phases as /api/trade:
+ *   Phase 1 - PositionExitManager.monitorAndExecuteExits() (stored TP/SL levels, strategy exit hooks)
+ *   Phase 2 - daily loss and drawdown checks, strategy signals, bull/bear conflict resolution
+ *             (SignalAggregator), SignalExecutionPipeline.processSignal()
+ * Only the broker (BacktestBroker), the state backend (BacktestStateStore) and the clock are
+ * swapped; risk sizing, duplicate/cooldown checks and exit triggers are the production code.
+ */
+export class BacktestEngine {
+  constructor(options = {}) {
+    this.logger = options.logger || new Logger('Backtest');
+
+    this.options = {
+      initialCapital: options.initialCapital || 100000,
+      startDate: options.startDate || null,
+      endDate: options.endDate || null,
+      warmupBars: options.warmupBars ?? 50,
+      minTimeBetweenTrades: options.minTimeBetweenTrades || parseInt(process.env.MIN_TIME_BETWEEN_TRADES) || 300000,
+      riskConfig: options.riskConfig || {},
+      exitOptions: options.exitOptions || {},
+      aggregationOptions: options.aggregationOptions || {},
+      slippage: options.slippage || 0,
+      commissionPerShare: options.commissionPerShare || 0,
+      timeframe: options.timeframe || '1Day', // Timeframe of historicalData
+      ...options
+    };
+
+    this.strategies = options.strategies || [];
+    this.broker = new BacktestBroker(options.historicalData || {}, {
+      initialCapital: this.options.initialCapital,
+      slippage: this.options.slippage,
+      commissionPerShare: this.options.commissionPerShare,
+      timeframe: this.options.timeframe,
+      logger: this.logger
+    });
+
+    const now = () => this.broker.now();
+    this.stateStore = new BacktestStateStore({ logger: this.logger, now });
+
+    // One memory-only PositionStorage shared by entry and exit managers, as the state store is in production
+    this.positionStorage = new PositionStorage({
+      logger: this.logger,
+      enableLogging: false,
+      enablePersistence: false,
+      stateStore: this.stateStore
+    });
+
+    this.positionManager = new TradingPositionManager(this.broker, {
+      minTimeBetweenTrades: this.options.minTimeBetweenTrades,
+      enableLogging: false,
+      logger: this.logger,
+      stateStore: this.stateStore,
+      positionStorage: this.positionStorage,
+      exitOrderMode: this.options.exitOrderMode,
+      takeProfitLadder: this.options.takeProfitLadder,
+      fillWaitMs: 0,
+      now
+    });
+
+    this.exitManager = new PositionExitManager(this.broker, {
+      enableLogging: false,
+      logger: this.logger,
+      stateStore: this.stateStore,
+      positionStorage: this.positionStorage,
+      fillWaitMs: 0,
+      retryDelayMs: 0,
+      exitOrderMode: this.options.exitOrderMode,
+      ...this.options.exitOptions
+    });
+
+    this.riskManager = options.riskManager || new RiskManager(this.options.riskConfig, {
+      marketData: this.broker,
+      stateStore: this.stateStore
+    });
+
+    this.pipeline = new SignalExecutionPipeline({
+      riskManager: this.riskManager,
+      positionManager: this.positionManager,
+      exitManager: this.exitManager,
+      stateStore: this.stateStore,
+      logger: this.logger,
+      cooldownMs: this.options.minTimeBetweenTrades,
+      now
+    });
+
+    this.signalAggregator = new SignalAggregator({
+      logger: this.logger,
+      now,
+      ...this.options.aggregationOptions
+    });
+
+    // Strategies that persist state through a StateStore (e.g. RegimeDetection) use the simulated store instead
+    for (const strategy of this.strategies) {
+      if (strategy.stateStore) {
+        strategy.stateStore = this.stateStore;
+      }
+    }
+  }
+
+  /**
+   * Run the backtest over every bar timestamp inside [startDate, endDate]
+   * @returns {Object} Backtest results (trades, equity curve, metrics)
+   */
+  async run() {
+    const timeline = this.broker.getTimeline();
+    const startTime = this.options.startDate ? new Date(this.options.startDate).getTime() : -Infinity;
+    const endTime = this.options.endDate ? endOfDay(this.options.endDate) : Infinity;
+
+    const portfolio = [];
+    const orderMeta = new Map(); // orderId -> strategy/exit details for the trade log
+    const skipReasons = {};
+    const stats = {
+      barsProcessed: 0,
+      signalsGenerated: 0,
+      signalsFiltered: 0,
+      tradesSkipped: 0,
+      tradesFailed: 0,
+      exitsTriggered: 0,
+      signalConflicts: 0,
+      dailyLossHalts: 0,
+      drawdownHalts: 0
+    };
+    const recordExit = (exit) => {
+      if (exit.status !== 'executed') return;
+      stats.exitsTriggered++;
+      orderMeta.set(exit.orderId, {
+        type: 'exit',
+        exitType: exit.exitType,
+        reason: exit.exitReason,
+        strategy: exit.strategy || this.stateStore.tradingState.get(exit.symbol)?.strategy || null
+      });
+    };
+
+    this.logger.info('Starting backtest replay', {
+      strategies: this.strategies.map(s => s.getName()),
+      symbols: Object.keys(this.broker.bars),
+      bars: timeline.length,
+      startDate: this.options.startDate,
+      endDate: this.options.endDate,
+      initialCapital: this.options.initialCapital
+    });
+
+    try {
+      for (let i = 0; i < timeline.length; i++) {
+        const time = timeline[i];
+        this.broker.setTime(time);
+
+        if (i < this.options.warmupBars || time < startTime) continue;
+        if (time > endTime) break;
+
+        const currentDate = new Date(time).toISOString();
+        stats.barsProcessed++;
+
+        try {
+          // Phase 1: stored TP/SL exits, holding-period limit and strategy exit hooks
+          const exitResults = await this.exitManager.monitorAndExecuteExits(this.strategies);
+          exitResults.exitTrades.forEach(recordExit);
+
+          // Phase 2: new signals through the shared pipeline
+          const account = await this.broker.getAccount();
+          const positions = await this.broker.getPositions();
+
+          const dailyLossExceeded = await this.riskManager.isDailyLossLimitExceeded(account, positions);
+          const drawdownCheck = dailyLossExceeded ? null : await this.riskManager.checkDrawdownCircuitBreaker(account);
+          const { drawdownReduceFraction } = this.riskManager.config;
+
+          if (dailyLossExceeded) {
+            stats.dailyLossHalts++;
+          } else if (drawdownCheck.tripped) {
+            stats.drawdownHalts++;
+            if (drawdownCheck.justTripped && drawdownReduceFraction > 0) {
+              (await this.exitManager.reduceExposure(drawdownReduceFraction)).forEach(recordExit);
+            }
+          } else {
+            const currentPositions = await this.positionManager.getCurrentPositions();
+            const countSkip = (tradeResult) => {
+              stats[tradeResult.status === 'failed' ? 'tradesFailed' : 'tradesSkipped']++;
+              (tradeResult.reasons || []).forEach(reason => {
+                skipReasons[reason] = (skipReasons[reason] || 0) + 1;
+              });
+            };
+
+            const signalEntries = [];
+            for (const strategy of this.strategies) {
+              if (!strategy.isEnabled()) continue;
+
+              const signals = await strategy.generateSignals(this.broker);
+              const baseSymbol = (strategy.config && strategy.config.baseSymbol) ||
+                (strategy.options && strategy.options.baseSymbol) ||
+                'SPY';
+
+              for (const signal of signals) {
+                stats.signalsGenerated++;
+                signalEntries.push({ signal, strategyName: strategy.getName(), baseSymbol, strategy });
+              }
+            }
+
+            const aggregation = this.signalAggregator.aggregate(signalEntries, currentPositions);
+            stats.signalConflicts += aggregation.conflicts.length;
+            aggregation.blocked.forEach(countSkip);
+            for (const leg of aggregation.closeLegs) {
+              const exit = await this.exitManager.closeSymbol(leg.symbol, 'signal_conflict', leg.reason, leg.strategyName);
+              if (exit) recordExit(exit);
+            }
+
+            for (const { signal, strategyName, baseSymbol, strategy } of aggregation.signals) {
+              const tradeResult = await this.pipeline.processSignal(signal, {
+                strategyName,
+                baseSymbol,
+                account,
+                positions,
+                currentPositions,
+                sizing: strategy.config?.sizing,
+                levels: strategy.config?.levels
+              });
+
+              if (!tradeResult) {
+                stats.signalsFiltered++;
+                continue;
+              }
+              if (tradeResult.rotation?.exit) {
+                recordExit(tradeResult.rotation.exit);
+              }
+
+              if (tradeResult.status === 'executed') {
+                orderMeta.set(tradeResult.orderId, {
+                  type: 'entry',
+                  strategy: tradeResult.strategy,
+                  baseSymbol,
+                  reason: signal.reason,
+                  confidence: signal.confidence ?? null,
+                  stopLoss: tradeResult.stopLoss,
+                  takeProfit: tradeResult.takeProfit
+                });
+              } else {
+                countSkip(tradeResult);
+              }
+            }
+          }
+        } catch (error) {
+          // Continue backtest even if an individual bar fails
+          this.logger.warning('Backtest step failed', { date: currentDate, error: error.message });
+        }
+
+        const value = this.broker.getEquity();
+        // Performance snapshots keep the equity high-water mark the circuit breaker measures against
+        await this.stateStore.logPerformance({ totalEquity: value });
+        portfolio.push({
+          date: currentDate,
+          value,
+          cash: this.broker.cash,
+          return: ((value - this.options.initialCapital) / this.options.initialCapital) * 100
+        });
+      }
+    } finally {
+      this.positionStorage.stopCacheCleanup();
+    }
+
+    const trades = this.broker.fills.map(fill => ({
+      date: fill.timestamp,
+      orderId: fill.orderId,
+      symbol: fill.symbol,
+      side: fill.side,
+      quantity: fill.quantity,
+      price: fill.price,
+      value: fill.quantity * fill.price,
+      commission: fill.commission,
+      ...orderMeta.get(fill.orderId),
+      ...(fill.realizedPL !== 0 ? { pnl: fill.realizedPL } : {})
+    }));
+
+    return this.buildResults(trades, portfolio, stats, skipReasons);
+  }
+
+  buildResults(trades, portfolio, stats, skipReasons) {
+    const initialCapital = this.options.initialCapital;
+    const finalValue = portfolio.length > 0 ? portfolio[portfolio.length - 1].value : initialCapital;
+    const totalReturn = ((finalValue - initialCapital) / initialCapital) * 100;
+    const closedTrades = trades.filter(t => t.pnl !== undefined);
+    const winningTrades = closedTrades.filter(t => t.pnl > 0).length;
+    const losingTrades = closedTrades.filter(t => t.pnl < 0).length;
+    const winRate = winningTrades / (winningTrades + losingTrades) || 0;
+    const realizedPnL = closedTrades.reduce((sum, t) => sum + t.pnl, 0);
+
+    // Calculate maximum drawdown
+    let maxDrawdown = 0;
+    let peak = initialCapital;
+    for (const point of portfolio) {
+      if (point.value > peak) peak = point.value;
+      const drawdown = ((peak - point.value) / peak) * 100;
+      if (drawdown > maxDrawdown) maxDrawdown = drawdown;
+    }
+
+    // Calculate symbol-specific metrics
+    const symbolMetrics = {};
+    for (const symbol of new Set(trades.map(t => t.symbol))) {
+      const symbolTrades = trades.filter(t => t.symbol === symbol);
+      const symbolWins = symbolTrades.filter(t => t.pnl > 0).length;
+      const symbolLosses = symbolTrades.filter(t => t.pnl < 0).length;
+
+      symbolMetrics[symbol] = {
+        totalTrades: symbolTrades.length,
+        winningTrades: symbolWins,
+        losingTrades: symbolLosses,
+        winRate: symbolWins / (symbolWins + symbolLosses) || 0,
+        totalPnL: symbolTrades.reduce((sum, t) => sum + (t.pnl || 0), 0)
+      };
+    }
+
+    return {
+      initialCapital,
+      finalValue,
+      totalReturn,
+      trades,
+      portfolio,
+      openPositions: Array.from(this.broker.positions.entries()).map(([symbol, p]) => ({
+        symbol,
+        qty: p.qty,
+        avgEntryPrice: p.avgEntryPrice
+      })),
+      symbolMetrics,
+      pipeline: {
+        ...stats,
+        skipReasons
+      },
+      metrics: {
+        totalTrades: trades.length,
+        closedTrades: closedTrades.length,
+        winningTrades,
+        losingTrades,
+        winRate: winRate * 100,
+        maxDrawdown,
+        totalPnL: finalValue - initialCapital,
+        realizedPnL,
+        avgTradeReturn: realizedPnL / closedTrades.length || 0,
+        stopLossExits: trades.filter(t => t.exitType === 'stop_loss').length,
+        takeProfitExits: trades.filter(t => t.exitType === 'take_profit').length
+      }
+    };
+  }
+}
+
+function endOfDay(date) {
+  const time = new Date(date).getTime();
+  // Date-only strings include the whole trading day
+  return /^\d{4}-\d{2}-\d{2}$/.test(date) ? time + 86400000 - 1 : time;
+}
@@ -0,0 +1,206 @@
+// lib/backtest/backtestStateStore.js - In-memory StateStore used during backtests
+import { Logger } from '../utils/logger.js';
+import { StateStore, OPEN_TRADE_STATUSES, emptyEquityState, incrementedRateLimitUsage, initialTradeStatus, selectClosedTrades } from '../state/stateStore.js';
+
+/**
+ * Implements the StateStore interface (trades, trading state, signal strength, regime state,
+ * position levels and performance) against plain arrays and maps.
+ * Timestamps come from the injected clock so cooldowns and signal-strength lookups behave
+ * in simulated time exactly as they do against the live sheets.
+ */
+export class BacktestStateStore extends StateStore {
+  constructor(options = {}) {
+    super();
+    this.logger = options.logger || new Logger('BacktestStateStore');
+    this.now = options.now || (() => Date.now());
+
+    // Flags checked by the position managers before persisting
+    this.enabled = true;
+    this.initialized = true;
+
+    this.trades = [];
+    this.tradingState = new Map(); // symbol -> latest TradingState row
+    this.signalStrengths = [];
+    this.regimeStates = new Map(); // `${baseSymbol}:${strategyName}` -> RegimeState rows, oldest first
+    this.positionLevels = new Map(); // symbol -> stored levels
+    this.performance = [];
+    this.tradingHalt = null; // Kill-switch row of TradingState
+    this.equityState = emptyEquityState(); // High-water mark and drawdown circuit breaker
+    this.rateLimitUsage = {}; // Market data provider quota counters
+  }
+
+  timestamp() {
+    return new Date(this.now()).toISOString();
+  }
+
+  // Initialization is a no-op for the in-memory store
+  async initializeSheets() { return true; }
+
+  async logTrade(tradeData) {
+    this.trades.push({
+      ...tradeData,
+      status: initialTradeStatus(tradeData)
+    });
+  }
+
+  async getOpenTrades() {
+    return this.trades.filter(trade => trade.orderId && OPEN_TRADE_STATUSES.includes(trade.status));
+  }
+
+  async getClosedTrades(options = {}) {
+    return selectClosedTrades(this.trades, options);
+  }
+
+  async updateTradeStatus(orderId, status, exitPrice = null, pnl = null, remainingQty = null) {
+    const trade = this.trades.find(t => t.orderId === orderId);
+    if (!trade) return false;
+
+    trade.status = status;
+    if (exitPrice !== null) trade.exitPrice = exitPrice;
+    if (pnl !== null) trade.pnl = pnl;
+    if (remainingQty !== null) trade.remainingQty = remainingQty;
+    return true;
+  }
+
+  async logPerformance(performanceData) {
+    this.performance.push({ timestamp: this.timestamp(), ...performanceData });
+    await this.recordEquitySnapshot(performanceData.totalEquity);
+  }
+
+  async recordTradingState(stateData) {
+    this.tradingState.set(stateData.symbol, {
+      timestamp: this.timestamp(),
+      symbol: stateData.symbol,
+      side: stateData.side ? stateData.side.toUpperCase() : '',
+      strategy: stateData.strategy || '',
+      quantity: parseInt(stateData.quantity) || null,
+      price: parseFloat(stateData.price) || null,
+      orderId: stateData.orderId || '',
+      lastTradeTime: stateData.lastTradeTime || this.timestamp()
+    });
+    return true;
+  }
+
+  async getLastTradeForSymbol(symbol) {
+    return this.tradingState.get(symbol) || null;
+  }
+
+  async getRecentTrades(hoursBack = 24) {
+    const cutoffTime = this.now() - (hoursBack * 60 * 60 * 1000);
+    return Array.from(this.tradingState.values())
+      .filter(row => new Date(row.timestamp).getTime() >= cutoffTime)
+      .sort((a, b) => new Date(b.timestamp) - new Date(a.timestamp));
+  }
+
+  async setTradingHalt({ halted, reason = '', updatedBy = '' }) {
+    this.tradingHalt = { halted: !!halted, reason: reason || null, updatedAt: this.timestamp(), updatedBy: updatedBy || null };
+    return true;
+  }
+
+  async getTradingHalt() {
+    return this.tradingHalt || { halted: false, reason: null, updatedAt: null, updatedBy: null };
+  }
+
+  async setEquityState(equityState) {
+    this.equityState = { ...emptyEquityState(), ...equityState };
+    return true;
+  }
+
+  async getEquityState() {
+    return { ...this.equityState };
+  }
+
+  async setRateLimitUsage(source, { windowStart, calls }) {
+    this.rateLimitUsage[source] = { windowStart, calls, updatedAt: this.timestamp() };
+    return true;
+  }
+
+  async incrementRateLimitUsage(source, windowStart, count = 1) {
+    const usage = incrementedRateLimitUsage(this.rateLimitUsage[source], windowStart, count);
+    this.rateLimitUsage[source] = { ...usage, updatedAt: this.timestamp() };
+    return usage;
+  }
+
+  async getRateLimitUsage() {
+    return { ...this.rateLimitUsage };
+  }
+
+  async logSignalStrength({ timestamp, symbol, side, strategy, signalStrength, orderId }) {
+    if (!symbol) return;
+
+    this.signalStrengths.push({
+      timestamp: timestamp || this.timestamp(),
+      symbol: symbol.toString().toUpperCase(),
+      side: side ? side.toString().toUpperCase() : '',
+      strategy: strategy ? strategy.toString() : '',
+      signalStrength: signalStrength != null ? parseFloat(signalStrength) : null,
+      orderId: orderId ? orderId.toString() : ''
+    });
+  }
+
+  async getLastSignalStrength(symbol, side = null, excludeRecentMinutes = 1) {
+    const searchSymbol = symbol ? symbol.toString().toUpperCase() : '';
+    const searchSide = side ? side.toString().toUpperCase() : null;
+    const cutoffTime = this.now() - (excludeRecentMinutes * 60 * 1000);
+
+    // Same matching rules as GoogleSheetsLogger: newest first, skip entries inside the exclusion window
+    for (let i = this.signalStrengths.length - 1; i >= 0; i--) {
+      const row = this.signalStrengths[i];
+      if (new Date(row.timestamp).getTime() > cutoffTime) continue;
+      if (row.symbol !== searchSymbol) continue;
+      if (searchSide && row.side !== searchSide) continue;
+      return row.signalStrength !== null && !isNaN(row.signalStrength) ? row.signalStrength : null;
+    }
+    return null;
+  }
+
+  async storeRegimeState(regimeData) {
+    const strategyName = regimeData.strategyName || 'RegimeDetection';
+    const key = `${regimeData.baseSymbol}:${strategyName}`;
+    this.regimeStates.set(key, [...(this.regimeStates.get(key) || []), {
+      timestamp: this.timestamp(),
+      baseSymbol: regimeData.baseSymbol,
+      regime: regimeData.regime,
+      ma200: parseFloat(regimeData.ma200) || null,
+      currentPrice: parseFloat(regimeData.currentPrice) || null,
+      regimeStrength: parseFloat(regimeData.regimeStrength) || null,
+      changeDate: regimeData.changeDate || this.timestamp(),
+      strategyName
+    }]);
+    return true;
+  }
+
+  async getRegimeState(baseSymbol, strategyName = 'RegimeDetection') {
+    const rows = this.regimeStates.get(`${baseSymbol}:${strategyName}`) || [];
+    return rows[rows.length - 1] || null;
+  }
+
+  async getRegimeHistory(baseSymbol, strategyName = 'RegimeDetection', daysBack = 30) {
+    const cutoffTime = this.now() - (daysBack * 24 * 60 * 60 * 1000);
+    return (this.regimeStates.get(`${baseSymbol}:${strategyName}`) || [])
+      .filter(row => new Date(row.timestamp).getTime() >= cutoffTime)
+      .reverse();
+  }
+
+  async storePositionLevels(symbol, levels) {
+    this.positionLevels.set(symbol, { ...levels, symbol, timestamp: this.timestamp(), lastUpdated: this.timestamp() });
+    return true;
+  }
+
+  async getPositionLevels(symbol) {
+    return this.positionLevels.get(symbol) || null;
+  }
+
+  async removePositionLevels(symbol) {
+    this.positionLevels.delete(symbol);
+    return true;
+  }
+
+  async getStoredPositionsCount() {
+    return this.positionLevels.size;
+  }
+
+  async getAllStoredSymbols() {
+    return Array.from(this.positionLevels.keys());
+  }
+}
@@ -1,15 +1,26 @@
 // lib/brokers/alpacaHybrid.js - Hybrid Alpaca API with Real Market Data
 import Alpaca from '@alpacahq/alpaca-trade-api';
 import { MarketDataService } from '../services/marketDataService.js';
+import { BarStore } from '../services/barStore.js';
+import { ProvenanceLog, tagBars, tagQuote } from '../services/dataProvenance.js';
+import { BrokerAdapter, normalizeOrderQuery } from './brokerAdapter.js';
 import { Logger } from '../utils/logger.js';
 
-export class AlpacaHybridApi {
+export class AlpacaHybridApi extends BrokerAdapter {
     constructor(config) {
-        this.alpaca = new Alpaca(config);
-        this.marketData = new MarketDataService();
+        super();
+        const { barStore, stateStore, ...alpacaConfig } = config;
+        this.alpaca = new Alpaca(alpacaConfig);
+        this.marketData = new MarketDataService({ stateStore });
         this.logger = new Logger();
         this.config = config;
 
+        // Optional local bar store (BAR_STORE_DIR) for imported history and offline runs
+        this.barStore = barStore || (process.env.BAR_STORE_DIR ? new BarStore({ baseDir: process.env.BAR_STORE_DIR }) : null);
+
+        // Bars and quotes handed out by this instance, checked by the trade route's market data policy
+        this.provenanceLog = new ProvenanceLog();
+
         this.logger.info('Hybrid Alpaca API initialized', {
             mode: config.paper ? 'Paper Trading' : 'Live Trading',
             dataSource: 'Real market data from free APIs'
@@ -46,15 +57,47 @@ export class AlpacaHybridApi {
         }
     }
 
-    async getOrders(status = 'open') {
+    getName() {
+        return 'alpaca';
+    }
+
+    // Accepts { status, limit, direction, after, until } or a bare status string
+    async getOrders(params = { status: 'open' }) {
         try {
-            return await this.alpaca.getOrders({ status });
+            return await this.alpaca.getOrders(normalizeOrderQuery(params));
         } catch (error) {
             this.logger.error('Failed to get orders from Alpaca', error);
             throw error;
         }
     }
 
+    async getOrder(orderId) {
+        try {
+            return await this.alpaca.getOrder(orderId);
+        } catch (error) {
+            this.logger.error('Failed to get order from Alpaca', { orderId, error: error.message });
+            throw error;
+        }
+    }
+
+    async getOrderByClientOrderId(clientOrderId) {
+        try {
+            return await this.alpaca.getOrderByClientId(clientOrderId);
+        } catch (error) {
+            this.logger.error('Failed to get order by client order ID from Alpaca', { clientOrderId, error: error.message });
+            throw error;
+        }
+    }
+
+    async getClock() {
+        try {
+            return await this.alpaca.getClock();
+        } catch (error) {
+            this.logger.error('Failed to get market clock from Alpaca', { error: error.message });
+            throw error;
+        }
+    }
+
     // Trading execution uses Alpaca
     async submitOrder(orderData) {
         try {
@@ -62,15 +105,23 @@ export class AlpacaHybridApi {
                 symbol: orderData.symbol,
                 qty: orderData.qty,
                 side: orderData.side,
-                type: orderData.type || 'market'
+                type: orderData.type || 'market',
+                ...(orderData.order_class && { orderClass: orderData.order_class })
             });
 
+            // Bracket / OCO / OTO orders carry their exit legs as take_profit / stop_loss
             const order = await this.alpaca.createOrder({
                 symbol: orderData.symbol,
                 qty: orderData.qty,
                 side: orderData.side,
                 type: orderData.type || 'market',
-                time_in_force: orderData.time_in_force || 'day'
+                time_in_force: orderData.time_in_force || 'day',
+                ...(orderData.limit_price != null && { limit_price: orderData.limit_price }),
+                ...(orderData.stop_price != null && { stop_price: orderData.stop_price }),
+                ...(orderData.client_order_id && { client_order_id: orderData.client_order_id }),
+                ...(orderData.order_class && { order_class: orderData.order_class }),
+                ...(orderData.take_profit && { take_profit: orderData.take_profit }),
+                ...(orderData.stop_loss && { stop_loss: orderData.stop_loss })
             });
 
             this.logger.success('Order submitted successfully to Alpaca', { 
@@ -78,7 +129,8 @@ export class AlpacaHybridApi {
                 symbol: order.symbol,
                 qty: order.qty,
                 side: order.side,
-                status: order.status
+                status: order.status,
+                ...(order.legs?.length && { legs: order.legs.map(leg => ({ id: leg.id, type: leg.type, status: leg.status })) })
             });
 
             return order;
@@ -111,21 +163,44 @@ export class AlpacaHybridApi {
                 source: 'Free market APIs (not Alpaca)'
             });
 
+            // Prefer locally stored bars when the bar store has this symbol/timeframe
+            if (this.barStore) {
+                const storedBars = await this.barStore.getBars(symbol, timeframe, { limit });
+                if (storedBars.length > 0) {
+                    this.logger.info('Historical data retrieved from local bar store', {
+                        symbol,
+                        timeframe,
+                        bars: storedBars.length,
+                        dateRange: {
+                            from: storedBars[0].timestamp,
+                            to: storedBars[storedBars.length - 1].timestamp
+                        }
+                    });
+
+                    const bars = tagBars(storedBars, { source: 'barStore', synthetic: false });
+                    this.provenanceLog.recordBars(symbol, timeframe, bars);
+                    return bars;
+                }
+            }
+
             // Use MarketDataService for real market data
-            const data = await this.marketData.getHistoricalData(symbol, limit);
+            const data = await this.marketData.getHistoricalData(symbol, limit, timeframe);
 
             if (data && data.length > 0) {
                 this.logger.info('Real historical data retrieved successfully', {
                     symbol,
+                    timeframe,
                     bars: data.length,
                     source: 'External market data APIs',
                     dateRange: {
-                        from: data[data.length - 1]?.timestamp,
-                        to: data[0]?.timestamp
+                        from: data[0]?.timestamp,
+                        to: data[data.length - 1]?.timestamp
                     },
-                    latestPrice: data[0]?.close
+                    latestPrice: data[data.length - 1]?.close,
+                    provenance: data[data.length - 1]?.provenance
                 });
 
+                this.provenanceLog.recordBars(symbol, timeframe, data);
                 return data;
             } else {
                 this.logger.warning('No historical data available', { symbol });
@@ -161,9 +236,11 @@ export class AlpacaHybridApi {
                     symbol: quote.symbol,
                     price: ((quote.bid + quote.ask) / 2).toFixed(2),
                     spread: (quote.ask - quote.bid).toFixed(4),
-                    source: 'External market data APIs'
+                    source: 'External market data APIs',
+                    provenance: quote.provenance
                 });
 
+                this.provenanceLog.recordQuote(symbol, quote);
                 return quote;
             }
 
@@ -177,14 +254,14 @@ export class AlpacaHybridApi {
             try {
                 const alpacaQuote = await this.alpaca.getLatestQuote(symbol);
 
-                const quote = {
+                const quote = tagQuote({
                     symbol,
                     bid: alpacaQuote.BidPrice || 0,
                     ask: alpacaQuote.AskPrice || 0,
                     bidSize: alpacaQuote.BidSize || 0,
                     askSize: alpacaQuote.AskSize || 0,
                     timestamp: alpacaQuote.Timestamp || new Date().toISOString()
-                };
+                }, { source: 'alpaca', synthetic: false });
 
                 this.logger.info('Quote retrieved from Alpaca fallback', {
                     symbol: quote.symbol,
@@ -192,6 +269,7 @@ export class AlpacaHybridApi {
                     source: 'Alpaca API (fallback)'
                 });
 
+                this.provenanceLog.recordQuote(symbol, quote);
                 return quote;
 
             } catch (alpacaError) {
@@ -202,19 +280,20 @@ export class AlpacaHybridApi {
 
                 // Last resort: get latest price from historical data
                 try {
-                    const historicalData = await this.getHistoricalData(symbol, 1);
+                    const historicalData = await this.getHistoricalData(symbol, '1Day', 1);
                     if (historicalData && historicalData.length > 0) {
-                        const latestBar = historicalData[0];
+                        const latestBar = historicalData[historicalData.length - 1];
                         const price = latestBar.close;
 
-                        const quote = {
+                        // The spread around the close is made up, so the quote is synthetic
+                        const quote = tagQuote({
                             symbol,
                             bid: price * 0.9995,
                             ask: price * 1.0005,
                             bidSize: 100,
                             askSize: 100,
                             timestamp: latestBar.timestamp
-                        };
+                        }, { source: latestBar.provenance?.source || 'historical', synthetic: true });
 
                         this.logger.info('Quote derived from historical data', {
                             symbol: quote.symbol,
@@ -222,6 +301,7 @@ export class AlpacaHybridApi {
                             source: 'Historical data (last resort)'
                         });
 
+                        this.provenanceLog.recordQuote(symbol, quote);
                         return quote;
                     }
                 } catch (historicalError) {
@@ -334,9 +414,29 @@ export class AlpacaHybridApi {
         }
     }
 
+    // Market data fetches this run that switched provider, failed validation or carried warnings
+    getDataValidationReport() {
+        return this.marketData.getValidationReport();
+    }
+
+    // Source, synthetic flag and age of the bars and quotes handed out this run
+    getDataProvenance() {
+        return this.provenanceLog;
+    }
+
+    // Market data sources with their stored call counts
+    async getDataSourceStatus() {
+        return this.marketData.getDataSourceStatus();
+    }
+
+    // Store this run's provider call counts
+    async persistDataSourceUsage() {
+        await this.marketData.persistRateLimitUsage();
+    }
+
     // Get comprehensive data source status
-    getDataSourceInfo() {
-        const marketDataStatus = this.marketData.getDataSourceStatus();
+    async getDataSourceInfo() {
+        const marketDataStatus = await this.marketData.getDataSourceStatus();
 
         return {
             tradingExecution: {
@@ -347,6 +447,7 @@ export class AlpacaHybridApi {
             marketData: {
                 primary: 'External Real Market Data APIs',
                 sources: marketDataStatus,
+                cache: this.marketData.getCacheStats(),
                 fallback: 'Alpaca API (when external fails)'
             },
             advantages: [
@@ -395,7 +496,7 @@ export class AlpacaHybridApi {
                     symbol: testSymbol,
                     price: ((quote.bid + quote.ask) / 2).toFixed(2)
                 },
-                sources: this.marketData.getDataSourceStatus()
+                sources: await this.marketData.getDataSourceStatus()
             };
         } catch (error) {
             healthCheck.marketData = {
@@ -0,0 +1,87 @@
+// lib/brokers/brokerAdapter.js - Broker adapter interface shared by all execution backends
+
+/**
+ * Methods every broker adapter must provide. Shapes follow the Alpaca REST objects
+ * (string-valued qty/price fields) because strategies, RiskManager and the position
+ * managers already parse those.
+ *
+ *   getAccount()                         -> { equity, last_equity, cash, buying_power, portfolio_value, status }
+ *   getPositions()                       -> [{ symbol, qty, side, avg_entry_price, current_price, market_value, cost_basis, unrealized_pl }]
+ *   getOrders({ status, limit, direction, after, until }) -> [order]
+ *   getOrder(orderId)                    -> { id, client_order_id, symbol, qty, filled_qty, side, type, status, filled_avg_price, ... }
+ *   getOrderByClientOrderId(clientOrderId) -> order (as getOrder)
+ *   submitOrder({ symbol, qty, side, type, time_in_force, limit_price, stop_price, client_order_id,
+ *                 order_class, take_profit: { limit_price }, stop_loss: { stop_price, limit_price } }) -> order (+ legs)
+ *   cancelOrder(orderId)
+ *   getClock()                           -> { timestamp, is_open, next_open, next_close }
+ *   isMarketOpen()                       -> boolean
+ *   getQuote(symbol)                     -> { symbol, bid, ask, timestamp, provenance }
+ *   getHistoricalData(symbol, timeframe, limit) -> [{ timestamp, open, high, low, close, volume, provenance }]
+ *                                         oldest -> newest: the last bar is the latest, as the
+ *                                         strategies and indicators read them
+ *
+ * provenance is { source, synthetic, age } (see services/dataProvenance.js). Live-data adapters
+ * set it and expose the run's ProvenanceLog through an optional getDataProvenance(), and their
+ * market data sources' configuration and call counts through an optional getDataSourceStatus().
+ * An optional persistDataSourceUsage() stores the run's provider call counts; runs call it once
+ * at the end.
+ */
+export const BROKER_METHODS = [
+  'getAccount',
+  'getPositions',
+  'getOrders',
+  'getOrder',
+  'getOrderByClientOrderId',
+  'submitOrder',
+  'cancelOrder',
+  'getClock',
+  'isMarketOpen',
+  'getQuote',
+  'getHistoricalData'
+];
+
+export class BrokerAdapter {
+  getName() {
+    return this.constructor.name;
+  }
+
+  async getAccount() { throw notImplemented(this, 'getAccount'); }
+  async getPositions() { throw notImplemented(this, 'getPositions'); }
+  async getOrders(params = {}) { throw notImplemented(this, 'getOrders'); }
+  async getOrder(orderId) { throw notImplemented(this, 'getOrder'); }
+  async getOrderByClientOrderId(clientOrderId) { throw notImplemented(this, 'getOrderByClientOrderId'); }
+  async submitOrder(orderData) { throw notImplemented(this, 'submitOrder'); }
+  async cancelOrder(orderId) { throw notImplemented(this, 'cancelOrder'); }
+  async getClock() { throw notImplemented(this, 'getClock'); }
+  async getQuote(symbol) { throw notImplemented(this, 'getQuote'); }
+  async getHistoricalData(symbol, timeframe, limit) { throw notImplemented(this, 'getHistoricalData'); }
+
+  async isMarketOpen() {
+    const clock = await this.getClock();
+    return clock.is_open;
+  }
+}
+
+/**
+ * Throw if an object does not provide the full broker surface
+ * @param {Object} broker - Candidate adapter
+ * @returns {Object} The same broker, for chaining
+ */
+export function assertBrokerAdapter(broker) {
+  const missing = BROKER_METHODS.filter(method => typeof broker?.[method] !== 'function');
+  if (missing.length > 0) {
+    throw new Error(`Broker ${broker?.constructor?.name || 'adapter'} is missing required methods: ${missing.join(', ')}`);
+  }
+  return broker;
+}
+
+/**
+ * Normalise the legacy getOrders('open') signature to a params object
+ */
+export function normalizeOrderQuery(params = {}) {
+  return typeof params === 'string' ? { status: params } : { ...params };
+}
+
+function notImplemented(adapter, method) {
+  return new Error(`${adapter.getName()} does not implement ${method}()`);
+}
@@ -0,0 +1,63 @@
+// lib/brokers/brokerFactory.js - Select and construct the configured broker adapter
+import path from 'path';
+import { AlpacaHybridApi } from './alpacaHybrid.js';
+import { SimulatedBroker } from './simulatedBroker.js';
+import { assertBrokerAdapter } from './brokerAdapter.js';
+import { BarStore } from '../services/barStore.js';
+
+const brokerRegistry = new Map();
+
+/**
+ * Register a broker adapter under a name usable in BROKER / createBroker({ broker })
+ * @param {string} name - Adapter name (case-insensitive)
+ * @param {Function} factory - (options) => adapter instance
+ */
+export function registerBroker(name, factory) {
+  brokerRegistry.set(name.toLowerCase(), factory);
+}
+
+export function getAvailableBrokers() {
+  return Array.from(brokerRegistry.keys());
+}
+
+/**
+ * Create the broker adapter selected by options.broker or the BROKER env var (default: alpaca)
+ * @param {Object} options - Adapter-specific options, passed through to the factory
+ * @returns {BrokerAdapter} Adapter implementing the full broker interface
+ */
+export function createBroker(options = {}) {
+  const name = (options.broker || process.env.BROKER || 'alpaca').toLowerCase();
+  const factory = brokerRegistry.get(name);
+
+  if (!factory) {
+    throw new Error(`Unknown broker: ${name}. Available brokers: ${getAvailableBrokers().join(', ')}`);
+  }
+
+  return assertBrokerAdapter(factory(options));
+}
+
+registerBroker('alpaca', (options) => {
+  const paper = options.paper ?? process.env.ALPACA_PAPER === 'true';
+  return new AlpacaHybridApi({
+    keyId: options.keyId || process.env.ALPACA_API_KEY,
+    secretKey: options.secretKey || process.env.ALPACA_SECRET_KEY,
+    paper,
+    baseUrl: options.baseUrl || (paper ?
+      'https://paper-api.alpaca.markets' :
+      'https://api.alpaca.markets'),
+    ...(options.barStore && { barStore: options.barStore }),
+    ...(options.stateStore && { stateStore: options.stateStore })
+  });
+});
+
+// In-process paper broker: no Alpaca keys needed, book persisted to SIM_BROKER_STATE_PATH
+registerBroker('simulated', (options) => new SimulatedBroker({
+  initialCapital: parseFloat(process.env.SIM_BROKER_INITIAL_CAPITAL) || 100000,
+  slippage: parseFloat(process.env.SIM_BROKER_SLIPPAGE) || 0,
+  latencyMs: parseInt(process.env.SIM_BROKER_LATENCY_MS) || 0,
+  commissionPerShare: parseFloat(process.env.SIM_BROKER_COMMISSION_PER_SHARE) || 0,
+  alwaysOpen: process.env.SIM_BROKER_MARKET_HOURS !== 'regular',
+  statePath: process.env.SIM_BROKER_STATE_PATH || path.join(process.cwd(), 'data', 'simulated-broker.json'),
+  barStore: process.env.BAR_STORE_DIR ? new BarStore({ baseDir: process.env.BAR_STORE_DIR }) : null,
+  ...options
+}));
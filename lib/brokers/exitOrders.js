@@ -0,0 +1,73 @@
+// lib/brokers/exitOrders.js - Helpers for broker-held exit legs (bracket / OTO / OCO orders)
+
+export const OPEN_ORDER_STATUSES = ['new', 'accepted', 'pending_new', 'held', 'partially_filled', 'accepted_for_bidding'];
+
+export function isOpenOrderStatus(status) {
+  return OPEN_ORDER_STATUSES.includes(status);
+}
+
+/**
+ * Round a price to what the broker accepts: cents at or above $1, 4 decimals below
+ */
+export function roundOrderPrice(price) {
+  const value = parseFloat(price);
+  if (!Number.isFinite(value)) return null;
+  const factor = value >= 1 ? 100 : 10000;
+  return Math.round(value * factor) / factor;
+}
+
+/**
+ * Build the take_profit / stop_loss legs and matching order_class for stored exit levels.
+ * Both levels -> bracket (or oco for an existing position); one level -> oto.
+ * @param {Object} levels - { stopLoss, takeProfit }
+ * @param {boolean} forExistingPosition - true to protect an open position (oco) instead of an entry (bracket)
+ * @returns {Object|null} { order_class, take_profit?, stop_loss? } or null when no level is set
+ */
+export function buildExitLegs(levels, forExistingPosition = false) {
+  const takeProfit = roundOrderPrice(levels?.takeProfit);
+  const stopLoss = roundOrderPrice(levels?.stopLoss);
+  if (!takeProfit && !stopLoss) return null;
+
+  const legs = {
+    ...(takeProfit && { take_profit: { limit_price: takeProfit } }),
+    ...(stopLoss && { stop_loss: { stop_price: stopLoss } })
+  };
+
+  if (takeProfit && stopLoss) {
+    return { order_class: forExistingPosition ? 'oco' : 'bracket', ...legs };
+  }
+  // A single protective order needs no grouping once the position exists
+  return { order_class: forExistingPosition ? 'simple' : 'oto', ...legs };
+}
+
+/**
+ * Pull the exit legs out of a submitted order response. For bracket/OTO orders the
+ * legs hang off the parent; for OCO the response is the take-profit leg itself.
+ * @returns {Array} [{ id, leg: 'take_profit'|'stop_loss', status }]
+ */
+export function extractExitLegs(order) {
+  if (!order) return [];
+  const candidates = order.order_class === 'oco' ? [order, ...(order.legs || [])] : (order.legs || []);
+
+  return candidates
+    .filter(leg => leg?.id)
+    .map(leg => ({
+      id: leg.id,
+      leg: legTypeOf(leg),
+      status: leg.status
+    }));
+}
+
+/**
+ * Map an exit leg order to the exit type used in trade logs
+ */
+export function legTypeOf(order) {
+  return order.type === 'stop' || order.type === 'stop_limit' || order.stop_price ? 'stop_loss' : 'take_profit';
+}
+
+/**
+ * True when stored levels are enforced by orders resting at the broker rather than by polling
+ */
+export function isBrokerManagedExit(levels) {
+  return levels?.metadata?.exitMode === 'broker';
+}
@@ -0,0 +1,91 @@
+// lib/brokers/orderTracker.js - Follow submitted orders to their final fill state
+
+/**
+ * Lifecycle states the position managers reason about. Every broker status maps onto one:
+ * anything still working is 'new'; expired and done_for_day orders count as cancelled.
+ */
+export const ORDER_STATES = {
+  NEW: 'new',
+  PARTIALLY_FILLED: 'partially_filled',
+  FILLED: 'filled',
+  CANCELLED: 'cancelled',
+  REJECTED: 'rejected'
+};
+
+const CANCELLED_STATUSES = ['canceled', 'cancelled', 'expired', 'done_for_day'];
+const FINAL_STATES = [ORDER_STATES.FILLED, ORDER_STATES.CANCELLED, ORDER_STATES.REJECTED];
+
+export function normalizeOrderStatus(status) {
+  if (status === 'filled') return ORDER_STATES.FILLED;
+  if (status === 'partially_filled') return ORDER_STATES.PARTIALLY_FILLED;
+  if (status === 'rejected') return ORDER_STATES.REJECTED;
+  if (CANCELLED_STATUSES.includes(status)) return ORDER_STATES.CANCELLED;
+  return ORDER_STATES.NEW;
+}
+
+export function isFinalOrderState(state) {
+  return FINAL_STATES.includes(state);
+}
+
+/**
+ * Fill snapshot of a broker order
+ * @param {Object} order - Order as returned by submitOrder / getOrder
+ * @returns {Object} { id, status, brokerStatus, final, filledQty, filledAvgPrice, filledAt }
+ */
+export function describeOrder(order) {
+  const status = normalizeOrderStatus(order.status);
+  const filledQty = parseFloat(order.filled_qty) || 0;
+  const filledAvgPrice = parseFloat(order.filled_avg_price);
+
+  return {
+    id: order.id,
+    status,
+    brokerStatus: order.status,
+    final: isFinalOrderState(status),
+    filledQty,
+    filledAvgPrice: filledQty > 0 && Number.isFinite(filledAvgPrice) ? filledAvgPrice : null,
+    filledAt: order.filled_at || null
+  };
+}
+
+/**
+ * True for stored levels whose entry order is still filling or that have an exit order
+ * still working (metadata.entryOrder / metadata.pendingExit, written by the position managers)
+ */
+export function hasWorkingOrder(storedLevels) {
+  const metadata = storedLevels?.metadata;
+  return !!(metadata?.pendingExit || (metadata?.entryOrder && !metadata.entryOrder.final));
+}
+
+/**
+ * Polls the broker until an order reaches a final state or the wait runs out. Orders still
+ * working after the wait are left to the caller to record and reconcile on a later run.
+ */
+export class OrderTracker {
+  constructor(broker, options = {}) {
+    this.broker = broker;
+    this.timeoutMs = options.timeoutMs ?? (parseInt(process.env.ORDER_FILL_TIMEOUT_MS) || 2000);
+    this.pollIntervalMs = options.pollIntervalMs ?? 250;
+  }
+
+  async getSnapshot(orderId) {
+    return describeOrder(await this.broker.getOrder(orderId));
+  }
+
+  /**
+   * @param {string} orderId - Broker order ID
+   * @param {number} timeoutMs - Longest time to wait (0 = check once)
+   * @returns {Object} Snapshot from describeOrder
+   */
+  async waitForFinalState(orderId, timeoutMs = this.timeoutMs) {
+    const deadline = Date.now() + timeoutMs;
+    let snapshot = await this.getSnapshot(orderId);
+
+    while (!snapshot.final && Date.now() < deadline) {
+      const delay = Math.min(this.pollIntervalMs, deadline - Date.now());
+      await new Promise(resolve => setTimeout(resolve, delay));
+      snapshot = await this.getSnapshot(orderId);
+    }
+    return snapshot;
+  }
+}
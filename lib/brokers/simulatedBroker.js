@@ -0,0 +1,710 @@
+// lib/brokers/simulatedBroker.js - In-process paper-trading broker with simulated fills
+import fs from 'fs/promises';
+import path from 'path';
+import { BrokerAdapter, normalizeOrderQuery } from './brokerAdapter.js';
+import { OPEN_ORDER_STATUSES } from './exitOrders.js';
+import { MarketDataService } from '../services/marketDataService.js';
+import { ProvenanceLog, tagBars, tagQuote } from '../services/dataProvenance.js';
+import { isRegularSession, regularSessionClose } from '../services/timeframes.js';
+import { Logger } from '../utils/logger.js';
+
+/**
+ * Implements the BrokerAdapter surface without a broker account. Cash, positions and orders
+ * live in memory and, when statePath is set, in a JSON file so consecutive serverless
+ * invocations (/api/trade, /api/manual-trade, the exit manager) see the same book.
+ *
+ * Prices come from, in order: quotes set with setQuote(), an injected quoteProvider,
+ * the latest bar in an optional BarStore, then MarketDataService.
+ * Market orders fill at the ask/bid plus slippage once latencyMs has elapsed; limit orders
+ * fill at the limit (or better) when the quote crosses it, and stop orders become market
+ * orders once the quote trades through the stop. Orders are matched lazily whenever the
+ * broker is read, so a pending order fills on the next poll after it becomes eligible.
+ *
+ * Bracket and OTO orders hold their take_profit / stop_loss legs until the entry fills;
+ * OCO orders rest both legs immediately. Filling one leg cancels its siblings.
+ */
+export class SimulatedBroker extends BrokerAdapter {
+  constructor(options = {}) {
+    super();
+    this.logger = options.logger || new Logger('SimulatedBroker');
+    this.marketData = options.marketData || null;
+    this.barStore = options.barStore || null;
+    this.quoteProvider = options.quoteProvider || null;
+    // Bars and quotes handed out by this broker, for the trade route's market data policy
+    this.provenanceLog = new ProvenanceLog();
+
+    this.options = {
+      initialCapital: options.initialCapital || 100000,
+      slippage: options.slippage || 0, // Fraction of price applied against the order side
+      latencyMs: options.latencyMs || 0, // Delay between submission and earliest fill
+      commissionPerShare: options.commissionPerShare || 0,
+      allowShort: options.allowShort !== false,
+      alwaysOpen: options.alwaysOpen !== false,
+      statePath: options.statePath || null,
+      ...options
+    };
+
+    if (options.now) {
+      this.now = options.now;
+    }
+
+    this.quotes = new Map(); // symbol -> manually supplied quote
+    this.resetState();
+    this.stateLoaded = !this.options.statePath;
+  }
+
+  getName() {
+    return 'simulated';
+  }
+
+  now() {
+    return Date.now();
+  }
+
+  resetState() {
+    this.cash = this.options.initialCapital;
+    this.lastEquity = this.options.initialCapital;
+    this.lastEquityDate = null;
+    this.positions = new Map(); // symbol -> { qty (signed), avgEntryPrice, lastPrice }
+    this.orders = [];
+    this.fills = [];
+    this.orderSequence = 0;
+  }
+
+  // ---------------------------------------------------------------------
+  // Persistence
+  // ---------------------------------------------------------------------
+
+  async loadState() {
+    if (this.stateLoaded) return;
+    this.stateLoaded = true;
+
+    try {
+      const state = JSON.parse(await fs.readFile(this.options.statePath, 'utf8'));
+      this.cash = state.cash;
+      this.lastEquity = state.lastEquity;
+      this.lastEquityDate = state.lastEquityDate || null;
+      this.positions = new Map(state.positions || []);
+      this.orders = state.orders || [];
+      this.fills = state.fills || [];
+      this.orderSequence = state.orderSequence || 0;
+    } catch (error) {
+      if (error.code !== 'ENOENT') {
+        this.logger.error('Failed to load simulated broker state, starting fresh', {
+          statePath: this.options.statePath,
+          error: error.message
+        });
+      }
+    }
+  }
+
+  async saveState() {
+    if (!this.options.statePath) return;
+
+    try {
+      await fs.mkdir(path.dirname(this.options.statePath), { recursive: true });
+      await fs.writeFile(this.options.statePath, JSON.stringify({
+        cash: this.cash,
+        lastEquity: this.lastEquity,
+        lastEquityDate: this.lastEquityDate,
+        positions: Array.from(this.positions.entries()),
+        orders: this.orders,
+        fills: this.fills,
+        orderSequence: this.orderSequence
+      }, null, 2));
+    } catch (error) {
+      this.logger.error('Failed to save simulated broker state', {
+        statePath: this.options.statePath,
+        error: error.message
+      });
+    }
+  }
+
+  // ---------------------------------------------------------------------
+  // Market data
+  // ---------------------------------------------------------------------
+
+  /**
+   * Supply a quote directly (tests, offline runs). A number is treated as bid = ask = price.
+   */
+  setQuote(symbol, quote) {
+    const normalized = typeof quote === 'number' ? { bid: quote, ask: quote } : quote;
+    this.quotes.set(symbol, {
+      symbol,
+      timestamp: new Date(this.now()).toISOString(),
+      ...normalized
+    });
+  }
+
+  async getQuote(symbol) {
+    let quote = this.quotes.get(symbol) || null;
+    if (quote) {
+      quote = tagQuote(quote, { source: 'setQuote', synthetic: false }, this.now());
+    }
+
+    if (!quote && this.quoteProvider) {
+      quote = await this.quoteProvider(symbol);
+      if (quote && !quote.provenance) {
+        quote = tagQuote(quote, { source: 'quoteProvider', synthetic: false }, this.now());
+      }
+    }
+
+    // A stored close stands in for both sides, so the quote is synthetic
+    if (!quote && this.barStore) {
+      const [latestBar] = await this.barStore.getBars(symbol, '1Day', { limit: 1 });
+      if (latestBar) {
+        quote = tagQuote({ symbol, bid: latestBar.close, ask: latestBar.close, timestamp: latestBar.timestamp },
+          { source: 'barStore', synthetic: true }, this.now());
+      }
+    }
+
+    if (!quote) {
+      quote = await this.getMarketData().getCurrentQuote(symbol);
+    }
+
+    if (!quote) {
+      throw new Error(`Unable to get simulated quote for ${symbol}`);
+    }
+
+    const position = this.positions.get(symbol);
+    if (position) {
+      position.lastPrice = (quote.bid + quote.ask) / 2;
+    }
+    this.provenanceLog.recordQuote(symbol, quote);
+    return quote;
+  }
+
+  async getHistoricalData(symbol, timeframe = '1Day', limit = 100) {
+    let bars = null;
+    if (this.barStore) {
+      const storedBars = await this.barStore.getBars(symbol, timeframe, { limit });
+      if (storedBars.length > 0) {
+        bars = tagBars(storedBars, { source: 'barStore', synthetic: false }, this.now());
+      }
+    }
+    if (!bars) {
+      bars = await this.getMarketData().getHistoricalData(symbol, limit, timeframe);
+    }
+    this.provenanceLog.recordBars(symbol, timeframe, bars);
+    return bars;
+  }
+
+  // Provenance of the bars and quotes this broker has handed out
+  getDataProvenance() {
+    return this.provenanceLog;
+  }
+
+  // Validation outcomes of this broker's market data fetches (empty when none were made)
+  getDataValidationReport() {
+    return this.marketData ? this.marketData.getValidationReport() : [];
+  }
+
+  // Market data sources with their stored call counts
+  async getDataSourceStatus() {
+    return this.getMarketData().getDataSourceStatus();
+  }
+
+  // Store this run's provider call counts (nothing to store when no market data was fetched)
+  async persistDataSourceUsage() {
+    if (this.marketData) {
+      await this.marketData.persistRateLimitUsage();
+    }
+  }
+
+  getMarketData() {
+    if (!this.marketData) {
+      this.marketData = new MarketDataService({ stateStore: this.options.stateStore });
+    }
+    return this.marketData;
+  }
+
+  async getClock() {
+    const now = new Date(this.now());
+    const regularSession = isRegularSession(now);
+    return {
+      timestamp: now.toISOString(),
+      is_open: this.options.alwaysOpen || regularSession,
+      next_open: null,
+      // Only known for the regular session; an always-open book never closes
+      next_close: !this.options.alwaysOpen && regularSession ? regularSessionClose(now).toISOString() : null
+    };
+  }
+
+  async isMarketOpen() {
+    const clock = await this.getClock();
+    return clock.is_open;
+  }
+
+  // ---------------------------------------------------------------------
+  // Account, positions and orders
+  // ---------------------------------------------------------------------
+
+  getMarkPrice(symbol) {
+    const position = this.positions.get(symbol);
+    return position ? (position.lastPrice ?? position.avgEntryPrice) : null;
+  }
+
+  getEquity() {
+    let equity = this.cash;
+    for (const [symbol, position] of this.positions) {
+      equity += position.qty * this.getMarkPrice(symbol);
+    }
+    return equity;
+  }
+
+  /**
+   * Refresh position marks from current quotes (a failed quote keeps the last mark)
+   */
+  async markPositions() {
+    for (const symbol of this.positions.keys()) {
+      try {
+        await this.getQuote(symbol);
+      } catch (error) {
+        this.logger.warning('Could not mark simulated position', { symbol, error: error.message });
+      }
+    }
+  }
+
+  /**
+   * Roll last_equity at the first account read of each new day so the daily loss limit
+   * compares against the previous session, as Alpaca reports it
+   */
+  rollTradingDay() {
+    const today = new Date(this.now()).toISOString().slice(0, 10);
+    if (this.lastEquityDate !== today) {
+      if (this.lastEquityDate !== null) {
+        this.lastEquity = this.getEquity();
+      }
+      this.lastEquityDate = today;
+    }
+  }
+
+  async getAccount() {
+    await this.loadState();
+    await this.processOrders();
+    await this.markPositions();
+    this.rollTradingDay();
+    await this.saveState();
+
+    const equity = this.getEquity();
+    return {
+      equity: equity.toString(),
+      last_equity: this.lastEquity.toString(),
+      cash: this.cash.toString(),
+      buying_power: Math.max(0, this.cash).toString(),
+      portfolio_value: equity.toString(),
+      status: 'ACTIVE'
+    };
+  }
+
+  async getPositions() {
+    await this.loadState();
+    await this.processOrders();
+    await this.markPositions();
+
+    return Array.from(this.positions.entries()).map(([symbol, position]) => {
+      const price = this.getMarkPrice(symbol);
+      const costBasis = position.qty * position.avgEntryPrice;
+      const marketValue = position.qty * price;
+      return {
+        symbol,
+        qty: position.qty.toString(),
+        side: position.qty > 0 ? 'long' : 'short',
+        avg_entry_price: position.avgEntryPrice.toString(),
+        current_price: price.toString(),
+        market_value: marketValue.toString(),
+        cost_basis: costBasis.toString(),
+        unrealized_pl: (marketValue - costBasis).toString(),
+        unrealized_plpc: costBasis !== 0 ? ((marketValue - costBasis) / Math.abs(costBasis)).toString() : '0'
+      };
+    });
+  }
+
+  async submitOrder(orderData) {
+    await this.loadState();
+
+    const symbol = orderData.symbol;
+    const side = orderData.side;
+    const qty = parseInt(orderData.qty);
+    const type = orderData.type || 'market';
+
+    if (!(qty > 0) || (side !== 'buy' && side !== 'sell')) {
+      throw new Error(`Invalid order: ${side} ${orderData.qty} ${symbol}`);
+    }
+    if (type !== 'market' && type !== 'limit' && type !== 'stop') {
+      throw new Error(`Unsupported simulated order type: ${type}`);
+    }
+    if (type === 'limit' && !(parseFloat(orderData.limit_price) > 0) && orderData.order_class !== 'oco') {
+      throw new Error('Limit orders require a positive limit_price');
+    }
+    if (type === 'stop' && !(parseFloat(orderData.stop_price) > 0)) {
+      throw new Error('Stop orders require a positive stop_price');
+    }
+    validateOrderClass(orderData);
+    if (orderData.client_order_id && this.orders.some(o => o.client_order_id === orderData.client_order_id)) {
+      throw new Error(`client_order_id must be unique: ${orderData.client_order_id}`);
+    }
+
+    const existing = this.positions.get(symbol) || { qty: 0 };
+    if (!this.options.allowShort && side === 'sell' && qty > Math.max(0, existing.qty)) {
+      throw new Error(`Short selling disabled: cannot sell ${qty} ${symbol} with ${existing.qty} held`);
+    }
+
+    // Reject up front when the order could not be paid for at the current quote, as Alpaca does
+    const quote = await this.getQuote(symbol);
+    const estimatedPrice = type === 'limit' && orderData.limit_price ? parseFloat(orderData.limit_price) : quote.ask;
+    if (side === 'buy' && existing.qty >= 0 && qty * estimatedPrice > this.cash) {
+      throw new Error(`Insufficient buying power for ${qty} ${symbol} @ ${estimatedPrice.toFixed(2)}`);
+    }
+
+    const orderClass = orderData.order_class || 'simple';
+    const order = orderClass === 'oco'
+      ? this.createOcoOrders(orderData, qty)
+      : this.createOrder({
+        ...orderData,
+        qty,
+        type,
+        order_class: orderClass
+      });
+
+    if (orderClass === 'bracket' || orderClass === 'oto') {
+      // Exit legs wait ('held') until the entry fills
+      const exitSide = side === 'buy' ? 'sell' : 'buy';
+      if (orderData.stop_loss) {
+        this.createOrder({ symbol, qty, side: exitSide, type: 'stop', stop_price: orderData.stop_loss.stop_price, time_in_force: order.time_in_force, order_class: orderClass }, order.id, 'held');
+      }
+      if (orderData.take_profit) {
+        this.createOrder({ symbol, qty, side: exitSide, type: 'limit', limit_price: orderData.take_profit.limit_price, time_in_force: order.time_in_force, order_class: orderClass }, order.id, 'held');
+      }
+    }
+
+    await this.processOrders();
+    await this.saveState();
+
+    this.logger.info('Simulated order submitted', {
+      orderId: order.id,
+      symbol,
+      side,
+      qty,
+      type: order.type,
+      orderClass,
+      status: order.status
+    });
+
+    return this.toOrderResponse(order);
+  }
+
+  createOrder(orderData, parentOrderId = null, status = 'new') {
+    const timestamp = new Date(this.now()).toISOString();
+    const order = {
+      id: `sim-${++this.orderSequence}`,
+      client_order_id: orderData.client_order_id || `sim-client-${this.orderSequence}`,
+      symbol: orderData.symbol,
+      qty: orderData.qty.toString(),
+      filled_qty: '0',
+      side: orderData.side,
+      type: orderData.type,
+      order_class: orderData.order_class || 'simple',
+      time_in_force: orderData.time_in_force || 'day',
+      limit_price: orderData.type === 'limit' ? parseFloat(orderData.limit_price).toString() : null,
+      stop_price: orderData.type === 'stop' ? parseFloat(orderData.stop_price).toString() : null,
+      parent_order_id: parentOrderId,
+      status,
+      filled_avg_price: null,
+      submitted_at: timestamp,
+      activated_at: status === 'held' ? null : timestamp,
+      filled_at: null,
+      canceled_at: null
+    };
+
+    this.orders.push(order);
+    return order;
+  }
+
+  /**
+   * OCO: a resting take-profit limit order with the stop-loss as its leg, both live at once
+   */
+  createOcoOrders(orderData, qty) {
+    const base = { symbol: orderData.symbol, qty, side: orderData.side, time_in_force: orderData.time_in_force, order_class: 'oco' };
+    const takeProfit = this.createOrder({ ...base, client_order_id: orderData.client_order_id, type: 'limit', limit_price: orderData.take_profit.limit_price });
+    this.createOrder({ ...base, type: 'stop', stop_price: orderData.stop_loss.stop_price }, takeProfit.id);
+    return takeProfit;
+  }
+
+  /**
+   * Copy of an order with its child legs nested, as Alpaca returns bracket/OCO orders
+   */
+  toOrderResponse(order) {
+    const legs = this.orders
+      .filter(o => o.parent_order_id === order.id)
+      .map(o => ({ ...o }));
+    return { ...order, legs: legs.length > 0 ? legs : null };
+  }
+
+  async getOrder(orderId) {
+    await this.loadState();
+    await this.processOrders();
+    await this.saveState();
+
+    const order = this.orders.find(o => o.id === orderId);
+    if (!order) {
+      throw new Error(`Order not found: ${orderId}`);
+    }
+    return this.toOrderResponse(order);
+  }
+
+  async getOrderByClientOrderId(clientOrderId) {
+    await this.loadState();
+    await this.processOrders();
+    await this.saveState();
+
+    const order = this.orders.find(o => o.client_order_id === clientOrderId);
+    if (!order) {
+      throw new Error(`Order not found for client_order_id: ${clientOrderId}`);
+    }
+    return this.toOrderResponse(order);
+  }
+
+  async getOrders(params = { status: 'open' }) {
+    await this.loadState();
+    await this.processOrders();
+    await this.saveState();
+
+    const query = normalizeOrderQuery(params);
+    let orders = [...this.orders];
+
+    if (query.status === 'open') {
+      orders = orders.filter(o => OPEN_ORDER_STATUSES.includes(o.status));
+    } else if (query.status === 'closed') {
+      orders = orders.filter(o => !OPEN_ORDER_STATUSES.includes(o.status));
+    } else if (query.status && query.status !== 'all') {
+      orders = orders.filter(o => o.status === query.status);
+    }
+    if (query.after) {
+      orders = orders.filter(o => new Date(o.submitted_at) > new Date(query.after));
+    }
+    if (query.until) {
+      orders = orders.filter(o => new Date(o.submitted_at) <= new Date(query.until));
+    }
+    if (query.direction !== 'asc') {
+      orders.reverse();
+    }
+
+    return orders.slice(0, query.limit || orders.length).map(o => this.toOrderResponse(o));
+  }
+
+  async cancelOrder(orderId) {
+    await this.loadState();
+
+    const order = this.orders.find(o => o.id === orderId);
+    if (!order) {
+      throw new Error(`Order not found: ${orderId}`);
+    }
+    if (!OPEN_ORDER_STATUSES.includes(order.status)) {
+      throw new Error(`Order ${orderId} is already ${order.status}`);
+    }
+
+    this.cancelWithLegs(order);
+    await this.saveState();
+    this.logger.info('Simulated order cancelled', { orderId });
+  }
+
+  /**
+   * Cancel an order and any of its legs that are still open (cancelling a bracket parent
+   * cancels its exits, as at Alpaca)
+   */
+  cancelWithLegs(order, status = 'canceled') {
+    const timestamp = new Date(this.now()).toISOString();
+    for (const o of [order, ...this.orders.filter(child => child.parent_order_id === order.id)]) {
+      if (OPEN_ORDER_STATUSES.includes(o.status)) {
+        o.status = o === order ? status : 'canceled';
+        if (o.status === 'canceled') o.canceled_at = timestamp;
+      }
+    }
+  }
+
+  async cancelAllOrders() {
+    await this.loadState();
+    const openOrders = this.orders.filter(o => OPEN_ORDER_STATUSES.includes(o.status));
+    for (const order of openOrders) {
+      if (OPEN_ORDER_STATUSES.includes(order.status)) {
+        await this.cancelOrder(order.id);
+      }
+    }
+    return openOrders.map(o => ({ id: o.id, status: 'canceled' }));
+  }
+
+  // ---------------------------------------------------------------------
+  // Matching
+  // ---------------------------------------------------------------------
+
+  /**
+   * Fill every open order whose latency has elapsed and whose price condition is met
+   */
+  async processOrders() {
+    const now = this.now();
+
+    for (const order of this.orders) {
+      if (!OPEN_ORDER_STATUSES.includes(order.status) || order.status === 'held') continue;
+      if (now < new Date(order.activated_at || order.submitted_at).getTime() + this.options.latencyMs) continue;
+
+      let quote;
+      try {
+        quote = await this.getQuote(order.symbol);
+      } catch (error) {
+        this.logger.warning('No quote available to match simulated order', {
+          orderId: order.id,
+          symbol: order.symbol,
+          error: error.message
+        });
+        continue;
+      }
+
+      const fillPrice = this.getFillPrice(order, quote);
+      if (fillPrice === null) continue;
+
+      const qty = parseInt(order.qty);
+      const existing = this.positions.get(order.symbol) || { qty: 0 };
+      if (order.side === 'buy' && existing.qty >= 0 && qty * fillPrice > this.cash) {
+        this.cancelWithLegs(order, 'rejected');
+        this.logger.warning('Simulated order rejected for insufficient buying power', {
+          orderId: order.id,
+          symbol: order.symbol,
+          required: qty * fillPrice,
+          cash: this.cash
+        });
+        continue;
+      }
+
+      this.fillOrder(order, fillPrice);
+    }
+  }
+
+  /**
+   * @returns {number|null} Execution price, or null if the order is not marketable
+   */
+  getFillPrice(order, quote) {
+    const slippage = this.options.slippage;
+
+    if (order.type === 'market') {
+      return order.side === 'buy' ? quote.ask * (1 + slippage) : quote.bid * (1 - slippage);
+    }
+
+    if (order.type === 'stop') {
+      // Triggered stops execute as market orders
+      const stopPrice = parseFloat(order.stop_price);
+      if (order.side === 'buy') {
+        return quote.ask >= stopPrice ? quote.ask * (1 + slippage) : null;
+      }
+      return quote.bid <= stopPrice ? quote.bid * (1 - slippage) : null;
+    }
+
+    const limitPrice = parseFloat(order.limit_price);
+    if (order.side === 'buy') {
+      return quote.ask <= limitPrice ? Math.min(limitPrice, quote.ask * (1 + slippage)) : null;
+    }
+    return quote.bid >= limitPrice ? Math.max(limitPrice, quote.bid * (1 - slippage)) : null;
+  }
+
+  fillOrder(order, fillPrice) {
+    const qty = parseInt(order.qty);
+    const signedQty = order.side === 'buy' ? qty : -qty;
+    const realizedPL = this.applyFill(order.symbol, signedQty, fillPrice);
+    const commission = qty * this.options.commissionPerShare;
+    this.cash -= signedQty * fillPrice + commission;
+
+    const timestamp = new Date(this.now()).toISOString();
+    order.status = 'filled';
+    order.filled_qty = qty.toString();
+    order.filled_avg_price = fillPrice.toString();
+    order.filled_at = timestamp;
+
+    for (const other of this.orders) {
+      if (other.parent_order_id === order.id && other.status === 'held') {
+        // Entry filled - arm its exit legs
+        other.status = 'new';
+        other.activated_at = timestamp;
+      } else if (other !== order && isSiblingLeg(order, other) && OPEN_ORDER_STATUSES.includes(other.status)) {
+        // One-cancels-other
+        other.status = 'canceled';
+        other.canceled_at = timestamp;
+      }
+    }
+
+    this.fills.push({
+      orderId: order.id,
+      timestamp,
+      symbol: order.symbol,
+      side: order.side,
+      quantity: qty,
+      price: fillPrice,
+      commission,
+      realizedPL
+    });
+  }
+
+  /**
+   * Update the signed position for a fill and return the P&L realized by any closing quantity
+   */
+  applyFill(symbol, signedQty, price) {
+    const position = this.positions.get(symbol) || { qty: 0, avgEntryPrice: 0 };
+    let realizedPL = 0;
+
+    if (position.qty === 0 || Math.sign(position.qty) === Math.sign(signedQty)) {
+      const newQty = position.qty + signedQty;
+      position.avgEntryPrice = (position.qty * position.avgEntryPrice + signedQty * price) / newQty;
+      position.qty = newQty;
+    } else {
+      const closingQty = Math.min(Math.abs(signedQty), Math.abs(position.qty));
+      realizedPL = closingQty * (price - position.avgEntryPrice) * Math.sign(position.qty);
+      const newQty = position.qty + signedQty;
+
+      if (newQty === 0) {
+        this.positions.delete(symbol);
+        return realizedPL;
+      }
+      if (Math.sign(newQty) !== Math.sign(position.qty)) {
+        // Position flipped - the remainder opens at the fill price
+        position.avgEntryPrice = price;
+      }
+      position.qty = newQty;
+    }
+
+    position.lastPrice = price;
+    this.positions.set(symbol, position);
+    return realizedPL;
+  }
+}
+
+function validateOrderClass(orderData) {
+  const orderClass = orderData.order_class || 'simple';
+  if (!['simple', 'bracket', 'oto', 'oco'].includes(orderClass)) {
+    throw new Error(`Unsupported simulated order class: ${orderClass}`);
+  }
+  if (orderClass === 'simple') return;
+
+  const takeProfit = parseFloat(orderData.take_profit?.limit_price);
+  const stopLoss = parseFloat(orderData.stop_loss?.stop_price);
+  if ((orderClass === 'bracket' || orderClass === 'oco') && !(takeProfit > 0 && stopLoss > 0)) {
+    throw new Error(`${orderClass} orders require take_profit.limit_price and stop_loss.stop_price`);
+  }
+  if (orderClass === 'oto' && !(takeProfit > 0 || stopLoss > 0)) {
+    throw new Error('oto orders require take_profit.limit_price or stop_loss.stop_price');
+  }
+  if (takeProfit > 0 && stopLoss > 0) {
+    // Take profit must sit on the profitable side of the stop for the position being exited
+    const exitsLong = (orderClass === 'oco') === (orderData.side === 'sell');
+    if (exitsLong ? takeProfit <= stopLoss : takeProfit >= stopLoss) {
+      throw new Error(`take_profit.limit_price ${takeProfit} is on the wrong side of stop_loss.stop_price ${stopLoss}`);
+    }
+  }
+}
+
+// Exit legs of the same bracket, or the two halves of an OCO pair
+function isSiblingLeg(order, other) {
+  if (order.order_class === 'simple' || order.order_class !== other.order_class) return false;
+  const group = order.order_class === 'oco' ? (order.parent_order_id || order.id) : order.parent_order_id;
+  if (!group) return false;
+  const otherGroup = other.order_class === 'oco' ? (other.parent_order_id || other.id) : other.parent_order_id;
+  return group === otherGroup;
+}
@@ -5,6 +5,7 @@ export const SYMBOL_TRIPLETS = [
     bullSymbol: 'UPRO',
     bearSymbol: 'SPXU',
     name: 'SPY',
+    leverage: 3,
     description: 'S&P 500 ETF with 3x leveraged alternatives'
   },
   {
@@ -12,6 +13,7 @@ export const SYMBOL_TRIPLETS = [
     bullSymbol: 'TQQQ',
     bearSymbol: 'SQQQ',
     name: 'QQQ',
+    leverage: 3,
     description: 'NASDAQ-100 ETF with 3x leveraged alternatives'
   },
   {
@@ -19,6 +21,7 @@ export const SYMBOL_TRIPLETS = [
     bullSymbol: 'UGL', 
     bearSymbol: 'GLL',
     name: 'GLD',
+    leverage: 2,
     description: 'Gold ETF with 2x leveraged alternatives'
   },
   {
@@ -26,6 +29,7 @@ export const SYMBOL_TRIPLETS = [
     bullSymbol: 'TNA', 
     bearSymbol: 'TZA',
     name: 'IWM',
+    leverage: 3,
     description: 'Russell 2000 ETF with 3x leveraged alternatives'
     }
 ];
@@ -35,6 +39,12 @@ export function getSymbolTriplet(baseSymbol) {
   return SYMBOL_TRIPLETS.find(triplet => triplet.baseSymbol === baseSymbol);
 }
 
+// Helper function to find the triplet a traded symbol (base, bull or bear) belongs to
+export function findTripletForSymbol(symbol) {
+  return SYMBOL_TRIPLETS.find(triplet =>
+    [triplet.baseSymbol, triplet.bullSymbol, triplet.bearSymbol].includes(symbol));
+}
+
 // Helper function to get all base symbols
 export function getAllBaseSymbols() {
   return SYMBOL_TRIPLETS.map(triplet => triplet.baseSymbol);
@@ -61,7 +71,7 @@ export function validateSymbolTriplet(baseSymbol, bullSymbol, bearSymbol) {
 }
 
 // Function to add new symbol triplet (for runtime configuration)
-export function addSymbolTriplet(baseSymbol, bullSymbol, bearSymbol, name, description) {
+export function addSymbolTriplet(baseSymbol, bullSymbol, bearSymbol, name, description, leverage = 1) {
   if (!validateSymbolTriplet(baseSymbol, bullSymbol, bearSymbol)) {
     throw new Error('Invalid symbol triplet configuration');
   }
@@ -76,6 +86,7 @@ export function addSymbolTriplet(baseSymbol, bullSymbol, bearSymbol, name, descr
     bullSymbol, 
     bearSymbol,
     name: name || baseSymbol,
+    leverage,
     description: description || `${baseSymbol} ETF with leveraged alternatives`
   });
   
@@ -0,0 +1,302 @@
+// lib/services/barStore.js - File-backed historical bar repository with CSV/JSON import
+import fs from 'fs/promises';
+import path from 'path';
+import { Logger } from '../utils/logger.js';
+import { normalizeTimeframe, finerTimeframes, aggregateBars, TIMEFRAMES } from './timeframes.js';
+
+const CSV_COLUMNS = {
+    timestamp: ['timestamp', 'date', 'datetime', 'time', 't'],
+    open: ['open', 'o'],
+    high: ['high', 'h'],
+    low: ['low', 'l'],
+    close: ['close', 'c'],
+    adjClose: ['adj close', 'adj_close', 'adjclose', 'adjusted_close'],
+    volume: ['volume', 'vol', 'v']
+};
+
+// Symbols become directory names, so anything that could leave baseDir ('../x', 'a/b', '..') is refused
+const SYMBOL_PATTERN = /^[A-Z0-9][A-Z0-9.\-]*$/;
+
+/**
+ * Stores OHLCV bars on disk as one JSON file per symbol and timeframe:
+ *   <baseDir>/<SYMBOL>/<timeframe>.json  (oldest -> newest)
+ * Bars use the same shape as MarketDataService ({ timestamp, open, high, low, close, volume })
+ * so backtests and AlpacaHybridApi can read them in place of live provider calls.
+ * A timeframe with no file of its own is rolled up from the finest stored timeframe that divides it.
+ */
+export class BarStore {
+    constructor(options = {}) {
+        this.logger = options.logger || new Logger();
+        this.baseDir = options.baseDir || process.env.BAR_STORE_DIR || path.join(process.cwd(), 'data', 'bars');
+        this.memo = new Map(); // `${symbol}:${timeframe}` -> bars, avoids re-reading files within a run
+        this.aggregated = new Map(); // same keys -> bars rolled up from a finer stored timeframe
+    }
+
+    /**
+     * Canonical timeframe name, or an error for one outside TIMEFRAMES (it becomes a file name)
+     */
+    static normalizeTimeframe(timeframe = '1Day') {
+        const normalized = normalizeTimeframe(String(timeframe));
+        if (!TIMEFRAMES[normalized]) {
+            throw new Error(`Invalid bar store timeframe: ${JSON.stringify(timeframe)}`);
+        }
+        return normalized;
+    }
+
+    /**
+     * Upper-cased symbol, or an error for one that is not a plain ticker (letters, digits, '.', '-')
+     */
+    static normalizeSymbol(symbol) {
+        const normalized = String(symbol ?? '').toUpperCase();
+        if (!SYMBOL_PATTERN.test(normalized)) {
+            throw new Error(`Invalid bar store symbol: ${JSON.stringify(symbol)}`);
+        }
+        return normalized;
+    }
+
+    getFilePath(symbol, timeframe) {
+        return path.join(this.baseDir, BarStore.normalizeSymbol(symbol), `${BarStore.normalizeTimeframe(timeframe)}.json`);
+    }
+
+    /**
+     * Read bars for a symbol/timeframe, oldest first
+     * @param {string} symbol - Trading symbol
+     * @param {string} timeframe - Bar timeframe (e.g. '1Day')
+     * @param {Object} range - Optional { start, end, limit }; limit keeps the most recent bars
+     * @returns {Array} Bars (empty if nothing is stored)
+     */
+    async getBars(symbol, timeframe = '1Day', { start = null, end = null, limit = null } = {}) {
+        let bars = await this.readBars(symbol, timeframe);
+        if (bars.length === 0) {
+            bars = await this.readAggregatedBars(symbol, timeframe);
+        }
+
+        const startTime = start ? new Date(start).getTime() : null;
+        const endTime = end ? endOfDay(end) : null;
+        if (startTime !== null || endTime !== null) {
+            bars = bars.filter(bar => {
+                const time = new Date(bar.timestamp).getTime();
+                return (startTime === null || time >= startTime) && (endTime === null || time <= endTime);
+            });
+        }
+
+        return limit ? bars.slice(-limit) : bars;
+    }
+
+    async hasBars(symbol, timeframe = '1Day') {
+        const bars = await this.readBars(symbol, timeframe);
+        return bars.length > 0;
+    }
+
+    /**
+     * List stored symbols and their timeframes
+     * @returns {Object} symbol -> [timeframes]
+     */
+    async listSymbols() {
+        const result = {};
+        try {
+            const entries = await fs.readdir(this.baseDir, { withFileTypes: true });
+            for (const entry of entries.filter(e => e.isDirectory())) {
+                const files = await fs.readdir(path.join(this.baseDir, entry.name));
+                result[entry.name] = files.filter(f => f.endsWith('.json')).map(f => f.replace(/\.json$/, ''));
+            }
+        } catch (error) {
+            if (error.code !== 'ENOENT') throw error;
+        }
+        return result;
+    }
+
+    /**
+     * Merge bars into the store. Bars with an existing timestamp replace the stored bar.
+     * @returns {Object} { symbol, timeframe, imported, total }
+     */
+    async saveBars(symbol, timeframe, bars) {
+        const normalized = bars.map(normalizeBar).filter(Boolean);
+        const existing = await this.readBars(symbol, timeframe);
+
+        const byTime = new Map(existing.map(bar => [bar.timestamp, bar]));
+        normalized.forEach(bar => byTime.set(bar.timestamp, bar));
+        const merged = Array.from(byTime.values())
+            .sort((a, b) => new Date(a.timestamp) - new Date(b.timestamp));
+
+        const filePath = this.getFilePath(symbol, timeframe);
+        await fs.mkdir(path.dirname(filePath), { recursive: true });
+        await fs.writeFile(filePath, JSON.stringify(merged));
+        this.memo.set(this.memoKey(symbol, timeframe), merged);
+        this.aggregated.clear();
+
+        this.logger.info('Bars saved to bar store', {
+            symbol: symbol.toUpperCase(),
+            timeframe: BarStore.normalizeTimeframe(timeframe),
+            imported: normalized.length,
+            skipped: bars.length - normalized.length,
+            total: merged.length
+        });
+
+        return {
+            symbol: symbol.toUpperCase(),
+            timeframe: BarStore.normalizeTimeframe(timeframe),
+            imported: normalized.length,
+            skipped: bars.length - normalized.length,
+            total: merged.length
+        };
+    }
+
+    /**
+     * Import CSV text with a header row (Date/Timestamp, Open, High, Low, Close, [Adj Close], Volume)
+     * @param {Object} options - { useAdjustedClose } scales OHLC by Adj Close / Close when present
+     */
+    async importCSV(symbol, timeframe, csvText, options = {}) {
+        return await this.saveBars(symbol, timeframe, parseCSV(csvText, options));
+    }
+
+    /**
+     * Import JSON text or an already-parsed array of bars
+     * Accepts a bare array or an object with a `bars` array.
+     */
+    async importJSON(symbol, timeframe, json) {
+        const parsed = typeof json === 'string' ? JSON.parse(json) : json;
+        const bars = Array.isArray(parsed) ? parsed : parsed?.bars;
+        if (!Array.isArray(bars)) {
+            throw new Error('JSON import expects an array of bars or { bars: [...] }');
+        }
+        return await this.saveBars(symbol, timeframe, bars);
+    }
+
+    /**
+     * Import a .csv or .json file. The symbol defaults to the file name (e.g. SPY.csv).
+     */
+    async importFile(filePath, { symbol = null, timeframe = '1Day', useAdjustedClose = false } = {}) {
+        const extension = path.extname(filePath).toLowerCase();
+        const resolvedSymbol = symbol || path.basename(filePath, extension).split(/[_.\s-]/)[0];
+        const content = await fs.readFile(filePath, 'utf8');
+
+        if (extension === '.csv') {
+            return await this.importCSV(resolvedSymbol, timeframe, content, { useAdjustedClose });
+        }
+        if (extension === '.json') {
+            return await this.importJSON(resolvedSymbol, timeframe, content);
+        }
+        throw new Error(`Unsupported bar file type: ${extension} (expected .csv or .json)`);
+    }
+
+    async readBars(symbol, timeframe) {
+        const key = this.memoKey(symbol, timeframe);
+        if (this.memo.has(key)) {
+            return this.memo.get(key);
+        }
+
+        let bars = [];
+        try {
+            bars = JSON.parse(await fs.readFile(this.getFilePath(symbol, timeframe), 'utf8'));
+        } catch (error) {
+            if (error.code !== 'ENOENT') {
+                this.logger.error('Failed to read bars from bar store', {
+                    symbol,
+                    timeframe,
+                    error: error.message
+                });
+            }
+        }
+
+        this.memo.set(key, bars);
+        return bars;
+    }
+
+    /**
+     * Bars for a timeframe built from a finer stored one (e.g. 15Min from 1Min, 1Day from 5Min)
+     */
+    async readAggregatedBars(symbol, timeframe) {
+        const key = this.memoKey(symbol, timeframe);
+        if (this.aggregated.has(key)) {
+            return this.aggregated.get(key);
+        }
+
+        let bars = [];
+        for (const sourceTimeframe of finerTimeframes(timeframe)) {
+            const sourceBars = await this.readBars(symbol, sourceTimeframe);
+            if (sourceBars.length > 0) {
+                bars = aggregateBars(sourceBars, timeframe);
+                break;
+            }
+        }
+
+        this.aggregated.set(key, bars);
+        return bars;
+    }
+
+    memoKey(symbol, timeframe) {
+        return `${BarStore.normalizeSymbol(symbol)}:${BarStore.normalizeTimeframe(timeframe)}`;
+    }
+}
+
+function parseCSV(csvText, { useAdjustedClose = false } = {}) {
+    const lines = csvText.split(/\r?\n/).filter(line => line.trim() !== '');
+    if (lines.length < 2) return [];
+
+    const header = splitCSVLine(lines[0]).map(h => h.toLowerCase());
+    const columns = {};
+    for (const [field, names] of Object.entries(CSV_COLUMNS)) {
+        columns[field] = header.findIndex(h => names.includes(h));
+    }
+
+    if (columns.timestamp < 0 || columns.close < 0) {
+        throw new Error(`CSV header must include a date/timestamp and close column (got: ${header.join(', ')})`);
+    }
+
+    return lines.slice(1).map(line => {
+        const cells = splitCSVLine(line);
+        const value = field => (columns[field] >= 0 ? cells[columns[field]] : undefined);
+        const close = parseFloat(value('close'));
+        const factor = useAdjustedClose && columns.adjClose >= 0 && close > 0
+            ? parseFloat(value('adjClose')) / close
+            : 1;
+
+        return {
+            timestamp: value('timestamp'),
+            open: parseFloat(value('open') ?? close) * factor,
+            high: parseFloat(value('high') ?? close) * factor,
+            low: parseFloat(value('low') ?? close) * factor,
+            close: close * factor,
+            volume: parseInt(value('volume') || 0)
+        };
+    });
+}
+
+function splitCSVLine(line) {
+    return line.split(',').map(cell => cell.trim().replace(/^"(.*)"$/, '$1'));
+}
+
+function normalizeBar(bar) {
+    const rawTime = bar.timestamp ?? bar.date ?? bar.t;
+    const close = parseFloat(bar.close ?? bar.c);
+    if (rawTime === undefined || rawTime === null || rawTime === '' || !Number.isFinite(close) || close <= 0) {
+        return null;
+    }
+
+    // Numeric timestamps may be epoch seconds or milliseconds
+    const numericTime = Number(rawTime);
+    const date = Number.isFinite(numericTime)
+        ? new Date(numericTime < 1e12 ? numericTime * 1000 : numericTime)
+        : new Date(rawTime);
+    if (isNaN(date.getTime())) return null;
+
+    const open = parseFloat(bar.open ?? bar.o);
+    const high = parseFloat(bar.high ?? bar.h);
+    const low = parseFloat(bar.low ?? bar.l);
+
+    return {
+        timestamp: date.toISOString(),
+        open: Number.isFinite(open) ? open : close,
+        high: Number.isFinite(high) ? high : close,
+        low: Number.isFinite(low) ? low : close,
+        close,
+        volume: parseInt(bar.volume ?? bar.v ?? 0) || 0
+    };
+}
+
+function endOfDay(date) {
+    const time = new Date(date).getTime();
+    // Date-only strings include the whole day
+    return /^\d{4}-\d{2}-\d{2}$/.test(date) ? time + 86400000 - 1 : time;
+}
@@ -0,0 +1,214 @@
+// lib/services/barValidator.js - Bar continuity, outlier and cross-source checks against the NYSE calendar
+import { Logger } from '../utils/logger.js';
+import {
+    isIntraday, timeframeMinutes, newYorkTime, dailySessionDate, SESSION_OPEN_MINUTE
+} from './timeframes.js';
+import { isTradingDay, previousTradingDay, sessionCloseMinute, tradingDaysAfter } from './tradingCalendar.js';
+
+/**
+ * Checks one provider's bars before strategies see them. Issues are grouped by type with a
+ * count and the first offending bar; any 'error' makes the bars invalid, 'warning's are only
+ * reported.
+ *   invalid_bar         error   non-positive price, or high/low not bracketing open and close
+ *   non_trading_day     error   bar dated on a weekend or NYSE holiday
+ *   out_of_order        error   timestamps not strictly increasing (duplicate_bar when equal)
+ *   missing_sessions    error   trading sessions absent between two bars
+ *   missing_bars        warning intraday buckets absent within a session (quiet minutes have no trades)
+ *   split_discontinuity error   open jumps more than splitJumpThreshold from the previous close
+ *   zero_volume         error for completed daily bars, warning for intraday bars
+ *   stale_data          error   latest bar too far behind the current session
+ *   cross_source_mismatch error latest completed close differs from a second source by more than the tolerance
+ */
+export class BarValidator {
+    constructor(options = {}) {
+        this.logger = options.logger || new Logger();
+        this.now = options.now || (() => Date.now());
+        this.options = {
+            enabled: process.env.DATA_VALIDATION !== 'false',
+            maxStaleSessions: numberFromEnv('DATA_MAX_STALE_SESSIONS', 1),
+            maxIntradayDelayMinutes: numberFromEnv('DATA_MAX_INTRADAY_DELAY_MINUTES', 30),
+            splitJumpThreshold: numberFromEnv('DATA_SPLIT_JUMP_THRESHOLD', 0.4),
+            crossCheck: process.env.DATA_CROSS_CHECK === 'true',
+            crossCheckTolerance: numberFromEnv('DATA_CROSS_CHECK_TOLERANCE', 0.01),
+            ...options
+        };
+    }
+
+    /**
+     * @param {Array} bars - Bars most recent first
+     * @param {string} timeframe - Canonical timeframe of the bars
+     * @returns {Object} { valid, issues: [{ type, severity, count, timestamp, detail }] }
+     */
+    validate(bars, timeframe = '1Day') {
+        const issues = new IssueList();
+        if (!bars || bars.length === 0) {
+            issues.add('no_data', 'error', null, 'No bars returned');
+            return issues.result();
+        }
+
+        const intraday = isIntraday(timeframe);
+        const bucketMs = timeframeMinutes(timeframe) * 60000;
+        const today = newYorkTime(this.now()).date;
+        let previous = null;
+
+        for (const bar of [...bars].reverse()) {
+            const time = new Date(bar.timestamp).getTime();
+            const date = intraday ? newYorkTime(time).date : dailySessionDate(time);
+
+            if (!isValidBar(bar)) {
+                issues.add('invalid_bar', 'error', bar, `O/H/L/C ${bar.open}/${bar.high}/${bar.low}/${bar.close}`);
+            }
+            if (!isTradingDay(date)) {
+                issues.add('non_trading_day', 'error', bar, `${date} is not an NYSE session`);
+            }
+            if (!(bar.volume > 0) && (intraday || date !== today)) {
+                issues.add('zero_volume', intraday ? 'warning' : 'error', bar, 'Bar has no volume');
+            }
+
+            if (previous) {
+                if (!(time > previous.time)) {
+                    issues.add(time === previous.time ? 'duplicate_bar' : 'out_of_order', 'error', bar,
+                        `Follows a bar stamped ${new Date(previous.time).toISOString()}`);
+                } else {
+                    const missingSessions = tradingDaysAfter(previous.date, date) - 1;
+                    if (missingSessions > 0) {
+                        issues.add('missing_sessions', 'error', bar, `${missingSessions} session(s) missing after ${previous.date}`);
+                    } else if (intraday && date === previous.date && time - previous.time > bucketMs) {
+                        issues.add('missing_bars', 'warning', bar, `${Math.round((time - previous.time) / bucketMs) - 1} bar(s) missing`);
+                    }
+
+                    const jump = Math.abs(bar.open / previous.close - 1);
+                    if (jump > this.options.splitJumpThreshold) {
+                        issues.add('split_discontinuity', 'error', bar,
+                            `Opened at ${bar.open} after a ${previous.close} close (${(jump * 100).toFixed(1)}% jump)`);
+                    }
+                }
+            }
+            previous = { time, date, close: bar.close };
+        }
+
+        const staleness = this.staleness(previous, intraday, bucketMs);
+        if (staleness) {
+            issues.add('stale_data', 'error', bars[0], staleness);
+        }
+
+        return issues.result();
+    }
+
+    /**
+     * Why `latestBar` is too old to trade on, or null (the same rule validate applies)
+     * @param {Object} latestBar - Anything with a timestamp, e.g. the newest bar of a series
+     */
+    staleReason(latestBar, timeframe = '1Day') {
+        const intraday = isIntraday(timeframe);
+        const time = new Date(latestBar.timestamp).getTime();
+        const date = intraday ? newYorkTime(time).date : dailySessionDate(time);
+        return this.staleness({ time, date }, intraday, timeframeMinutes(timeframe) * 60000);
+    }
+
+    /**
+     * Why the latest bar is too old, or null. Daily bars may trail the current session by
+     * maxStaleSessions; during the session intraday bars may be one bar plus
+     * maxIntradayDelayMinutes old, and outside it they must reach the last session.
+     */
+    staleness(latest, intraday, bucketMs) {
+        const now = this.now();
+        const { date: today, minutes } = newYorkTime(now);
+        const sessionStarted = isTradingDay(today) && minutes >= SESSION_OPEN_MINUTE;
+        const currentSession = sessionStarted ? today : previousTradingDay(today);
+        const lag = tradingDaysAfter(latest.date, currentSession);
+
+        if (!intraday) {
+            return lag > this.options.maxStaleSessions ?
+                `Latest bar is from ${latest.date}, ${lag} session(s) behind ${currentSession}` : null;
+        }
+
+        const allowedMinutes = bucketMs / 60000 + this.options.maxIntradayDelayMinutes;
+        if (sessionStarted && minutes < sessionCloseMinute(today)) {
+            // Right after the open the previous session's bars are still the latest ones
+            if (minutes - SESSION_OPEN_MINUTE <= allowedMinutes) {
+                return lag > 1 ? `Latest bar is from ${latest.date}, before the previous session` : null;
+            }
+            const ageMinutes = Math.round((now - latest.time) / 60000);
+            return ageMinutes > allowedMinutes ?
+                `Latest bar started ${ageMinutes} minutes ago (allowed ${allowedMinutes})` : null;
+        }
+        return lag > 0 ? `Latest bar is from ${latest.date}, session ${currentSession} has no bars` : null;
+    }
+
+    /**
+     * Compare the newest completed bar both sources have
+     * @param {Array} bars - Bars under test, most recent first
+     * @param {Array} referenceBars - Second source's bars, most recent first
+     * @returns {Object|null} Issue, or null when the closes agree
+     */
+    crossCheck(bars, referenceBars, timeframe, referenceSource) {
+        const intraday = isIntraday(timeframe);
+        const bucketMs = timeframeMinutes(timeframe) * 60000;
+        const now = this.now();
+        const today = newYorkTime(now).date;
+        const keyOf = bar => intraday ? new Date(bar.timestamp).toISOString() : dailySessionDate(bar.timestamp);
+        const completed = bar => intraday ?
+            new Date(bar.timestamp).getTime() + bucketMs <= now :
+            dailySessionDate(bar.timestamp) < today;
+
+        const reference = new Map((referenceBars || []).filter(completed).map(bar => [keyOf(bar), bar]));
+        const bar = bars.find(candidate => completed(candidate) && reference.has(keyOf(candidate)));
+        if (!bar) {
+            return {
+                type: 'cross_check_unavailable',
+                severity: 'warning',
+                count: 1,
+                timestamp: bars[0]?.timestamp || null,
+                detail: `${referenceSource} has no completed bar in common`
+            };
+        }
+
+        const referenceClose = reference.get(keyOf(bar)).close;
+        const difference = Math.abs(bar.close / referenceClose - 1);
+        if (difference <= this.options.crossCheckTolerance) {
+            return null;
+        }
+        return {
+            type: 'cross_source_mismatch',
+            severity: 'error',
+            count: 1,
+            timestamp: bar.timestamp,
+            detail: `Close ${bar.close} vs ${referenceClose} from ${referenceSource} (${(difference * 100).toFixed(2)}% apart)`
+        };
+    }
+}
+
+class IssueList {
+    constructor() {
+        this.issues = new Map(); // type -> issue
+    }
+
+    add(type, severity, bar, detail) {
+        const issue = this.issues.get(type);
+        if (issue) {
+            issue.count++;
+            return;
+        }
+        this.issues.set(type, { type, severity, count: 1, timestamp: bar?.timestamp || null, detail });
+    }
+
+    result() {
+        const issues = Array.from(this.issues.values());
+        return { valid: !issues.some(issue => issue.severity === 'error'), issues };
+    }
+}
+
+// Adjusted prices are rounded per field, so high/low may miss open/close by a hair
+const OHLC_ROUNDING_TOLERANCE = 0.0005;
+
+function isValidBar({ open, high, low, close }) {
+    return [open, high, low, close].every(price => Number.isFinite(price) && price > 0) &&
+        high * (1 + OHLC_ROUNDING_TOLERANCE) >= Math.max(open, close) &&
+        low * (1 - OHLC_ROUNDING_TOLERANCE) <= Math.min(open, close);
+}
+
+function numberFromEnv(name, defaultValue) {
+    const value = parseFloat(process.env[name]);
+    return Number.isFinite(value) ? value : defaultValue;
+}
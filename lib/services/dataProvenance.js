@@ -0,0 +1,149 @@
+// lib/services/dataProvenance.js - Provenance tags on bars and quotes, the per-run input log and the trading policy over it
+import { Logger } from '../utils/logger.js';
+import { BarValidator } from './barValidator.js';
+import { normalizeTimeframe } from './timeframes.js';
+
+export const DATA_POLICY_MODES = ['block', 'warn', 'off'];
+
+/**
+ * Copies of `bars` carrying provenance { source, synthetic, age }, age being seconds since each bar's timestamp
+ * @param {Object} origin - { source, synthetic }
+ */
+export function tagBars(bars, origin, now = Date.now()) {
+    return bars.map(bar => ({ ...bar, provenance: provenanceOf(bar, origin, now) }));
+}
+
+/**
+ * Copy of `quote` carrying provenance { source, synthetic, age }, age being seconds since the quote's timestamp
+ * @param {Object} origin - { source, synthetic }
+ */
+export function tagQuote(quote, origin, now = Date.now()) {
+    return { ...quote, provenance: provenanceOf(quote, origin, now) };
+}
+
+/**
+ * Bars and quotes a broker handed out during one run, one entry per symbol, kind and timeframe.
+ * A later fetch replaces an entry, except that a synthetic answer is kept: a decision may
+ * already rest on it.
+ */
+export class ProvenanceLog {
+    constructor() {
+        this.entries = new Map(); // 'kind:SYMBOL:timeframe' -> entry
+    }
+
+    /**
+     * @param {Array} bars - Tagged bars, oldest -> newest as broker adapters return them
+     */
+    recordBars(symbol, timeframe, bars) {
+        const latest = bars?.[bars.length - 1];
+        if (!latest?.provenance) return;
+        this.record({
+            symbol,
+            kind: 'bars',
+            timeframe: normalizeTimeframe(timeframe),
+            timestamp: latest.timestamp,
+            ...latest.provenance
+        });
+    }
+
+    recordQuote(symbol, quote) {
+        if (!quote?.provenance) return;
+        this.record({ symbol, kind: 'quote', timeframe: null, timestamp: quote.timestamp, ...quote.provenance });
+    }
+
+    record(entry) {
+        const symbol = entry.symbol.toUpperCase();
+        const key = `${entry.kind}:${symbol}:${entry.timeframe || ''}`;
+        if (this.entries.get(key)?.synthetic && !entry.synthetic) return;
+        this.entries.set(key, { ...entry, symbol });
+    }
+
+    getEntries() {
+        return Array.from(this.entries.values());
+    }
+}
+
+/**
+ * Decides whether a trade may rest on the market data logged for its symbols. Synthetic inputs
+ * block it, and so do stale ones: quotes older than maxQuoteAgeSeconds (or without a time) and
+ * bars whose newest bar fails the BarValidator staleness rule. mode 'warn' only logs, 'off'
+ * checks nothing.
+ */
+export class MarketDataPolicy {
+    /**
+     * @param {Object} options - { log (ProvenanceLog), mode, maxQuoteAgeSeconds, validator, logger, now }
+     */
+    constructor(options = {}) {
+        this.logger = options.logger || new Logger();
+        this.now = options.now || (() => Date.now());
+        this.log = options.log || null;
+        this.validator = options.validator || new BarValidator({ logger: this.logger, now: this.now });
+        this.options = {
+            mode: options.mode || process.env.DATA_PROVENANCE_POLICY || 'block',
+            maxQuoteAgeSeconds: options.maxQuoteAgeSeconds ?? numberFromEnv('DATA_MAX_QUOTE_AGE_SECONDS', 300)
+        };
+
+        if (!DATA_POLICY_MODES.includes(this.options.mode)) {
+            throw new Error(`Unknown data provenance policy: ${this.options.mode} (expected one of ${DATA_POLICY_MODES.join(', ')})`);
+        }
+    }
+
+    /**
+     * @param {Array} symbols - Symbols whose bars and quotes the decision used (falsy entries ignored)
+     * @returns {Object} { allowed, inputs: offending log entries with { issue: 'synthetic'|'stale', detail } }
+     */
+    check(symbols) {
+        if (this.options.mode === 'off' || !this.log) {
+            return { allowed: true, inputs: [] };
+        }
+
+        const wanted = new Set(symbols.filter(Boolean).map(symbol => symbol.toUpperCase()));
+        const inputs = [];
+        for (const entry of this.log.getEntries()) {
+            if (!wanted.has(entry.symbol)) continue;
+            const issue = this.issueOf(entry);
+            if (issue) {
+                inputs.push({ ...entry, ...issue });
+            }
+        }
+
+        if (inputs.length > 0 && this.options.mode === 'warn') {
+            this.logger.warning('Trading on synthetic or stale market data', { symbols: [...wanted], inputs });
+            return { allowed: true, inputs };
+        }
+        return { allowed: inputs.length === 0, inputs };
+    }
+
+    issueOf(entry) {
+        if (entry.synthetic) {
+            return { issue: 'synthetic', detail: `Not real market data (${entry.source})` };
+        }
+
+        if (entry.kind === 'quote') {
+            const time = new Date(entry.timestamp).getTime();
+            if (!Number.isFinite(time)) {
+                return { issue: 'stale', detail: 'Quote has no timestamp' };
+            }
+            const age = Math.round((this.now() - time) / 1000);
+            return age > this.options.maxQuoteAgeSeconds ?
+                { issue: 'stale', detail: `Quote is ${age}s old (allowed ${this.options.maxQuoteAgeSeconds}s)` } : null;
+        }
+
+        const reason = this.validator.staleReason(entry, entry.timeframe);
+        return reason ? { issue: 'stale', detail: reason } : null;
+    }
+}
+
+function provenanceOf(item, { source, synthetic }, now) {
+    const time = new Date(item.timestamp).getTime();
+    return {
+        source,
+        synthetic: !!synthetic,
+        age: Number.isFinite(time) ? Math.max(0, Math.round((now - time) / 1000)) : null
+    };
+}
+
+function numberFromEnv(name, defaultValue) {
+    const value = parseFloat(process.env[name]);
+    return Number.isFinite(value) ? value : defaultValue;
+}
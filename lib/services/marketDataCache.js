@@ -0,0 +1,213 @@
+// lib/services/marketDataCache.js - Run memo, TTL cache and persistent daily-bar store in front of market data providers
+import { Logger } from '../utils/logger.js';
+import { BarStore } from './barStore.js';
+import { isIntraday, newYorkTime, dailySessionDate } from './timeframes.js';
+
+const DAY_MS = 24 * 60 * 60 * 1000;
+
+// Shared by every MarketDataCache in the process, so a warm serverless instance reuses
+// the previous run's fetches while they are fresh
+const sharedEntries = new Map(); // key -> { data, source, limit, fetchedAt }
+
+/**
+ * Three layers, checked in order:
+ *   run memo    - per cache instance (one per broker, so one per /api/trade run). Bars fetched
+ *                 once are reused for the rest of the run, and concurrent requests share the fetch.
+ *   TTL cache   - process-wide, with separate TTLs for quotes, intraday bars and daily bars.
+ *   daily store - optional BarStore (MARKET_DATA_CACHE_DIR) holding completed daily sessions, so
+ *                 after a cold start only the sessions since the last stored one are fetched.
+ * Synthetic results (generated fallback bars) stay in the run memo and are never shared or stored.
+ */
+export class MarketDataCache {
+    /**
+     * @param {Object} options - { ttls: { quote, intraday, daily } in ms, dailyStore, shared, logger, now }
+     *   A TTL of 0 turns that layer off for the data type; dailyStore null turns the store off.
+     */
+    constructor(options = {}) {
+        this.logger = options.logger || new Logger();
+        this.now = options.now || (() => Date.now());
+        this.ttls = {
+            quote: ttlFromEnv('MARKET_DATA_QUOTE_TTL_SECONDS', 15),
+            intraday: ttlFromEnv('MARKET_DATA_INTRADAY_TTL_SECONDS', 60),
+            daily: ttlFromEnv('MARKET_DATA_DAILY_TTL_SECONDS', 300),
+            ...options.ttls
+        };
+        this.dailyStore = options.dailyStore !== undefined ? options.dailyStore :
+            (process.env.MARKET_DATA_CACHE_DIR ? new BarStore({ baseDir: process.env.MARKET_DATA_CACHE_DIR, logger: this.logger }) : null);
+        this.shared = options.shared || sharedEntries;
+        this.runMemo = new Map(); // key -> { limit, promise }
+        this.inFlightQuotes = new Map(); // key -> promise
+        this.stats = { memoHits: 0, ttlHits: 0, storedBars: 0, fetches: 0 };
+    }
+
+    /**
+     * @param {Function} load - fetchLimit => Promise<{ data (most recent first), source, synthetic }>
+     * @returns {Object} { data: up to `limit` bars, most recent first, source, synthetic }
+     */
+    async getBars(symbol, limit, timeframe, load) {
+        const key = `bars:${symbol.toUpperCase()}:${timeframe}`;
+
+        const memo = this.runMemo.get(key);
+        if (memo && memo.limit >= limit) {
+            this.stats.memoHits++;
+            return sliceBars(await memo.promise, limit);
+        }
+
+        const cached = this.readShared(key, isIntraday(timeframe) ? this.ttls.intraday : this.ttls.daily);
+        if (cached && cached.limit >= limit) {
+            this.stats.ttlHits++;
+            this.runMemo.set(key, { limit: cached.limit, promise: Promise.resolve(cached) });
+            return sliceBars(cached, limit);
+        }
+
+        const promise = !isIntraday(timeframe) && this.dailyStore ?
+            this.loadDailyBars(symbol, limit, load) :
+            this.fetch(load, limit);
+        this.runMemo.set(key, { limit, promise });
+
+        let result;
+        try {
+            result = await promise;
+        } catch (error) {
+            this.runMemo.delete(key);
+            throw error;
+        }
+
+        if (!result.synthetic) {
+            this.writeShared(key, { ...result, limit });
+        }
+        return sliceBars(result, limit);
+    }
+
+    /**
+     * Latest quote. Quotes skip the run memo so a run never trades on one older than the quote TTL.
+     * @param {Function} load - () => Promise<{ data: quote, source, synthetic }>
+     * @returns {Object} { data: quote, source, synthetic }
+     */
+    async getQuote(symbol, load) {
+        const key = `quote:${symbol.toUpperCase()}`;
+
+        const cached = this.readShared(key, this.ttls.quote);
+        if (cached) {
+            this.stats.ttlHits++;
+            return quoteResult(cached);
+        }
+        if (this.inFlightQuotes.has(key)) {
+            this.stats.memoHits++;
+            return quoteResult(await this.inFlightQuotes.get(key));
+        }
+
+        const promise = this.fetch(load);
+        this.inFlightQuotes.set(key, promise);
+        try {
+            const result = await promise;
+            if (!result.synthetic) {
+                this.writeShared(key, result);
+            }
+            return quoteResult(result);
+        } finally {
+            this.inFlightQuotes.delete(key);
+        }
+    }
+
+    /**
+     * Daily bars from the store, topped up with the sessions since the last stored one.
+     * Bars are matched by New York session date because providers stamp daily bars differently.
+     */
+    async loadDailyBars(symbol, limit, load) {
+        const today = newYorkTime(this.now()).date;
+        let stored = [];
+        try {
+            stored = (await this.dailyStore.getBars(symbol, '1Day'))
+                .filter(bar => sessionDate(bar) < today);
+        } catch (error) {
+            this.logger.error('Failed to read cached daily bars', { symbol, error: error.message });
+        }
+
+        // The forming session plus one overlapping session, when the store covers the rest
+        let fetchLimit = limit;
+        if (stored.length > 0) {
+            const tail = weekdaysAfter(sessionDate(stored[stored.length - 1]), today) + 2;
+            if (stored.length + tail >= limit) {
+                fetchLimit = Math.min(limit, tail);
+            }
+        }
+
+        const result = await this.fetch(load, fetchLimit);
+        if (result.synthetic) {
+            return result;
+        }
+
+        const fetched = [...result.data].reverse();
+        const firstFetched = fetched.length > 0 ? sessionDate(fetched[0]) : today;
+        const kept = stored.filter(bar => sessionDate(bar) < firstFetched);
+        this.stats.storedBars += Math.min(kept.length, limit);
+
+        const storedDates = new Set(stored.map(sessionDate));
+        const completed = fetched.filter(bar => sessionDate(bar) < today && !storedDates.has(sessionDate(bar)));
+        if (completed.length > 0) {
+            try {
+                await this.dailyStore.saveBars(symbol, '1Day', completed);
+            } catch (error) {
+                this.logger.error('Failed to store completed daily bars', { symbol, error: error.message });
+            }
+        }
+
+        return { ...result, data: [...kept, ...fetched].reverse() };
+    }
+
+    async fetch(load, ...args) {
+        this.stats.fetches++;
+        return await load(...args);
+    }
+
+    readShared(key, ttl) {
+        const entry = this.shared.get(key);
+        if (!entry || ttl <= 0) return null;
+        if (this.now() - entry.fetchedAt > ttl) {
+            this.shared.delete(key);
+            return null;
+        }
+        return entry;
+    }
+
+    writeShared(key, entry) {
+        this.shared.set(key, { ...entry, fetchedAt: this.now() });
+    }
+
+    getStats() {
+        return {
+            ...this.stats,
+            ttlSeconds: Object.fromEntries(Object.entries(this.ttls).map(([type, ttl]) => [type, ttl / 1000])),
+            sharedEntries: this.shared.size,
+            dailyStore: this.dailyStore ? this.dailyStore.baseDir : null
+        };
+    }
+}
+
+function ttlFromEnv(name, defaultSeconds) {
+    const seconds = parseFloat(process.env[name]);
+    return (Number.isFinite(seconds) ? seconds : defaultSeconds) * 1000;
+}
+
+function sliceBars({ data, source, synthetic }, limit) {
+    return { data: data.slice(0, limit), source, synthetic };
+}
+
+function quoteResult({ data, source, synthetic }) {
+    return { data, source, synthetic };
+}
+
+function sessionDate(bar) {
+    return dailySessionDate(bar.timestamp);
+}
+
+// Weekdays after `fromDate` up to and including `toDate` ('YYYY-MM-DD')
+function weekdaysAfter(fromDate, toDate) {
+    let count = 0;
+    for (let time = Date.parse(fromDate) + DAY_MS; time <= Date.parse(toDate); time += DAY_MS) {
+        const weekday = new Date(time).getUTCDay();
+        if (weekday !== 0 && weekday !== 6) count++;
+    }
+    return count;
+}
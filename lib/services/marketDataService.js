@@ -1,8 +1,32 @@
 // lib/services/marketDataService.js - Hybrid Real Market Data Service
 import { Logger } from '../utils/logger.js';
+import { MarketDataCache } from './marketDataCache.js';
+import { RateLimiter } from './rateLimiter.js';
+import { BarValidator } from './barValidator.js';
+import { tagBars, tagQuote } from './dataProvenance.js';
+import {
+    normalizeTimeframe, timeframeMinutes, isIntraday, lookbackDays, aggregateBars, isRegularSession, newYorkTimeToDate,
+    SESSION_MINUTES
+} from './timeframes.js';
+
+// Provider interval names per timeframe. 1Hour is fetched as 15Min and rolled up so every
+// hour starts at the 9:30 open, whatever alignment the provider uses.
+const PROVIDER_INTERVALS = {
+    yahooFinance: { '1Min': '1m', '5Min': '5m', '15Min': '15m', '1Day': '1d' },
+    finnhub: { '1Min': '1', '5Min': '5', '15Min': '15', '1Day': 'D' },
+    twelveData: { '1Min': '1min', '5Min': '5min', '15Min': '15min', '1Day': '1day' },
+    alphavantage: { '1Min': '1min', '5Min': '5min', '15Min': '15min', '1Day': 'daily' },
+    polygon: { '1Min': '1/minute', '5Min': '5/minute', '15Min': '15/minute', '1Day': '1/day' }
+};
+
+// Bars fetched from a second source to cross-check the latest completed close
+const CROSS_CHECK_BARS = 5;
+
+// Yahoo only serves 1m bars for the last week and 5m/15m for the last 60 days
+const YAHOO_MAX_INTRADAY_DAYS = { '1m': 7, '5m': 59, '15m': 59 };
 
 export class MarketDataService {
-    constructor() {
+    constructor(options = {}) {
         this.logger = new Logger();
         this.dataSources = {
             finnhub: {
@@ -10,6 +34,7 @@ export class MarketDataService {
                 baseUrl: 'https://finnhub.io/api/v1',
                 apiKey: process.env.FINNHUB_API_KEY,
                 rateLimit: 60, // 60 calls per minute on free tier
+                rateWindow: 'minute',
                 features: ['realtime', 'historical', 'quotes']
             },
             alphavantage: {
@@ -17,6 +42,7 @@ export class MarketDataService {
                 baseUrl: 'https://www.alphavantage.co/query',
                 apiKey: process.env.ALPHA_VANTAGE_API_KEY,
                 rateLimit: 25, // 25 calls per day on free tier (500 on free subscription)
+                rateWindow: 'day',
                 features: ['historical', 'quotes', 'indicators']
             },
             yahooFinance: {
@@ -24,6 +50,7 @@ export class MarketDataService {
                 baseUrl: 'https://query1.finance.yahoo.com/v8/finance/chart',
                 apiKey: null, // No API key required
                 rateLimit: 2000, // 2000 calls per hour
+                rateWindow: 'hour',
                 features: ['realtime', 'historical', 'quotes']
             },
             twelveData: {
@@ -31,6 +58,7 @@ export class MarketDataService {
                 baseUrl: 'https://api.twelvedata.com',
                 apiKey: process.env.TWELVE_DATA_API_KEY,
                 rateLimit: 800, // 800 calls per day on free tier
+                rateWindow: 'day',
                 features: ['realtime', 'historical', 'quotes', 'indicators']
             },
             polygon: {
@@ -38,95 +66,129 @@ export class MarketDataService {
                 baseUrl: 'https://api.polygon.io',
                 apiKey: process.env.POLYGON_API_KEY,
                 rateLimit: 5, // 5 calls per minute on free tier
+                rateWindow: 'minute',
                 features: ['historical', 'quotes'] // Real-time requires paid plan
             }
         };
 
-        // Track API usage for rate limiting
-        this.apiUsage = {};
-        this.initializeUsageTracking();
-    }
+        // Provider quotas, counted per attempt and shared through the state store when one is given
+        this.rateLimiter = options.rateLimiter || new RateLimiter({
+            limits: Object.fromEntries(Object.entries(this.dataSources)
+                .map(([key, source]) => [key, { limit: source.rateLimit, window: source.rateWindow }])),
+            stateStore: options.stateStore || null,
+            logger: this.logger
+        });
 
-    initializeUsageTracking() {
-        for (const [key, source] of Object.entries(this.dataSources)) {
-            this.apiUsage[key] = {
-                calls: 0,
-                lastReset: Date.now(),
-                resetInterval: 60 * 60 * 1000 // 1 hour
-            };
-        }
+        // Run memo and TTL cache in front of every provider call
+        this.cache = options.cache || new MarketDataCache({ logger: this.logger });
+
+        // Bar checks before any provider's answer is used; outcomes are kept for the run response
+        this.validator = options.validator || new BarValidator({ logger: this.logger });
+        this.validationReport = [];
     }
 
-    canMakeAPICall(sourceName) {
-        const usage = this.apiUsage[sourceName];
+    // apiKey null marks a source that needs no key
+    isConfigured(sourceName) {
         const source = this.dataSources[sourceName];
+        return !!source && (source.apiKey === null || !!source.apiKey);
+    }
 
-        if (!usage || !source) return false;
-
-        // Reset usage if interval has passed
-        const now = Date.now();
-        if (now - usage.lastReset > usage.resetInterval) {
-            usage.calls = 0;
-            usage.lastReset = now;
+    async isAvailable(sourceName) {
+        if (!this.isConfigured(sourceName)) return false;
+        if (!await this.canMakeAPICall(sourceName)) {
+            this.logger.warning(`Rate limit reached for ${sourceName}`, {
+                sourceName,
+                usage: this.rateLimiter.getStatus(sourceName)
+            });
+            return false;
         }
+        return true;
+    }
 
-        return usage.calls < source.rateLimit;
+    async canMakeAPICall(sourceName) {
+        return await this.rateLimiter.canCall(sourceName);
     }
 
-    recordAPICall(sourceName) {
-        if (this.apiUsage[sourceName]) {
-            this.apiUsage[sourceName].calls++;
-        }
+    // Called before each provider request, so failed and empty responses count too
+    async recordAPICall(sourceName) {
+        await this.rateLimiter.recordAttempt(sourceName);
     }
 
-    async getHistoricalData(symbol, limit = 100) {
-        this.logger.info('Fetching real market data', { symbol, limit });
+    // Add this run's provider calls to the stored counts; called once when the run ends
+    async persistRateLimitUsage() {
+        await this.rateLimiter.persistUsage();
+    }
+
+    /**
+     * Bars for a symbol, oldest -> newest like every broker adapter returns them, each tagged
+     * with provenance { source, synthetic, age }. Providers, the cache and the validator work
+     * most recent first; the order is flipped only here.
+     * @param {string} symbol - Trading symbol
+     * @param {number} limit - Number of bars
+     * @param {string} timeframe - '1Min', '5Min', '15Min', '1Hour' or '1Day' (aliases such as '15m' accepted).
+     *   Intraday bars cover the regular session only and are bucketed from the 9:30 open.
+     */
+    async getHistoricalData(symbol, limit = 100, timeframe = '1Day') {
+        timeframe = normalizeTimeframe(timeframe);
+        const { data, source, synthetic } = await this.cache.getBars(symbol, limit, timeframe,
+            fetchLimit => this.fetchHistoricalData(symbol, fetchLimit, timeframe));
+        return tagBars(data, { source, synthetic }).reverse();
+    }
+
+    /**
+     * Bars from the first provider whose answer passes validation, or generated bars when no
+     * provider answers at all. When providers answer but every answer fails validation, nothing
+     * is generated: the call throws and the reasons go into the validation report.
+     * @returns {Object} { data (most recent first), source, synthetic }
+     */
+    async fetchHistoricalData(symbol, limit, timeframe) {
+        this.logger.info('Fetching real market data', { symbol, limit, timeframe });
 
         // Try data sources in order of preference
         const sources = ['yahooFinance', 'finnhub', 'twelveData', 'alphavantage', 'polygon'];
+        const rejected = [];
 
-        for (const sourceName of sources) {
-            if (!this.canMakeAPICall(sourceName)) {
-                this.logger.warning(`Rate limit reached for ${sourceName}`, { 
-                    sourceName,
-                    usage: this.apiUsage[sourceName]
-                });
-                continue;
-            }
+        for (const [index, sourceName] of sources.entries()) {
+            if (!await this.isAvailable(sourceName)) continue;
 
             try {
-                let data;
-                switch (sourceName) {
-                    case 'yahooFinance':
-                        data = await this.getYahooFinanceData(symbol, limit);
-                        break;
-                    case 'finnhub':
-                        data = await this.getFinnhubData(symbol, limit);
-                        break;
-                    case 'twelveData':
-                        data = await this.getTwelveData(symbol, limit);
-                        break;
-                    case 'alphavantage':
-                        data = await this.getAlphaVantageData(symbol, limit);
-                        break;
-                    case 'polygon':
-                        data = await this.getPolygonData(symbol, limit);
-                        break;
+                const data = await this.fetchFromSource(sourceName, symbol, limit, timeframe);
+                if (!data || data.length === 0) continue;
+
+                const validation = await this.validateBars(symbol, timeframe, data, sources.slice(index + 1));
+                if (!validation.valid) {
+                    this.logger.warning('Market data failed validation, trying the next source', {
+                        symbol,
+                        timeframe,
+                        source: sourceName,
+                        issues: validation.issues
+                    });
+                    rejected.push({ source: sourceName, issues: validation.issues });
+                    continue;
                 }
 
-                if (data && data.length > 0) {
-                    this.recordAPICall(sourceName);
-                    this.logger.info('Real market data retrieved successfully', {
+                if (rejected.length > 0 || validation.issues.length > 0) {
+                    this.recordValidation({
                         symbol,
+                        timeframe,
+                        status: rejected.length > 0 ? 'switched' : 'passed',
                         source: sourceName,
-                        bars: data.length,
-                        dateRange: {
-                            from: data[0]?.timestamp,
-                            to: data[data.length - 1]?.timestamp
-                        }
+                        rejected,
+                        warnings: validation.issues
                     });
-                    return data;
                 }
+
+                this.logger.info('Real market data retrieved successfully', {
+                    symbol,
+                    timeframe,
+                    source: sourceName,
+                    bars: data.length,
+                    dateRange: {
+                        from: data[data.length - 1]?.timestamp,
+                        to: data[0]?.timestamp
+                    }
+                });
+                return { data, source: sourceName, synthetic: false };
             } catch (error) {
                 this.logger.error(`${sourceName} data fetch failed`, {
                     symbol,
@@ -136,17 +198,113 @@ export class MarketDataService {
             }
         }
 
+        if (rejected.length > 0) {
+            this.recordValidation({ symbol, timeframe, status: 'rejected', source: null, rejected, warnings: [] });
+            const reasons = rejected.map(({ source, issues }) =>
+                `${source}: ${issues.filter(issue => issue.severity === 'error').map(issue => issue.type).join(', ')}`);
+            throw new Error(`Market data for ${symbol} (${timeframe}) failed validation - ${reasons.join('; ')}`);
+        }
+
         // Fallback to realistic simulated data if all sources fail
-        this.logger.warning('All real data sources failed, using simulated data', { symbol });
-        return await this.generateRealisticFallbackData(symbol, limit);
+        this.logger.warning('All real data sources failed, using simulated data', { symbol, timeframe });
+        const data = await this.generateRealisticFallbackData(symbol, limit, timeframe);
+        return { data, source: 'simulated', synthetic: true };
     }
 
-    async getYahooFinanceData(symbol, limit) {
+    /**
+     * One provider's bars, most recent first, session-aligned for intraday timeframes.
+     * The attempt counts against the provider's quota.
+     */
+    async fetchFromSource(sourceName, symbol, limit, timeframe) {
+        const fetchTimeframe = timeframe === '1Hour' ? '15Min' : timeframe;
+        const fetchLimit = Math.ceil(limit * timeframeMinutes(timeframe) / timeframeMinutes(fetchTimeframe));
+
+        await this.recordAPICall(sourceName);
+        let data;
+        switch (sourceName) {
+            case 'yahooFinance':
+                data = await this.getYahooFinanceData(symbol, fetchLimit, fetchTimeframe);
+                break;
+            case 'finnhub':
+                data = await this.getFinnhubData(symbol, fetchLimit, fetchTimeframe);
+                break;
+            case 'twelveData':
+                data = await this.getTwelveData(symbol, fetchLimit, fetchTimeframe);
+                break;
+            case 'alphavantage':
+                data = await this.getAlphaVantageData(symbol, fetchLimit, fetchTimeframe);
+                break;
+            case 'polygon':
+                data = await this.getPolygonData(symbol, fetchLimit, fetchTimeframe);
+                break;
+        }
+
+        if (data && data.length > 0 && isIntraday(timeframe)) {
+            data = toSessionBars(data, timeframe, limit);
+        }
+        return data;
+    }
+
+    /**
+     * Run the bar checks and, with DATA_CROSS_CHECK, compare the latest completed close against
+     * the first of `referenceSources` that is configured and has quota left
+     * @returns {Object} { valid, issues }
+     */
+    async validateBars(symbol, timeframe, data, referenceSources) {
+        if (!this.validator.options.enabled) {
+            return { valid: true, issues: [] };
+        }
+
+        const validation = this.validator.validate(data, timeframe);
+        if (!validation.valid || !this.validator.options.crossCheck) {
+            return validation;
+        }
+
+        let referenceSource = null;
+        for (const sourceName of referenceSources) {
+            if (this.isConfigured(sourceName) && await this.canMakeAPICall(sourceName)) {
+                referenceSource = sourceName;
+                break;
+            }
+        }
+
+        let issue;
+        if (!referenceSource) {
+            issue = { type: 'cross_check_unavailable', severity: 'warning', count: 1, timestamp: null, detail: 'No second source available' };
+        } else {
+            try {
+                const referenceBars = await this.fetchFromSource(referenceSource, symbol, CROSS_CHECK_BARS, timeframe);
+                issue = this.validator.crossCheck(data, referenceBars, timeframe, referenceSource);
+            } catch (error) {
+                issue = { type: 'cross_check_unavailable', severity: 'warning', count: 1, timestamp: null, detail: `${referenceSource}: ${error.message}` };
+            }
+        }
+
+        if (!issue) {
+            return validation;
+        }
+        return { valid: issue.severity !== 'error', issues: [...validation.issues, issue] };
+    }
+
+    recordValidation(entry) {
+        this.validationReport.push({ ...entry, checkedAt: new Date().toISOString() });
+    }
+
+    /**
+     * Validation outcomes of this instance's fetches that switched source, were rejected or carried warnings
+     */
+    getValidationReport() {
+        return this.validationReport;
+    }
+
+    async getYahooFinanceData(symbol, limit, timeframe = '1Day') {
         try {
+            const interval = PROVIDER_INTERVALS.yahooFinance[timeframe];
+            const days = Math.min(lookbackDays(limit, timeframe), YAHOO_MAX_INTRADAY_DAYS[interval] || Infinity);
             const now = Math.floor(Date.now() / 1000);
-            const period1 = now - (limit * 24 * 60 * 60 * 1.5); // Extra buffer for weekends
+            const period1 = now - (days * 24 * 60 * 60); // Extra buffer for weekends
 
-            const url = `${this.dataSources.yahooFinance.baseUrl}/${symbol}?period1=${period1}&period2=${now}&interval=1d&includePrePost=false`;
+            const url = `${this.dataSources.yahooFinance.baseUrl}/${symbol}?period1=${period1}&period2=${now}&interval=${interval}&includePrePost=false`;
 
             this.logger.info('Requesting Yahoo Finance data', { symbol, url: url.substring(0, 100) + '...' });
 
@@ -200,16 +358,17 @@ export class MarketDataService {
         }
     }
 
-    async getFinnhubData(symbol, limit) {
+    async getFinnhubData(symbol, limit, timeframe = '1Day') {
         if (!this.dataSources.finnhub.apiKey) {
             throw new Error('Finnhub API key not configured');
         }
 
         try {
             const to = Math.floor(Date.now() / 1000);
-            const from = to - (limit * 24 * 60 * 60 * 1.5); // Extra buffer
+            const from = to - (lookbackDays(limit, timeframe) * 24 * 60 * 60); // Extra buffer
+            const resolution = PROVIDER_INTERVALS.finnhub[timeframe];
 
-            const url = `${this.dataSources.finnhub.baseUrl}/stock/candle?symbol=${symbol}&resolution=D&from=${from}&to=${to}&token=${this.dataSources.finnhub.apiKey}`;
+            const url = `${this.dataSources.finnhub.baseUrl}/stock/candle?symbol=${symbol}&resolution=${resolution}&from=${from}&to=${to}&token=${this.dataSources.finnhub.apiKey}`;
 
             this.logger.info('Requesting Finnhub data', { symbol });
 
@@ -249,13 +408,16 @@ export class MarketDataService {
         }
     }
 
-    async getTwelveData(symbol, limit) {
+    async getTwelveData(symbol, limit, timeframe = '1Day') {
         if (!this.dataSources.twelveData.apiKey) {
             throw new Error('Twelve Data API key not configured');
         }
 
         try {
-            const url = `${this.dataSources.twelveData.baseUrl}/time_series?symbol=${symbol}&interval=1day&outputsize=${limit}&apikey=${this.dataSources.twelveData.apiKey}`;
+            const intraday = isIntraday(timeframe);
+            const interval = PROVIDER_INTERVALS.twelveData[timeframe];
+            // Intraday datetimes are requested in UTC; daily ones are dates
+            const url = `${this.dataSources.twelveData.baseUrl}/time_series?symbol=${symbol}&interval=${interval}&outputsize=${limit}${intraday ? '&timezone=UTC' : ''}&apikey=${this.dataSources.twelveData.apiKey}`;
 
             this.logger.info('Requesting Twelve Data', { symbol });
 
@@ -272,7 +434,9 @@ export class MarketDataService {
             }
 
             const historicalData = data.values.map(item => ({
-                timestamp: new Date(item.datetime + 'T16:00:00Z').toISOString(),
+                timestamp: intraday
+                    ? new Date(item.datetime.replace(' ', 'T') + 'Z').toISOString()
+                    : new Date(item.datetime + 'T16:00:00Z').toISOString(),
                 open: parseFloat(item.open),
                 high: parseFloat(item.high),
                 low: parseFloat(item.low),
@@ -291,13 +455,18 @@ export class MarketDataService {
         }
     }
 
-    async getAlphaVantageData(symbol, limit) {
+    async getAlphaVantageData(symbol, limit, timeframe = '1Day') {
         if (!this.dataSources.alphavantage.apiKey) {
             throw new Error('Alpha Vantage API key not configured');
         }
 
         try {
-            const url = `${this.dataSources.alphavantage.baseUrl}?function=TIME_SERIES_DAILY&symbol=${symbol}&apikey=${this.dataSources.alphavantage.apiKey}&outputsize=compact`;
+            const intraday = isIntraday(timeframe);
+            const interval = PROVIDER_INTERVALS.alphavantage[timeframe];
+            const outputsize = limit > 100 ? 'full' : 'compact';
+            const url = intraday
+                ? `${this.dataSources.alphavantage.baseUrl}?function=TIME_SERIES_INTRADAY&symbol=${symbol}&interval=${interval}&extended_hours=false&apikey=${this.dataSources.alphavantage.apiKey}&outputsize=${outputsize}`
+                : `${this.dataSources.alphavantage.baseUrl}?function=TIME_SERIES_DAILY&symbol=${symbol}&apikey=${this.dataSources.alphavantage.apiKey}&outputsize=compact`;
 
             this.logger.info('Requesting Alpha Vantage data', { symbol });
 
@@ -308,7 +477,7 @@ export class MarketDataService {
                 throw new Error(data['Error Message'] || data['Note'] || 'Alpha Vantage API limit reached');
             }
 
-            const timeSeries = data['Time Series (Daily)'];
+            const timeSeries = data[intraday ? `Time Series (${interval})` : 'Time Series (Daily)'];
             if (!timeSeries) {
                 throw new Error('No time series data returned from Alpha Vantage');
             }
@@ -319,7 +488,8 @@ export class MarketDataService {
             for (const date of dates) {
                 const dayData = timeSeries[date];
                 historicalData.push({
-                    timestamp: new Date(date + 'T16:00:00Z').toISOString(),
+                    // Intraday keys are New York wall-clock times
+                    timestamp: intraday ? newYorkTimeToDate(date).toISOString() : new Date(date + 'T16:00:00Z').toISOString(),
                     open: parseFloat(dayData['1. open']),
                     high: parseFloat(dayData['2. high']),
                     low: parseFloat(dayData['3. low']),
@@ -339,16 +509,18 @@ export class MarketDataService {
         }
     }
 
-    async getPolygonData(symbol, limit) {
+    async getPolygonData(symbol, limit, timeframe = '1Day') {
         if (!this.dataSources.polygon.apiKey) {
             throw new Error('Polygon API key not configured');
         }
 
         try {
             const to = new Date().toISOString().split('T')[0];
-            const from = new Date(Date.now() - (limit * 24 * 60 * 60 * 1000 * 1.5)).toISOString().split('T')[0];
+            const from = new Date(Date.now() - (lookbackDays(limit, timeframe) * 24 * 60 * 60 * 1000)).toISOString().split('T')[0];
+            const range = PROVIDER_INTERVALS.polygon[timeframe];
 
-            const url = `${this.dataSources.polygon.baseUrl}/v2/aggs/ticker/${symbol}/range/1/day/${from}/${to}?adjusted=true&sort=desc&limit=${limit}&apikey=${this.dataSources.polygon.apiKey}`;
+            // Intraday aggregates include extended hours; toSessionBars drops them
+            const url = `${this.dataSources.polygon.baseUrl}/v2/aggs/ticker/${symbol}/range/${range}/${from}/${to}?adjusted=true&sort=desc&limit=${isIntraday(timeframe) ? 50000 : limit}&apikey=${this.dataSources.polygon.apiKey}`;
 
             this.logger.info('Requesting Polygon data', { symbol });
 
@@ -384,18 +556,33 @@ export class MarketDataService {
         }
     }
 
+    /**
+     * Latest quote, tagged with provenance { source, synthetic, age }
+     */
     async getCurrentQuote(symbol) {
+        const { data, source, synthetic } = await this.cache.getQuote(symbol, () => this.fetchCurrentQuote(symbol));
+        return tagQuote(data, { source, synthetic });
+    }
+
+    /**
+     * Quote from the first real-time provider that answers, else derived from the latest bar.
+     * A derived quote is synthetic: its bid/ask are a made-up spread around the bar's close.
+     * @returns {Object} { data: quote, source, synthetic }
+     */
+    async fetchCurrentQuote(symbol) {
         this.logger.info('Fetching real-time quote', { symbol });
 
         // Try real-time sources first
         const realtimeSources = ['finnhub', 'yahooFinance', 'twelveData'];
 
         for (const sourceName of realtimeSources) {
-            if (!this.canMakeAPICall(sourceName)) {
+            if (!this.isConfigured(sourceName)) continue;
+            if (!await this.canMakeAPICall(sourceName)) {
                 continue;
             }
 
             try {
+                await this.recordAPICall(sourceName);
                 let quote;
                 switch (sourceName) {
                     case 'finnhub':
@@ -410,13 +597,12 @@ export class MarketDataService {
                 }
 
                 if (quote) {
-                    this.recordAPICall(sourceName);
                     this.logger.info('Real-time quote retrieved', {
                         symbol,
                         source: sourceName,
                         price: quote.ask
                     });
-                    return quote;
+                    return { data: quote, source: sourceName, synthetic: false };
                 }
             } catch (error) {
                 this.logger.error(`${sourceName} quote fetch failed`, {
@@ -430,8 +616,8 @@ export class MarketDataService {
         try {
             const historicalData = await this.getHistoricalData(symbol, 1);
             if (historicalData && historicalData.length > 0) {
-                const latestBar = historicalData[0];
-                return {
+                const latestBar = historicalData[historicalData.length - 1];
+                const data = {
                     symbol,
                     bid: latestBar.close * 0.9995,
                     ask: latestBar.close * 1.0005,
@@ -439,6 +625,7 @@ export class MarketDataService {
                     askSize: 100,
                     timestamp: latestBar.timestamp
                 };
+                return { data, source: latestBar.provenance.source, synthetic: true };
             }
         } catch (error) {
             this.logger.error('Historical fallback for quote failed', { symbol, error: error.message });
@@ -469,7 +656,7 @@ export class MarketDataService {
             ask: data.c * 1.0005,
             bidSize: 100,
             askSize: 100,
-            timestamp: new Date().toISOString()
+            timestamp: providerTime(data.t)
         };
     }
 
@@ -504,7 +691,7 @@ export class MarketDataService {
             ask: currentPrice * 1.0005,
             bidSize: 100,
             askSize: 100,
-            timestamp: new Date().toISOString()
+            timestamp: providerTime(meta.regularMarketTime)
         };
     }
 
@@ -532,12 +719,12 @@ export class MarketDataService {
             ask: price * 1.0005,
             bidSize: 100,
             askSize: 100,
-            timestamp: new Date().toISOString()
+            timestamp: providerTime(data.last_quote_at)
         };
     }
 
-    async generateRealisticFallbackData(symbol, limit) {
-        this.logger.info('Generating realistic fallback data', { symbol, limit });
+    async generateRealisticFallbackData(symbol, limit, timeframe = '1Day') {
+        this.logger.info('Generating realistic fallback data', { symbol, limit, timeframe });
 
         // Use actual base prices from recent market data
         const basePrices = {
@@ -559,19 +746,12 @@ export class MarketDataService {
         let basePrice = basePrices[symbol.toUpperCase()] || 100.00;
 
         const data = [];
-        const now = new Date();
-
-        for (let i = limit; i >= 0; i--) {
-            const date = new Date(now);
-            date.setDate(date.getDate() - i);
-
-            // Skip weekends
-            if (date.getDay() === 0 || date.getDay() === 6) {
-                continue;
-            }
+        // Daily volatility and volume scale down to the bar length
+        const barShare = timeframeMinutes(timeframe) / timeframeMinutes('1Day');
 
+        for (const timestamp of fallbackTimestamps(limit, timeframe)) {
             // Generate realistic price movement
-            const volatility = this.getVolatilityForSymbol(symbol);
+            const volatility = this.getVolatilityForSymbol(symbol) * Math.sqrt(barShare);
             const drift = 0.0003; // Slight upward bias
             const randomChange = (Math.random() - 0.5) * 2 * volatility + drift;
 
@@ -581,10 +761,10 @@ export class MarketDataService {
             const high = basePrice * (1 + Math.random() * 0.008);
             const low = basePrice * (1 - Math.random() * 0.008);
             const close = low + Math.random() * (high - low);
-            const volume = this.getVolumeForSymbol(symbol) * (0.7 + Math.random() * 0.6);
+            const volume = this.getVolumeForSymbol(symbol) * barShare * (0.7 + Math.random() * 0.6);
 
             data.push({
-                timestamp: new Date(date.setHours(16, 0, 0, 0)).toISOString(),
+                timestamp,
                 open: parseFloat(open.toFixed(2)),
                 high: parseFloat(high.toFixed(2)),
                 low: parseFloat(low.toFixed(2)),
@@ -596,6 +776,7 @@ export class MarketDataService {
         this.logger.info('Realistic fallback data generated', {
             symbol,
             bars: data.length,
+            timeframe,
             source: 'Simulated (realistic patterns)',
             priceRange: {
                 start: data[0]?.close,
@@ -630,22 +811,85 @@ export class MarketDataService {
         return volumes[symbol.toUpperCase()] || 1500000;
     }
 
-    getDataSourceStatus() {
+    /**
+     * Configuration and current-window usage of every source, counting calls made by earlier
+     * runs (read from the state store first)
+     */
+    async getDataSourceStatus() {
+        await this.rateLimiter.load();
+
         const status = {};
 
         for (const [key, source] of Object.entries(this.dataSources)) {
-            const usage = this.apiUsage[key];
+            const usage = this.rateLimiter.getStatus(key);
             status[key] = {
                 name: source.name,
-                configured: source.apiKey !== null && source.apiKey !== undefined,
+                configured: this.isConfigured(key),
                 calls: usage.calls,
-                limit: source.rateLimit,
-                remaining: Math.max(0, source.rateLimit - usage.calls),
-                resetTime: new Date(usage.lastReset + usage.resetInterval).toISOString(),
+                limit: usage.limit,
+                remaining: usage.remaining,
+                window: usage.window,
+                resetTime: usage.resetTime,
                 features: source.features
             };
         }
 
         return status;
     }
-}
\ No newline at end of file
+
+    getCacheStats() {
+        return this.cache.getStats();
+    }
+}
+
+// Time of the provider's last price (Unix seconds), so a quote's age reflects the market rather
+// than the request; the receipt time stands in when the provider leaves it out
+function providerTime(unixSeconds) {
+    return unixSeconds > 0 ? new Date(unixSeconds * 1000).toISOString() : new Date().toISOString();
+}
+
+/**
+ * Provider bars (most recent first) -> regular-session bars of `timeframe`, most recent first
+ */
+function toSessionBars(data, timeframe, limit) {
+    return aggregateBars([...data].reverse(), timeframe).reverse().slice(0, limit);
+}
+
+/**
+ * Bar timestamps for generated data, oldest first: weekdays at 16:00 local for daily bars,
+ * regular-session bar starts (New York time) for intraday ones
+ */
+function fallbackTimestamps(limit, timeframe) {
+    const timestamps = [];
+    const now = new Date();
+
+    if (!isIntraday(timeframe)) {
+        for (let i = limit; i >= 0; i--) {
+            const date = new Date(now);
+            date.setDate(date.getDate() - i);
+
+            // Skip weekends
+            if (date.getDay() === 0 || date.getDay() === 6) {
+                continue;
+            }
+            timestamps.push(new Date(date.setHours(16, 0, 0, 0)).toISOString());
+        }
+        return timestamps;
+    }
+
+    // Walk back session by session, newest bar first
+    const stepMinutes = timeframeMinutes(timeframe);
+    for (let daysBack = 0; timestamps.length < limit; daysBack++) {
+        const date = new Date(now.getTime() - daysBack * 24 * 60 * 60 * 1000).toISOString().slice(0, 10);
+        const open = newYorkTimeToDate(`${date} 09:30:00`).getTime();
+        if (!isRegularSession(open)) continue; // Weekend
+
+        for (let minute = Math.ceil(SESSION_MINUTES / stepMinutes - 1) * stepMinutes; minute >= 0 && timestamps.length < limit; minute -= stepMinutes) {
+            const time = open + minute * 60000;
+            if (time <= now.getTime()) {
+                timestamps.push(new Date(time).toISOString());
+            }
+        }
+    }
+    return timestamps.reverse();
+}
@@ -0,0 +1,151 @@
+// lib/services/rateLimiter.js - Per-provider call quotas with fixed windows persisted in the state store
+import { Logger } from '../utils/logger.js';
+
+export const RATE_LIMIT_WINDOWS = {
+    minute: 60 * 1000,
+    hour: 60 * 60 * 1000,
+    day: 24 * 60 * 60 * 1000
+};
+
+/**
+ * Counts provider calls in fixed windows aligned to UTC (a per-minute quota resets on the
+ * minute, a per-day quota at midnight UTC). Every attempt is counted, failed ones included,
+ * because providers bill the request rather than the answer.
+ *
+ * Counters are read from the state store on first use, so cold starts and concurrent
+ * invocations share one budget. Attempts are counted in memory and added to the stored counts
+ * by persistUsage() at the end of the run, one atomic incrementRateLimitUsage per source and
+ * window, so a Sheets-backed run does not take the rate_limit lock on every provider call.
+ * When the store is missing or unreadable the limiter keeps counting in memory rather than
+ * blocking market data.
+ */
+export class RateLimiter {
+    /**
+     * @param {Object} options - { limits: { source: { limit, window: 'minute'|'hour'|'day' } }, stateStore, logger, now }
+     */
+    constructor(options = {}) {
+        this.logger = options.logger || new Logger();
+        this.now = options.now || (() => Date.now());
+        this.stateStore = options.stateStore || null;
+        this.limits = options.limits || {};
+
+        for (const [source, { window }] of Object.entries(this.limits)) {
+            if (!RATE_LIMIT_WINDOWS[window]) {
+                throw new Error(`Unknown rate limit window for ${source}: ${window}`);
+            }
+        }
+
+        this.usage = {}; // source -> { windowStart (ms), calls }
+        this.unsaved = new Map(); // `${source}@${windowStart}` -> { source, windowStart (ms), calls } not yet in the store
+        this.loading = null;
+    }
+
+    async canCall(source) {
+        if (!this.limits[source]) return false;
+        await this.load();
+        return this.currentUsage(source).calls < this.limits[source].limit;
+    }
+
+    /**
+     * Count one attempt against the source's current window. It reaches the state store with
+     * the next persistUsage().
+     */
+    async recordAttempt(source) {
+        if (!this.limits[source]) return;
+        await this.load();
+
+        const usage = this.currentUsage(source);
+        usage.calls++;
+
+        const key = `${source}@${usage.windowStart}`;
+        const unsaved = this.unsaved.get(key) || { source, windowStart: usage.windowStart, calls: 0 };
+        unsaved.calls++;
+        this.unsaved.set(key, unsaved);
+    }
+
+    /**
+     * Add the attempts recorded since the last call to the stored counts, one increment per
+     * source and window. The stored total includes other instances' calls, so it replaces this
+     * instance's count. Calls that cannot be stored are logged and dropped.
+     */
+    async persistUsage() {
+        const pending = [...this.unsaved.values()];
+        this.unsaved.clear();
+        if (!this.stateStore?.enabled) return;
+
+        for (const { source, windowStart, calls } of pending) {
+            let stored = null;
+            try {
+                stored = await this.stateStore.incrementRateLimitUsage(source, new Date(windowStart).toISOString(), calls);
+            } catch (error) {
+                this.logger.error('Failed to persist rate limit usage', { source, error: error.message });
+            }
+            if (!stored) {
+                this.logger.warning('Rate limit usage not persisted', { source, calls });
+                continue;
+            }
+            const usage = this.usage[source];
+            if (usage && Date.parse(stored.windowStart) === usage.windowStart) {
+                usage.calls = Math.max(usage.calls, parseInt(stored.calls) || 0);
+            }
+        }
+    }
+
+    /**
+     * @returns {Object} { calls, limit, remaining, window, windowStart, resetTime }
+     */
+    getStatus(source) {
+        const { limit, window } = this.limits[source];
+        const usage = this.currentUsage(source);
+        return {
+            calls: usage.calls,
+            limit,
+            remaining: Math.max(0, limit - usage.calls),
+            window,
+            windowStart: new Date(usage.windowStart).toISOString(),
+            resetTime: new Date(usage.windowStart + RATE_LIMIT_WINDOWS[window]).toISOString()
+        };
+    }
+
+    /**
+     * Usage of the window containing now; a stored or in-memory count from an earlier window starts over
+     */
+    currentUsage(source) {
+        const windowMs = RATE_LIMIT_WINDOWS[this.limits[source].window];
+        const windowStart = Math.floor(this.now() / windowMs) * windowMs;
+        if (this.usage[source]?.windowStart !== windowStart) {
+            this.usage[source] = { windowStart, calls: 0 };
+        }
+        return this.usage[source];
+    }
+
+    async load() {
+        if (!this.loading) {
+            this.loading = this.readStoredUsage();
+        }
+        await this.loading;
+    }
+
+    async readStoredUsage() {
+        if (!this.stateStore?.enabled) return;
+
+        let stored = null;
+        try {
+            stored = await this.stateStore.getRateLimitUsage();
+        } catch (error) {
+            this.logger.error('Failed to read rate limit usage', { error: error.message });
+        }
+        if (!stored) {
+            this.logger.warning('Rate limit usage unavailable - counting this instance only');
+            return;
+        }
+
+        for (const [source, usage] of Object.entries(stored)) {
+            if (!this.limits[source]) continue;
+            const current = this.currentUsage(source);
+            if (Date.parse(usage.windowStart) === current.windowStart) {
+                current.calls = Math.max(current.calls, parseInt(usage.calls) || 0);
+            }
+        }
+    }
+}
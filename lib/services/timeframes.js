@@ -0,0 +1,185 @@
+// lib/services/timeframes.js - Bar timeframes, US equity session clock and session-aware bar aggregation
+
+const DAY_MS = 24 * 60 * 60 * 1000;
+
+// Regular session in New York minutes-of-day (9:30 - 16:00)
+export const SESSION_OPEN_MINUTE = 9 * 60 + 30;
+export const SESSION_CLOSE_MINUTE = 16 * 60;
+export const SESSION_MINUTES = SESSION_CLOSE_MINUTE - SESSION_OPEN_MINUTE;
+
+// Canonical timeframes and their length in session minutes
+export const TIMEFRAMES = {
+    '1Min': 1,
+    '5Min': 5,
+    '15Min': 15,
+    '1Hour': 60,
+    '1Day': SESSION_MINUTES
+};
+
+const TIMEFRAME_ALIASES = {
+    '1d': '1Day', 'd': '1Day', 'day': '1Day', '1day': '1Day', 'daily': '1Day',
+    '1h': '1Hour', 'h': '1Hour', 'hour': '1Hour', '1hour': '1Hour', '60m': '1Hour', '60min': '1Hour',
+    '15m': '15Min', '15min': '15Min',
+    '5m': '5Min', '5min': '5Min',
+    '1m': '1Min', 'm': '1Min', 'min': '1Min', '1min': '1Min'
+};
+
+const NEW_YORK_FORMAT = new Intl.DateTimeFormat('en-US', {
+    timeZone: 'America/New_York',
+    year: 'numeric',
+    month: '2-digit',
+    day: '2-digit',
+    hour: '2-digit',
+    minute: '2-digit',
+    hourCycle: 'h23'
+});
+const offsetCache = new Map(); // UTC day number -> New York offset from UTC in minutes
+
+export function normalizeTimeframe(timeframe = '1Day') {
+    return TIMEFRAME_ALIASES[timeframe.toString().toLowerCase()] || timeframe;
+}
+
+/**
+ * Length of a timeframe in session minutes (a day is one 390-minute session)
+ * @throws {Error} For timeframes the data services cannot produce
+ */
+export function timeframeMinutes(timeframe) {
+    const minutes = TIMEFRAMES[normalizeTimeframe(timeframe)];
+    if (!minutes) {
+        throw new Error(`Unsupported timeframe: ${timeframe} (expected one of ${Object.keys(TIMEFRAMES).join(', ')})`);
+    }
+    return minutes;
+}
+
+export function isIntraday(timeframe) {
+    return normalizeTimeframe(timeframe) !== '1Day';
+}
+
+/**
+ * Calendar days of history to request for `limit` bars, with room for weekends and holidays
+ */
+export function lookbackDays(limit, timeframe) {
+    if (!isIntraday(timeframe)) {
+        return Math.ceil(limit * 1.5);
+    }
+    const sessions = Math.ceil(limit * timeframeMinutes(timeframe) / SESSION_MINUTES);
+    return Math.ceil(sessions * 7 / 5) + 4;
+}
+
+/**
+ * Timeframes a target timeframe can be rolled up from, coarsest first
+ */
+export function finerTimeframes(timeframe) {
+    const target = timeframeMinutes(timeframe);
+    return Object.entries(TIMEFRAMES)
+        .filter(([, minutes]) => minutes < target && (!isIntraday(timeframe) || target % minutes === 0))
+        .sort((a, b) => b[1] - a[1])
+        .map(([name]) => name);
+}
+
+/**
+ * New York wall-clock date and minute-of-day for a timestamp. The UTC offset is looked up
+ * once per UTC day at noon, which is after any DST switch and before the session opens.
+ * @returns {Object} { date: 'YYYY-MM-DD', minutes, weekday (0 = Sunday) }
+ */
+export function newYorkTime(timestamp) {
+    const time = new Date(timestamp).getTime();
+    const local = new Date(time + newYorkOffsetMinutes(time) * 60000);
+    return {
+        date: local.toISOString().slice(0, 10),
+        minutes: local.getUTCHours() * 60 + local.getUTCMinutes(),
+        weekday: local.getUTCDay()
+    };
+}
+
+/**
+ * Parse a New York wall-clock time ('2024-01-02 09:30:00', as Alpha Vantage returns) into a Date
+ */
+export function newYorkTimeToDate(localTime) {
+    const asUTC = new Date(localTime.replace(' ', 'T') + 'Z').getTime();
+    return new Date(asUTC - newYorkOffsetMinutes(asUTC) * 60000);
+}
+
+/**
+ * Session date of a daily bar. Providers stamp daily bars at the open, at 16:00 UTC or at
+ * midnight UTC (Finnhub); a midnight-UTC stamp already is the session date.
+ */
+export function dailySessionDate(timestamp) {
+    const time = new Date(timestamp).getTime();
+    return time % DAY_MS === 0 ? new Date(time).toISOString().slice(0, 10) : newYorkTime(time).date;
+}
+
+export function isRegularSession(timestamp) {
+    const { minutes, weekday } = newYorkTime(timestamp);
+    return isSessionMinute(minutes, weekday);
+}
+
+/**
+ * Close (16:00 New York) of the session a timestamp falls in
+ */
+export function regularSessionClose(timestamp) {
+    const time = new Date(timestamp).getTime();
+    const { minutes } = newYorkTime(time);
+    return new Date(Math.floor(time / 60000) * 60000 + (SESSION_CLOSE_MINUTE - minutes) * 60000);
+}
+
+/**
+ * Roll finer bars up into `timeframe` bars that never cross a session boundary.
+ * Intraday buckets are anchored at the 9:30 open, so 1Hour bars run 9:30-10:30 ... 15:30-16:00;
+ * daily buckets are one per session date. Pre/post-market bars are dropped, and the latest
+ * bucket may still be forming.
+ * @param {Array} bars - Bars oldest first ({ timestamp, open, high, low, close, volume })
+ * @param {string} timeframe - Target timeframe
+ * @returns {Array} Aggregated bars oldest first, stamped with the bucket's start
+ */
+export function aggregateBars(bars, timeframe) {
+    const bucketMinutes = timeframeMinutes(timeframe);
+    const aggregated = [];
+    let current = null;
+    let currentKey = null;
+
+    for (const bar of bars) {
+        const time = new Date(bar.timestamp).getTime();
+        const { date, minutes, weekday } = newYorkTime(time);
+        if (!isSessionMinute(minutes, weekday)) continue;
+
+        const offset = Math.floor((minutes - SESSION_OPEN_MINUTE) / bucketMinutes) * bucketMinutes;
+        const key = `${date}:${offset}`;
+        if (key !== currentKey) {
+            const bucketStart = time - (minutes - SESSION_OPEN_MINUTE - offset) * 60000 - (time % 60000);
+            current = {
+                timestamp: new Date(bucketStart).toISOString(),
+                open: bar.open,
+                high: bar.high,
+                low: bar.low,
+                close: bar.close,
+                volume: bar.volume || 0
+            };
+            currentKey = key;
+            aggregated.push(current);
+            continue;
+        }
+
+        current.high = Math.max(current.high, bar.high);
+        current.low = Math.min(current.low, bar.low);
+        current.close = bar.close;
+        current.volume += bar.volume || 0;
+    }
+
+    return aggregated;
+}
+
+function newYorkOffsetMinutes(time) {
+    const day = Math.floor(time / DAY_MS);
+    if (!offsetCache.has(day)) {
+        const noon = day * DAY_MS + DAY_MS / 2;
+        const parts = Object.fromEntries(NEW_YORK_FORMAT.formatToParts(new Date(noon)).map(part => [part.type, part.value]));
+        const wallClock = Date.UTC(parts.year, parts.month - 1, parts.day, parts.hour, parts.minute);
+        offsetCache.set(day, Math.round((wallClock - noon) / 60000));
+    }
+    return offsetCache.get(day);
+}
+
+function isSessionMinute(minutes, weekday) {
+    return weekday !== 0 && weekday !== 6 && minutes >= SESSION_OPEN_MINUTE && minutes < SESSION_CLOSE_MINUTE;
+}
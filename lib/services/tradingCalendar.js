@@ -0,0 +1,132 @@
+// lib/services/tradingCalendar.js - NYSE trading days, holidays and early closes (rule-based, no network)
+import { SESSION_CLOSE_MINUTE } from './timeframes.js';
+
+const DAY_MS = 24 * 60 * 60 * 1000;
+const EARLY_CLOSE_MINUTE = 13 * 60;
+
+// Unscheduled full-day closures the holiday rules cannot derive, complete from 1998 (the first
+// year NYSE observed Martin Luther King Jr. Day, so the rules above hold) up to 2025. New ones
+// (days of mourning, weather, market emergencies) are announced at short notice and must be added here.
+const SPECIAL_CLOSURES = [
+    '2001-09-11', '2001-09-12', '2001-09-13', '2001-09-14', // September 11 attacks
+    '2004-06-11', // Ronald Reagan day of mourning
+    '2007-01-02', // Gerald Ford day of mourning
+    '2012-10-29', '2012-10-30', // Hurricane Sandy
+    '2018-12-05', // George H. W. Bush day of mourning
+    '2025-01-09' // Jimmy Carter day of mourning
+];
+
+const holidayCache = new Map(); // year -> Set of 'YYYY-MM-DD'
+
+/**
+ * Full-day NYSE holidays of a year. Saturday holidays move to Friday and Sunday holidays to
+ * Monday, except New Year's Day on a Saturday, which is not observed.
+ */
+export function nyseHolidays(year) {
+    if (!holidayCache.has(year)) {
+        const holidays = [
+            observed(year, 1, 1, { saturdayToFriday: false }),
+            nthWeekday(year, 1, 1, 3), // Martin Luther King Jr. Day: third Monday of January
+            nthWeekday(year, 2, 1, 3), // Washington's Birthday: third Monday of February
+            addDays(easterSunday(year), -2), // Good Friday
+            lastWeekday(year, 5, 1), // Memorial Day
+            year >= 2022 ? observed(year, 6, 19) : null, // Juneteenth
+            observed(year, 7, 4),
+            nthWeekday(year, 9, 1, 1), // Labor Day
+            nthWeekday(year, 11, 4, 4), // Thanksgiving: fourth Thursday of November
+            observed(year, 12, 25)
+        ];
+        holidayCache.set(year, new Set([
+            ...holidays.filter(Boolean),
+            ...SPECIAL_CLOSURES.filter(date => date.startsWith(`${year}-`))
+        ]));
+    }
+    return holidayCache.get(year);
+}
+
+/**
+ * @param {string} date - 'YYYY-MM-DD' (New York session date)
+ */
+export function isTradingDay(date) {
+    const weekday = new Date(`${date}T00:00:00Z`).getUTCDay();
+    return weekday !== 0 && weekday !== 6 && !nyseHolidays(parseInt(date.slice(0, 4))).has(date);
+}
+
+/**
+ * Session close in New York minutes-of-day: 13:00 on the day after Thanksgiving and on
+ * July 3 / December 24 when they fall Monday-Thursday, 16:00 otherwise
+ */
+export function sessionCloseMinute(date) {
+    const [year, month, day] = date.split('-').map(Number);
+    const weekday = new Date(`${date}T00:00:00Z`).getUTCDay();
+    const dayAfterThanksgiving = addDays(nthWeekday(year, 11, 4, 4), 1);
+    const earlyClose = date === dayAfterThanksgiving ||
+        (((month === 7 && day === 3) || (month === 12 && day === 24)) && weekday >= 1 && weekday <= 4);
+    return earlyClose ? EARLY_CLOSE_MINUTE : SESSION_CLOSE_MINUTE;
+}
+
+export function previousTradingDay(date) {
+    let current = addDays(date, -1);
+    while (!isTradingDay(current)) {
+        current = addDays(current, -1);
+    }
+    return current;
+}
+
+/**
+ * Trading days strictly after `fromDate` up to and including `toDate`
+ * (0 when toDate is the next trading day's predecessor or earlier)
+ */
+export function tradingDaysAfter(fromDate, toDate) {
+    let count = 0;
+    for (let current = addDays(fromDate, 1); current <= toDate; current = addDays(current, 1)) {
+        if (isTradingDay(current)) count++;
+    }
+    return count;
+}
+
+function addDays(date, days) {
+    return new Date(Date.parse(`${date}T00:00:00Z`) + days * DAY_MS).toISOString().slice(0, 10);
+}
+
+function isoDate(year, month, day) {
+    return new Date(Date.UTC(year, month - 1, day)).toISOString().slice(0, 10);
+}
+
+function observed(year, month, day, { saturdayToFriday = true } = {}) {
+    const date = isoDate(year, month, day);
+    const weekday = new Date(`${date}T00:00:00Z`).getUTCDay();
+    if (weekday === 0) return addDays(date, 1);
+    if (weekday === 6) return saturdayToFriday ? addDays(date, -1) : null;
+    return date;
+}
+
+// nth occurrence (1-based) of a weekday (0 = Sunday) in a month
+function nthWeekday(year, month, weekday, n) {
+    const firstWeekday = new Date(Date.UTC(year, month - 1, 1)).getUTCDay();
+    return isoDate(year, month, 1 + ((weekday - firstWeekday + 7) % 7) + (n - 1) * 7);
+}
+
+function lastWeekday(year, month, weekday) {
+    const lastDay = new Date(Date.UTC(year, month, 0));
+    return isoDate(year, month, lastDay.getUTCDate() - ((lastDay.getUTCDay() - weekday + 7) % 7));
+}
+
+// Anonymous Gregorian computus
+function easterSunday(year) {
+    const a = year % 19;
+    const b = Math.floor(year / 100);
+    const c = year % 100;
+    const d = Math.floor(b / 4);
+    const e = b % 4;
+    const f = Math.floor((b + 8) / 25);
+    const g = Math.floor((b - f + 1) / 3);
+    const h = (19 * a + b - d - g + 15) % 30;
+    const i = Math.floor(c / 4);
+    const k = c % 4;
+    const l = (32 + 2 * e + 2 * i - h - k) % 7;
+    const m = Math.floor((a + 11 * h + 22 * l) / 451);
+    const month = Math.floor((h + l - 7 * m + 114) / 31);
+    const day = ((h + l - 7 * m + 114) % 31) + 1;
+    return isoDate(year, month, day);
+}
@@ -0,0 +1,613 @@
+// lib/state/fileStateStore.js - Local JSON-file state store with indexed lookups
+import fs from 'fs/promises';
+import path from 'path';
+import {
+  StateStore,
+  OPEN_TRADE_STATUSES,
+  buildLease,
+  emptyEquityState,
+  incrementedRateLimitUsage,
+  initialTradeStatus,
+  selectClosedTrades
+} from './stateStore.js';
+import { Logger } from '../utils/logger.js';
+
+// Lock taken by every write for the whole re-read / change / rename
+const STATE_LOCK_NAME = 'state';
+
+// Writes that are mirrored to the reporting sink; reads never touch it
+const REPORTED_METHODS = [
+  'logTrade',
+  'updateTradeStatus',
+  'logPerformance',
+  'recordTradingState',
+  'logSignalStrength',
+  'storeRegimeState',
+  'logAuditEvent'
+];
+
+/**
+ * System-of-record state store kept in memory and, when statePath is set, in a JSON file.
+ * Lookups go through per-symbol maps instead of scanning whole sheet columns, and the
+ * store needs no credentials, so it also serves tests and local paper trading.
+ *
+ * A reportingSink (normally a GoogleSheetsLogger) receives a copy of every trade, trading
+ * state, signal strength, regime and performance write so the spreadsheet stays usable as
+ * a dashboard; sink failures are logged and never affect the stored state.
+ *
+ * Unlike the PositionLevels sheet, stored levels do not expire: they are removed when the
+ * position closes.
+ *
+ * Locks are separate "<statePath>.<name>.lock" files created with O_EXCL, so they also
+ * exclude other processes on the same host. Every write takes the "state" lock, re-reads the
+ * file and applies its change to what is on disk, so processes sharing the file (a trade run
+ * and /api/emergency-stop, say) never write back each other's stale copies.
+ */
+export class FileStateStore extends StateStore {
+  constructor(options = {}) {
+    super();
+    this.logger = options.logger || new Logger('FileStateStore');
+    this.now = options.now || (() => Date.now());
+    this.reportingSink = options.reportingSink || null;
+
+    this.options = {
+      statePath: options.statePath || null,
+      maxHistoryPerKey: options.maxHistoryPerKey || 500, // Signal strength / regime rows kept per key
+      maxPerformanceRows: options.maxPerformanceRows || 5000,
+      stateLockTimeoutMs: options.stateLockTimeoutMs || 5000, // How long a write waits for another process's
+      stateLockTtlMs: options.stateLockTtlMs || 30000, // Lease that frees the lock if a writer dies holding it
+      ...options
+    };
+
+    // Checked by the position managers before any persistence call
+    this.enabled = true;
+    this.initialized = false;
+
+    this.resetState();
+    this.stateLoaded = !this.options.statePath;
+    this.loadError = null;
+    this.writeCount = 0;
+  }
+
+  getName() {
+    return 'file';
+  }
+
+  timestamp() {
+    return new Date(this.now()).toISOString();
+  }
+
+  resetState() {
+    this.trades = [];
+    this.tradesByOrderId = new Map(); // orderId -> the same row object held in this.trades
+    this.tradingState = new Map(); // symbol -> latest TradingState row
+    this.signalStrengths = new Map(); // symbol -> rows, oldest first
+    this.regimeStates = new Map(); // `${baseSymbol}:${strategyName}` -> rows, oldest first
+    this.positionLevels = new Map(); // symbol -> levels
+    this.performance = [];
+    this.tradingHalt = null;
+    this.equityState = null;
+    this.rateLimitUsage = {}; // market data source -> { windowStart, calls, updatedAt }
+    this.nonces = {}; // claimed one-time key -> expiry (ms)
+  }
+
+  // ---------------------------------------------------------------------
+  // Persistence
+  // ---------------------------------------------------------------------
+
+  async initialize() {
+    await this.loadState();
+    this.initialized = true;
+    return true;
+  }
+
+  /**
+   * Read the state file once per process. A file that no longer parses is renamed to
+   * "<statePath>.corrupt-<time>" and every later call throws: carrying on empty would let the
+   * next save overwrite the positions, levels and halt it held.
+   */
+  async loadState() {
+    if (this.loadError) throw this.loadError;
+    if (this.stateLoaded) return;
+    this.stateLoaded = true;
+
+    let state;
+    try {
+      state = JSON.parse(await fs.readFile(this.options.statePath, 'utf8'));
+    } catch (error) {
+      if (error.code === 'ENOENT') return;
+
+      const corruptPath = error instanceof SyntaxError ? `${this.options.statePath}.corrupt-${this.now()}` : null;
+      if (corruptPath) {
+        await fs.rename(this.options.statePath, corruptPath).catch(() => {});
+      }
+      this.logger.error('Failed to load state store file, refusing to continue', {
+        statePath: this.options.statePath,
+        movedTo: corruptPath,
+        error: error.message
+      });
+      this.loadError = new Error(`State store file ${this.options.statePath} could not be loaded: ${error.message}` +
+        (corruptPath ? ` (moved to ${corruptPath})` : ''));
+      throw this.loadError;
+    }
+
+    this.trades = state.trades || [];
+    this.tradesByOrderId = new Map(this.trades.filter(trade => trade.orderId).map(trade => [trade.orderId, trade]));
+    this.tradingState = new Map(state.tradingState || []);
+    this.signalStrengths = new Map(state.signalStrengths || []);
+    this.regimeStates = new Map(state.regimeStates || []);
+    this.positionLevels = new Map(state.positionLevels || []);
+    this.performance = state.performance || [];
+    this.tradingHalt = state.tradingHalt || null;
+    this.equityState = state.equityState || null;
+    this.rateLimitUsage = state.rateLimitUsage || {};
+    this.nonces = state.nonces || {};
+  }
+
+  /**
+   * Write the whole state to a temp file and rename it over the previous copy, so a crash
+   * mid-write never leaves a truncated file behind
+   * @returns {boolean} Whether the state reached disk (always true without a statePath)
+   */
+  async saveState() {
+    if (!this.options.statePath) return true;
+
+    const tempPath = `${this.options.statePath}.${process.pid}.tmp`;
+    try {
+      await fs.mkdir(path.dirname(this.options.statePath), { recursive: true });
+      await fs.writeFile(tempPath, JSON.stringify({
+        trades: this.trades,
+        tradingState: Array.from(this.tradingState.entries()),
+        signalStrengths: Array.from(this.signalStrengths.entries()),
+        regimeStates: Array.from(this.regimeStates.entries()),
+        positionLevels: Array.from(this.positionLevels.entries()),
+        performance: this.performance,
+        tradingHalt: this.tradingHalt,
+        equityState: this.equityState,
+        rateLimitUsage: this.rateLimitUsage,
+        nonces: this.nonces
+      }, null, 2));
+      await fs.rename(tempPath, this.options.statePath);
+      return true;
+    } catch (error) {
+      this.logger.error('Failed to save state store file', {
+        statePath: this.options.statePath,
+        error: error.message
+      });
+      return false;
+    }
+  }
+
+  /**
+   * Apply `change` to the latest state on disk and write the result, holding the state lock
+   * from the re-read to the rename
+   * @param {Function} change - Mutates the in-memory state; returning false skips the write
+   * @returns {boolean} Whether the change reached disk (always true without a statePath)
+   */
+  async updateState(change) {
+    if (!this.options.statePath) {
+      await this.loadState();
+      change();
+      return true;
+    }
+
+    const owner = `${process.pid}:${++this.writeCount}`;
+    if (!(await this.waitForLock(STATE_LOCK_NAME, owner))) {
+      this.logger.error('Timed out waiting for the state store file lock, change not saved', {
+        statePath: this.options.statePath
+      });
+      return false;
+    }
+
+    try {
+      this.stateLoaded = false;
+      await this.loadState();
+      if (change() === false) return true;
+      return await this.saveState();
+    } finally {
+      await this.releaseLock(STATE_LOCK_NAME, owner);
+    }
+  }
+
+  async waitForLock(name, owner) {
+    // Wall-clock deadline: an injected now() may stand still
+    const deadline = Date.now() + this.options.stateLockTimeoutMs;
+    do {
+      const { acquired } = await this.acquireLock(name, owner, this.options.stateLockTtlMs);
+      if (acquired) return true;
+      await new Promise(resolve => setTimeout(resolve, 25));
+    } while (Date.now() < deadline);
+    return false;
+  }
+
+  async report(method, ...args) {
+    if (!this.reportingSink?.enabled || !REPORTED_METHODS.includes(method)) return;
+
+    try {
+      await this.reportingSink[method](...args);
+    } catch (error) {
+      this.logger.warning('Reporting sink write failed', { method, error: error.message });
+    }
+  }
+
+  // ---------------------------------------------------------------------
+  // Trades and performance
+  // ---------------------------------------------------------------------
+
+  async logTrade(tradeData) {
+    const trade = {
+      ...tradeData,
+      timestamp: tradeData.timestamp || this.timestamp(),
+      side: tradeData.side ? tradeData.side.toUpperCase() : '',
+      status: initialTradeStatus(tradeData)
+    };
+
+    await this.updateState(() => {
+      this.trades.push(trade);
+      if (trade.orderId) {
+        this.tradesByOrderId.set(trade.orderId, trade);
+      }
+    });
+    await this.report('logTrade', tradeData);
+  }
+
+  async updateTradeStatus(orderId, status, exitPrice = null, pnl = null, remainingQty = null) {
+    let found = false;
+    const saved = await this.updateState(() => {
+      const trade = this.tradesByOrderId.get(orderId);
+      if (!trade) return false;
+      found = true;
+
+      // Null arguments leave earlier exit details in place, as in the Trades sheet
+      trade.status = status;
+      if (exitPrice !== null) trade.exitPrice = exitPrice;
+      if (pnl !== null) trade.pnl = pnl;
+      if (remainingQty !== null) trade.remainingQty = remainingQty;
+    });
+
+    if (!found) {
+      this.logger.warning('Order ID not found in state store', { orderId });
+      return false;
+    }
+    await this.report('updateTradeStatus', orderId, status, exitPrice, pnl, remainingQty);
+    return saved;
+  }
+
+  async getOpenTrades() {
+    await this.loadState();
+    return this.trades.filter(trade => trade.orderId && OPEN_TRADE_STATUSES.includes(trade.status));
+  }
+
+  async getClosedTrades(options = {}) {
+    await this.loadState();
+    return selectClosedTrades(this.trades, options);
+  }
+
+  async logPerformance(performanceData) {
+    await this.updateState(() => {
+      this.performance.push({ timestamp: this.timestamp(), ...performanceData });
+      if (this.performance.length > this.options.maxPerformanceRows) {
+        this.performance.splice(0, this.performance.length - this.options.maxPerformanceRows);
+      }
+    });
+    await this.recordEquitySnapshot(performanceData.totalEquity, performanceData.timestamp);
+    await this.report('logPerformance', performanceData);
+  }
+
+  // ---------------------------------------------------------------------
+  // Trading state (cooldowns) and the trading halt
+  // ---------------------------------------------------------------------
+
+  async recordTradingState(stateData) {
+    const saved = await this.updateState(() => {
+      this.tradingState.set(stateData.symbol, {
+        timestamp: this.timestamp(),
+        symbol: stateData.symbol,
+        side: stateData.side ? stateData.side.toUpperCase() : '',
+        strategy: stateData.strategy || '',
+        quantity: parseInt(stateData.quantity) || null,
+        price: parseFloat(stateData.price) || null,
+        orderId: stateData.orderId || '',
+        lastTradeTime: stateData.lastTradeTime || this.timestamp()
+      });
+    });
+    await this.report('recordTradingState', stateData);
+    return saved;
+  }
+
+  async getLastTradeForSymbol(symbol) {
+    await this.loadState();
+    return this.tradingState.get(symbol) || null;
+  }
+
+  async getRecentTrades(hoursBack = 24) {
+    await this.loadState();
+
+    const cutoffTime = this.now() - (hoursBack * 60 * 60 * 1000);
+    return Array.from(this.tradingState.values())
+      .filter(row => new Date(row.timestamp).getTime() >= cutoffTime)
+      .sort((a, b) => new Date(b.timestamp) - new Date(a.timestamp));
+  }
+
+  async setTradingHalt({ halted, reason = '', updatedBy = '' }) {
+    const saved = await this.updateState(() => {
+      this.tradingHalt = {
+        halted: !!halted,
+        reason: reason || null,
+        updatedAt: this.timestamp(),
+        updatedBy: updatedBy || null
+      };
+    });
+    if (saved) {
+      this.logger.warning(halted ? 'Trading halted' : 'Trading resumed', { reason, updatedBy });
+    }
+    return saved;
+  }
+
+  async getTradingHalt() {
+    await this.loadState();
+    return this.tradingHalt || { halted: false, reason: null, updatedAt: null, updatedBy: null };
+  }
+
+  async setEquityState(equityState) {
+    return this.updateState(() => {
+      this.equityState = { ...emptyEquityState(), ...equityState };
+    });
+  }
+
+  async getEquityState() {
+    await this.loadState();
+    return { ...emptyEquityState(), ...this.equityState };
+  }
+
+  async setRateLimitUsage(source, { windowStart, calls }) {
+    return this.updateState(() => {
+      this.rateLimitUsage[source] = { windowStart, calls, updatedAt: this.timestamp() };
+    });
+  }
+
+  // Re-read and added to under the state lock, so concurrent processes never lose a count
+  async incrementRateLimitUsage(source, windowStart, count = 1) {
+    let usage = null;
+    const saved = await this.updateState(() => {
+      usage = incrementedRateLimitUsage(this.rateLimitUsage[source], windowStart, count);
+      this.rateLimitUsage[source] = { ...usage, updatedAt: this.timestamp() };
+    });
+    return saved ? usage : null;
+  }
+
+  async getRateLimitUsage() {
+    await this.loadState();
+    return { ...this.rateLimitUsage };
+  }
+
+  // Audit events are not kept in the file, only copied to the reporting sink's AuditLog
+  async logAuditEvent(event) {
+    await this.report('logAuditEvent', event);
+  }
+
+  // ---------------------------------------------------------------------
+  // Signal strength
+  // ---------------------------------------------------------------------
+
+  async logSignalStrength(signalData) {
+    const { timestamp, symbol, side, strategy, signalStrength, orderId } = signalData;
+    if (!symbol) return;
+
+    const key = symbol.toString().toUpperCase();
+    const row = {
+      timestamp: timestamp || this.timestamp(),
+      symbol: key,
+      side: side ? side.toString().toUpperCase() : '',
+      strategy: strategy ? strategy.toString() : '',
+      signalStrength: signalStrength != null ? parseFloat(signalStrength) : null,
+      orderId: orderId ? orderId.toString() : ''
+    };
+
+    await this.updateState(() => {
+      const rows = this.signalStrengths.get(key) || [];
+      rows.push(row);
+      this.signalStrengths.set(key, trimHistory(rows, this.options.maxHistoryPerKey));
+    });
+    await this.report('logSignalStrength', signalData);
+  }
+
+  async getLastSignalStrength(symbol, side = null, excludeRecentMinutes = 1) {
+    await this.loadState();
+
+    const rows = this.signalStrengths.get(symbol ? symbol.toString().toUpperCase() : '') || [];
+    const searchSide = side ? side.toString().toUpperCase() : null;
+    const cutoffTime = this.now() - (excludeRecentMinutes * 60 * 1000);
+
+    // Newest first, skipping entries inside the exclusion window (the current run's own writes)
+    for (let i = rows.length - 1; i >= 0; i--) {
+      const row = rows[i];
+      if (new Date(row.timestamp).getTime() > cutoffTime) continue;
+      if (searchSide && row.side !== searchSide) continue;
+      return row.signalStrength !== null && !isNaN(row.signalStrength) ? row.signalStrength : null;
+    }
+    return null;
+  }
+
+  // ---------------------------------------------------------------------
+  // Regime state
+  // ---------------------------------------------------------------------
+
+  async storeRegimeState(regimeData) {
+    const strategyName = regimeData.strategyName || 'RegimeDetection';
+    const key = `${regimeData.baseSymbol}:${strategyName}`;
+    const row = {
+      timestamp: this.timestamp(),
+      baseSymbol: regimeData.baseSymbol,
+      regime: regimeData.regime,
+      ma200: parseFloat(regimeData.ma200) || null,
+      currentPrice: parseFloat(regimeData.currentPrice) || null,
+      regimeStrength: parseFloat(regimeData.regimeStrength) || null,
+      changeDate: regimeData.changeDate || this.timestamp(),
+      strategyName
+    };
+
+    const saved = await this.updateState(() => {
+      const rows = this.regimeStates.get(key) || [];
+      rows.push(row);
+      this.regimeStates.set(key, trimHistory(rows, this.options.maxHistoryPerKey));
+    });
+    await this.report('storeRegimeState', regimeData);
+    return saved;
+  }
+
+  async getRegimeState(baseSymbol, strategyName = 'RegimeDetection') {
+    await this.loadState();
+    const rows = this.regimeStates.get(`${baseSymbol}:${strategyName}`) || [];
+    return rows[rows.length - 1] || null;
+  }
+
+  async getRegimeHistory(baseSymbol, strategyName = 'RegimeDetection', daysBack = 30) {
+    await this.loadState();
+
+    const cutoffTime = this.now() - (daysBack * 24 * 60 * 60 * 1000);
+    return (this.regimeStates.get(`${baseSymbol}:${strategyName}`) || [])
+      .filter(row => new Date(row.timestamp).getTime() >= cutoffTime)
+      .reverse();
+  }
+
+  // ---------------------------------------------------------------------
+  // Run locks
+  // ---------------------------------------------------------------------
+
+  async acquireLock(name, owner, ttlMs) {
+    if (!this.options.statePath) {
+      return super.acquireLock(name, owner, ttlMs);
+    }
+
+    const lockPath = this.getLockPath(name);
+    const now = this.now();
+    const lock = buildLease(name, owner, ttlMs, now);
+
+    // Second pass only runs after clearing an expired (or our own) lease
+    for (let attempt = 0; attempt < 2; attempt++) {
+      try {
+        await fs.mkdir(path.dirname(lockPath), { recursive: true });
+        await fs.writeFile(lockPath, JSON.stringify(lock), { flag: 'wx' });
+        return { acquired: true, lock };
+      } catch (error) {
+        if (error.code !== 'EEXIST') {
+          this.logger.error('Failed to create lock file', { lockPath, error: error.message });
+          return { acquired: false, lock: null, error: error.message };
+        }
+
+        const held = await this.readLock(lockPath);
+        if (held && held.owner !== owner && Date.parse(held.expiresAt) > now) {
+          return { acquired: false, lock: held };
+        }
+        // An unreadable file may be another process mid-write; only clear it once it is old
+        if (!held && !(await this.isOlderThan(lockPath, ttlMs, now))) {
+          return { acquired: false, lock: null };
+        }
+        await fs.rm(lockPath, { force: true });
+      }
+    }
+
+    return { acquired: false, lock: await this.readLock(lockPath) };
+  }
+
+  async releaseLock(name, owner) {
+    if (!this.options.statePath) {
+      return super.releaseLock(name, owner);
+    }
+
+    const lockPath = this.getLockPath(name);
+    const held = await this.readLock(lockPath);
+    if (!held || held.owner !== owner) return false;
+
+    await fs.rm(lockPath, { force: true });
+    return true;
+  }
+
+  async claimNonce(key, ttlMs) {
+    if (!this.options.statePath) {
+      return super.claimNonce(key, ttlMs);
+    }
+
+    const now = this.now();
+    let claimed = false;
+    const saved = await this.updateState(() => {
+      for (const [nonce, expiresAt] of Object.entries(this.nonces)) {
+        if (expiresAt <= now) delete this.nonces[nonce];
+      }
+      if (this.nonces[key]) return;
+      this.nonces[key] = now + ttlMs;
+      claimed = true;
+    });
+    return claimed && saved;
+  }
+
+  getLockPath(name) {
+    return `${this.options.statePath}.${String(name).replace(/[^A-Za-z0-9_.-]/g, '_')}.lock`;
+  }
+
+  async readLock(lockPath) {
+    try {
+      return JSON.parse(await fs.readFile(lockPath, 'utf8'));
+    } catch {
+      return null;
+    }
+  }
+
+  async isOlderThan(filePath, ageMs, now) {
+    try {
+      const stats = await fs.stat(filePath);
+      return stats.mtimeMs + ageMs < now;
+    } catch {
+      return true;
+    }
+  }
+
+  // ---------------------------------------------------------------------
+  // Position levels
+  // ---------------------------------------------------------------------
+
+  async storePositionLevels(symbol, levels) {
+    const timestamp = this.timestamp();
+    const stored = {
+      symbol,
+      stopLoss: parseFloat(levels.stopLoss) || null,
+      takeProfit: parseFloat(levels.takeProfit) || null,
+      entryPrice: parseFloat(levels.entryPrice) || null,
+      side: levels.side || null,
+      quantity: parseInt(levels.quantity) || null,
+      strategy: levels.strategy || null,
+      orderId: levels.orderId || null,
+      metadata: levels.metadata || null,
+      timestamp,
+      lastUpdated: timestamp
+    };
+
+    return this.updateState(() => {
+      this.positionLevels.set(symbol, stored);
+    });
+  }
+
+  async getPositionLevels(symbol) {
+    await this.loadState();
+    return this.positionLevels.get(symbol) || null;
+  }
+
+  async removePositionLevels(symbol) {
+    return this.updateState(() => this.positionLevels.delete(symbol));
+  }
+
+  async getStoredPositionsCount() {
+    await this.loadState();
+    return this.positionLevels.size;
+  }
+
+  async getAllStoredSymbols() {
+    await this.loadState();
+    return Array.from(this.positionLevels.keys());
+  }
+}
+
+function trimHistory(rows, maxRows) {
+  return rows.length > maxRows ? rows.slice(rows.length - maxRows) : rows;
+}
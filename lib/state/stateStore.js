@@ -0,0 +1,256 @@
+// lib/state/stateStore.js - State store interface shared by the Sheets and file backends
+
+// Trades rows of entries whose position is (at least partly) still open
+export const OPEN_TRADE_STATUSES = ['OPEN', 'PARTIALLY_CLOSED'];
+
+/**
+ * Methods every state store must provide. Rows use the shapes GoogleSheetsLogger has always
+ * returned, so the position managers and strategies work unchanged on any backend.
+ *
+ *   initialize()                                        -> prepare the backend (idempotent)
+ *   logTrade(trade) / updateTradeStatus(orderId, status, exitPrice, pnl, remainingQty)
+ *   getOpenTrades()                                     -> [{ timestamp, symbol, side, quantity, price, strategy, orderId, status, remainingQty }]
+ *                                                          entry rows still OPEN / PARTIALLY_CLOSED, oldest first
+ *   getClosedTrades({ strategy, limit })                -> CLOSED entry rows with their realized pnl, newest first
+ *   logPerformance(metrics)                             -> also raises the equity high-water mark (recordEquitySnapshot)
+ *   recordTradingState({ symbol, side, strategy, quantity, price, orderId, lastTradeTime }) -> boolean
+ *   getLastTradeForSymbol(symbol)                       -> { timestamp, symbol, side, strategy, quantity, price, orderId, lastTradeTime } | null
+ *   getRecentTrades(hoursBack)                          -> [TradingState row], newest first
+ *   setTradingHalt({ halted, reason, updatedBy })       -> boolean
+ *   getTradingHalt()                                    -> { halted, reason, updatedAt, updatedBy } | null if unreadable
+ *   setEquityState(state)                               -> boolean
+ *   getEquityState()                                    -> { highWaterMark, highWaterMarkAt, breakerTripped, trippedAt, trippedDrawdown, updatedBy }
+ *                                                          | null if unreadable (drawdown circuit breaker)
+ *   setRateLimitUsage(source, { windowStart, calls })   -> boolean (market data provider quota)
+ *   incrementRateLimitUsage(source, windowStart, count = 1) -> { windowStart, calls } after adding count calls,
+ *                                                          atomic across processes | null if it could not be stored
+ *   getRateLimitUsage()                                 -> { [source]: { windowStart, calls, updatedAt } } | null if unreadable
+ *   logSignalStrength({ timestamp, symbol, side, strategy, signalStrength, orderId })
+ *   getLastSignalStrength(symbol, side, excludeRecentMinutes) -> number | null
+ *   storeRegimeState(regimeData) / getRegimeState(baseSymbol, strategyName) / getRegimeHistory(baseSymbol, strategyName, daysBack)
+ *   storePositionLevels(symbol, levels) -> boolean / getPositionLevels(symbol) -> levels | null
+ *   removePositionLevels(symbol) -> boolean / getStoredPositionsCount() -> number / getAllStoredSymbols() -> [symbol]
+ *   acquireLock(name, owner, ttlMs)                     -> { acquired, lock: { name, owner, acquiredAt, expiresAt } }
+ *                                                          (when not acquired, lock is the current holder's lease)
+ *   releaseLock(name, owner)                            -> boolean; only the owner's lease is released
+ *   claimNonce(key, ttlMs)                              -> boolean; false if the key was claimed in the last ttlMs
+ *                                                          (or the store could not tell), e.g. a replayed request signature
+ *   logAuditEvent({ timestamp, event, method, url, requiredRole, principal, authMethod, reason, ip })
+ *
+ * Stores also expose an `enabled` flag; callers skip persistence when it is false.
+ */
+export const STATE_STORE_METHODS = [
+  'initialize',
+  'logTrade',
+  'updateTradeStatus',
+  'getOpenTrades',
+  'getClosedTrades',
+  'logPerformance',
+  'recordTradingState',
+  'getLastTradeForSymbol',
+  'getRecentTrades',
+  'setTradingHalt',
+  'getTradingHalt',
+  'setEquityState',
+  'getEquityState',
+  'setRateLimitUsage',
+  'incrementRateLimitUsage',
+  'getRateLimitUsage',
+  'logSignalStrength',
+  'getLastSignalStrength',
+  'storeRegimeState',
+  'getRegimeState',
+  'getRegimeHistory',
+  'storePositionLevels',
+  'getPositionLevels',
+  'removePositionLevels',
+  'getStoredPositionsCount',
+  'getAllStoredSymbols',
+  'acquireLock',
+  'releaseLock',
+  'claimNonce',
+  'logAuditEvent'
+];
+
+export class StateStore {
+  getName() {
+    return this.constructor.name;
+  }
+
+  // Current time as stored in rows; stores with an injected clock (this.now) use it
+  timestamp() {
+    return new Date(this.now ? this.now() : Date.now()).toISOString();
+  }
+
+  async initialize() { return true; }
+
+  // Sheet-specific initializers kept so older call sites work against any backend
+  async initializeSignalStrengthSheet() { return this.initialize(); }
+  async initializeTradingStateSheet() { return this.initialize(); }
+  async initializePositionLevelsSheet() { return this.initialize(); }
+  async initializeRegimeStateSheet() { return this.initialize(); }
+
+  async logTrade(tradeData) { throw notImplemented(this, 'logTrade'); }
+  async updateTradeStatus(orderId, status, exitPrice = null, pnl = null, remainingQty = null) { throw notImplemented(this, 'updateTradeStatus'); }
+  async getOpenTrades() { throw notImplemented(this, 'getOpenTrades'); }
+  async getClosedTrades({ strategy, limit } = {}) { throw notImplemented(this, 'getClosedTrades'); }
+  async logPerformance(performanceData) { throw notImplemented(this, 'logPerformance'); }
+  async recordTradingState(stateData) { throw notImplemented(this, 'recordTradingState'); }
+  async getLastTradeForSymbol(symbol) { throw notImplemented(this, 'getLastTradeForSymbol'); }
+  async getRecentTrades(hoursBack = 24) { throw notImplemented(this, 'getRecentTrades'); }
+  async setTradingHalt(haltData) { throw notImplemented(this, 'setTradingHalt'); }
+  async getTradingHalt() { throw notImplemented(this, 'getTradingHalt'); }
+  async setEquityState(equityState) { throw notImplemented(this, 'setEquityState'); }
+  async getEquityState() { throw notImplemented(this, 'getEquityState'); }
+  async setRateLimitUsage(source, usage) { throw notImplemented(this, 'setRateLimitUsage'); }
+  async incrementRateLimitUsage(source, windowStart, count = 1) { throw notImplemented(this, 'incrementRateLimitUsage'); }
+  async getRateLimitUsage() { throw notImplemented(this, 'getRateLimitUsage'); }
+  async logSignalStrength(signalData) { throw notImplemented(this, 'logSignalStrength'); }
+  async getLastSignalStrength(symbol, side = null, excludeRecentMinutes = 1) { throw notImplemented(this, 'getLastSignalStrength'); }
+  async storeRegimeState(regimeData) { throw notImplemented(this, 'storeRegimeState'); }
+  async getRegimeState(baseSymbol, strategyName) { throw notImplemented(this, 'getRegimeState'); }
+  async getRegimeHistory(baseSymbol, strategyName, daysBack = 30) { throw notImplemented(this, 'getRegimeHistory'); }
+  async storePositionLevels(symbol, levels) { throw notImplemented(this, 'storePositionLevels'); }
+  async getPositionLevels(symbol) { throw notImplemented(this, 'getPositionLevels'); }
+  async removePositionLevels(symbol) { throw notImplemented(this, 'removePositionLevels'); }
+  async getStoredPositionsCount() { throw notImplemented(this, 'getStoredPositionsCount'); }
+  async getAllStoredSymbols() { throw notImplemented(this, 'getAllStoredSymbols'); }
+  async logAuditEvent(event) { throw notImplemented(this, 'logAuditEvent'); }
+
+  /**
+   * Raise the persisted equity high-water mark when a performance snapshot exceeds it.
+   * Backends call this from logPerformance; the circuit breaker state is left untouched.
+   * @param {number} equity - Snapshot equity
+   * @param {string} timestamp - Snapshot time
+   * @returns {boolean} Whether a new high-water mark was stored
+   */
+  async recordEquitySnapshot(equity, timestamp = this.timestamp()) {
+    const value = parseFloat(equity);
+    if (!Number.isFinite(value) || value <= 0) return false;
+
+    const equityState = await this.getEquityState();
+    if (!equityState || (equityState.highWaterMark !== null && value <= equityState.highWaterMark)) {
+      return false;
+    }
+    return this.setEquityState({ ...equityState, highWaterMark: value, highWaterMarkAt: timestamp });
+  }
+
+  /**
+   * Take a lease-style lock. This default only excludes callers in the same process;
+   * backends shared between processes override it. The owner may re-acquire its own
+   * lease (a retried run), and an expired lease can be taken by anyone.
+   * @param {string} name - Lock name, e.g. 'trade'
+   * @param {string} owner - Holder identity (the run ID)
+   * @param {number} ttlMs - Lease length; the lock frees itself if the holder dies
+   * @returns {Object} { acquired, lock }
+   */
+  async acquireLock(name, owner, ttlMs) {
+    this.processLocks = this.processLocks || new Map();
+    const now = this.now ? this.now() : Date.now();
+    const held = this.processLocks.get(name);
+
+    if (held && held.owner !== owner && Date.parse(held.expiresAt) > now) {
+      return { acquired: false, lock: held };
+    }
+
+    const lock = buildLease(name, owner, ttlMs, now);
+    this.processLocks.set(name, lock);
+    return { acquired: true, lock };
+  }
+
+  async releaseLock(name, owner) {
+    const held = this.processLocks?.get(name);
+    if (!held || held.owner !== owner) return false;
+    this.processLocks.delete(name);
+    return true;
+  }
+
+  /**
+   * Record a one-time key. Like acquireLock, this default only sees the current process.
+   * @returns {boolean} Whether the key was new
+   */
+  async claimNonce(key, ttlMs) {
+    this.processNonces = this.processNonces || new Map();
+    const now = this.now ? this.now() : Date.now();
+
+    for (const [claimed, expiresAt] of this.processNonces) {
+      if (expiresAt <= now) this.processNonces.delete(claimed);
+    }
+    if (this.processNonces.has(key)) return false;
+    this.processNonces.set(key, now + ttlMs);
+    return true;
+  }
+}
+
+/**
+ * Equity state before any snapshot has been recorded
+ */
+export function emptyEquityState() {
+  return {
+    highWaterMark: null,
+    highWaterMarkAt: null,
+    breakerTripped: false,
+    trippedAt: null,
+    trippedDrawdown: null,
+    updatedBy: null
+  };
+}
+
+/**
+ * Stored rate limit usage after `count` more calls in the window starting at windowStart (ISO);
+ * a count stored for an earlier window starts over
+ */
+export function incrementedRateLimitUsage(stored, windowStart, count = 1) {
+  const calls = stored?.windowStart === windowStart ? (parseInt(stored.calls) || 0) + count : count;
+  return { windowStart, calls };
+}
+
+/**
+ * Newest-first CLOSED rows with a numeric pnl, optionally for one strategy (shared by the in-memory stores)
+ */
+export function selectClosedTrades(trades, { strategy = null, limit = 100 } = {}) {
+  return trades
+    .filter(trade => trade.status === 'CLOSED' && Number.isFinite(parseFloat(trade.pnl)))
+    .filter(trade => !strategy || trade.strategy === strategy)
+    .reverse()
+    .slice(0, limit);
+}
+
+/**
+ * Status a new Trades row starts with. Entries stay OPEN until their exits are booked;
+ * exit, skipped and failed rows are complete as written.
+ */
+export function initialTradeStatus(tradeData) {
+  if (tradeData.type === 'exit') return 'EXIT';
+  if (tradeData.status === 'skipped' || tradeData.status === 'failed') return tradeData.status.toUpperCase();
+  return 'OPEN';
+}
+
+/**
+ * Lease record shared by the lock implementations
+ */
+export function buildLease(name, owner, ttlMs, now = Date.now()) {
+  return {
+    name,
+    owner,
+    acquiredAt: new Date(now).toISOString(),
+    expiresAt: new Date(now + ttlMs).toISOString()
+  };
+}
+
+/**
+ * Throw if an object does not provide the full state store surface
+ * @param {Object} store - Candidate store
+ * @returns {Object} The same store, for chaining
+ */
+export function assertStateStore(store) {
+  const missing = STATE_STORE_METHODS.filter(method => typeof store?.[method] !== 'function');
+  if (missing.length > 0) {
+    throw new Error(`State store ${store?.constructor?.name || 'backend'} is missing required methods: ${missing.join(', ')}`);
+  }
+  return store;
+}
+
+function notImplemented(store, method) {
+  return new Error(`${store.getName()} does not implement ${method}()`);
+}
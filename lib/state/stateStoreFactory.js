@@ -0,0 +1,56 @@
+// lib/state/stateStoreFactory.js - Select and construct the configured state store
+import path from 'path';
+import { GoogleSheetsLogger } from '../utils/googleSheets.js';
+import { FileStateStore } from './fileStateStore.js';
+import { assertStateStore } from './stateStore.js';
+
+const stateStoreRegistry = new Map();
+
+/**
+ * Register a state store under a name usable in STATE_STORE / createStateStore({ store })
+ * @param {string} name - Store name (case-insensitive)
+ * @param {Function} factory - (options) => store instance
+ */
+export function registerStateStore(name, factory) {
+  stateStoreRegistry.set(name.toLowerCase(), factory);
+}
+
+export function getAvailableStateStores() {
+  return Array.from(stateStoreRegistry.keys());
+}
+
+/**
+ * Create the state store selected by options.store or the STATE_STORE env var (default: sheets)
+ * @param {Object} options - Store-specific options, passed through to the factory
+ * @returns {StateStore} Store implementing the full state store interface
+ */
+export function createStateStore(options = {}) {
+  const name = (options.store || process.env.STATE_STORE || 'sheets').toLowerCase();
+  const factory = stateStoreRegistry.get(name);
+
+  if (!factory) {
+    throw new Error(`Unknown state store: ${name}. Available state stores: ${getAvailableStateStores().join(', ')}`);
+  }
+
+  return assertStateStore(factory(options));
+}
+
+registerStateStore('sheets', () => new GoogleSheetsLogger());
+
+// Local JSON file as the system of record; Sheets, when configured, only receives report copies.
+// One instance per file: separate instances would each hold a copy and overwrite each other's saves.
+const fileStores = new Map();
+registerStateStore('file', (options) => {
+  const statePath = options.statePath || process.env.STATE_STORE_PATH || path.join(process.cwd(), 'data', 'state.json');
+  if (!fileStores.has(statePath)) {
+    fileStores.set(statePath, new FileStateStore({
+      reportingSink: process.env.STATE_STORE_SHEETS_REPORTING === 'false' ? null : new GoogleSheetsLogger(),
+      ...options,
+      statePath
+    }));
+  }
+  return fileStores.get(statePath);
+});
+
+// Process-local store for tests and one-off scripts
+registerStateStore('memory', (options) => new FileStateStore({ ...options, statePath: null }));
@@ -14,9 +14,12 @@ export class MeanReversionStrategy {
       baseSymbol: config.baseSymbol || 'SPY',
       symbols: config.symbols || [symbolPair.bullSymbol, symbolPair.bearSymbol], // [bull, bear]
       rsiPeriod: config.rsiPeriod || 14,
+      timeframe: config.timeframe || '1Day', // Bar timeframe, e.g. '15Min' for an intraday variant
       oversoldThreshold: config.oversoldThreshold || 30,
       overboughtThreshold: config.overboughtThreshold || 70,
       positionSize: config.positionSize || 0.015,
+      sizing: config.sizing || null, // RiskManager sizing overrides, e.g. { mode: 'atr' }
+      levels: config.levels || null, // RiskManager stop/target overrides, e.g. { stopMethod: 'swing', targetMethod: 'rr' }
       lookbackPeriod: config.lookbackPeriod || 50,
       minVolume: config.minVolume || 100000
     };
@@ -43,7 +46,7 @@ export class MeanReversionStrategy {
       // Analyze the base symbol for RSI signals
       const historicalData = await alpaca.getHistoricalData(
         this.config.baseSymbol, 
-        '1Day', 
+        this.config.timeframe, 
         this.config.lookbackPeriod
       );
 
@@ -168,27 +171,32 @@ export class MeanReversionStrategy {
       try {
         const historicalData = await alpaca.getHistoricalData(
           this.config.baseSymbol, // Use base symbol for exit analysis
-          '1Day', 
+          this.config.timeframe, 
           this.config.lookbackPeriod
         );
 
         const prices = historicalData.map(bar => bar.close);
         const currentRSI = RSI.getCurrentRSI(prices, this.config.rsiPeriod);
 
-        // Exit conditions: RSI returns to normal range
-        if (position.side === 'long' && currentRSI > 50) {
+        // Exit conditions: RSI returns to normal range. Both ETFs are held long, so the
+        // direction comes from which leg of the pair the position is in.
+        const quantity = Math.abs(parseFloat(position.qty));
+        const exitSide = parseFloat(position.qty) > 0 ? 'sell' : 'buy';
+        if (position.symbol === this.config.symbols[0] && currentRSI > 50) {
           exitSignals.push({
             symbol: position.symbol,
-            side: 'sell',
+            side: exitSide,
             reason: `${this.config.baseSymbol}_rsi_normalized_from_oversold`,
-            quantity: Math.abs(parseFloat(position.qty))
+            quantity,
+            rsi: currentRSI
           });
-        } else if (position.side === 'short' && currentRSI < 50) {
+        } else if (position.symbol === this.config.symbols[1] && currentRSI < 50) {
           exitSignals.push({
             symbol: position.symbol,
-            side: 'buy',
+            side: exitSide,
             reason: `${this.config.baseSymbol}_rsi_normalized_from_overbought`,
-            quantity: Math.abs(parseFloat(position.qty))
+            quantity,
+            rsi: currentRSI
           });
         }
 
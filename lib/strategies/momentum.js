@@ -14,9 +14,12 @@ export class MomentumStrategy {
       baseSymbol: config.baseSymbol || 'SPY',
       symbols: config.symbols || [symbolPair.bullSymbol, symbolPair.bearSymbol], // [bull, bear]
       lookbackPeriod: config.lookbackPeriod || 50,
+      timeframe: config.timeframe || '1Day', // Bar timeframe of the analysis: '1Min', '5Min', '15Min', '1Hour' or '1Day'
       shortMA: config.shortMA || 20,
       longMA: config.longMA || 50,
       positionSize: config.positionSize || 0.02,
+      sizing: config.sizing || null, // RiskManager sizing overrides, e.g. { mode: 'atr' }
+      levels: config.levels || null, // RiskManager stop/target overrides, e.g. { stopMethod: 'swing', targetMethod: 'rr' }
       minVolume: config.minVolume || 100000
     };
     this.logger = new Logger();
@@ -50,7 +53,7 @@ export class MomentumStrategy {
 
       const baseData = await alpaca.getHistoricalData(
         this.config.baseSymbol, 
-        '1Day', 
+        this.config.timeframe, 
         this.config.lookbackPeriod + 10
       );
 
@@ -256,4 +259,58 @@ export class MomentumStrategy {
       return 1; // Default volatility
     }
   }
+
+  /**
+   * Exit hook for the exit phase: close a held ETF once the trend behind it has reversed
+   * (bull ETF while the short MA is below the long MA, bear ETF while it is above)
+   * @param {Object} alpaca - Broker adapter
+   * @param {Array} positions - Open broker positions
+   * @returns {Array} Exit signals [{ symbol, side, reason, quantity }]
+   */
+  async checkExitConditions(alpaca, positions) {
+    const exitSignals = [];
+    const ownPositions = positions.filter(position => this.config.symbols.includes(position.symbol));
+    if (ownPositions.length === 0) {
+      return exitSignals;
+    }
+
+    try {
+      const baseData = await alpaca.getHistoricalData(
+        this.config.baseSymbol,
+        this.config.timeframe,
+        this.config.lookbackPeriod + 10
+      );
+      if (!baseData || baseData.length < this.config.longMA) {
+        return exitSignals;
+      }
+
+      const basePrices = baseData.map(bar => bar.close);
+      const shortMA = MovingAverages.getCurrentSMA(basePrices, this.config.shortMA);
+      const longMA = MovingAverages.getCurrentSMA(basePrices, this.config.longMA);
+      const trend = shortMA > longMA ? 'bullish' : 'bearish';
+
+      for (const position of ownPositions) {
+        const isBullEtf = position.symbol === this.config.symbols[0];
+        if ((isBullEtf && trend === 'bearish') || (!isBullEtf && trend === 'bullish')) {
+          exitSignals.push({
+            symbol: position.symbol,
+            side: parseFloat(position.qty) > 0 ? 'sell' : 'buy',
+            reason: `${this.config.baseSymbol}_momentum_reversed_${trend}`,
+            quantity: Math.abs(parseFloat(position.qty)),
+            maData: {
+              shortMA: shortMA.toFixed(2),
+              longMA: longMA.toFixed(2)
+            }
+          });
+        }
+      }
+    } catch (error) {
+      this.logger.error('Error checking momentum exit conditions', {
+        error: error.message,
+        strategy: this.getName()
+      });
+    }
+
+    return exitSignals;
+  }
 }
\ No newline at end of file
@@ -2,7 +2,7 @@
 import { MovingAverages } from '../indicators/movingAverages.js';
 import { Logger } from '../utils/logger.js';
 import { getBullBearSymbols } from '../config/symbolConfig.js';
-import { GoogleSheetsLogger } from '../utils/googleSheets.js';
+import { createStateStore } from '../state/stateStoreFactory.js';
 
 export class RegimeDetectionStrategy {
   constructor(config) {
@@ -16,22 +16,25 @@ export class RegimeDetectionStrategy {
       bullSymbol: config.bullSymbol || symbolPair.bullSymbol,
       bearSymbol: config.bearSymbol || symbolPair.bearSymbol,
       spyLookback: config.spyLookback || 200,
+      timeframe: config.timeframe || '1Day', // Bar timeframe, e.g. '15Min' for an intraday variant
       positionSize: config.positionSize || 0.03,
-      minConfirmationDays: config.minConfirmationDays || 3,
+      sizing: config.sizing || null, // RiskManager sizing overrides, e.g. { mode: 'atr' }
+      levels: config.levels || null, // RiskManager stop/target overrides, e.g. { stopMethod: 'swing', targetMethod: 'rr' }
+      minConfirmationDays: config.minConfirmationDays || 3, // Closes in a row past the MA before a flip counts
       volatilityAdjustment: config.volatilityAdjustment || true
     };
 
     this.logger = new Logger();
     
-    // CRITICAL FIX: Initialize Google Sheets integration for regime persistence
-    this.googleSheets = new GoogleSheetsLogger();
+    // CRITICAL FIX: Regime persistence goes through the shared StateStore when one is passed in
+    this.stateStore = config.stateStore || createStateStore();
     
-    // CRITICAL FIX: These will be loaded from Google Sheets in initializeRegimeState()
+    // CRITICAL FIX: These will be loaded from the state store in initializeRegimeState()
     this.currentRegime = null;
     this.regimeChangeDate = null;
     this.previousRegime = null; // This is what was missing!
     
-    // Track if we've initialized state from Google Sheets
+    // Track if we've initialized state from the state store
     this.stateInitialized = false;
   }
 
@@ -44,7 +47,7 @@ export class RegimeDetectionStrategy {
   }
 
   /**
-   * CRITICAL FIX: Initialize regime state from Google Sheets for serverless persistence
+   * CRITICAL FIX: Initialize regime state from the state store for serverless persistence
    */
   async initializeRegimeState() {
     if (this.stateInitialized) {
@@ -52,16 +55,16 @@ export class RegimeDetectionStrategy {
     }
 
     try {
-      this.logger.info('CRITICAL FIX: Initializing regime state from Google Sheets for serverless persistence', {
+      this.logger.info('CRITICAL FIX: Initializing regime state from the state store for serverless persistence', {
         strategy: this.getName(),
         baseSymbol: this.config.baseSymbol
       });
 
-      // Initialize the RegimeState sheet if it doesn't exist
-      await this.googleSheets.initializeRegimeStateSheet();
+      // Make sure the backend is ready (creates the RegimeState sheet on Sheets)
+      await this.stateStore.initializeRegimeStateSheet();
 
-      // Get the last regime state from Google Sheets
-      const lastRegimeState = await this.googleSheets.getRegimeState(
+      // Get the last regime state from the state store
+      const lastRegimeState = await this.stateStore.getRegimeState(
         this.config.baseSymbol,
         this.getName()
       );
@@ -71,7 +74,7 @@ export class RegimeDetectionStrategy {
         this.currentRegime = lastRegimeState.regime;
         this.regimeChangeDate = lastRegimeState.changeDate ? new Date(lastRegimeState.changeDate) : null;
 
-        this.logger.info('CRITICAL FIX: Regime state loaded from Google Sheets', {
+        this.logger.info('CRITICAL FIX: Regime state loaded from the state store', {
           strategy: this.getName(),
           baseSymbol: this.config.baseSymbol,
           previousRegime: this.previousRegime,
@@ -94,7 +97,7 @@ export class RegimeDetectionStrategy {
 
       this.stateInitialized = true;
     } catch (error) {
-      this.logger.error('CRITICAL FIX: Failed to initialize regime state from Google Sheets', {
+      this.logger.error('CRITICAL FIX: Failed to initialize regime state from the state store', {
         strategy: this.getName(),
         baseSymbol: this.config.baseSymbol,
         error: error.message
@@ -109,7 +112,7 @@ export class RegimeDetectionStrategy {
   }
 
   /**
-   * CRITICAL FIX: Store regime state to Google Sheets for serverless persistence
+   * CRITICAL FIX: Store regime state to the state store for serverless persistence
    */
   async storeRegimeState(regime, regimeStrength, ma200, currentPrice) {
     try {
@@ -123,24 +126,24 @@ export class RegimeDetectionStrategy {
         strategyName: this.getName()
       };
 
-      const success = await this.googleSheets.storeRegimeState(regimeData);
+      const success = await this.stateStore.storeRegimeState(regimeData);
       
       if (success) {
-        this.logger.info('CRITICAL FIX: Regime state stored to Google Sheets for serverless persistence', {
+        this.logger.info('CRITICAL FIX: Regime state stored to the state store for serverless persistence', {
           strategy: this.getName(),
           baseSymbol: this.config.baseSymbol,
           regime: regime,
           regimeStrength: regimeStrength
         });
       } else {
-        this.logger.warning('CRITICAL FIX: Failed to store regime state to Google Sheets', {
+        this.logger.warning('CRITICAL FIX: Failed to store regime state to the state store', {
           strategy: this.getName(),
           baseSymbol: this.config.baseSymbol,
           regime: regime
         });
       }
     } catch (error) {
-      this.logger.error('CRITICAL FIX: Error storing regime state to Google Sheets', {
+      this.logger.error('CRITICAL FIX: Error storing regime state to the state store', {
         strategy: this.getName(),
         baseSymbol: this.config.baseSymbol,
         regime: regime,
@@ -153,7 +156,7 @@ export class RegimeDetectionStrategy {
     const signals = [];
 
     try {
-      // CRITICAL FIX: Initialize regime state from Google Sheets before analysis
+      // CRITICAL FIX: Initialize regime state from the state store before analysis
       await this.initializeRegimeState();
 
       this.logger.info(`Starting ${this.getName()} analysis for ${this.config.baseSymbol}`, {
@@ -166,11 +169,11 @@ export class RegimeDetectionStrategy {
       // Get base symbol data for regime detection
       const baseData = await alpaca.getHistoricalData(
         this.config.baseSymbol, 
-        '1Day', 
-        this.config.spyLookback + 10
+        this.config.timeframe, 
+        this.config.spyLookback + this.config.minConfirmationDays + 10
       );
 
-      if (baseData.length < this.config.spyLookback + 1) {
+      if (baseData.length < this.config.spyLookback + this.config.minConfirmationDays) {
         this.logger.warning(`Insufficient ${this.config.baseSymbol} data for regime detection`, {
           strategy: this.getName()
         });
@@ -181,8 +184,9 @@ export class RegimeDetectionStrategy {
       const currentPrice = basePrices[basePrices.length - 1];
       const ma200 = MovingAverages.getCurrentSMA(basePrices, this.config.spyLookback);
 
-      // Determine current regime
-      const newRegime = currentPrice > ma200 ? 'bull' : 'bear';
+      // Determine current regime - a flip only counts once minConfirmationDays closes agree
+      const latestRegime = currentPrice > ma200 ? 'bull' : 'bear';
+      const newRegime = this.confirmedRegime(basePrices);
 
       // Calculate regime strength (distance from MA)
       const regimeStrength = Math.abs(currentPrice - ma200) / ma200;
@@ -191,13 +195,25 @@ export class RegimeDetectionStrategy {
         baseSymbol: this.config.baseSymbol,
         basePrice: currentPrice.toFixed(2),
         ma200: ma200.toFixed(2),
-        regime: newRegime,
+        regime: latestRegime,
+        confirmedRegime: newRegime,
         strength: (regimeStrength * 100).toFixed(2) + '%',
         previousRegime: this.previousRegime, // CRITICAL FIX: Now properly tracks previous regime
         currentRegime: this.currentRegime,
         strategy: this.getName()
       });
 
+      if (!newRegime) {
+        this.logger.info('Regime flip awaiting confirmation', {
+          currentRegime: this.currentRegime,
+          latestRegime,
+          minConfirmationDays: this.config.minConfirmationDays,
+          baseSymbol: this.config.baseSymbol,
+          strategy: this.getName()
+        });
+        return signals;
+      }
+
       // CRITICAL FIX: Check for regime change using properly persisted previous regime
       if (this.currentRegime !== newRegime) {
         this.logger.info('CRITICAL FIX: Regime change detected with proper state persistence', {
@@ -209,86 +225,39 @@ export class RegimeDetectionStrategy {
           serverlessPersistence: true
         });
 
-        // CRITICAL FIX: Update regime state variables
-        this.previousRegime = this.currentRegime;
-        this.currentRegime = newRegime;
-        this.regimeChangeDate = new Date();
-
-        // CRITICAL FIX: Store the new regime state to Google Sheets for future invocations
-        await this.storeRegimeState(newRegime, regimeStrength, ma200, currentPrice);
-
-        // Generate position switch signals
-        if (newRegime === 'bull') {
-          // Switch to bull ETF
-          const bullQuote = await alpaca.getQuote(this.config.bullSymbol);
-          const bullPrice = (bullQuote.bid + bullQuote.ask) / 2;
-
-          signals.push({
-            symbol: this.config.bullSymbol,
-            side: 'buy',
-            reason: `${this.config.baseSymbol}_regime_change_to_bull`,
-            currentPrice: bullPrice,
-            positionSize: this.adjustPositionSizeForVolatility(regimeStrength),
-            confidence: this.calculateRegimeConfidence(regimeStrength, basePrices),
-            regimeStrength: regimeStrength,
-            timestamp: new Date().toISOString(),
-            baseSymbol: this.config.baseSymbol,
-            regimeChange: true,
-            previousRegime: this.previousRegime
-          });
-
-          // Add sell signal for bear ETF if we have positions
-          const bearQuote = await alpaca.getQuote(this.config.bearSymbol);
-          const bearPrice = (bearQuote.bid + bearQuote.ask) / 2;
-
-          signals.push({
-            symbol: this.config.bearSymbol,
-            side: 'sell',
-            reason: `${this.config.baseSymbol}_regime_change_exit_bear`,
-            currentPrice: bearPrice,
-            positionSize: 0, // Will be determined by current position
-            confidence: this.calculateRegimeConfidence(regimeStrength, basePrices),
-            timestamp: new Date().toISOString(),
-            baseSymbol: this.config.baseSymbol,
-            regimeChange: true,
-            previousRegime: this.previousRegime
-          });
-        } else {
-          // Switch to bear ETF
-          const bearQuote = await alpaca.getQuote(this.config.bearSymbol);
-          const bearPrice = (bearQuote.bid + bearQuote.ask) / 2;
-
-          signals.push({
-            symbol: this.config.bearSymbol,
-            side: 'buy',
-            reason: `${this.config.baseSymbol}_regime_change_to_bear`,
-            currentPrice: bearPrice,
-            positionSize: this.adjustPositionSizeForVolatility(regimeStrength),
-            confidence: this.calculateRegimeConfidence(regimeStrength, basePrices),
-            regimeStrength: regimeStrength,
-            timestamp: new Date().toISOString(),
-            baseSymbol: this.config.baseSymbol,
-            regimeChange: true,
-            previousRegime: this.previousRegime
-          });
-
-          // Add sell signal for bull ETF if we have positions
-          const bullQuote = await alpaca.getQuote(this.config.bullSymbol);
-          const bullPrice = (bullQuote.bid + bullQuote.ask) / 2;
-
-          signals.push({
-            symbol: this.config.bullSymbol,
-            side: 'sell',
-            reason: `${this.config.baseSymbol}_regime_change_exit_bull`,
-            currentPrice: bullPrice,
-            positionSize: 0, // Will be determined by current position
-            confidence: this.calculateRegimeConfidence(regimeStrength, basePrices),
-            timestamp: new Date().toISOString(),
+        // The flip is not stored here: the pipeline stores signal.regimeState once the old leg
+        // is sold. Until then the next call reloads the old regime and rotates again.
+        const previousRegime = this.currentRegime;
+        this.stateInitialized = false;
+
+        // Rotate: the pipeline sells the whole old ETF position, then buys the new one
+        const targetSymbol = newRegime === 'bull' ? this.config.bullSymbol : this.config.bearSymbol;
+        const exitSymbol = newRegime === 'bull' ? this.config.bearSymbol : this.config.bullSymbol;
+        const quote = await alpaca.getQuote(targetSymbol);
+
+        signals.push({
+          symbol: targetSymbol,
+          side: 'buy',
+          reason: `${this.config.baseSymbol}_regime_change_to_${newRegime}`,
+          currentPrice: (quote.bid + quote.ask) / 2,
+          positionSize: this.adjustPositionSizeForVolatility(regimeStrength),
+          confidence: this.calculateRegimeConfidence(regimeStrength, basePrices, newRegime),
+          regimeStrength: regimeStrength,
+          timestamp: new Date().toISOString(),
+          baseSymbol: this.config.baseSymbol,
+          regimeChange: true,
+          previousRegime,
+          rotateFrom: exitSymbol,
+          regimeState: {
             baseSymbol: this.config.baseSymbol,
-            regimeChange: true,
-            previousRegime: this.previousRegime
-          });
-        }
+            regime: newRegime,
+            ma200,
+            currentPrice,
+            regimeStrength,
+            changeDate: new Date().toISOString(),
+            strategyName: this.getName()
+          }
+        });
       } else {
         // CRITICAL FIX: No regime change, but update current regime if it was null
         if (this.currentRegime === null) {
@@ -315,7 +284,7 @@ export class RegimeDetectionStrategy {
             reason: `${this.config.baseSymbol}_strong_${newRegime}_regime_continuation`,
             currentPrice: price,
             positionSize: this.config.positionSize * 0.5, // Half position for continuation
-            confidence: this.calculateRegimeConfidence(regimeStrength, basePrices),
+            confidence: this.calculateRegimeConfidence(regimeStrength, basePrices, newRegime),
             regimeStrength: regimeStrength,
             timestamp: new Date().toISOString(),
             baseSymbol: this.config.baseSymbol,
@@ -356,7 +325,13 @@ export class RegimeDetectionStrategy {
     }
   }
 
-  calculateRegimeConfidence(regimeStrength, prices) {
+  /**
+   * Confidence for a signal into `regime`, scored on the closes trending its way
+   * @param {number} regimeStrength - Distance of the latest close from the MA, as a fraction
+   * @param {Array} prices - Base symbol closes, oldest first
+   * @param {string} regime - Regime the signal trades: 'bull' or 'bear'
+   */
+  calculateRegimeConfidence(regimeStrength, prices, regime) {
     // Higher confidence with stronger regime signals and trend consistency
     const baseConfidence = Math.min(0.9, 0.5 + (regimeStrength * 5)); // 50-90% based on strength
 
@@ -365,9 +340,9 @@ export class RegimeDetectionStrategy {
     let consistentTrend = 0;
 
     for (let i = 1; i < recentPrices.length; i++) {
-      if (this.currentRegime === 'bull' && recentPrices[i] > recentPrices[i-1]) {
+      if (regime === 'bull' && recentPrices[i] > recentPrices[i-1]) {
         consistentTrend++;
-      } else if (this.currentRegime === 'bear' && recentPrices[i] < recentPrices[i-1]) {
+      } else if (regime === 'bear' && recentPrices[i] < recentPrices[i-1]) {
         consistentTrend++;
       }
     }
@@ -376,6 +351,75 @@ export class RegimeDetectionStrategy {
     return Math.min(0.95, baseConfidence * (0.8 + 0.2 * trendConfidence));
   }
 
+  /**
+   * Exit hook for the exit phase: close the ETF on the wrong side of the confirmed regime.
+   * Only acts once the flip is recorded (a rotation whose sell did not go through, or a
+   * position left from before); an unrecorded flip is left to the Phase 2 rotation.
+   * @param {Object} alpaca - Broker adapter
+   * @param {Array} positions - Open broker positions
+   * @returns {Array} Exit signals [{ symbol, side, reason, quantity }]
+   */
+  async checkExitConditions(alpaca, positions) {
+    const exitSignals = [];
+    const symbols = [this.config.bullSymbol, this.config.bearSymbol];
+    const ownPositions = positions.filter(position => symbols.includes(position.symbol));
+    if (ownPositions.length === 0) {
+      return exitSignals;
+    }
+
+    try {
+      const baseData = await alpaca.getHistoricalData(
+        this.config.baseSymbol,
+        this.config.timeframe,
+        this.config.spyLookback + this.config.minConfirmationDays + 10
+      );
+
+      // A confirmed flip not yet recorded is rotated by generateSignals in Phase 2
+      await this.initializeRegimeState();
+      const regime = this.confirmedRegime(baseData.map(bar => bar.close));
+      if (!regime || regime !== this.currentRegime) {
+        return exitSignals;
+      }
+
+      for (const position of ownPositions) {
+        const heldRegime = position.symbol === this.config.bullSymbol ? 'bull' : 'bear';
+        if (heldRegime !== regime) {
+          exitSignals.push({
+            symbol: position.symbol,
+            side: parseFloat(position.qty) > 0 ? 'sell' : 'buy',
+            reason: `${this.config.baseSymbol}_regime_flip_exit_${heldRegime}`,
+            quantity: Math.abs(parseFloat(position.qty)),
+            regime
+          });
+        }
+      }
+    } catch (error) {
+      this.logger.error('Error checking regime exit conditions', {
+        error: error.message,
+        strategy: this.getName(),
+        baseSymbol: this.config.baseSymbol
+      });
+    }
+
+    return exitSignals;
+  }
+
+  /**
+   * Regime the last minConfirmationDays closes all agree on (each against its own trailing MA)
+   * @param {Array} basePrices - Base symbol daily closes, oldest first
+   * @returns {string|null} 'bull', 'bear', or null while the closes disagree or data is short
+   */
+  confirmedRegime(basePrices) {
+    const regimes = new Set();
+    for (let offset = 0; offset < Math.max(1, this.config.minConfirmationDays); offset++) {
+      const prices = basePrices.slice(0, basePrices.length - offset);
+      if (prices.length < this.config.spyLookback) return null;
+      const ma = MovingAverages.getCurrentSMA(prices, this.config.spyLookback);
+      regimes.add(prices[prices.length - 1] > ma ? 'bull' : 'bear');
+    }
+    return regimes.size === 1 ? [...regimes][0] : null;
+  }
+
   shouldAddToPosition() {
     // Only add to positions if regime change was recent (within 5 days)
     if (!this.regimeChangeDate) return false;
@@ -401,7 +445,7 @@ export class RegimeDetectionStrategy {
    */
   async getRegimeHistory(daysBack = 30) {
     try {
-      return await this.googleSheets.getRegimeHistory(
+      return await this.stateStore.getRegimeHistory(
         this.config.baseSymbol,
         this.getName(),
         daysBack
@@ -417,13 +461,13 @@ export class RegimeDetectionStrategy {
   }
 
   /**
-   * CRITICAL FIX: Force refresh regime state from Google Sheets (useful for debugging)
+   * CRITICAL FIX: Force refresh regime state from the state store (useful for debugging)
    */
   async refreshRegimeState() {
     this.stateInitialized = false;
     await this.initializeRegimeState();
     
-    this.logger.info('CRITICAL FIX: Regime state refreshed from Google Sheets', {
+    this.logger.info('CRITICAL FIX: Regime state refreshed from the state store', {
       strategy: this.getName(),
       baseSymbol: this.config.baseSymbol,
       previousRegime: this.previousRegime,
@@ -0,0 +1,251 @@
+// lib/utils/auth.js - API key / HMAC request authentication and role checks for /api routes
+import crypto from 'crypto';
+import { Logger } from './logger.js';
+import { createStateStore } from '../state/stateStoreFactory.js';
+
+// Each role includes everything below it
+export const ROLE_LEVELS = {
+  read: 1,
+  trader: 2,
+  admin: 3
+};
+
+// Signed requests older (or further in the future) than this are rejected as replays
+const SIGNATURE_MAX_AGE_SECONDS = 300;
+
+// Rejections come from unauthenticated callers, so only this many per minute are written to the
+// state store; the others are logged and counted in the next stored event
+const AUDIT_EVENTS_PER_MINUTE = parseInt(process.env.AUDIT_EVENTS_PER_MINUTE) || 10;
+
+let stateStore = null;
+const auditWindow = { start: 0, stored: 0, dropped: 0 };
+
+/**
+ * Wrap a Vercel handler so it only runs for authenticated callers with a sufficient role.
+ *
+ * Credentials, checked in order:
+ *   x-api-key: <key> (or Authorization: Bearer <key>) - keys and their roles come from
+ *     API_KEYS="key1:read,key2:trader,key3:admin"; ADMIN_API_KEY is an admin key
+ *   x-signature-timestamp: <unix seconds> + x-signature: sha256=<hex> - HMAC-SHA256 with
+ *     CRON_SIGNING_SECRET over "<timestamp>.<METHOD>.<url>.<x-run-id>.<body>"; grants the
+ *     trader role. Each signature is accepted once: it is claimed in the state store, and a
+ *     second request carrying it is rejected as a replay.
+ *
+ * Rejections (401 no/invalid credentials, 403 role too low) are audit-logged, and written to the
+ * state store (STATE_STORE) at most AUDIT_EVENTS_PER_MINUTE times a minute.
+ * @param {string|Object} requiredRole - Role for every method, or { GET: 'read', POST: 'admin', '*': ... }
+ * @param {Function} handler - (req, res) handler; receives req.auth = { role, principal, method }
+ * @returns {Function} Wrapped handler
+ */
+export function withAuth(requiredRole, handler) {
+  return async function authenticatedHandler(req, res) {
+    const role = typeof requiredRole === 'string'
+      ? requiredRole
+      : requiredRole[req.method] || requiredRole['*'] || 'admin';
+
+    if (process.env.AUTH_DISABLED === 'true') {
+      new Logger('Auth').warning('AUTH_DISABLED=true - request not authenticated', { url: req.url });
+      req.auth = { role: 'admin', principal: 'auth_disabled', method: 'none' };
+      return handler(req, res);
+    }
+
+    let result = authenticateRequest(req);
+    if (result.authenticated && result.method === 'signature' && !(await claimSignature(result.signature))) {
+      result = { authenticated: false, reason: 'Request signature already used', method: 'signature' };
+    }
+    if (!result.authenticated) {
+      await auditRejection(req, role, result, 401);
+      return res.status(401).json({
+        status: 'error',
+        message: result.reason,
+        timestamp: new Date().toISOString()
+      });
+    }
+
+    if (!hasRole(result.role, role)) {
+      const reason = `Role '${result.role}' cannot access this endpoint (requires '${role}')`;
+      await auditRejection(req, role, { ...result, reason }, 403);
+      return res.status(403).json({
+        status: 'error',
+        message: reason,
+        timestamp: new Date().toISOString()
+      });
+    }
+
+    req.auth = { role: result.role, principal: result.principal, method: result.method };
+    return handler(req, res);
+  };
+}
+
+export function hasRole(actualRole, requiredRole) {
+  return (ROLE_LEVELS[actualRole] || 0) >= (ROLE_LEVELS[requiredRole] || Infinity);
+}
+
+/**
+ * Identify the caller from an API key or an HMAC signature
+ * @returns {Object} { authenticated, role, principal, method } or { authenticated: false, reason }
+ */
+export function authenticateRequest(req) {
+  const headers = req.headers || {};
+  const authorization = headers.authorization || '';
+  const apiKey = headers['x-api-key'] || (authorization.startsWith('Bearer ') ? authorization.slice(7) : '');
+
+  if (apiKey) {
+    const entry = getApiKeys().find(candidate => safeEqual(candidate.key, apiKey));
+    if (!entry) {
+      return { authenticated: false, reason: 'Invalid API key', principal: fingerprint(apiKey), method: 'api_key' };
+    }
+    return { authenticated: true, role: entry.role, principal: fingerprint(apiKey), method: 'api_key' };
+  }
+
+  if (headers['x-signature']) {
+    return verifySignature(req);
+  }
+
+  return { authenticated: false, reason: 'Missing credentials: send x-api-key or a signed request', method: null };
+}
+
+/**
+ * Compute the signature a client must send for a request
+ * @param {string} secret - Shared signing secret
+ * @param {Object} parts - { timestamp, method, url, runId (the x-run-id header, '' when absent), body }
+ * @returns {string} Hex HMAC-SHA256
+ */
+export function signRequest(secret, { timestamp, method, url, runId = '', body = '' }) {
+  return crypto
+    .createHmac('sha256', secret)
+    .update(`${timestamp}.${method.toUpperCase()}.${url}.${runId}.${body}`)
+    .digest('hex');
+}
+
+function verifySignature(req) {
+  const secret = process.env.CRON_SIGNING_SECRET;
+  if (!secret) {
+    return { authenticated: false, reason: 'Signed requests are not enabled (CRON_SIGNING_SECRET unset)', method: 'signature' };
+  }
+
+  const timestamp = parseInt(req.headers['x-signature-timestamp']);
+  const age = Math.abs(Date.now() / 1000 - timestamp);
+  if (!Number.isFinite(age) || age > SIGNATURE_MAX_AGE_SECONDS) {
+    return { authenticated: false, reason: 'Signature timestamp missing or outside the allowed window', method: 'signature' };
+  }
+
+  const expected = signRequest(secret, {
+    timestamp,
+    method: req.method || 'GET',
+    url: req.url || '',
+    runId: req.headers['x-run-id'] || '',
+    body: bodyForSignature(req.body)
+  });
+  const provided = String(req.headers['x-signature']).replace(/^sha256=/, '');
+  if (!safeEqual(expected, provided)) {
+    return { authenticated: false, reason: 'Invalid request signature', method: 'signature' };
+  }
+
+  return { authenticated: true, role: 'trader', principal: 'signed:cron', method: 'signature', signature: expected };
+}
+
+// Vercel hands us the parsed body; JSON clients sign JSON.stringify of what they send
+function bodyForSignature(body) {
+  if (body === undefined || body === null) return '';
+  if (typeof body === 'string') return body;
+  if (Buffer.isBuffer(body)) return body.toString('utf8');
+  return Object.keys(body).length > 0 ? JSON.stringify(body) : '';
+}
+
+function getApiKeys() {
+  const keys = (process.env.API_KEYS || '')
+    .split(',')
+    .map(entry => entry.trim())
+    .filter(Boolean)
+    .map(entry => {
+      const separator = entry.lastIndexOf(':');
+      return { key: entry.slice(0, separator), role: entry.slice(separator + 1) };
+    })
+    .filter(entry => entry.key && ROLE_LEVELS[entry.role]);
+
+  if (process.env.ADMIN_API_KEY) {
+    keys.push({ key: process.env.ADMIN_API_KEY, role: 'admin' });
+  }
+  return keys;
+}
+
+function safeEqual(a, b) {
+  const left = Buffer.from(String(a));
+  const right = Buffer.from(String(b));
+  return left.length === right.length && crypto.timingSafeEqual(left, right);
+}
+
+// Identify a key in logs without recording it
+function fingerprint(key) {
+  return `key:${crypto.createHash('sha256').update(String(key)).digest('hex').slice(0, 8)}`;
+}
+
+async function auditRejection(req, requiredRole, result, statusCode) {
+  const event = {
+    timestamp: new Date().toISOString(),
+    event: statusCode === 401 ? 'auth_rejected' : 'access_denied',
+    method: req.method,
+    url: req.url,
+    requiredRole,
+    principal: result.principal || null,
+    authMethod: result.method || null,
+    reason: result.reason,
+    ip: req.headers?.['x-forwarded-for'] || req.socket?.remoteAddress || null
+  };
+
+  new Logger('Audit').warning('API request rejected', event);
+
+  const now = Date.now();
+  if (now - auditWindow.start >= 60000) {
+    auditWindow.start = now;
+    auditWindow.stored = 0;
+  }
+  if (auditWindow.stored >= AUDIT_EVENTS_PER_MINUTE) {
+    auditWindow.dropped++;
+    return;
+  }
+  auditWindow.stored++;
+
+  const dropped = auditWindow.dropped;
+  auditWindow.dropped = 0;
+  const store = getStateStore();
+  if (!store) return;
+
+  try {
+    await store.logAuditEvent(dropped > 0
+      ? { ...event, reason: `${event.reason} (${dropped} earlier rejection(s) not stored)` }
+      : event);
+  } catch (error) {
+    new Logger('Audit').error('Failed to store audit event', { error: error.message });
+  }
+}
+
+/**
+ * Record a signature as used for as long as its timestamp could still be accepted
+ * @returns {boolean} Whether this is the first use; false also when the store cannot tell
+ */
+async function claimSignature(signature) {
+  const store = getStateStore();
+  if (!store) return false;
+
+  try {
+    return await store.claimNonce(`signature:${signature}`, 2 * SIGNATURE_MAX_AGE_SECONDS * 1000);
+  } catch (error) {
+    new Logger('Auth').error('Could not check signature for replay', { error: error.message });
+    return false;
+  }
+}
+
+// One store per warm instance, created on first use
+function getStateStore() {
+  if (!stateStore) {
+    try {
+      stateStore = createStateStore();
+    } catch (error) {
+      new Logger('Auth').error('State store unavailable', { error: error.message });
+      return null;
+    }
+  }
+  return stateStore;
+}
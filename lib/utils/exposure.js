@@ -0,0 +1,58 @@
+// lib/utils/exposure.js - Portfolio exposure accounting behind the risk manager's exposure limits
+import { findTripletForSymbol } from '../config/symbolConfig.js';
+
+/**
+ * How a symbol moves with its triplet's base: a bull ETF is +leverage, a bear ETF -leverage,
+ * the base itself (or a symbol outside every triplet) +1
+ * @returns {Object} { baseSymbol, leverage, direction }
+ */
+export function symbolExposureProfile(symbol) {
+  const triplet = findTripletForSymbol(symbol);
+  if (!triplet || symbol === triplet.baseSymbol) {
+    return { baseSymbol: triplet?.baseSymbol || symbol, leverage: 1, direction: 1 };
+  }
+  return {
+    baseSymbol: triplet.baseSymbol,
+    leverage: triplet.leverage || 1,
+    direction: symbol === triplet.bearSymbol ? -1 : 1
+  };
+}
+
+/**
+ * Group open positions into exposure buckets. Symbol, triplet and strategy buckets hold
+ * absolute market value; gross and net notional weight each position by its ETF leverage,
+ * with bear ETFs and short positions counting against the base.
+ * @param {Array} positions - [{ symbol, qty, market_value }]
+ * @param {Map} strategyBySymbol - symbol -> strategy that opened it (from stored position levels)
+ * @returns {Object} { bySymbol, byTriplet, byStrategy, grossNotional, netNotional }
+ */
+export function calculateExposure(positions, strategyBySymbol = new Map()) {
+  const exposure = {
+    bySymbol: {},
+    byTriplet: {},
+    byStrategy: {},
+    grossNotional: 0,
+    netNotional: 0
+  };
+  const add = (bucket, key, value) => {
+    bucket[key] = (bucket[key] || 0) + value;
+  };
+
+  for (const position of positions) {
+    const qty = parseFloat(position.qty);
+    const marketValue = Math.abs(parseFloat(position.market_value)) || 0;
+    if (!qty || marketValue === 0) continue;
+
+    const { baseSymbol, leverage, direction } = symbolExposureProfile(position.symbol);
+    add(exposure.bySymbol, position.symbol, marketValue);
+    add(exposure.byTriplet, baseSymbol, marketValue);
+
+    const strategy = strategyBySymbol.get(position.symbol);
+    if (strategy) add(exposure.byStrategy, strategy, marketValue);
+
+    exposure.grossNotional += marketValue * leverage;
+    exposure.netNotional += marketValue * leverage * direction * Math.sign(qty);
+  }
+
+  return exposure;
+}
@@ -3,9 +3,29 @@
 import { GoogleAuth } from 'google-auth-library';
 import { sheets } from '@googleapis/sheets';
 import { Logger } from './logger.js';
+import { StateStore, OPEN_TRADE_STATUSES, buildLease, emptyEquityState, incrementedRateLimitUsage, initialTradeStatus } from '../state/stateStore.js';
 
-export class GoogleSheetsLogger {
+// Reserved TradingState row holding the trading halt (kill switch) instead of a symbol's last trade
+export const TRADING_HALT_SYMBOL = '__TRADING_HALT__';
+
+// Reserved TradingState row holding the equity high-water mark and drawdown circuit breaker
+export const EQUITY_STATE_SYMBOL = '__EQUITY_STATE__';
+
+// Reserved TradingState rows holding run locks, e.g. "__LOCK__:trade"
+export const LOCK_SYMBOL_PREFIX = '__LOCK__:';
+
+// Reserved TradingState rows holding market data provider quota counters, e.g. "__RATE_LIMIT__:finnhub"
+export const RATE_LIMIT_SYMBOL_PREFIX = '__RATE_LIMIT__:';
+
+// Reserved TradingState row holding claimed one-time keys (request signatures) as JSON in column D
+export const NONCES_SYMBOL = '__NONCES__';
+
+// Sheets has no compare-and-set, so a lock write is re-read after this delay to detect a racing writer
+const LOCK_VERIFY_DELAY_MS = 1500;
+
+export class GoogleSheetsLogger extends StateStore {
   constructor() {
+    super();
     this.logger = new Logger();
     this.spreadsheetId = process.env.GOOGLE_SPREADSHEET_ID;
     
@@ -60,6 +80,26 @@ export class GoogleSheetsLogger {
     }
   }
 
+  getName() {
+    return 'sheets';
+  }
+
+  /**
+   * Create the headers of every state sheet once per instance
+   * @returns {boolean} Whether the sheets are ready
+   */
+  async initialize() {
+    if (!this.enabled) return false;
+    if (this.initialized) return true;
+
+    await this.initializeTradingStateSheet();
+    await this.initializeSignalStrengthSheet();
+    await this.initializePositionLevelsSheet();
+    await this.initializeRegimeStateSheet();
+    this.initialized = true;
+    return true;
+  }
+
   async logTrade(tradeData) {
     if (!this.enabled) {
       this.logger.info('Google Sheets logging skipped - integration disabled');
@@ -77,7 +117,7 @@ export class GoogleSheetsLogger {
         tradeData.orderId,
         tradeData.stopLoss || '',
         tradeData.takeProfit || '',
-        'OPEN'
+        initialTradeStatus(tradeData)
       ]];
 
       await this.sheetsAPI.spreadsheets.values.append({
@@ -131,6 +171,8 @@ export class GoogleSheetsLogger {
         equity: performanceData.totalEquity,
         dailyPnL: performanceData.dailyPnL
       });
+
+      await this.recordEquitySnapshot(performanceData.totalEquity, performanceData.timestamp);
     } catch (error) {
       this.logger.error('Failed to log performance to Google Sheets', { 
         error: error.message,
@@ -143,7 +185,52 @@ export class GoogleSheetsLogger {
     }
   }
 
-  async updateTradeStatus(orderId, status, exitPrice = null, pnl = null) {
+  /**
+   * Append a security event (rejected API request) to the AuditLog sheet
+   * @param {Object} event - { timestamp, event, method, url, requiredRole, principal, authMethod, reason, ip }
+   */
+  async logAuditEvent(event) {
+    if (!this.enabled) {
+      return;
+    }
+
+    try {
+      const values = [[
+        event.timestamp || new Date().toISOString(),
+        event.event,
+        `${event.method || ''} ${event.url || ''}`.trim(),
+        event.requiredRole || '',
+        event.principal || '',
+        event.authMethod || '',
+        event.reason || '',
+        event.ip || ''
+      ]];
+
+      await this.sheetsAPI.spreadsheets.values.append({
+        spreadsheetId: this.spreadsheetId,
+        range: 'AuditLog!A:H',
+        valueInputOption: 'RAW',
+        requestBody: { values }
+      });
+    } catch (error) {
+      this.logger.error('Failed to log audit event to Google Sheets', {
+        error: error.message,
+        event: event.event
+      });
+      // Don't throw error - the rejection itself has already been decided
+    }
+  }
+
+  /**
+   * Update the Status (J), Exit Price (K), Realized P&L (L) and Remaining Qty (M) of the
+   * trade row logged for an entry order. Null arguments leave their cell unchanged.
+   * @param {string} orderId - Entry order ID (column G)
+   * @param {string} status - e.g. 'PARTIALLY_CLOSED', 'CLOSED'
+   * @param {number|null} exitPrice - Average exit price so far
+   * @param {number|null} pnl - Realized P&L so far
+   * @param {number|null} remainingQty - Shares still open after this exit
+   */
+  async updateTradeStatus(orderId, status, exitPrice = null, pnl = null, remainingQty = null) {
     if (!this.enabled) {
       return;
     }
@@ -170,13 +257,12 @@ export class GoogleSheetsLogger {
       }
 
       if (rowIndex > 0) {
-        const updateData = [status];
-        if (exitPrice !== null) updateData.push(exitPrice);
-        if (pnl !== null) updateData.push(pnl);
+        // Null values are skipped by the Sheets API, so earlier exit details are kept
+        const updateData = [status, exitPrice, pnl, remainingQty];
 
         await this.sheetsAPI.spreadsheets.values.update({
           spreadsheetId: this.spreadsheetId,
-          range: `Trades!J${rowIndex}`,
+          range: `Trades!J${rowIndex}:M${rowIndex}`,
           valueInputOption: 'RAW',
           requestBody: { values: [updateData] }
         });
@@ -184,6 +270,7 @@ export class GoogleSheetsLogger {
         this.logger.info('Trade status updated in Google Sheets', { 
           orderId, 
           status,
+          remainingQty,
           rowIndex 
         });
       } else {
@@ -197,6 +284,97 @@ export class GoogleSheetsLogger {
     }
   }
 
+  /**
+   * Entry rows of the Trades sheet whose status is still OPEN or PARTIALLY_CLOSED
+   * @returns {Array} Trade rows, oldest first
+   */
+  async getOpenTrades() {
+    if (!this.enabled) {
+      return [];
+    }
+
+    try {
+      const response = await this.sheetsAPI.spreadsheets.values.get({
+        spreadsheetId: this.spreadsheetId,
+        range: 'Trades!A:M'
+      });
+
+      const rows = response.data.values || [];
+      const openTrades = [];
+      for (let i = 1; i < rows.length; i++) {
+        const row = rows[i];
+        if (!row[6] || !OPEN_TRADE_STATUSES.includes(row[9])) continue;
+
+        openTrades.push({
+          timestamp: row[0],
+          symbol: row[1],
+          side: row[2],
+          quantity: row[3] ? parseFloat(row[3]) : null,
+          price: row[4] ? parseFloat(row[4]) : null,
+          strategy: row[5],
+          orderId: row[6],
+          status: row[9],
+          remainingQty: row[12] !== undefined && row[12] !== '' ? parseFloat(row[12]) : null
+        });
+      }
+
+      return openTrades;
+    } catch (error) {
+      this.logger.error('Failed to get open trades from Google Sheets', {
+        error: error.message
+      });
+      return [];
+    }
+  }
+
+  /**
+   * CLOSED entry rows of the Trades sheet with their realized P&L (column L)
+   * @param {Object} options - { strategy, limit }
+   * @returns {Array} Trade rows, newest first
+   */
+  async getClosedTrades({ strategy = null, limit = 100 } = {}) {
+    if (!this.enabled) {
+      return [];
+    }
+
+    try {
+      const response = await this.sheetsAPI.spreadsheets.values.get({
+        spreadsheetId: this.spreadsheetId,
+        range: 'Trades!A:M'
+      });
+
+      const rows = response.data.values || [];
+      const closedTrades = [];
+      for (let i = rows.length - 1; i > 0 && closedTrades.length < limit; i--) {
+        const row = rows[i];
+        const pnl = parseFloat(row[11]);
+        if (row[9] !== 'CLOSED' || !Number.isFinite(pnl)) continue;
+        if (strategy && row[5] !== strategy) continue;
+
+        closedTrades.push({
+          timestamp: row[0],
+          symbol: row[1],
+          side: row[2],
+          quantity: row[3] ? parseFloat(row[3]) : null,
+          price: row[4] ? parseFloat(row[4]) : null,
+          strategy: row[5],
+          orderId: row[6],
+          status: row[9],
+          exitPrice: row[10] ? parseFloat(row[10]) : null,
+          pnl
+        });
+      }
+
+      return closedTrades;
+    } catch (error) {
+      this.logger.error('Failed to get closed trades from Google Sheets', {
+        strategy,
+        error: error.message
+      });
+      return [];
+    }
+  }
+
   async initializeSheets() {
     if (!this.enabled) {
       this.logger.warning('Cannot initialize sheets - integration disabled');
@@ -207,7 +385,8 @@ export class GoogleSheetsLogger {
       // Create headers for Trades sheet
       const tradesHeaders = [
         'Timestamp', 'Symbol', 'Side', 'Quantity', 'Price', 
-        'Strategy', 'Order ID', 'Stop Loss', 'Take Profit', 'Status'
+        'Strategy', 'Order ID', 'Stop Loss', 'Take Profit', 'Status',
+        'Exit Price', 'Realized P&L', 'Remaining Qty'
       ];
 
       // Create headers for Performance sheet
@@ -218,7 +397,7 @@ export class GoogleSheetsLogger {
 
       await this.sheetsAPI.spreadsheets.values.update({
         spreadsheetId: this.spreadsheetId,
-        range: 'Trades!A1:J1',
+        range: 'Trades!A1:M1',
         valueInputOption: 'RAW',
         requestBody: { values: [tradesHeaders] }
       });
@@ -230,6 +409,15 @@ export class GoogleSheetsLogger {
         requestBody: { values: [performanceHeaders] }
       });
 
+      await this.sheetsAPI.spreadsheets.values.update({
+        spreadsheetId: this.spreadsheetId,
+        range: 'AuditLog!A1:H1',
+        valueInputOption: 'RAW',
+        requestBody: { values: [[
+          'Timestamp', 'Event', 'Request', 'Required Role', 'Principal', 'Auth Method', 'Reason', 'IP'
+        ]] }
+      });
+
       this.logger.info('Google Sheets initialized with headers');
     } catch (error) {
       this.logger.error('Failed to initialize Google Sheets', { 
@@ -1014,7 +1202,9 @@ export class GoogleSheetsLogger {
 
       // Process rows in reverse order (most recent first)
       for (let i = rows.length - 1; i > 0; i--) {
-        if (rows[i][0] && rows[i][1]) {
+        if (rows[i][0] && rows[i][1] && rows[i][1] !== TRADING_HALT_SYMBOL &&
+            rows[i][1] !== EQUITY_STATE_SYMBOL && rows[i][1] !== NONCES_SYMBOL &&
+            !rows[i][1].startsWith(LOCK_SYMBOL_PREFIX) && !rows[i][1].startsWith(RATE_LIMIT_SYMBOL_PREFIX)) {
           const tradeTime = new Date(rows[i][0]);
           
           if (tradeTime >= cutoffTime) {
@@ -1074,6 +1264,477 @@ export class GoogleSheetsLogger {
     }
   }
 
+  /**
+   * Persist the trading halt flag in the reserved TradingState row. Columns are reused as
+   * Side = HALTED/ACTIVE, Strategy = reason, Order ID = who changed it.
+   * @param {Object} haltData - { halted, reason, updatedBy }
+   * @returns {boolean} Success status
+   */
+  async setTradingHalt({ halted, reason = '', updatedBy = '' }) {
+    if (!this.enabled) {
+      this.logger.warning('Cannot persist trading halt - Google Sheets integration disabled');
+      return false;
+    }
+
+    try {
+      const now = new Date().toISOString();
+      const values = [[
+        now,
+        TRADING_HALT_SYMBOL,
+        halted ? 'HALTED' : 'ACTIVE',
+        reason || '',
+        '',
+        '',
+        updatedBy || '',
+        now
+      ]];
+
+      const existingRowIndex = await this.findTradingStateRow(TRADING_HALT_SYMBOL);
+      if (existingRowIndex > 0) {
+        await this.sheetsAPI.spreadsheets.values.update({
+          spreadsheetId: this.spreadsheetId,
+          range: `TradingState!A${existingRowIndex}:H${existingRowIndex}`,
+          valueInputOption: 'RAW',
+          requestBody: { values }
+        });
+      } else {
+        await this.sheetsAPI.spreadsheets.values.append({
+          spreadsheetId: this.spreadsheetId,
+          range: 'TradingState!A:H',
+          valueInputOption: 'RAW',
+          requestBody: { values }
+        });
+      }
+
+      this.logger.warning(halted ? 'Trading halted' : 'Trading resumed', { reason, updatedBy });
+      return true;
+    } catch (error) {
+      this.logger.error('Failed to persist trading halt in Google Sheets', {
+        halted,
+        error: error.message
+      });
+      return false;
+    }
+  }
+
+  /**
+   * Read the trading halt flag
+   * @returns {Object|null} { halted, reason, updatedAt, updatedBy }, or null if it could not be read
+   */
+  async getTradingHalt() {
+    if (!this.enabled) {
+      return { halted: false, reason: null, updatedAt: null, updatedBy: null };
+    }
+
+    try {
+      // Read directly rather than via getLastTradeForSymbol, which reports read errors as "no row"
+      const response = await this.sheetsAPI.spreadsheets.values.get({
+        spreadsheetId: this.spreadsheetId,
+        range: 'TradingState!A:H'
+      });
+
+      const row = (response.data.values || []).slice(1).reverse().find(r => r[1] === TRADING_HALT_SYMBOL);
+      if (!row) {
+        return { halted: false, reason: null, updatedAt: null, updatedBy: null };
+      }
+
+      return {
+        halted: row[2] === 'HALTED',
+        reason: row[3] || null,
+        updatedAt: row[0],
+        updatedBy: row[6] || null
+      };
+    } catch (error) {
+      this.logger.error('Failed to read trading halt from Google Sheets', {
+        error: error.message
+      });
+      return null;
+    }
+  }
+
+  /**
+   * Persist the equity high-water mark and circuit breaker state in the reserved TradingState
+   * row. Columns are reused as Side = TRIPPED/ARMED, Strategy = tripped at, Quantity = drawdown
+   * at the trip, Price = high-water mark, Order ID = who changed it, Last Trade Time = when the
+   * high-water mark was set.
+   * @param {Object} equityState - { highWaterMark, highWaterMarkAt, breakerTripped, trippedAt, trippedDrawdown, updatedBy }
+   * @returns {boolean} Success status
+   */
+  async setEquityState(equityState) {
+    if (!this.enabled) {
+      this.logger.warning('Cannot persist equity state - Google Sheets integration disabled');
+      return false;
+    }
+
+    try {
+      const state = { ...emptyEquityState(), ...equityState };
+      const values = [[
+        new Date().toISOString(),
+        EQUITY_STATE_SYMBOL,
+        state.breakerTripped ? 'TRIPPED' : 'ARMED',
+        state.trippedAt || '',
+        state.trippedDrawdown ?? '',
+        state.highWaterMark ?? '',
+        state.updatedBy || '',
+        state.highWaterMarkAt || ''
+      ]];
+
+      const existingRowIndex = await this.findTradingStateRow(EQUITY_STATE_SYMBOL);
+      if (existingRowIndex > 0) {
+        await this.sheetsAPI.spreadsheets.values.update({
+          spreadsheetId: this.spreadsheetId,
+          range: `TradingState!A${existingRowIndex}:H${existingRowIndex}`,
+          valueInputOption: 'RAW',
+          requestBody: { values }
+        });
+      } else {
+        await this.sheetsAPI.spreadsheets.values.append({
+          spreadsheetId: this.spreadsheetId,
+          range: 'TradingState!A:H',
+          valueInputOption: 'RAW',
+          requestBody: { values }
+        });
+      }
+      return true;
+    } catch (error) {
+      this.logger.error('Failed to persist equity state in Google Sheets', {
+        error: error.message
+      });
+      return false;
+    }
+  }
+
+  /**
+   * Read the equity high-water mark and circuit breaker state
+   * @returns {Object|null} Equity state, or null if it could not be read
+   */
+  async getEquityState() {
+    if (!this.enabled) {
+      return emptyEquityState();
+    }
+
+    try {
+      const response = await this.sheetsAPI.spreadsheets.values.get({
+        spreadsheetId: this.spreadsheetId,
+        range: 'TradingState!A:H'
+      });
+
+      const row = (response.data.values || []).slice(1).reverse().find(r => r[1] === EQUITY_STATE_SYMBOL);
+      if (!row) {
+        return emptyEquityState();
+      }
+
+      return {
+        highWaterMark: row[5] ? parseFloat(row[5]) : null,
+        highWaterMarkAt: row[7] || null,
+        breakerTripped: row[2] === 'TRIPPED',
+        trippedAt: row[3] || null,
+        trippedDrawdown: row[4] ? parseFloat(row[4]) : null,
+        updatedBy: row[6] || null
+      };
+    } catch (error) {
+      this.logger.error('Failed to read equity state from Google Sheets', {
+        error: error.message
+      });
+      return null;
+    }
+  }
+
+  /**
+   * Persist one market data source's call count in its reserved TradingState row.
+   * Columns are reused as Side = WINDOW, Strategy = window start, Quantity = calls in the window.
+   * @param {string} source - Market data source key (e.g. 'finnhub')
+   * @param {Object} usage - { windowStart, calls }
+   * @returns {boolean} Success status
+   */
+  async setRateLimitUsage(source, { windowStart, calls }) {
+    if (!this.enabled) {
+      return false;
+    }
+
+    const symbol = `${RATE_LIMIT_SYMBOL_PREFIX}${source}`;
+    try {
+      const values = [[new Date().toISOString(), symbol, 'WINDOW', windowStart, calls, '', '', '']];
+
+      // Row numbers are remembered from getRateLimitUsage to save a lookup per write
+      this.rateLimitRows = this.rateLimitRows || new Map();
+      const rowIndex = this.rateLimitRows.get(symbol) || await this.findTradingStateRow(symbol);
+      if (rowIndex > 0) {
+        await this.sheetsAPI.spreadsheets.values.update({
+          spreadsheetId: this.spreadsheetId,
+          range: `TradingState!A${rowIndex}:H${rowIndex}`,
+          valueInputOption: 'RAW',
+          requestBody: { values }
+        });
+        this.rateLimitRows.set(symbol, rowIndex);
+      } else {
+        await this.sheetsAPI.spreadsheets.values.append({
+          spreadsheetId: this.spreadsheetId,
+          range: 'TradingState!A:H',
+          valueInputOption: 'RAW',
+          requestBody: { values }
+        });
+      }
+      return true;
+    } catch (error) {
+      this.logger.error('Failed to persist rate limit usage in Google Sheets', {
+        source,
+        error: error.message
+      });
+      return false;
+    }
+  }
+
+  /**
+   * Add `count` calls of a market data source, re-reading its row under the "rate_limit" lock so
+   * concurrent invocations add to each other's counts instead of overwriting them
+   * @param {string} source - Market data source key (e.g. 'finnhub')
+   * @param {string} windowStart - ISO start of the window the calls were made in
+   * @param {number} count - Calls to add
+   * @returns {Object|null} { windowStart, calls } after adding them, or null when the lock or row is unavailable
+   */
+  async incrementRateLimitUsage(source, windowStart, count = 1) {
+    if (!this.enabled) {
+      return null;
+    }
+
+    const owner = `rate_limit:${source}:${Date.now()}`;
+    let lock = await this.acquireLock('rate_limit', owner, 10000);
+    for (let attempt = 1; !lock.acquired && lock.lock && attempt < 3; attempt++) {
+      await new Promise(resolve => setTimeout(resolve, LOCK_VERIFY_DELAY_MS));
+      lock = await this.acquireLock('rate_limit', owner, 10000);
+    }
+    if (!lock.acquired) {
+      this.logger.error('Failed to count rate limit usage - lock unavailable', { source, heldBy: lock.lock?.owner || null });
+      return null;
+    }
+
+    try {
+      const stored = await this.getRateLimitUsage();
+      if (!stored) return null;
+
+      const usage = incrementedRateLimitUsage(stored[source], windowStart, count);
+      return await this.setRateLimitUsage(source, usage) ? usage : null;
+    } finally {
+      await this.releaseLock('rate_limit', owner);
+    }
+  }
+
+  /**
+   * Read every market data source's call count
+   * @returns {Object|null} source -> { windowStart, calls, updatedAt }, or null if it could not be read
+   */
+  async getRateLimitUsage() {
+    if (!this.enabled) {
+      return {};
+    }
+
+    try {
+      const response = await this.sheetsAPI.spreadsheets.values.get({
+        spreadsheetId: this.spreadsheetId,
+        range: 'TradingState!A:H'
+      });
+
+      const usage = {};
+      this.rateLimitRows = new Map();
+      const rows = response.data.values || [];
+      for (let i = 1; i < rows.length; i++) {
+        const row = rows[i];
+        if (!row[1]?.startsWith(RATE_LIMIT_SYMBOL_PREFIX)) continue;
+        this.rateLimitRows.set(row[1], i + 1);
+        usage[row[1].slice(RATE_LIMIT_SYMBOL_PREFIX.length)] = {
+          windowStart: row[3] || null,
+          calls: parseInt(row[4]) || 0,
+          updatedAt: row[0] || null
+        };
+      }
+      return usage;
+    } catch (error) {
+      this.logger.error('Failed to read rate limit usage from Google Sheets', {
+        error: error.message
+      });
+      return null;
+    }
+  }
+
+  /**
+   * Take a lease-style lock stored as a reserved TradingState row (C = LOCKED/RELEASED,
+   * D = owner, A = acquired at, H = expires at). The row is written and then re-read after
+   * LOCK_VERIFY_DELAY_MS; if a concurrent run overwrote it in between, the later writer
+   * keeps the lock and this caller backs off.
+   * @returns {Object} { acquired, lock } - lock is the holder's lease when not acquired
+   */
+  async acquireLock(name, owner, ttlMs) {
+    if (!this.enabled) {
+      // Nothing is shared between invocations without Sheets, so fall back to a process-local lease.
+      // It only excludes callers in this process: two serverless instances can both hold it.
+      if (!this.processLockWarned) {
+        this.logger.warning('Google Sheets is disabled - locks only protect a single process', { name, owner });
+        this.processLockWarned = true;
+      }
+      return super.acquireLock(name, owner, ttlMs);
+    }
+
+    const lockSymbol = `${LOCK_SYMBOL_PREFIX}${name}`;
+    try {
+      const held = await this.readLockRow(lockSymbol);
+      if (held.lock && held.lock.owner !== owner && Date.parse(held.lock.expiresAt) > Date.now()) {
+        return { acquired: false, lock: held.lock };
+      }
+
+      const lock = buildLease(name, owner, ttlMs);
+      await this.writeLockRow(held.rowIndex, lockSymbol, 'LOCKED', lock);
+
+      await new Promise(resolve => setTimeout(resolve, LOCK_VERIFY_DELAY_MS));
+      const current = await this.readLockRow(lockSymbol);
+      if (current.lock?.owner !== owner) {
+        return { acquired: false, lock: current.lock };
+      }
+
+      return { acquired: true, lock };
+    } catch (error) {
+      this.logger.error('Failed to acquire lock in Google Sheets', {
+        name,
+        owner,
+        error: error.message
+      });
+      return { acquired: false, lock: null, error: error.message };
+    }
+  }
+
+  async releaseLock(name, owner) {
+    if (!this.enabled) {
+      return super.releaseLock(name, owner);
+    }
+
+    const lockSymbol = `${LOCK_SYMBOL_PREFIX}${name}`;
+    try {
+      const held = await this.readLockRow(lockSymbol);
+      if (!held.lock || held.lock.owner !== owner) return false;
+
+      // Expire the lease now rather than deleting the row, so the row is reused next run
+      await this.writeLockRow(held.rowIndex, lockSymbol, 'RELEASED', {
+        ...held.lock,
+        expiresAt: new Date().toISOString()
+      });
+      return true;
+    } catch (error) {
+      this.logger.error('Failed to release lock in Google Sheets', {
+        name,
+        owner,
+        error: error.message
+      });
+      return false;
+    }
+  }
+
+  /**
+   * Read a lock row; errors propagate so callers fail closed
+   * @returns {Object} { rowIndex (1-based, -1 if absent), lock (null if absent or released) }
+   */
+  async readLockRow(lockSymbol) {
+    const response = await this.sheetsAPI.spreadsheets.values.get({
+      spreadsheetId: this.spreadsheetId,
+      range: 'TradingState!A:H'
+    });
+
+    const rows = response.data.values || [];
+    for (let i = rows.length - 1; i > 0; i--) {
+      if (rows[i][1] === lockSymbol) {
+        const row = rows[i];
+        return {
+          rowIndex: i + 1,
+          lock: row[2] === 'LOCKED'
+            ? { name: lockSymbol.slice(LOCK_SYMBOL_PREFIX.length), owner: row[3], acquiredAt: row[0], expiresAt: row[7] }
+            : null
+        };
+      }
+    }
+    return { rowIndex: -1, lock: null };
+  }
+
+  async writeLockRow(rowIndex, lockSymbol, status, lock) {
+    const values = [[lock.acquiredAt, lockSymbol, status, lock.owner, '', '', '', lock.expiresAt]];
+
+    if (rowIndex > 0) {
+      await this.sheetsAPI.spreadsheets.values.update({
+        spreadsheetId: this.spreadsheetId,
+        range: `TradingState!A${rowIndex}:H${rowIndex}`,
+        valueInputOption: 'RAW',
+        requestBody: { values }
+      });
+    } else {
+      await this.sheetsAPI.spreadsheets.values.append({
+        spreadsheetId: this.spreadsheetId,
+        range: 'TradingState!A:H',
+        valueInputOption: 'RAW',
+        requestBody: { values }
+      });
+    }
+  }
+
+  /**
+   * Record a one-time key in the reserved __NONCES__ row (D = { key: expiresAt } JSON), under
+   * the "nonces" lock so two claims of the same key cannot both read it as unclaimed
+   * @returns {boolean} Whether the key was new; false as well when the row or lock is unavailable
+   */
+  async claimNonce(key, ttlMs) {
+    if (!this.enabled) {
+      return super.claimNonce(key, ttlMs);
+    }
+
+    const owner = `nonce:${key}:${Date.now()}`;
+    let lock = await this.acquireLock('nonces', owner, 10000);
+    for (let attempt = 1; !lock.acquired && lock.lock && attempt < 3; attempt++) {
+      await new Promise(resolve => setTimeout(resolve, LOCK_VERIFY_DELAY_MS));
+      lock = await this.acquireLock('nonces', owner, 10000);
+    }
+    if (!lock.acquired) {
+      this.logger.error('Failed to claim nonce - lock unavailable', { heldBy: lock.lock?.owner || null });
+      return false;
+    }
+
+    try {
+      const response = await this.sheetsAPI.spreadsheets.values.get({
+        spreadsheetId: this.spreadsheetId,
+        range: 'TradingState!A:H'
+      });
+      const rows = response.data.values || [];
+      const rowIndex = rows.findIndex((row, i) => i > 0 && row[1] === NONCES_SYMBOL);
+
+      const now = Date.now();
+      const nonces = {};
+      for (const [nonce, expiresAt] of Object.entries(rowIndex > 0 ? JSON.parse(rows[rowIndex][3] || '{}') : {})) {
+        if (expiresAt > now) nonces[nonce] = expiresAt;
+      }
+      if (nonces[key]) return false;
+      nonces[key] = now + ttlMs;
+
+      const values = [[new Date(now).toISOString(), NONCES_SYMBOL, 'NONCES', JSON.stringify(nonces), '', '', '', '']];
+      if (rowIndex > 0) {
+        await this.sheetsAPI.spreadsheets.values.update({
+          spreadsheetId: this.spreadsheetId,
+          range: `TradingState!A${rowIndex + 1}:H${rowIndex + 1}`,
+          valueInputOption: 'RAW',
+          requestBody: { values }
+        });
+      } else {
+        await this.sheetsAPI.spreadsheets.values.append({
+          spreadsheetId: this.spreadsheetId,
+          range: 'TradingState!A:H',
+          valueInputOption: 'RAW',
+          requestBody: { values }
+        });
+      }
+      return true;
+    } catch (error) {
+      this.logger.error('Failed to claim nonce in Google Sheets', { error: error.message });
+      return false;
+    } finally {
+      await this.releaseLock('nonces', owner);
+    }
+  }
+
   // =============================================================================
   // EXISTING POSITION LEVEL STORAGE METHODS (unchanged)
   // =============================================================================
@@ -1104,14 +1765,15 @@ export class GoogleSheetsLogger {
         parseInt(levels.quantity) || '',
         levels.strategy || '',
         levels.orderId || '',
-        new Date(Date.now() + (24 * 60 * 60 * 1000)).toISOString() // expires (24 hours from now)
+        new Date(Date.now() + (24 * 60 * 60 * 1000)).toISOString(), // expires (24 hours from now)
+        levels.metadata ? JSON.stringify(levels.metadata) : '' // exit mode, broker leg IDs, etc.
       ]];
 
       if (existingRowIndex > 0) {
         // Update existing row
         await this.sheetsAPI.spreadsheets.values.update({
           spreadsheetId: this.spreadsheetId,
-          range: `PositionLevels!A${existingRowIndex}:J${existingRowIndex}`,
+          range: `PositionLevels!A${existingRowIndex}:K${existingRowIndex}`,
           valueInputOption: 'RAW',
           requestBody: { values }
         });
@@ -1126,7 +1788,7 @@ export class GoogleSheetsLogger {
         // Append new row
         await this.sheetsAPI.spreadsheets.values.append({
           spreadsheetId: this.spreadsheetId,
-          range: 'PositionLevels!A:J',
+          range: 'PositionLevels!A:K',
           valueInputOption: 'RAW',
           requestBody: { values }
         });
@@ -1164,7 +1826,7 @@ export class GoogleSheetsLogger {
     try {
       const response = await this.sheetsAPI.spreadsheets.values.get({
         spreadsheetId: this.spreadsheetId,
-        range: 'PositionLevels!A:J'
+        range: 'PositionLevels!A:K'
       });
 
       const rows = response.data.values;
@@ -1196,6 +1858,7 @@ export class GoogleSheetsLogger {
             quantity: row[6] ? parseInt(row[6]) : null,
             strategy: row[7] || null,
             orderId: row[8] || null,
+            metadata: parseMetadata(row[10]),
             timestamp: row[0],
             lastUpdated: row[0]
           };
@@ -1237,11 +1900,11 @@ export class GoogleSheetsLogger {
       
       if (rowIndex > 0) {
         // Clear the row by overwriting with empty values
-        const emptyValues = [['', '', '', '', '', '', '', '', '', '']];
+        const emptyValues = [['', '', '', '', '', '', '', '', '', '', '']];
         
         await this.sheetsAPI.spreadsheets.values.update({
           spreadsheetId: this.spreadsheetId,
-          range: `PositionLevels!A${rowIndex}:J${rowIndex}`,
+          range: `PositionLevels!A${rowIndex}:K${rowIndex}`,
           valueInputOption: 'RAW',
           requestBody: { values: emptyValues }
         });
@@ -1341,12 +2004,12 @@ export class GoogleSheetsLogger {
     try {
       const headers = [
         'Timestamp', 'Symbol', 'Stop Loss', 'Take Profit', 'Entry Price',
-        'Side', 'Quantity', 'Strategy', 'Order ID', 'Expires'
+        'Side', 'Quantity', 'Strategy', 'Order ID', 'Expires', 'Metadata'
       ];
 
       await this.sheetsAPI.spreadsheets.values.update({
         spreadsheetId: this.spreadsheetId,
-        range: 'PositionLevels!A1:J1',
+        range: 'PositionLevels!A1:K1',
         valueInputOption: 'RAW',
         requestBody: { values: [headers] }
       });
@@ -1416,4 +2079,14 @@ export class GoogleSheetsLogger {
       };
     }
   }
-}
\ No newline at end of file
+}
+
+// PositionLevels column K holds free-form JSON (exit mode, broker leg IDs, ...)
+function parseMetadata(value) {
+  if (!value) return null;
+  try {
+    return JSON.parse(value);
+  } catch {
+    return null;
+  }
+}
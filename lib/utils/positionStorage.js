@@ -1,19 +1,20 @@
 /**  
  * positionStorage.js - Enhanced Position Metadata Storage System  
- * LOGGING FIX: Accepts shared GoogleSheetsLogger instance to prevent re-initialization
- * Now with Google Sheets persistence for serverless environment compatibility  
+ * LOGGING FIX: Accepts a shared StateStore instance to prevent re-initialization
+ * Persists through the configured StateStore (Sheets or local file) for serverless compatibility  
  * Maintains in-memory caching for performance with persistent backend storage  
  */  
 import { Logger } from './logger.js';  
-import { GoogleSheetsLogger } from './googleSheets.js';  
+import { createStateStore } from '../state/stateStoreFactory.js';  
 
 export class PositionStorage {  
   constructor(options = {}) {  
     this.logger = options.logger || new Logger();  
     this.cache = new Map(); // In-memory cache for performance  
 
-    // LOGGING FIX: Use shared GoogleSheetsLogger instance if provided, otherwise create new
-    this.sheetsLogger = options.sheetsLogger || new GoogleSheetsLogger();
+    // LOGGING FIX: Use shared StateStore instance if provided, otherwise create the configured one
+    const sharedStore = options.stateStore || options.sheetsLogger;
+    this.stateStore = sharedStore || createStateStore();
 
     this.options = {  
       enableLogging: options.enableLogging !== false,  
@@ -24,7 +25,7 @@ export class PositionStorage {
     };  
 
     // LOGGING FIX: Only initialize if not already initialized
-    if (!options.sheetsLogger) {
+    if (!sharedStore) {
       this.initializePersistentStorage();
     }
 
@@ -33,10 +34,10 @@ export class PositionStorage {
   }  
 
   /**  
-   * Initialize persistent storage backend (Google Sheets)  
+   * Initialize persistent storage backend (the state store)  
    */  
   async initializePersistentStorage() {  
-    if (!this.options.enablePersistence || !this.sheetsLogger.enabled) {  
+    if (!this.options.enablePersistence || !this.stateStore.enabled) {  
       if (this.options.enableLogging) {  
         this.logger.warning('Persistent storage disabled - using memory-only mode');  
       }  
@@ -45,11 +46,10 @@ export class PositionStorage {
 
     try {  
       // LOGGING FIX: Only initialize if not already done
-      if (!this.sheetsLogger.initialized) {
-        await this.sheetsLogger.initializePositionLevelsSheet();  
-        this.sheetsLogger.initialized = true;
+      if (!this.stateStore.initialized) {
+        await this.stateStore.initialize();  
         if (this.options.enableLogging) {  
-          this.logger.info('Persistent position storage initialized via Google Sheets');  
+          this.logger.info('Persistent position storage initialized', { store: this.stateStore.getName?.() });  
         }
       }  
     } catch (error) {  
@@ -77,6 +77,7 @@ export class PositionStorage {
         quantity: parseInt(levels.quantity) || null,  
         strategy: levels.strategy || null,  
         orderId: levels.orderId || null,  
+        metadata: levels.metadata || null, // exit mode, broker leg order IDs, ...  
         timestamp: new Date().toISOString(),  
         lastUpdated: new Date().toISOString(),  
         expires: new Date(Date.now() + this.options.cacheExpiryMs).toISOString()  
@@ -90,11 +91,11 @@ export class PositionStorage {
       // Store in memory cache for fast access  
       this.cache.set(symbol, positionData);  
 
-      // Store in persistent backend (Google Sheets) for serverless persistence  
+      // Store in persistent backend (state store) for serverless persistence  
       let persistentStoreSuccess = true;  
-      if (this.options.enablePersistence && this.sheetsLogger.enabled) {  
+      if (this.options.enablePersistence && this.stateStore.enabled) {  
         try {  
-          persistentStoreSuccess = await this.sheetsLogger.storePositionLevels(symbol, levels);  
+          persistentStoreSuccess = await this.stateStore.storePositionLevels(symbol, levels);  
         } catch (persistentError) {  
           // LOGGING FIX: Only log errors, not successful operations
           this.logger.error('Failed to store in persistent backend, continuing with cache only', {  
@@ -159,9 +160,9 @@ export class PositionStorage {
       }  
 
       // Cache miss or expired - check persistent storage  
-      if (this.options.enablePersistence && this.sheetsLogger.enabled) {  
+      if (this.options.enablePersistence && this.stateStore.enabled) {  
         try {  
-          const persistentData = await this.sheetsLogger.getPositionLevels(symbol);  
+          const persistentData = await this.stateStore.getPositionLevels(symbol);  
 
           if (persistentData) {  
             // Store in cache for future fast access  
@@ -226,8 +227,8 @@ export class PositionStorage {
       // Get existing data from cache or persistent storage  
       let existingData = this.cache.get(symbol);  
 
-      if (!existingData && this.options.enablePersistence && this.sheetsLogger.enabled) {  
-        const persistentData = await this.sheetsLogger.getPositionLevels(symbol);  
+      if (!existingData && this.options.enablePersistence && this.stateStore.enabled) {  
+        const persistentData = await this.stateStore.getPositionLevels(symbol);  
         if (persistentData) {  
           existingData = persistentData;  
         }  
@@ -254,9 +255,9 @@ export class PositionStorage {
       this.cache.set(symbol, updatedData);  
 
       // Update persistent storage  
-      if (this.options.enablePersistence && this.sheetsLogger.enabled) {  
+      if (this.options.enablePersistence && this.stateStore.enabled) {  
         try {  
-          await this.sheetsLogger.storePositionLevels(symbol, updatedData);  
+          await this.stateStore.storePositionLevels(symbol, updatedData);  
         } catch (persistentError) {  
           this.logger.error('Failed to update persistent storage', {  
             symbol,  
@@ -301,9 +302,9 @@ export class PositionStorage {
 
       // Remove from persistent storage  
       let removedFromPersistent = false;  
-      if (this.options.enablePersistence && this.sheetsLogger.enabled) {  
+      if (this.options.enablePersistence && this.stateStore.enabled) {  
         try {  
-          removedFromPersistent = await this.sheetsLogger.removePositionLevels(symbol);  
+          removedFromPersistent = await this.stateStore.removePositionLevels(symbol);  
         } catch (persistentError) {  
           this.logger.error('Failed to remove from persistent storage', {  
             symbol,  
@@ -348,9 +349,9 @@ export class PositionStorage {
       });  
 
       // Add symbols from persistent storage  
-      if (this.options.enablePersistence && this.sheetsLogger.enabled) {  
+      if (this.options.enablePersistence && this.stateStore.enabled) {  
         try {  
-          const persistentSymbols = await this.sheetsLogger.getAllStoredSymbols();  
+          const persistentSymbols = await this.stateStore.getAllStoredSymbols();  
           persistentSymbols.forEach(symbol => symbols.add(symbol));  
         } catch (persistentError) {  
           this.logger.error('Failed to get symbols from persistent storage', {  
@@ -385,9 +386,9 @@ export class PositionStorage {
   async getStoredPositionsCount() {  
     try {  
       // Try to get count from persistent storage first (more accurate)  
-      if (this.options.enablePersistence && this.sheetsLogger.enabled) {  
+      if (this.options.enablePersistence && this.stateStore.enabled) {  
         try {  
-          const persistentCount = await this.sheetsLogger.getStoredPositionsCount();  
+          const persistentCount = await this.stateStore.getStoredPositionsCount();  
           if (persistentCount >= 0) {  
             return persistentCount;  
           }  
@@ -441,9 +442,9 @@ export class PositionStorage {
 
       // Persistent storage stats  
       let persistentCount = 0;  
-      if (this.options.enablePersistence && this.sheetsLogger.enabled) {  
+      if (this.options.enablePersistence && this.stateStore.enabled) {  
         try {  
-          persistentCount = await this.sheetsLogger.getStoredPositionsCount();  
+          persistentCount = await this.stateStore.getStoredPositionsCount();  
         } catch (persistentError) {  
           this.logger.error('Failed to get persistent storage stats', {  
             error: persistentError.message  
@@ -460,7 +461,7 @@ export class PositionStorage {
         },  
         persistent: {  
           totalEntries: persistentCount,  
-          enabled: this.options.enablePersistence && this.sheetsLogger.enabled  
+          enabled: this.options.enablePersistence && this.stateStore.enabled  
         },  
         analysis: {  
           uniqueStrategies: Array.from(strategies),  
@@ -495,6 +496,7 @@ export class PositionStorage {
       quantity: data.quantity,  
       strategy: data.strategy,  
       orderId: data.orderId,  
+      metadata: data.metadata || null,  
       timestamp: data.timestamp,  
       lastUpdated: data.lastUpdated  
     };  
@@ -544,6 +546,8 @@ export class PositionStorage {
     this.cleanupInterval = setInterval(async () => {  
       await this.cleanupExpiredEntries();  
     }, 3600000);  
+    // Don't keep short-lived processes (backtests, scripts) alive for the cleanup timer  
+    this.cleanupInterval.unref?.();  
 
     // LOGGING FIX: Only log once if explicitly enabled
     if (this.options.enableLogging && !this.cleanupStarted) {  
@@ -662,17 +666,17 @@ export class PositionStorage {
    * Useful for ensuring consistency after serverless cold starts  
    */  
   async synchronizeWithPersistentStorage() {  
-    if (!this.options.enablePersistence || !this.sheetsLogger.enabled) {  
+    if (!this.options.enablePersistence || !this.stateStore.enabled) {  
       return { synchronized: 0, message: 'Persistent storage disabled' };  
     }  
 
     try {  
-      const persistentSymbols = await this.sheetsLogger.getAllStoredSymbols();  
+      const persistentSymbols = await this.stateStore.getAllStoredSymbols();  
       let synchronized = 0;  
 
       for (const symbol of persistentSymbols) {  
         if (!this.cache.has(symbol)) {  
-          const persistentData = await this.sheetsLogger.getPositionLevels(symbol);  
+          const persistentData = await this.stateStore.getPositionLevels(symbol);  
           if (persistentData) {  
             const cacheData = {  
               ...persistentData,  
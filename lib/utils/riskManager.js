@@ -1,8 +1,35 @@
 // lib/utils/riskManager.js - Risk Management System
 import { Logger } from './logger.js';
+import { ATR } from '../indicators/atr.js';
+import { symbolExposureProfile } from './exposure.js';
+
+/**
+ * Position sizing modes selectable globally (config.sizing.mode) or per strategy:
+ *   fixed_fraction - signal.positionSize of equity
+ *   fixed_risk     - lose sizing.riskPerTrade of equity if the stop is hit
+ *   atr            - a one-ATR move costs sizing.volatilityTarget of equity
+ *   kelly          - sizing.kellyFraction of the Kelly fraction from the strategy's closed trades
+ */
+export const SIZING_MODES = ['fixed_fraction', 'fixed_risk', 'atr', 'kelly'];
+
+/**
+ * Stop and target methods (config.levels.stopMethod / targetMethod, also per strategy):
+ *   stop   percent - stopLossPercent from the price
+ *          atr     - levels.atrStopMultiplier ATRs from the price
+ *          swing   - beyond the lowest low (highest high for shorts) of the last levels.swingLookback bars
+ *   target percent - takeProfitPercent from the price
+ *          rr      - levels.rewardRisk times the stop distance from the price
+ */
+export const STOP_METHODS = ['percent', 'atr', 'swing'];
+export const TARGET_METHODS = ['percent', 'rr'];
 
 export class RiskManager {
-    constructor(config) {
+    /**
+     * @param {Object} config - Risk limits and sizing defaults
+     * @param {Object} options - { marketData, stateStore }: bar source for ATR sizing and
+     *   ATR / swing levels; trade history for Kelly sizing and the equity high-water mark
+     */
+    constructor(config, options = {}) {
         this.config = {
             maxPositionSize: config.maxPositionSize || 0.05, // 5% max
             maxDailyLoss: config.maxDailyLoss || 0.02, // 2% max daily loss
@@ -10,12 +37,54 @@ export class RiskManager {
             stopLossPercent: config.stopLossPercent || 0.03, // 3% stop loss
             takeProfitPercent: config.takeProfitPercent || 0.06, // 6% take profit
             minPositionSize: config.minPositionSize || 100, // $100 minimum
-            maxConcurrentPositions: config.maxConcurrentPositions || 5
+            maxConcurrentPositions: config.maxConcurrentPositions || 5,
+            // Drawdown circuit breaker re-arms once drawdown is back within this (null = manual reset only)
+            drawdownRecovery: config.drawdownRecovery ?? null,
+            // Fraction of every position sold when the breaker trips (0 = only halt new entries)
+            drawdownReduceFraction: config.drawdownReduceFraction || 0,
+            // Portfolio exposure limits as fractions of equity (null = no limit)
+            maxSymbolExposure: config.maxSymbolExposure || null,
+            maxTripletExposure: config.maxTripletExposure || null, // bull + bear + base of one triplet
+            maxStrategyExposure: config.maxStrategyExposure || null,
+            maxGrossLeverage: config.maxGrossLeverage || null, // ETF leverage-weighted notional
+            maxNetLeverage: config.maxNetLeverage || null,
+            exposureLimitAction: config.exposureLimitAction || 'downsize', // 'downsize' | 'reject'
+            sizing: {
+                mode: 'fixed_fraction',
+                riskPerTrade: 0.01, // 1% of equity lost at the stop
+                atrPeriod: 14,
+                volatilityTarget: 0.01, // 1% of equity per ATR move
+                kellyFraction: 0.5, // half Kelly
+                kellyMinTrades: 20,
+                kellyLookback: 100,
+                ...config.sizing
+            },
+            levels: {
+                stopMethod: 'percent',
+                targetMethod: 'percent',
+                atrPeriod: 14,
+                atrStopMultiplier: 2,
+                swingLookback: 10,
+                swingBufferPercent: 0.002, // stop placed 0.2% beyond the swing level
+                rewardRisk: 2,
+                ...config.levels
+            }
         };
+        this.marketData = options.marketData || null;
+        this.stateStore = options.stateStore || null;
         this.logger = new Logger();
     }
 
-    async adjustSignal(signal, account, positions) {
+    /**
+     * Size a signal and attach stop loss / take profit levels
+     * @param {Object} signal - Strategy signal
+     * @param {Object} account - Broker account
+     * @param {Array} positions - Open broker positions
+     * @param {Object} context - { strategyName, sizing, levels }: sizing and levels override the
+     *   configured sizing and stop/target settings for this strategy
+     * @returns {Object|null} Adjusted signal, or null when the trade should not be placed
+     */
+    async adjustSignal(signal, account, positions, context = {}) {
         try {
             const equity = parseFloat(account.equity);
 
@@ -28,16 +97,33 @@ export class RiskManager {
                 return null;
             }
 
-            // Calculate position size based on risk
-            const riskAmount = equity * signal.positionSize;
+            const sizing = this.resolveSizing(context.sizing);
+            const levels = this.resolveLevels(context.levels);
+            const loadBars = this.createBarLoader(
+                signal.symbol,
+                Math.max(sizing.atrPeriod, levels.atrPeriod) * 3 + levels.swingLookback
+            );
+
+            // Calculate stop loss and take profit levels (fixed-risk sizing needs the stop distance)
+            const { stopLoss, takeProfit, method: levelMethod } = await this.calculateExitLevels(signal, levels, loadBars);
+
+            const sized = await this.calculatePositionValue(sizing, signal, equity, stopLoss, context.strategyName, loadBars);
+            if (!sized) {
+                return null;
+            }
+
+            // Every mode is capped by the maximum position size; a netted signal (SignalAggregator
+            // net policy) then trades only its share of the capped value
             const maxRiskAmount = equity * this.config.maxPositionSize;
-            const finalRiskAmount = Math.min(riskAmount, maxRiskAmount);
+            const netScale = signal.netScale ?? 1;
+            const finalRiskAmount = Math.min(sized.value, maxRiskAmount) * netScale;
 
             // Check minimum position size
             if (finalRiskAmount < this.config.minPositionSize) {
                 this.logger.warning('Position size below minimum', { 
                     calculated: finalRiskAmount,
-                    minimum: this.config.minPositionSize 
+                    minimum: this.config.minPositionSize,
+                    sizingMode: sized.mode
                 });
                 return null;
             }
@@ -50,23 +136,16 @@ export class RiskManager {
                 return null;
             }
 
-            // Calculate stop loss and take profit levels
-            let stopLoss, takeProfit;
-
-            if (signal.side === 'buy') {
-                stopLoss = signal.currentPrice * (1 - this.config.stopLossPercent);
-                takeProfit = signal.currentPrice * (1 + this.config.takeProfitPercent);
-            } else {
-                stopLoss = signal.currentPrice * (1 + this.config.stopLossPercent);
-                takeProfit = signal.currentPrice * (1 - this.config.takeProfitPercent);
-            }
-
             this.logger.info('Signal adjusted by risk manager', {
                 originalSignal: signal,
                 adjustedQuantity: quantity,
                 riskAmount: finalRiskAmount,
+                sizingMode: sized.mode,
+                sizingDetails: sized.details,
+                netScale,
                 stopLoss,
-                takeProfit
+                takeProfit,
+                levelMethod
             });
 
             return {
@@ -74,7 +153,9 @@ export class RiskManager {
                 quantity,
                 stopLoss,
                 takeProfit,
-                riskAmount: finalRiskAmount
+                riskAmount: finalRiskAmount,
+                sizingMode: sized.mode,
+                levelMethod
             };
 
         } catch (error) {
@@ -83,6 +164,226 @@ export class RiskManager {
         }
     }
 
+    /**
+     * Merge a strategy's sizing overrides onto the configured defaults
+     */
+    resolveSizing(overrides = null) {
+        const sizing = { ...this.config.sizing, ...(overrides || {}) };
+        if (!SIZING_MODES.includes(sizing.mode)) {
+            throw new Error(`Unknown position sizing mode: ${sizing.mode}`);
+        }
+        return sizing;
+    }
+
+    /**
+     * Merge a strategy's stop/target overrides onto the configured defaults
+     */
+    resolveLevels(overrides = null) {
+        const levels = { ...this.config.levels, ...(overrides || {}) };
+        if (!STOP_METHODS.includes(levels.stopMethod)) {
+            throw new Error(`Unknown stop loss method: ${levels.stopMethod}`);
+        }
+        if (!TARGET_METHODS.includes(levels.targetMethod)) {
+            throw new Error(`Unknown take profit method: ${levels.targetMethod}`);
+        }
+        return levels;
+    }
+
+    /**
+     * Stop loss and take profit for a signal. ATR and swing stops fall back to the percent
+     * stop when bars are missing or the swing level is not beyond the price.
+     * @returns {Object} { stopLoss, takeProfit, method }, method describing how both were set
+     *   (stored with the position levels)
+     */
+    async calculateExitLevels(signal, levels, loadBars) {
+        const price = signal.currentPrice;
+        const direction = signal.side === 'buy' ? 1 : -1;
+        const method = { stop: levels.stopMethod, target: levels.targetMethod };
+        let stopLoss = null;
+        let fallbackReason = null;
+
+        if (levels.stopMethod === 'atr') {
+            const atr = this.getCurrentATR(await loadBars(), levels.atrPeriod);
+            if (atr) {
+                stopLoss = price - direction * atr * levels.atrStopMultiplier;
+                Object.assign(method, { atr, atrStopMultiplier: levels.atrStopMultiplier });
+            } else {
+                fallbackReason = 'atr_unavailable';
+            }
+        } else if (levels.stopMethod === 'swing') {
+            const recent = (await loadBars()).slice(-levels.swingLookback);
+            const swingLevel = recent.length === 0 ? null : direction === 1
+                ? Math.min(...recent.map(bar => bar.low))
+                : Math.max(...recent.map(bar => bar.high));
+            const candidate = swingLevel === null ? null : swingLevel * (1 - direction * levels.swingBufferPercent);
+
+            if (candidate === null) {
+                fallbackReason = 'bars_unavailable';
+            } else if ((price - candidate) * direction <= 0) {
+                fallbackReason = 'swing_level_beyond_price';
+            } else {
+                stopLoss = candidate;
+                Object.assign(method, { swingLevel, swingLookback: levels.swingLookback });
+            }
+        }
+
+        if (stopLoss === null) {
+            stopLoss = price * (1 - direction * this.config.stopLossPercent);
+            if (fallbackReason) {
+                this.logger.warning('Falling back to percent stop loss', {
+                    symbol: signal.symbol,
+                    requestedMethod: levels.stopMethod,
+                    reason: fallbackReason
+                });
+                Object.assign(method, { stop: 'percent', requestedStop: levels.stopMethod, fallbackReason });
+            }
+        }
+
+        let takeProfit;
+        if (levels.targetMethod === 'rr') {
+            takeProfit = price + direction * Math.abs(price - stopLoss) * levels.rewardRisk;
+            method.rewardRisk = levels.rewardRisk;
+        } else {
+            takeProfit = price * (1 + direction * this.config.takeProfitPercent);
+        }
+
+        return { stopLoss, takeProfit, method };
+    }
+
+    /**
+     * Dollar value of the position before the maximum / minimum size checks
+     * @returns {Object|null} { mode, value, details }, or null when the mode rules the trade out
+     */
+    async calculatePositionValue(sizing, signal, equity, stopLoss, strategyName, loadBars) {
+        const price = signal.currentPrice;
+        const fixedFraction = (reason = null) => ({
+            mode: 'fixed_fraction',
+            value: equity * signal.positionSize,
+            details: reason ? { requestedMode: sizing.mode, fallbackReason: reason } : {}
+        });
+
+        // A zero positionSize marks a signal that opens nothing (e.g. regime exit legs), whatever the mode
+        if (!(signal.positionSize > 0)) {
+            return fixedFraction();
+        }
+
+        switch (sizing.mode) {
+            case 'fixed_risk': {
+                const shares = this.calculatePositionSize(equity, sizing.riskPerTrade, price, stopLoss);
+                return {
+                    mode: 'fixed_risk',
+                    value: shares * price,
+                    details: { riskPerTrade: sizing.riskPerTrade, stopDistance: Math.abs(price - stopLoss) }
+                };
+            }
+
+            case 'atr': {
+                const atr = this.getCurrentATR(await loadBars(), sizing.atrPeriod);
+                if (!atr) {
+                    this.logger.warning('ATR unavailable - falling back to fixed-fraction sizing', { symbol: signal.symbol });
+                    return fixedFraction('atr_unavailable');
+                }
+                return {
+                    mode: 'atr',
+                    value: (equity * sizing.volatilityTarget / atr) * price,
+                    details: { atr, volatilityTarget: sizing.volatilityTarget }
+                };
+            }
+
+            case 'kelly': {
+                const kelly = await this.calculateKellyFraction(strategyName, sizing);
+                if (!kelly.sufficient) {
+                    this.logger.warning('Not enough trade history for Kelly sizing - falling back to fixed-fraction sizing', {
+                        strategy: strategyName,
+                        trades: kelly.trades,
+                        required: sizing.kellyMinTrades
+                    });
+                    return fixedFraction('insufficient_history');
+                }
+                if (kelly.fraction <= 0) {
+                    this.logger.warning('Kelly fraction is not positive - strategy shows no edge, skipping trade', {
+                        strategy: strategyName,
+                        ...kelly
+                    });
+                    return null;
+                }
+                return {
+                    mode: 'kelly',
+                    value: equity * kelly.fraction * sizing.kellyFraction,
+                    details: { ...kelly, kellyFraction: sizing.kellyFraction }
+                };
+            }
+
+            default:
+                return fixedFraction();
+        }
+    }
+
+    /**
+     * Lazy daily-bar fetch for one signal, so sizing and levels share a single request.
+     * Resolves to bars oldest -> newest, or [] when no bar source is set or the fetch fails.
+     */
+    createBarLoader(symbol, count) {
+        let pending = null;
+        return () => {
+            if (!pending) {
+                pending = this.fetchDailyBars(symbol, count);
+            }
+            return pending;
+        };
+    }
+
+    async fetchDailyBars(symbol, count) {
+        if (!this.marketData) {
+            return [];
+        }
+
+        try {
+            const bars = await this.marketData.getHistoricalData(symbol, '1Day', count);
+            return bars || [];
+        } catch (error) {
+            this.logger.error('Failed to fetch bars for risk calculations', { symbol, error: error.message });
+            return [];
+        }
+    }
+
+    /**
+     * Latest ATR from ordered bars, or null when there are too few
+     */
+    getCurrentATR(bars, period) {
+        if (bars.length <= period) {
+            return null;
+        }
+        const atr = ATR.getCurrentATR(bars, period);
+        return atr > 0 ? atr : null;
+    }
+
+    /**
+     * Kelly fraction f* = W - (1 - W) / R from the strategy's closed trades, where W is the
+     * win rate and R the average win over the average loss
+     * @returns {Object} { sufficient, trades, winRate, payoffRatio, fraction }
+     */
+    async calculateKellyFraction(strategyName, sizing) {
+        const trades = this.stateStore
+            ? await this.stateStore.getClosedTrades({ strategy: strategyName, limit: sizing.kellyLookback })
+            : [];
+        const pnls = trades.map(trade => parseFloat(trade.pnl));
+        const wins = pnls.filter(pnl => pnl > 0);
+        const losses = pnls.filter(pnl => pnl < 0);
+
+        if (pnls.length < sizing.kellyMinTrades || losses.length === 0) {
+            return { sufficient: false, trades: pnls.length };
+        }
+
+        const winRate = wins.length / pnls.length;
+        const averageWin = wins.length > 0 ? wins.reduce((sum, pnl) => sum + pnl, 0) / wins.length : 0;
+        const averageLoss = Math.abs(losses.reduce((sum, pnl) => sum + pnl, 0) / losses.length);
+        const payoffRatio = averageWin / averageLoss;
+        const fraction = payoffRatio > 0 ? winRate - (1 - winRate) / payoffRatio : -1;
+
+        return { sufficient: true, trades: pnls.length, winRate, payoffRatio, fraction };
+    }
+
     async isDailyLossLimitExceeded(account, positions) {
         try {
             const equity = parseFloat(account.equity);
@@ -107,6 +408,155 @@ export class RiskManager {
         }
     }
 
+    /**
+     * Drawdown circuit breaker against the persisted equity high-water mark. Trips once equity
+     * is maxDrawdown below the peak and stays tripped until a manual reset or, with
+     * drawdownRecovery set, until drawdown is back within that threshold.
+     * @param {Object} account - Broker account
+     * @returns {Object} { tripped, justTripped, rearmed, drawdown, highWaterMark, equity, reason }
+     */
+    async checkDrawdownCircuitBreaker(account) {
+        const equity = parseFloat(account.equity);
+        if (!this.stateStore) {
+            return { tripped: false, justTripped: false, rearmed: false, drawdown: null, highWaterMark: null, equity };
+        }
+
+        const equityState = await this.stateStore.getEquityState();
+        if (!equityState) {
+            // Same as the trading halt: if the state cannot be read, open nothing
+            this.logger.error('Equity state unavailable - treating drawdown circuit breaker as tripped');
+            return { tripped: true, justTripped: false, rearmed: false, drawdown: null, highWaterMark: null, equity, reason: 'equity_state_unavailable' };
+        }
+
+        const highWaterMark = Math.max(equityState.highWaterMark || 0, equity);
+        const drawdown = highWaterMark > 0 ? (highWaterMark - equity) / highWaterMark : 0;
+        const result = { tripped: false, justTripped: false, rearmed: false, drawdown, highWaterMark, equity };
+
+        if (equityState.breakerTripped) {
+            const { drawdownRecovery } = this.config;
+            if (drawdownRecovery === null || drawdown > drawdownRecovery) {
+                return { ...result, tripped: true, trippedAt: equityState.trippedAt, reason: 'max_drawdown_exceeded' };
+            }
+
+            await this.stateStore.setEquityState({
+                ...equityState,
+                breakerTripped: false,
+                trippedAt: null,
+                trippedDrawdown: null,
+                updatedBy: 'recovery_threshold'
+            });
+            this.logger.info('Drawdown circuit breaker re-armed after recovery', { drawdown, drawdownRecovery, highWaterMark });
+            result.rearmed = true;
+        }
+
+        if (drawdown >= this.config.maxDrawdown) {
+            const trippedAt = this.stateStore.timestamp();
+            await this.stateStore.setEquityState({
+                ...equityState,
+                breakerTripped: true,
+                trippedAt,
+                trippedDrawdown: drawdown,
+                updatedBy: 'risk_manager'
+            });
+            this.logger.warning('Drawdown circuit breaker tripped', {
+                drawdown,
+                maxDrawdown: this.config.maxDrawdown,
+                highWaterMark,
+                equity
+            });
+            return { ...result, tripped: true, justTripped: true, trippedAt, reason: 'max_drawdown_exceeded' };
+        }
+
+        return result;
+    }
+
+    hasExposureLimits() {
+        const { maxSymbolExposure, maxTripletExposure, maxStrategyExposure, maxGrossLeverage, maxNetLeverage } = this.config;
+        return [maxSymbolExposure, maxTripletExposure, maxStrategyExposure, maxGrossLeverage, maxNetLeverage]
+            .some(limit => limit > 0);
+    }
+
+    /**
+     * Fit an entry inside the portfolio exposure limits. A breach is downsized to the largest
+     * quantity every limit still allows (when that clears the minimum position size) or rejected,
+     * per exposureLimitAction.
+     * @param {Object} signal - Adjusted signal (symbol, side, currentPrice)
+     * @param {number} quantity - Shares the signal asks for
+     * @param {Object} context - { equity, exposure (see calculateExposure), strategyName, currentQty }
+     * @returns {Object} { allowed, quantity, downsized, reasons, limits }, limits listing the
+     *   breached ones as { reason, key, limit, used, headroom }
+     */
+    checkExposureLimits(signal, quantity, { equity, exposure, strategyName, currentQty = 0 }) {
+        const price = signal.currentPrice;
+        const signedQty = signal.side === 'buy' ? quantity : -quantity;
+        const unchanged = { allowed: true, quantity, downsized: false, reasons: [], limits: [] };
+
+        // Orders that only shrink an existing position lower exposure
+        if (currentQty !== 0 && Math.sign(currentQty) !== Math.sign(signedQty) && quantity <= Math.abs(currentQty)) {
+            return unchanged;
+        }
+
+        const { baseSymbol, leverage, direction } = symbolExposureProfile(signal.symbol);
+        const { maxSymbolExposure, maxTripletExposure, maxStrategyExposure, maxGrossLeverage, maxNetLeverage } = this.config;
+        const limits = [];
+
+        // headroom: dollars of this symbol that can still be added under the limit
+        const bucketLimit = (reason, key, limit, bucket) => {
+            if (!(limit > 0)) return;
+            const used = bucket[key] || 0;
+            limits.push({ reason, key, limit, used: used / equity, headroom: limit * equity - used });
+        };
+        bucketLimit('symbol_exposure_limit', signal.symbol, maxSymbolExposure, exposure.bySymbol);
+        bucketLimit('triplet_exposure_limit', baseSymbol, maxTripletExposure, exposure.byTriplet);
+        if (strategyName) {
+            bucketLimit('strategy_exposure_limit', strategyName, maxStrategyExposure, exposure.byStrategy);
+        }
+
+        if (maxGrossLeverage > 0) {
+            limits.push({
+                reason: 'gross_leverage_limit',
+                key: 'portfolio',
+                limit: maxGrossLeverage,
+                used: exposure.grossNotional / equity,
+                headroom: (maxGrossLeverage * equity - exposure.grossNotional) / leverage
+            });
+        }
+        if (maxNetLeverage > 0) {
+            // A trade against the current net direction first offsets it
+            const net = exposure.netNotional;
+            const offset = direction * Math.sign(signedQty) * net < 0 ? Math.abs(net) : -Math.abs(net);
+            limits.push({
+                reason: 'net_leverage_limit',
+                key: 'portfolio',
+                limit: maxNetLeverage,
+                used: net / equity,
+                headroom: (maxNetLeverage * equity + offset) / leverage
+            });
+        }
+
+        const breached = limits.filter(limit => limit.headroom < quantity * price);
+        if (breached.length === 0) {
+            return unchanged;
+        }
+
+        const reasons = breached.map(limit => limit.reason);
+        const allowedQty = Math.floor(Math.max(0, Math.min(...breached.map(limit => limit.headroom))) / price);
+        const canDownsize = this.config.exposureLimitAction === 'downsize' &&
+            allowedQty > 0 && allowedQty * price >= this.config.minPositionSize;
+
+        this.logger.warning(canDownsize ? 'Entry downsized by exposure limits' : 'Entry rejected by exposure limits', {
+            symbol: signal.symbol,
+            strategy: strategyName,
+            requestedQuantity: quantity,
+            allowedQuantity: allowedQty,
+            reasons
+        });
+
+        return canDownsize
+            ? { allowed: true, quantity: allowedQty, downsized: true, reasons, limits: breached }
+            : { allowed: false, quantity: 0, downsized: false, reasons, limits: breached };
+    }
+
     calculatePositionSize(accountEquity, riskPercent, entryPrice, stopLossPrice) {
         const riskAmount = accountEquity * riskPercent;
         const riskPerShare = Math.abs(entryPrice - stopLossPrice);
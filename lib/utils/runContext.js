@@ -0,0 +1,68 @@
+// lib/utils/runContext.js - Run IDs and deterministic client order IDs for idempotent trade runs
+import crypto from 'crypto';
+
+// Run IDs supplied by callers (x-run-id header / runId body field) must fit inside a client_order_id
+const RUN_ID_PATTERN = /^[A-Za-z0-9_.-]{1,64}$/;
+
+// Alpaca's client_order_id limit
+const MAX_CLIENT_ORDER_ID_LENGTH = 128;
+
+/**
+ * Create a run ID for one /api/trade invocation, e.g. "run-20240304T150000Z-3fa91c"
+ * @param {number} now - Epoch milliseconds (injectable for backtests)
+ * @returns {string} Run ID
+ */
+export function createRunId(now = Date.now()) {
+  const stamp = new Date(now).toISOString().replace(/[-:]/g, '').slice(0, 15);
+  return `run-${stamp}Z-${crypto.randomBytes(3).toString('hex')}`;
+}
+
+export function isValidRunId(runId) {
+  return typeof runId === 'string' && RUN_ID_PATTERN.test(runId);
+}
+
+/**
+ * Derive the client_order_id for an order placed by a run. The same run, strategy, symbol
+ * and purpose always give the same ID, so a retried run (or a retried submit inside one)
+ * is rejected by the broker instead of placing the order twice.
+ * @param {Object} parts - { runId, strategy, symbol, purpose } (purpose: 'entry', or the exit type)
+ * @returns {string|null} Client order ID, or null without a run ID
+ */
+export function buildClientOrderId({ runId, strategy, symbol, purpose = 'entry' }) {
+  if (!runId) return null;
+
+  const clean = value => String(value || 'none').replace(/[^A-Za-z0-9_.-]/g, '');
+  let clientOrderId = [runId, clean(strategy), clean(symbol), clean(purpose)].join('-');
+
+  if (clientOrderId.length > MAX_CLIENT_ORDER_ID_LENGTH) {
+    const strategyHash = crypto.createHash('sha256').update(String(strategy)).digest('hex').slice(0, 10);
+    clientOrderId = [runId, strategyHash, clean(symbol), clean(purpose)].join('-').slice(0, MAX_CLIENT_ORDER_ID_LENGTH);
+  }
+  return clientOrderId;
+}
+
+/**
+ * Whether a submitOrder error means an order with this client_order_id already exists.
+ * Alpaca answers 422 "client_order_id must be unique" (in the response body for SDK errors);
+ * SimulatedBroker throws the same message.
+ */
+export function isDuplicateClientOrderIdError(error) {
+  const message = `${error?.message || ''} ${error?.response?.data?.message || ''}`;
+  return /client_order_id must be unique/i.test(message);
+}
+
+/**
+ * Submit an order; if the broker rejects its client_order_id as taken, an earlier attempt of
+ * the same run placed it, so that order is fetched and returned instead
+ * @param {Object} broker - Broker adapter
+ * @param {Object} orderData - submitOrder arguments
+ * @returns {Object} { order, existing } - existing is true for an order placed earlier
+ */
+export async function submitOrderOnce(broker, orderData) {
+  try {
+    return { order: await broker.submitOrder(orderData), existing: false };
+  } catch (error) {
+    if (!orderData.client_order_id || !isDuplicateClientOrderIdError(error)) throw error;
+    return { order: await broker.getOrderByClientOrderId(orderData.client_order_id), existing: true };
+  }
+}
@@ -0,0 +1,60 @@
+// lib/utils/takeProfitLadder.js - Partial take-profit (scale-out) ladder definitions
+
+/**
+ * Parse a ladder spec string such as "0.03:0.25,0.06:0.25" (3% gain sells 25%, 6% gain
+ * sells another 25%) or "1R:0.5,2R:0.25" (targets as multiples of the initial risk).
+ * @param {string} spec - Comma-separated target:fraction pairs
+ * @returns {Array|null} [{ percent | rMultiple, fraction }] or null if empty
+ */
+export function parseLadderSpec(spec) {
+  if (!spec || typeof spec !== 'string') return null;
+
+  const rungs = spec.split(',').map(part => part.trim()).filter(Boolean).map(part => {
+    const [target, fraction] = part.split(':').map(value => value.trim());
+    const rung = { fraction: parseFloat(fraction) };
+    if (/r$/i.test(target)) {
+      rung.rMultiple = parseFloat(target);
+    } else {
+      rung.percent = parseFloat(target);
+    }
+    return rung;
+  });
+
+  const invalid = rungs.find(rung => !(rung.fraction > 0) ||
+    !(rung.rMultiple > 0 || rung.percent > 0));
+  if (invalid) {
+    throw new Error(`Invalid take-profit ladder spec: ${spec}`);
+  }
+  return rungs;
+}
+
+/**
+ * Resolve ladder targets to absolute prices for a new position
+ * @param {Array} spec - [{ price | percent | rMultiple, fraction }]
+ * @param {Object} position - { entryPrice, stopLoss, side: 'long'|'short', quantity }
+ * @returns {Object|null} { initialQuantity, realizedPL, rungs: [{ price, fraction, filled }] }
+ */
+export function buildTakeProfitLadder(spec, { entryPrice, stopLoss, side, quantity }) {
+  if (!Array.isArray(spec) || spec.length === 0 || !(entryPrice > 0) || !(quantity > 0)) {
+    return null;
+  }
+
+  const direction = side === 'short' ? -1 : 1;
+  const risk = stopLoss ? Math.abs(entryPrice - stopLoss) : 0;
+
+  const rungs = spec.map(rung => {
+    let price = parseFloat(rung.price);
+    if (!(price > 0) && rung.percent > 0) {
+      price = entryPrice * (1 + direction * rung.percent);
+    } else if (!(price > 0) && rung.rMultiple > 0 && risk > 0) {
+      price = entryPrice + direction * rung.rMultiple * risk;
+    }
+    return { price: Math.round(price * 10000) / 10000, fraction: parseFloat(rung.fraction), filled: false };
+  }).filter(rung => rung.price > 0 && rung.fraction > 0);
+
+  if (rungs.length === 0) return null;
+
+  // Nearest target first
+  rungs.sort((a, b) => direction * (a.price - b.price));
+  return { initialQuantity: quantity, realizedPL: 0, rungs };
+}
@@ -0,0 +1,38 @@
+// scripts/import-bars.js - Import CSV/JSON bar files into the local bar store
+// Usage: node scripts/import-bars.js <file...> [--symbol SPY] [--timeframe 1Day] [--adjusted] [--dir data/bars]
+import { BarStore } from '../lib/services/barStore.js';
+
+const args = process.argv.slice(2);
+const files = [];
+const options = { timeframe: '1Day', symbol: null, useAdjustedClose: false, baseDir: undefined };
+
+for (let i = 0; i < args.length; i++) {
+  switch (args[i]) {
+    case '--symbol': options.symbol = args[++i]; break;
+    case '--timeframe': options.timeframe = args[++i]; break;
+    case '--dir': options.baseDir = args[++i]; break;
+    case '--adjusted': options.useAdjustedClose = true; break;
+    default: files.push(args[i]);
+  }
+}
+
+if (files.length === 0) {
+  console.error('Usage: node scripts/import-bars.js <file...> [--symbol SPY] [--timeframe 1Day] [--adjusted] [--dir data/bars]');
+  process.exit(1);
+}
+
+const store = new BarStore({ baseDir: options.baseDir });
+
+for (const file of files) {
+  try {
+    const result = await store.importFile(file, {
+      symbol: files.length === 1 ? options.symbol : null,
+      timeframe: options.timeframe,
+      useAdjustedClose: options.useAdjustedClose
+    });
+    console.log(`${file}: ${result.imported} bars imported into ${result.symbol}/${result.timeframe} (${result.total} total)`);
+  } catch (error) {
+    console.error(`${file}: import failed - ${error.message}`);
+    process.exitCode = 1;
+  }
+}
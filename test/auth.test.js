@@ -0,0 +1,124 @@
+// test/auth.test.js - API keys, HMAC-signed requests, replay rejection and role checks
+import { test } from 'node:test';
+import assert from 'node:assert/strict';
+import { withAuth, signRequest, hasRole } from '../lib/utils/auth.js';
+
+process.env.LOG_LEVEL = 'error';
+process.env.STATE_STORE = 'memory';
+process.env.API_KEYS = 'reader-key:read,trader-key:trader';
+process.env.ADMIN_API_KEY = 'admin-key';
+process.env.CRON_SIGNING_SECRET = 'signing-secret';
+delete process.env.AUTH_DISABLED;
+
+let requestCount = 0;
+
+/**
+ * POST /api/trade signed with the cron secret; each call gets a fresh body so its signature is new
+ */
+function signedRequest({ timestamp = Math.floor(Date.now() / 1000), runId = 'gh-1', secret = 'signing-secret' } = {}) {
+  const body = { runId, attempt: ++requestCount };
+  const signature = signRequest(secret, { timestamp, method: 'POST', url: '/api/trade', runId, body: JSON.stringify(body) });
+  return {
+    method: 'POST',
+    url: '/api/trade',
+    body,
+    headers: {
+      'x-signature-timestamp': String(timestamp),
+      'x-signature': `sha256=${signature}`,
+      'x-run-id': runId
+    }
+  };
+}
+
+function keyRequest(key, method = 'GET') {
+  return { method, url: '/api/emergency-stop', headers: { 'x-api-key': key } };
+}
+
+/**
+ * Run a request through withAuth and report the status and the auth context the handler saw
+ */
+async function call(requiredRole, req) {
+  let auth = null;
+  const response = { statusCode: 200, body: null };
+  const res = {
+    status(code) { response.statusCode = code; return this; },
+    json(body) { response.body = body; return this; }
+  };
+  await withAuth(requiredRole, async (request, result) => {
+    auth = request.auth;
+    return result.status(200).json({ status: 'success' });
+  })(req, res);
+  return { ...response, auth };
+}
+
+test('a correctly signed request is accepted with the trader role', async () => {
+  const { statusCode, auth } = await call('trader', signedRequest());
+  assert.equal(statusCode, 200);
+  assert.deepEqual(auth, { role: 'trader', principal: 'signed:cron', method: 'signature' });
+});
+
+test('a tampered body, run id or secret invalidates the signature', async () => {
+  const tamperedBody = signedRequest();
+  tamperedBody.body = { ...tamperedBody.body, runId: 'other' };
+  const tamperedRunId = signedRequest();
+  tamperedRunId.headers['x-run-id'] = 'gh-2';
+  const wrongSecret = signedRequest({ secret: 'guessed-secret' });
+
+  for (const req of [tamperedBody, tamperedRunId, wrongSecret]) {
+    const { statusCode, body } = await call('trader', req);
+    assert.equal(statusCode, 401);
+    assert.equal(body.message, 'Invalid request signature');
+  }
+});
+
+test('a signature outside the 300 second window is rejected', async () => {
+  const now = Math.floor(Date.now() / 1000);
+  for (const timestamp of [now - 301, now + 301]) {
+    const { statusCode, body } = await call('trader', signedRequest({ timestamp }));
+    assert.equal(statusCode, 401);
+    assert.match(body.message, /outside the allowed window/);
+  }
+  assert.equal((await call('trader', signedRequest({ timestamp: now - 290 }))).statusCode, 200);
+});
+
+test('a signature is accepted once and its replay rejected', async () => {
+  const req = signedRequest();
+  assert.equal((await call('trader', req)).statusCode, 200);
+
+  const replay = await call('trader', { ...req, headers: { ...req.headers } });
+  assert.equal(replay.statusCode, 401);
+  assert.equal(replay.body.message, 'Request signature already used');
+});
+
+test('API keys carry their configured roles and lower roles are refused with 403', async () => {
+  const roles = { GET: 'read', POST: 'admin' };
+
+  const read = await call(roles, keyRequest('reader-key'));
+  assert.equal(read.statusCode, 200);
+  assert.equal(read.auth.role, 'read');
+  assert.match(read.auth.principal, /^key:[0-9a-f]{8}$/);
+
+  const traderPost = await call(roles, keyRequest('trader-key', 'POST'));
+  assert.equal(traderPost.statusCode, 403);
+  assert.match(traderPost.body.message, /Role 'trader' cannot access this endpoint \(requires 'admin'\)/);
+
+  assert.equal((await call(roles, keyRequest('admin-key', 'POST'))).auth.role, 'admin');
+  assert.equal((await call('admin', { method: 'POST', url: '/api/emergency-stop', headers: { authorization: 'Bearer admin-key' } })).statusCode, 200);
+
+  // Signed requests are trader-level only
+  assert.equal((await call('admin', signedRequest())).statusCode, 403);
+});
+
+test('unknown keys and missing credentials are rejected with 401', async () => {
+  assert.equal((await call('read', keyRequest('not-a-key'))).body.message, 'Invalid API key');
+  const missing = await call('read', { method: 'GET', url: '/api/portfolio', headers: {} });
+  assert.equal(missing.statusCode, 401);
+  assert.match(missing.body.message, /Missing credentials/);
+});
+
+test('each role includes the ones below it', () => {
+  assert.equal(hasRole('admin', 'trader'), true);
+  assert.equal(hasRole('trader', 'read'), true);
+  assert.equal(hasRole('read', 'trader'), false);
+  assert.equal(hasRole('trader', 'unknown'), false);
+});
@@ -0,0 +1,115 @@
+// test/backtestEngine.test.js - BacktestEngine replays over fixed bars
+import { test } from 'node:test';
+import assert from 'node:assert/strict';
+import { BacktestEngine } from '../lib/backtest/backtestEngine.js';
+
+process.env.LOG_LEVEL = 'error';
+
+/**
+ * Daily bars on consecutive NYSE sessions from 2024-01-08, one per close
+ */
+function dailyBars(closes) {
+  const sessions = [];
+  for (let day = new Date('2024-01-08T21:00:00Z'); sessions.length < closes.length; day = new Date(day.getTime() + 86400000)) {
+    if (day.getUTCDay() !== 0 && day.getUTCDay() !== 6) sessions.push(day.toISOString());
+  }
+  return closes.map((close, i) => ({
+    timestamp: sessions[i],
+    open: close,
+    high: close,
+    low: close,
+    close,
+    volume: 1000000
+  }));
+}
+
+/**
+ * Strategy stub that buys `symbol` once, on the bar whose close is `entryClose`
+ */
+function scriptedStrategy(symbol, entryClose) {
+  const seen = [];
+  return {
+    seen,
+    config: { baseSymbol: 'SPY' },
+    getName: () => 'Scripted',
+    isEnabled: () => true,
+    async generateSignals(broker) {
+      const bars = await broker.getHistoricalData(symbol, '1Day', 100);
+      const latest = bars[bars.length - 1];
+      seen.push(bars.length);
+      return latest.close === entryClose ? [{
+        symbol,
+        side: 'buy',
+        reason: 'scripted_entry',
+        currentPrice: latest.close,
+        positionSize: 0.05,
+        confidence: 0.8
+      }] : [];
+    }
+  };
+}
+
+function engineFor(closes, strategy, options = {}) {
+  return new BacktestEngine({
+    historicalData: { UPRO: dailyBars(closes) },
+    strategies: [strategy],
+    warmupBars: 0,
+    initialCapital: 100000,
+    riskConfig: { stopLossPercent: 0.05, takeProfitPercent: 0.1 },
+    ...options
+  });
+}
+
+test('buys on the signal bar and books the take-profit exit from the bars', async () => {
+  const strategy = scriptedStrategy('UPRO', 101);
+  const results = await engineFor([100, 101, 104, 108, 115, 116], strategy).run();
+
+  const [entry, exit] = results.trades;
+  assert.equal(results.trades.length, 2);
+  assert.equal(entry.type, 'entry');
+  assert.equal(entry.side, 'buy');
+  assert.equal(entry.price, 101);
+  assert.equal(entry.strategy, 'Scripted');
+  assert.equal(exit.type, 'exit');
+  assert.equal(exit.side, 'sell');
+  assert.equal(exit.exitType, 'take_profit');
+  assert.equal(exit.quantity, entry.quantity);
+  assert.ok(exit.pnl > 0);
+  assert.equal(results.metrics.takeProfitExits, 1);
+  assert.equal(results.metrics.winningTrades, 1);
+  assert.deepEqual(results.openPositions, []);
+  assert.equal(results.finalValue, 100000 + exit.pnl);
+});
+
+test('books a stop-loss exit when the price falls through the stop', async () => {
+  const strategy = scriptedStrategy('UPRO', 101);
+  const results = await engineFor([100, 101, 99, 95, 90, 92], strategy).run();
+
+  const exit = results.trades.find(trade => trade.type === 'exit');
+  assert.equal(exit.exitType, 'stop_loss');
+  assert.ok(exit.pnl < 0);
+  assert.equal(results.metrics.stopLossExits, 1);
+  assert.equal(results.metrics.losingTrades, 1);
+  assert.ok(results.metrics.maxDrawdown > 0);
+});
+
+test('strategies only see bars up to the simulated clock', async () => {
+  const strategy = scriptedStrategy('UPRO', null);
+  const results = await engineFor([100, 101, 102, 103], strategy, { warmupBars: 1 }).run();
+
+  assert.deepEqual(strategy.seen, [2, 3, 4]);
+  assert.equal(results.pipeline.barsProcessed, 3);
+  assert.equal(results.trades.length, 0);
+  assert.equal(results.portfolio.length, 3);
+  assert.equal(results.finalValue, 100000);
+});
+
+test('startDate and endDate bound the replay', async () => {
+  const strategy = scriptedStrategy('UPRO', null);
+  const results = await engineFor([100, 101, 102, 103, 104], strategy, {
+    startDate: '2024-01-09',
+    endDate: '2024-01-11'
+  }).run();
+
+  assert.deepEqual(results.portfolio.map(point => point.date.slice(0, 10)), ['2024-01-09', '2024-01-10', '2024-01-11']);
+});
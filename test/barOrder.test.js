@@ -0,0 +1,83 @@
+// test/barOrder.test.js - Every broker adapter hands out bars oldest -> newest, so live runs and backtests decide alike
+import { test } from 'node:test';
+import assert from 'node:assert/strict';
+import { SimulatedBroker } from '../lib/brokers/simulatedBroker.js';
+import { BacktestBroker } from '../lib/backtest/backtestBroker.js';
+import { MarketDataService } from '../lib/services/marketDataService.js';
+import { MarketDataCache } from '../lib/services/marketDataCache.js';
+import { MomentumStrategy } from '../lib/strategies/momentum.js';
+
+process.env.LOG_LEVEL = 'error';
+
+/**
+ * Daily bars on the weekday closes up to 2024-02-01, oldest first
+ */
+function dailyBars(closes) {
+  const sessions = [];
+  for (let day = Date.UTC(2024, 1, 1, 21); sessions.length < closes.length; day -= 86400000) {
+    const weekday = new Date(day).getUTCDay();
+    if (weekday !== 0 && weekday !== 6) sessions.unshift(new Date(day).toISOString());
+  }
+  return closes.map((close, i) => ({ timestamp: sessions[i], open: close, high: close + 1, low: close - 1, close, volume: 1000000 }));
+}
+
+// The 3-bar SMA crosses above the 5-bar SMA on the last close only
+const SPY_BARS = dailyBars([...Array(14).fill(100), 99, 98, 97, 96, 95, 104]);
+const ETF_BARS = { UPRO: dailyBars(Array(20).fill(60)), SPXU: dailyBars(Array(20).fill(20)) };
+
+/**
+ * Simulated broker over a MarketDataService whose provider answers most recent first, as
+ * Yahoo, Finnhub and the others do
+ */
+function liveShapedBroker() {
+  const marketData = new MarketDataService({ cache: new MarketDataCache({ shared: new Map(), dailyStore: null }) });
+  const providerBars = { SPY: SPY_BARS, ...ETF_BARS };
+  marketData.fetchHistoricalData = async (symbol, limit) => ({
+    data: [...providerBars[symbol]].reverse().slice(0, limit),
+    source: 'yahooFinance',
+    synthetic: false
+  });
+
+  const broker = new SimulatedBroker({ marketData, now: () => Date.parse(SPY_BARS[19].timestamp) });
+  broker.setQuote('UPRO', { bid: 60, ask: 60 });
+  broker.setQuote('SPXU', { bid: 20, ask: 20 });
+  return broker;
+}
+
+function backtestBroker() {
+  const broker = new BacktestBroker({ SPY: SPY_BARS, ...ETF_BARS });
+  broker.setTime(Date.parse(SPY_BARS[19].timestamp));
+  return broker;
+}
+
+const withoutTimestamp = signals => signals.map(({ timestamp, ...signal }) => signal);
+
+test('live and backtest brokers return the same bars, oldest first', async () => {
+  const live = await liveShapedBroker().getHistoricalData('SPY', '1Day', 20);
+  const replay = await backtestBroker().getHistoricalData('SPY', '1Day', 20);
+
+  assert.deepEqual(live.map(bar => bar.timestamp), SPY_BARS.map(bar => bar.timestamp));
+  assert.deepEqual(replay.map(bar => bar.close), live.map(bar => bar.close));
+  assert.equal(live[live.length - 1].close, 104);
+});
+
+test('a strategy produces the same signals from live-shaped and backtest-shaped bars', async () => {
+  const strategy = () => new MomentumStrategy({ baseSymbol: 'SPY', shortMA: 3, longMA: 5, lookbackPeriod: 10 });
+
+  const liveSignals = await strategy().generateSignals(liveShapedBroker());
+  const replaySignals = await strategy().generateSignals(backtestBroker());
+
+  assert.deepEqual(liveSignals.map(signal => [signal.symbol, signal.reason]), [['UPRO', 'SPY_bullish_ma_crossover']]);
+  assert.deepEqual(withoutTimestamp(liveSignals), withoutTimestamp(replaySignals));
+});
+
+test('stored bars are handed out oldest first and the provenance log keeps the newest', async () => {
+  const barStore = { getBars: async (symbol, timeframe, { limit }) => SPY_BARS.slice(-limit) };
+  const broker = new SimulatedBroker({ barStore, now: () => Date.parse(SPY_BARS[19].timestamp) });
+
+  const bars = await broker.getHistoricalData('SPY', '1Day', 5);
+  assert.deepEqual(bars.map(bar => bar.close), [98, 97, 96, 95, 104]);
+  const [entry] = broker.getDataProvenance().getEntries();
+  assert.equal(entry.timestamp, SPY_BARS[19].timestamp);
+  assert.equal(entry.source, 'barStore');
+});
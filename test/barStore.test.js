@@ -0,0 +1,47 @@
+// test/barStore.test.js - BarStore round trip and symbol/timeframe validation
+import { test, after } from 'node:test';
+import assert from 'node:assert/strict';
+import fs from 'fs/promises';
+import os from 'os';
+import path from 'path';
+import { BarStore } from '../lib/services/barStore.js';
+
+process.env.LOG_LEVEL = 'error';
+
+const tempDir = await fs.mkdtemp(path.join(os.tmpdir(), 'bar-store-'));
+after(() => fs.rm(tempDir, { recursive: true, force: true }));
+
+const baseDir = path.join(tempDir, 'bars');
+
+test('bars are saved under <SYMBOL>/<timeframe>.json and read back oldest first', async () => {
+  const store = new BarStore({ baseDir });
+  await store.saveBars('brk.b', '1d', [
+    { timestamp: '2024-01-03', close: 101 },
+    { timestamp: '2024-01-02', open: 99, high: 102, low: 98, close: 100, volume: 1000 }
+  ]);
+
+  const bars = await new BarStore({ baseDir }).getBars('BRK.B', '1Day');
+  assert.deepEqual(bars.map(bar => bar.close), [100, 101]);
+  await fs.access(path.join(baseDir, 'BRK.B', '1Day.json'));
+});
+
+test('symbols that are not plain tickers are refused before touching the file system', async () => {
+  const store = new BarStore({ baseDir });
+  for (const symbol of ['../x', '..', 'a/b', 'SPY\\..', '', ' SPY', null]) {
+    await assert.rejects(store.saveBars(symbol, '1Day', [{ timestamp: '2024-01-02', close: 1 }]), /Invalid bar store symbol/);
+    await assert.rejects(store.getBars(symbol, '1Day'), /Invalid bar store symbol/);
+  }
+  assert.deepEqual(await fs.readdir(tempDir), ['bars']);
+  assert.equal(BarStore.normalizeSymbol('spxu'), 'SPXU');
+});
+
+test('timeframes outside the supported set are refused before touching the file system', async () => {
+  const store = new BarStore({ baseDir });
+  for (const timeframe of ['../../x', '1Day/../../x', '..', '2Day', '', null]) {
+    await assert.rejects(store.saveBars('SPY', timeframe, [{ timestamp: '2024-01-02', close: 1 }]), /Invalid bar store timeframe/);
+    await assert.rejects(store.getBars('SPY', timeframe), /Invalid bar store timeframe/);
+  }
+  assert.deepEqual(await fs.readdir(tempDir), ['bars']);
+  assert.deepEqual(await fs.readdir(baseDir), ['BRK.B']);
+  assert.equal(BarStore.normalizeTimeframe('15m'), '15Min');
+});
@@ -0,0 +1,130 @@
+// test/barValidator.test.js - Bar checks against the NYSE calendar and a second source
+import { test } from 'node:test';
+import assert from 'node:assert/strict';
+import { BarValidator } from '../lib/services/barValidator.js';
+import { isTradingDay } from '../lib/services/tradingCalendar.js';
+
+process.env.LOG_LEVEL = 'error';
+
+// Sessions from 2024-01-02 (after New Year's Day) through 2024-01-10, skipping the weekend
+const SESSIONS = ['2024-01-02', '2024-01-03', '2024-01-04', '2024-01-05', '2024-01-08', '2024-01-09', '2024-01-10'];
+
+/**
+ * Daily bars stamped at midnight UTC on `dates`, most recent first
+ */
+function dailyBars(dates = SESSIONS, overrides = {}) {
+  return dates.map(date => ({
+    timestamp: `${date}T00:00:00.000Z`,
+    open: 100,
+    high: 101,
+    low: 99,
+    close: 100,
+    volume: 1000000,
+    ...overrides[date]
+  })).reverse();
+}
+
+function validator(now = '2024-01-10T22:00:00Z', options = {}) {
+  return new BarValidator({ now: () => Date.parse(now), ...options });
+}
+
+const typesOf = result => result.issues.map(issue => issue.type);
+
+test('contiguous sessions up to the last close are valid', () => {
+  assert.deepEqual(validator().validate(dailyBars()), { valid: true, issues: [] });
+});
+
+test('no bars is an error', () => {
+  assert.deepEqual(typesOf(validator().validate([])), ['no_data']);
+});
+
+test('a bar on an NYSE holiday is an error', () => {
+  const result = validator().validate(dailyBars(['2024-01-01', ...SESSIONS]));
+  assert.equal(result.valid, false);
+  assert.deepEqual(typesOf(result), ['non_trading_day']);
+});
+
+test('missing sessions are an error, a weekend gap is not', () => {
+  const result = validator().validate(dailyBars(SESSIONS.filter(date => date !== '2024-01-04')));
+  assert.deepEqual(typesOf(result), ['missing_sessions']);
+  assert.match(result.issues[0].detail, /1 session\(s\) missing after 2024-01-03/);
+});
+
+test('unscheduled closures are not trading days, so their gap is not a missing session', () => {
+  for (const date of ['2001-09-11', '2004-06-11', '2007-01-02', '2012-10-29', '2012-10-30', '2018-12-05', '2025-01-09']) {
+    assert.equal(isTradingDay(date), false, date);
+  }
+
+  // Hurricane Sandy closed the exchange on the Monday and Tuesday
+  const sandy = ['2012-10-25', '2012-10-26', '2012-10-31', '2012-11-01'];
+  assert.deepEqual(validator('2012-11-01T22:00:00Z').validate(dailyBars(sandy)), { valid: true, issues: [] });
+});
+
+test('duplicate and out-of-order bars are errors', () => {
+  assert.deepEqual(typesOf(validator().validate(dailyBars([...SESSIONS, '2024-01-10']))), ['duplicate_bar']);
+
+  const swapped = dailyBars();
+  [swapped[2], swapped[3]] = [swapped[3], swapped[2]];
+  assert.ok(typesOf(validator().validate(swapped)).includes('out_of_order'));
+});
+
+test('invalid prices, split-sized jumps and zero volume are errors, counted per type', () => {
+  const result = validator().validate(dailyBars(SESSIONS, {
+    '2024-01-03': { high: 98 },
+    '2024-01-05': { volume: 0 },
+    '2024-01-08': { volume: 0 },
+    '2024-01-09': { open: 50, low: 49, close: 50 },
+    '2024-01-10': { open: 50, low: 49, close: 50 }
+  }));
+
+  assert.equal(result.valid, false);
+  const byType = Object.fromEntries(result.issues.map(issue => [issue.type, issue]));
+  assert.equal(byType.invalid_bar.timestamp, '2024-01-03T00:00:00.000Z');
+  assert.equal(byType.zero_volume.count, 2);
+  assert.equal(byType.split_discontinuity.count, 1);
+  assert.match(byType.split_discontinuity.detail, /Opened at 50 after a 100 close/);
+});
+
+test('daily bars more than maxStaleSessions behind are stale', () => {
+  // Friday 2024-01-12 after the close: the 2024-01-10 bar is two sessions behind
+  const result = validator('2024-01-12T22:00:00Z').validate(dailyBars());
+  assert.deepEqual(typesOf(result), ['stale_data']);
+
+  assert.equal(validator('2024-01-12T22:00:00Z', { maxStaleSessions: 2 }).validate(dailyBars()).valid, true);
+});
+
+test('intraday bars must keep up with the session clock', () => {
+  // 5Min bars from the 9:30 open (14:30Z) to 11:00 New York
+  const fiveMinute = Array.from({ length: 18 }, (_, i) => ({
+    timestamp: new Date(Date.parse('2024-01-10T14:30:00Z') + i * 300000).toISOString(),
+    open: 100,
+    high: 101,
+    low: 99,
+    close: 100,
+    volume: 5000
+  })).reverse();
+
+  assert.equal(validator('2024-01-10T16:05:00Z').validate(fiveMinute, '5Min').valid, true);
+  const late = validator('2024-01-10T17:00:00Z').validate(fiveMinute, '5Min');
+  assert.deepEqual(typesOf(late), ['stale_data']);
+  assert.match(late.issues[0].detail, /Latest bar started 65 minutes ago \(allowed 35\)/);
+});
+
+test('crossCheck compares the newest completed close both sources have', () => {
+  const bars = dailyBars();
+  const agreeing = dailyBars(SESSIONS, { '2024-01-09': { close: 100.5 } });
+  const disagreeing = dailyBars(SESSIONS, { '2024-01-09': { close: 103 } });
+  // The 2024-01-10 bar is the session of "now", so 2024-01-09 is the newest completed one
+  const check = validator('2024-01-10T18:00:00Z');
+
+  assert.equal(check.crossCheck(bars, agreeing, '1Day', 'finnhub'), null);
+
+  const mismatch = check.crossCheck(bars, disagreeing, '1Day', 'finnhub');
+  assert.equal(mismatch.type, 'cross_source_mismatch');
+  assert.equal(mismatch.severity, 'error');
+  assert.equal(mismatch.timestamp, '2024-01-09T00:00:00.000Z');
+
+  const unavailable = check.crossCheck(bars, [], '1Day', 'finnhub');
+  assert.equal(unavailable.type, 'cross_check_unavailable');
+  assert.equal(unavailable.severity, 'warning');
+});
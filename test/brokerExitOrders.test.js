@@ -0,0 +1,116 @@
+// test/brokerExitOrders.test.js - Broker-held exit legs: building them, placing OCO protection and booking leg fills
+import { test } from 'node:test';
+import assert from 'node:assert/strict';
+import { buildExitLegs, extractExitLegs, roundOrderPrice } from '../lib/brokers/exitOrders.js';
+import { SimulatedBroker } from '../lib/brokers/simulatedBroker.js';
+import { FileStateStore } from '../lib/state/fileStateStore.js';
+import { PositionExitManager } from '../lib/PositionExitManager.js';
+
+process.env.LOG_LEVEL = 'error';
+
+test('exit levels become a bracket for entries, OCO for open positions and OTO/simple for a single level', () => {
+  const levels = { stopLoss: 94.996, takeProfit: 110.004 };
+  assert.deepEqual(buildExitLegs(levels), {
+    order_class: 'bracket',
+    take_profit: { limit_price: 110 },
+    stop_loss: { stop_price: 95 }
+  });
+  assert.equal(buildExitLegs(levels, true).order_class, 'oco');
+  assert.deepEqual(buildExitLegs({ stopLoss: 95 }), { order_class: 'oto', stop_loss: { stop_price: 95 } });
+  assert.equal(buildExitLegs({ takeProfit: 110 }, true).order_class, 'simple');
+  assert.equal(buildExitLegs({}), null);
+  assert.equal(roundOrderPrice(0.123456), 0.1235);
+});
+
+test('legs are read off the bracket parent, or off the OCO response and its sibling', () => {
+  const bracket = {
+    id: 'entry', order_class: 'bracket', type: 'market',
+    legs: [{ id: 'tp', type: 'limit', status: 'held' }, { id: 'sl', type: 'stop', status: 'held' }]
+  };
+  assert.deepEqual(extractExitLegs(bracket), [
+    { id: 'tp', leg: 'take_profit', status: 'held' },
+    { id: 'sl', leg: 'stop_loss', status: 'held' }
+  ]);
+
+  const oco = { id: 'tp', order_class: 'oco', type: 'limit', status: 'new', legs: [{ id: 'sl', type: 'stop', status: 'new' }] };
+  assert.deepEqual(extractExitLegs(oco).map(leg => leg.leg), ['take_profit', 'stop_loss']);
+  assert.deepEqual(extractExitLegs(null), []);
+});
+
+/**
+ * Exit manager in broker mode over a simulated broker holding 10 UPRO bought at 100.1,
+ * with the entry logged and its levels stored in a memory state store
+ */
+async function brokerManagedPosition() {
+  const broker = new SimulatedBroker({ initialCapital: 100000, now: () => Date.UTC(2024, 0, 2, 15, 0) });
+  broker.setQuote('UPRO', { bid: 99.9, ask: 100.1 });
+  const entry = await broker.submitOrder({ symbol: 'UPRO', qty: 10, side: 'buy', type: 'market' });
+
+  const stateStore = new FileStateStore({ statePath: null });
+  await stateStore.logTrade({ symbol: 'UPRO', side: 'buy', quantity: 10, price: 100.1, orderId: entry.id, status: 'FILLED' });
+
+  const manager = new PositionExitManager(broker, { stateStore, exitOrderMode: 'broker', enableLogging: false });
+  await manager.positionStorage.storePositionLevels('UPRO', {
+    stopLoss: 95, takeProfit: 110, entryPrice: 100.1, side: 'long', quantity: 10, orderId: entry.id
+  });
+  const [position] = await broker.getPositions();
+  return { broker, stateStore, manager, entry, position };
+}
+
+test('protective OCO orders are placed for an open position and their legs recorded', async () => {
+  const { broker, manager, position } = await brokerManagedPosition();
+
+  const order = await manager.placeProtectiveOrders(position, await manager.positionStorage.getPositionLevels('UPRO'));
+  assert.equal(order.order_class, 'oco');
+  assert.equal(order.side, 'sell');
+
+  const { metadata } = await manager.positionStorage.getPositionLevels('UPRO');
+  assert.equal(metadata.exitMode, 'broker');
+  assert.deepEqual(metadata.exitOrders.map(leg => [leg.leg, leg.status]), [['take_profit', 'new'], ['stop_loss', 'new']]);
+  assert.equal((await broker.getOrders({ status: 'open' })).length, 2);
+});
+
+test('a filled stop leg is booked once, closes the entry trade and clears the stored levels', async () => {
+  const { broker, stateStore, manager, entry, position } = await brokerManagedPosition();
+  await manager.placeProtectiveOrders(position, await manager.positionStorage.getPositionLevels('UPRO'));
+
+  // Nothing filled yet: the legs are refreshed and kept
+  assert.deepEqual(await manager.reconcileBrokerExitFills(await broker.getPositions()), []);
+  assert.ok(await manager.positionStorage.getPositionLevels('UPRO'));
+
+  broker.setQuote('UPRO', { bid: 94, ask: 94.2 });
+  const [exit] = await manager.reconcileBrokerExitFills(await broker.getPositions());
+  assert.equal(exit.exitType, 'stop_loss');
+  assert.equal(exit.brokerManaged, true);
+  assert.equal(exit.quantity, 10);
+  assert.equal(exit.exitPrice, 94);
+  assert.ok(Math.abs(exit.realizedPL - (94 - 100.1) * 10) < 1e-9);
+  assert.equal(exit.remainingQuantity, 0);
+
+  const trade = stateStore.tradesByOrderId.get(entry.id);
+  assert.equal(trade.status, 'CLOSED');
+  assert.equal(trade.exitPrice, 94);
+  assert.equal(trade.pnl, -61);
+
+  assert.equal(await manager.positionStorage.getPositionLevels('UPRO'), null);
+  assert.deepEqual(await broker.getOrders({ status: 'open' }), []);
+  assert.deepEqual(await manager.reconcileBrokerExitFills(await broker.getPositions()), []);
+});
+
+test('legs still held behind an unfilled bracket entry are left alone', async () => {
+  const broker = new SimulatedBroker({ initialCapital: 100000, latencyMs: 60000, now: () => Date.UTC(2024, 0, 2, 15, 0) });
+  broker.setQuote('UPRO', { bid: 99.9, ask: 100.1 });
+  const entry = await broker.submitOrder({
+    symbol: 'UPRO', qty: 10, side: 'buy', type: 'market', ...buildExitLegs({ stopLoss: 95, takeProfit: 110 })
+  });
+
+  const manager = new PositionExitManager(broker, { stateStore: new FileStateStore({ statePath: null }), enableLogging: false });
+  await manager.positionStorage.storePositionLevels('UPRO', {
+    stopLoss: 95, takeProfit: 110, entryPrice: 100.1, side: 'long', quantity: 10, orderId: entry.id,
+    metadata: { exitMode: 'broker', orderClass: 'bracket' }
+  });
+
+  assert.deepEqual(await manager.reconcileBrokerExitFills([]), []);
+  assert.ok(await manager.positionStorage.getPositionLevels('UPRO'));
+  assert.deepEqual((await broker.getOrders({ status: 'open' })).map(order => order.status).sort(), ['held', 'held', 'new']);
+});
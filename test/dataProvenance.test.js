@@ -0,0 +1,73 @@
+// test/dataProvenance.test.js - Provenance tags, the per-run input log and the data policy
+import { test } from 'node:test';
+import assert from 'node:assert/strict';
+import { tagBars, tagQuote, ProvenanceLog, MarketDataPolicy } from '../lib/services/dataProvenance.js';
+
+process.env.LOG_LEVEL = 'error';
+
+// Wednesday 2024-01-10, 11:00 New York
+const NOW = Date.parse('2024-01-10T16:00:00Z');
+
+function policy(log, options = {}) {
+  return new MarketDataPolicy({ log, mode: 'block', maxQuoteAgeSeconds: 300, now: () => NOW, ...options });
+}
+
+test('tags carry the source, the synthetic flag and the age in seconds', () => {
+  const [bar] = tagBars([{ timestamp: '2024-01-10T15:59:00Z', close: 100 }], { source: 'alpaca' }, NOW);
+  assert.deepEqual(bar.provenance, { source: 'alpaca', synthetic: false, age: 60 });
+
+  const quote = tagQuote({ bid: 1 }, { source: 'mock', synthetic: true }, NOW);
+  assert.deepEqual(quote.provenance, { source: 'mock', synthetic: true, age: null });
+});
+
+test('the log keeps one entry per symbol, kind and timeframe, and keeps a synthetic answer', () => {
+  const log = new ProvenanceLog();
+  log.recordQuote('upro', tagQuote({ timestamp: '2024-01-10T15:59:00Z' }, { source: 'mock', synthetic: true }, NOW));
+  log.recordQuote('UPRO', tagQuote({ timestamp: '2024-01-10T15:59:30Z' }, { source: 'alpaca' }, NOW));
+  log.recordBars('UPRO', 'daily', tagBars([{ timestamp: '2024-01-09T00:00:00Z' }], { source: 'alpaca' }, NOW));
+  log.recordBars('UPRO', '1Day', tagBars([{ timestamp: '2024-01-10T00:00:00Z' }], { source: 'finnhub' }, NOW));
+
+  const entries = log.getEntries();
+  assert.equal(entries.length, 2);
+  assert.deepEqual(entries.map(entry => [entry.kind, entry.symbol, entry.source]), [['quote', 'UPRO', 'mock'], ['bars', 'UPRO', 'finnhub']]);
+  assert.equal(entries[1].timeframe, '1Day');
+});
+
+test('fresh real data is allowed', () => {
+  const log = new ProvenanceLog();
+  log.recordQuote('UPRO', tagQuote({ timestamp: '2024-01-10T15:58:00Z' }, { source: 'alpaca' }, NOW));
+  log.recordBars('UPRO', '1Day', tagBars([{ timestamp: '2024-01-10T00:00:00Z' }], { source: 'alpaca' }, NOW));
+
+  assert.deepEqual(policy(log).check(['UPRO']), { allowed: true, inputs: [] });
+});
+
+test('synthetic and stale inputs of the checked symbols block the trade', () => {
+  const log = new ProvenanceLog();
+  log.recordQuote('UPRO', tagQuote({ timestamp: '2024-01-10T15:50:00Z' }, { source: 'alpaca' }, NOW));
+  log.recordBars('SPY', '1Day', tagBars([{ timestamp: '2024-01-10T00:00:00Z' }], { source: 'mock', synthetic: true }, NOW));
+  log.recordBars('TQQQ', '1Day', tagBars([{ timestamp: '2024-01-05T00:00:00Z' }], { source: 'alpaca' }, NOW));
+
+  const result = policy(log).check(['UPRO', 'SPY', null]);
+  assert.equal(result.allowed, false);
+  assert.deepEqual(result.inputs.map(input => [input.symbol, input.issue]), [['UPRO', 'stale'], ['SPY', 'synthetic']]);
+  assert.match(result.inputs[0].detail, /Quote is 600s old \(allowed 300s\)/);
+
+  const bars = policy(log).check(['TQQQ']);
+  assert.equal(bars.inputs[0].issue, 'stale');
+  assert.match(bars.inputs[0].detail, /Latest bar is from 2024-01-05/);
+});
+
+test('warn allows the trade but still reports the inputs, and off checks nothing', () => {
+  const log = new ProvenanceLog();
+  log.recordQuote('UPRO', tagQuote({}, { source: 'mock', synthetic: true }, NOW));
+
+  const warned = policy(log, { mode: 'warn' }).check(['UPRO']);
+  assert.equal(warned.allowed, true);
+  assert.equal(warned.inputs.length, 1);
+
+  assert.deepEqual(policy(log, { mode: 'off' }).check(['UPRO']), { allowed: true, inputs: [] });
+});
+
+test('an unknown policy mode is rejected', () => {
+  assert.throws(() => policy(null, { mode: 'strict' }), /Unknown data provenance policy: strict/);
+});
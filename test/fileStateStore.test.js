@@ -0,0 +1,90 @@
+// test/fileStateStore.test.js - FileStateStore writes merged under the state lock, lock leases and corrupt files
+import { test, after } from 'node:test';
+import assert from 'node:assert/strict';
+import fs from 'fs/promises';
+import os from 'os';
+import path from 'path';
+import { FileStateStore } from '../lib/state/fileStateStore.js';
+
+process.env.LOG_LEVEL = 'error';
+
+const tempDir = await fs.mkdtemp(path.join(os.tmpdir(), 'file-state-store-'));
+after(() => fs.rm(tempDir, { recursive: true, force: true }));
+
+let fileCount = 0;
+
+/**
+ * Two stores over the same fresh state file, both loaded before either writes - like a
+ * trade run and /api/emergency-stop started side by side
+ */
+async function sharedStores(options = {}) {
+  const statePath = path.join(tempDir, `state-${++fileCount}.json`);
+  const first = new FileStateStore({ statePath, ...options });
+  const second = new FileStateStore({ statePath, ...options });
+  await first.initialize();
+  await second.initialize();
+  return { statePath, first, second };
+}
+
+async function reload(statePath) {
+  const store = new FileStateStore({ statePath });
+  await store.initialize();
+  return store;
+}
+
+test('concurrent writes from stores loaded at the same time all reach the file', async () => {
+  const { statePath, first, second } = await sharedStores();
+
+  await Promise.all([
+    first.logTrade({ symbol: 'UPRO', side: 'buy', quantity: 10, price: 100, orderId: 'entry-1' }),
+    second.setTradingHalt({ halted: true, reason: 'manual', updatedBy: 'admin' }),
+    first.storePositionLevels('UPRO', { stopLoss: 95, takeProfit: 110 }),
+    second.logTrade({ symbol: 'SPXU', side: 'buy', quantity: 5, price: 20, orderId: 'entry-2' })
+  ]);
+  // The second store never saw entry-1 in memory; its update must still land on it
+  assert.ok(await second.updateTradeStatus('entry-1', 'CLOSED', 104, 40, 0));
+
+  const stored = await reload(statePath);
+  assert.deepEqual(stored.trades.map(trade => trade.orderId).sort(), ['entry-1', 'entry-2']);
+  assert.equal(stored.tradesByOrderId.get('entry-1').status, 'CLOSED');
+  assert.equal((await stored.getTradingHalt()).halted, true);
+  assert.equal((await stored.getPositionLevels('UPRO')).takeProfit, 110);
+
+  const leftovers = (await fs.readdir(tempDir)).filter(name => name.endsWith('.lock') || name.endsWith('.tmp'));
+  assert.deepEqual(leftovers, []);
+});
+
+test('rate limit increments and nonce claims from two stores never lose a count or claim twice', async () => {
+  const { statePath, first, second } = await sharedStores();
+
+  await Promise.all(Array.from({ length: 6 }, (_, i) =>
+    (i % 2 ? first : second).incrementRateLimitUsage('alpaca', 1000)));
+  assert.equal((await reload(statePath)).rateLimitUsage.alpaca.calls, 6);
+
+  const claims = await Promise.all([first.claimNonce('sig-1', 60000), second.claimNonce('sig-1', 60000)]);
+  assert.deepEqual(claims.sort(), [false, true]);
+});
+
+test('a live lease held elsewhere blocks the write, an expired one is cleared', async () => {
+  let now = Date.UTC(2024, 0, 2);
+  const { statePath, first, second } = await sharedStores({ now: () => now, stateLockTimeoutMs: 100 });
+
+  assert.equal((await first.acquireLock('state', 'crashed-writer', 30000)).acquired, true);
+  assert.equal(await second.setTradingHalt({ halted: true }), false);
+  assert.equal((await reload(statePath)).tradingHalt, null);
+
+  now += 30001;
+  assert.equal(await second.setTradingHalt({ halted: true }), true);
+  assert.equal((await reload(statePath)).tradingHalt.halted, true);
+});
+
+test('an unparseable state file is moved aside and every later call refuses to run', async () => {
+  const statePath = path.join(tempDir, 'corrupt.json');
+  await fs.writeFile(statePath, '{"trades": [');
+  const store = new FileStateStore({ statePath, now: () => 1704153600000 });
+
+  await assert.rejects(store.initialize(), /could not be loaded/);
+  await assert.rejects(store.logTrade({ symbol: 'UPRO', orderId: 'x' }), /could not be loaded/);
+  await fs.access(`${statePath}.corrupt-1704153600000`);
+  await assert.rejects(fs.access(statePath));
+});
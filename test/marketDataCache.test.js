@@ -0,0 +1,124 @@
+// test/marketDataCache.test.js - Run memo, TTL expiry, quote caching and the daily bar store top-up
+import { test } from 'node:test';
+import assert from 'node:assert/strict';
+import { MarketDataCache } from '../lib/services/marketDataCache.js';
+
+process.env.LOG_LEVEL = 'error';
+
+/**
+ * Cache with its own shared map and a hand-driven clock; the loader counts its calls and
+ * returns `limit` daily bars, most recent first
+ */
+function testCache(options = {}) {
+  let now = Date.UTC(2024, 0, 10, 15, 0);
+  const shared = new Map();
+  const make = (runOptions = {}) => new MarketDataCache({
+    shared, dailyStore: null, now: () => now, ttls: { quote: 15000, intraday: 60000, daily: 300000 }, ...options, ...runOptions
+  });
+  const calls = [];
+  const load = async limit => {
+    calls.push(limit);
+    return { data: Array.from({ length: limit }, (_, i) => ({ timestamp: `bar-${i}`, close: 100 - i })), source: 'alpaca', synthetic: false };
+  };
+  return { make, load, calls, advance: ms => { now += ms; } };
+}
+
+test('bars are fetched once per run, concurrent requests share the fetch and smaller limits are sliced', async () => {
+  const { make, load, calls } = testCache();
+  const cache = make();
+
+  const [first, second] = await Promise.all([cache.getBars('upro', 50, '1Day', load), cache.getBars('UPRO', 50, '1Day', load)]);
+  assert.deepEqual(calls, [50]);
+  assert.equal(first.data.length, 50);
+  assert.deepEqual(second, first);
+
+  const fewer = await cache.getBars('UPRO', 10, '1Day', load);
+  assert.deepEqual(fewer.data, first.data.slice(0, 10));
+  assert.deepEqual(calls, [50]);
+
+  // A longer history than the memo holds is fetched again
+  await cache.getBars('UPRO', 80, '1Day', load);
+  assert.deepEqual(calls, [50, 80]);
+  assert.equal(cache.getStats().memoHits, 2);
+});
+
+test('a later run reuses shared bars until the timeframe TTL passes', async () => {
+  const { make, load, calls, advance } = testCache();
+  await make().getBars('UPRO', 50, '15Min', load);
+  await make().getBars('UPRO', 50, '1Day', load);
+
+  advance(60000);
+  const nextRun = make();
+  await nextRun.getBars('UPRO', 50, '15Min', load);
+  await nextRun.getBars('UPRO', 50, '1Day', load);
+  assert.deepEqual(calls, [50, 50]);
+  assert.equal(nextRun.getStats().ttlHits, 2);
+
+  advance(1);
+  const lateRun = make();
+  await lateRun.getBars('UPRO', 50, '15Min', load);
+  await lateRun.getBars('UPRO', 50, '1Day', load);
+  assert.deepEqual(calls, [50, 50, 50]);
+});
+
+test('synthetic results and failed fetches are never shared', async () => {
+  const { make, calls } = testCache();
+  const synthetic = async limit => {
+    calls.push(limit);
+    return { data: [{ timestamp: 'fake', close: 1 }], source: 'generated', synthetic: true };
+  };
+  await make().getBars('UPRO', 5, '1Day', synthetic);
+  await make().getBars('UPRO', 5, '1Day', synthetic);
+  assert.equal(calls.length, 2);
+
+  const cache = make();
+  await assert.rejects(cache.getBars('SPXU', 5, '1Day', async () => { throw new Error('provider down'); }), /provider down/);
+  const { data } = await cache.getBars('SPXU', 5, '1Day', async limit => ({ data: Array(limit).fill({ close: 20 }), source: 'alpaca' }));
+  assert.equal(data.length, 5);
+});
+
+test('quotes skip the run memo and expire after the quote TTL; a TTL of 0 turns caching off', async () => {
+  const { make, advance } = testCache();
+  let fetches = 0;
+  const loadQuote = async () => ({ data: { bid: 99.9, ask: 100.1, fetch: ++fetches }, source: 'alpaca', synthetic: false });
+
+  const cache = make();
+  const [first, second] = await Promise.all([cache.getQuote('UPRO', loadQuote), cache.getQuote('UPRO', loadQuote)]);
+  assert.equal(fetches, 1);
+  assert.deepEqual(second, first);
+
+  advance(15001);
+  assert.equal((await cache.getQuote('UPRO', loadQuote)).data.fetch, 2);
+
+  const uncached = make({ ttls: { quote: 0 } });
+  await uncached.getQuote('UPRO', loadQuote);
+  await uncached.getQuote('UPRO', loadQuote);
+  assert.equal(fetches, 4);
+});
+
+const dailyBar = (date, close) => ({ timestamp: `${date}T00:00:00.000Z`, open: close, high: close, low: close, close, volume: 0 });
+
+test('with a daily store only the sessions since the last stored one are fetched, and completed ones are saved', async () => {
+  const saved = [];
+  const dailyStore = {
+    async getBars() {
+      return ['2024-01-02', '2024-01-03', '2024-01-04', '2024-01-05', '2024-01-08'].map((date, i) => dailyBar(date, 90 + i));
+    },
+    async saveBars(symbol, timeframe, bars) { saved.push(...bars.map(bar => bar.timestamp.slice(0, 10))); }
+  };
+  const { make } = testCache({ dailyStore });
+
+  const requested = [];
+  // Provider bars are most recent first; 2024-01-10 is the session still forming
+  const load = async limit => {
+    requested.push(limit);
+    return { data: ['2024-01-10', '2024-01-09', '2024-01-08', '2024-01-05'].map(date => dailyBar(date, 100)), source: 'alpaca' };
+  };
+
+  const { data } = await make().getBars('UPRO', 6, '1Day', load);
+  // 2024-01-09, the forming session and two sessions overlapping the store
+  assert.deepEqual(requested, [4]);
+  assert.deepEqual(data.map(bar => bar.timestamp.slice(0, 10)),
+    ['2024-01-10', '2024-01-09', '2024-01-08', '2024-01-05', '2024-01-04', '2024-01-03']);
+  assert.deepEqual(saved, ['2024-01-09']);
+});
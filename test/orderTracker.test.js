@@ -0,0 +1,140 @@
+// test/orderTracker.test.js - Order lifecycle states, fill polling and reconciling orders left working by a run
+import { test } from 'node:test';
+import assert from 'node:assert/strict';
+import { OrderTracker, describeOrder, hasWorkingOrder, normalizeOrderStatus } from '../lib/brokers/orderTracker.js';
+import { SimulatedBroker } from '../lib/brokers/simulatedBroker.js';
+import { FileStateStore } from '../lib/state/fileStateStore.js';
+import { PositionExitManager } from '../lib/PositionExitManager.js';
+
+process.env.LOG_LEVEL = 'error';
+
+test('broker statuses map onto the five lifecycle states', () => {
+  assert.equal(normalizeOrderStatus('accepted'), 'new');
+  assert.equal(normalizeOrderStatus('held'), 'new');
+  assert.equal(normalizeOrderStatus('partially_filled'), 'partially_filled');
+  assert.equal(normalizeOrderStatus('filled'), 'filled');
+  assert.equal(normalizeOrderStatus('expired'), 'cancelled');
+  assert.equal(normalizeOrderStatus('done_for_day'), 'cancelled');
+  assert.equal(normalizeOrderStatus('rejected'), 'rejected');
+
+  assert.deepEqual(describeOrder({ id: 'o1', status: 'partially_filled', filled_qty: '4', filled_avg_price: '100.5' }), {
+    id: 'o1', status: 'partially_filled', brokerStatus: 'partially_filled', final: false,
+    filledQty: 4, filledAvgPrice: 100.5, filledAt: null
+  });
+  // A price without a filled quantity is not a fill
+  assert.equal(describeOrder({ id: 'o2', status: 'canceled', filled_qty: '0', filled_avg_price: '99' }).filledAvgPrice, null);
+
+  assert.equal(hasWorkingOrder({ metadata: { entryOrder: { final: false } } }), true);
+  assert.equal(hasWorkingOrder({ metadata: { entryOrder: { final: true } } }), false);
+  assert.equal(hasWorkingOrder({ metadata: { pendingExit: { orderId: 'o3' } } }), true);
+  assert.equal(hasWorkingOrder(null), false);
+});
+
+test('waitForFinalState polls until the order is final or the wait runs out', async () => {
+  const statuses = ['new', 'partially_filled', 'filled'];
+  let polls = 0;
+  const broker = {
+    async getOrder(id) {
+      const status = statuses[Math.min(polls++, statuses.length - 1)];
+      return { id, status, filled_qty: status === 'filled' ? '10' : '0', filled_avg_price: '100' };
+    }
+  };
+
+  const filled = await new OrderTracker(broker, { pollIntervalMs: 1, timeoutMs: 1000 }).waitForFinalState('o1');
+  assert.equal(filled.status, 'filled');
+  assert.equal(polls, 3);
+
+  polls = 0;
+  const once = await new OrderTracker(broker, { pollIntervalMs: 1 }).waitForFinalState('o1', 0);
+  assert.equal(once.final, false);
+  assert.equal(polls, 1);
+});
+
+/**
+ * Exit manager over a simulated broker whose orders take a minute to fill, on a hand-driven
+ * clock, and a memory state store
+ */
+function delayedBroker() {
+  let now = Date.UTC(2024, 0, 2, 15, 0);
+  const broker = new SimulatedBroker({ initialCapital: 100000, latencyMs: 60000, now: () => now });
+  broker.setQuote('UPRO', { bid: 99.9, ask: 100.1 });
+  const stateStore = new FileStateStore({ statePath: null });
+  const manager = new PositionExitManager(broker, { stateStore, fillWaitMs: 0, enableLogging: false });
+  return { broker, stateStore, manager, advance: ms => { now += ms; } };
+}
+
+test('an exit still working at the end of a run is booked with its real fill on the next run', async () => {
+  const { broker, stateStore, manager, advance } = delayedBroker();
+  const entry = await broker.submitOrder({ symbol: 'UPRO', qty: 10, side: 'buy', type: 'market' });
+  advance(60000);
+  await stateStore.logTrade({ symbol: 'UPRO', side: 'buy', quantity: 10, price: 100.1, orderId: entry.id, status: 'FILLED' });
+  await manager.positionStorage.storePositionLevels('UPRO', {
+    stopLoss: 95, takeProfit: 110, entryPrice: 100.1, side: 'long', quantity: 10, orderId: entry.id
+  });
+
+  const [position] = await broker.getPositions();
+  const pending = await manager.executeExitOrder(position, 'take_profit', await manager.positionStorage.getPositionLevels('UPRO'));
+  assert.equal(pending.status, 'pending');
+  assert.equal((await manager.positionStorage.getPositionLevels('UPRO')).metadata.pendingExit.orderId, pending.orderId);
+
+  // Still working: nothing to book yet
+  assert.deepEqual((await manager.reconcileOrderFills(await broker.getPositions())).exits, []);
+
+  broker.setQuote('UPRO', { bid: 110.5, ask: 110.7 });
+  advance(60000);
+  const { exits: [exit] } = await manager.reconcileOrderFills(await broker.getPositions());
+  assert.equal(exit.reconciled, true);
+  assert.equal(exit.exitType, 'take_profit');
+  assert.equal(exit.exitPrice, 110.5);
+  assert.equal(exit.quantity, 10);
+  assert.ok(Math.abs(exit.realizedPL - (110.5 - 100.1) * 10) < 1e-9);
+
+  const trade = stateStore.tradesByOrderId.get(entry.id);
+  assert.equal(trade.status, 'CLOSED');
+  assert.equal(trade.exitPrice, 110.5);
+  assert.equal(trade.pnl, 104);
+  assert.equal(trade.remainingQty, 0);
+  assert.equal(await manager.positionStorage.getPositionLevels('UPRO'), null);
+});
+
+/**
+ * Store levels for a resting UPRO limit entry the way TradingPositionManager does
+ */
+async function workingEntry(broker, stateStore, manager) {
+  const entry = await broker.submitOrder({ symbol: 'UPRO', qty: 10, side: 'buy', type: 'limit', limit_price: 99 });
+  await stateStore.logTrade({ symbol: 'UPRO', side: 'buy', quantity: 10, price: 99, orderId: entry.id });
+  await manager.positionStorage.storePositionLevels('UPRO', {
+    stopLoss: 95, takeProfit: 110, entryPrice: 99, side: 'long', quantity: 10, orderId: entry.id,
+    metadata: { entryOrder: describeOrder(entry) }
+  });
+  return entry;
+}
+
+test('a filled entry updates the stored entry price and quantity from the fill', async () => {
+  const { broker, stateStore, manager, advance } = delayedBroker();
+  const entry = await workingEntry(broker, stateStore, manager);
+
+  advance(60000);
+  assert.deepEqual((await manager.reconcileOrderFills([])).entries, []);
+
+  broker.setQuote('UPRO', { bid: 98.4, ask: 98.5 });
+  const { entries: [update] } = await manager.reconcileOrderFills(await broker.getPositions());
+  assert.deepEqual(update, { symbol: 'UPRO', orderId: entry.id, status: 'filled', filledQty: 10, filledAvgPrice: 98.5, removed: false });
+
+  const levels = await manager.positionStorage.getPositionLevels('UPRO');
+  assert.equal(levels.entryPrice, 98.5);
+  assert.equal(levels.quantity, 10);
+  assert.equal(levels.metadata.entryOrder.final, true);
+});
+
+test('an entry cancelled without a fill drops its levels and marks the trade cancelled', async () => {
+  const { broker, stateStore, manager } = delayedBroker();
+  const entry = await workingEntry(broker, stateStore, manager);
+
+  await broker.cancelOrder(entry.id);
+  const { entries: [update] } = await manager.reconcileOrderFills([]);
+  assert.equal(update.removed, true);
+  assert.equal(update.status, 'cancelled');
+  assert.equal(await manager.positionStorage.getPositionLevels('UPRO'), null);
+  assert.equal(stateStore.tradesByOrderId.get(entry.id).status, 'CANCELLED');
+});
@@ -0,0 +1,111 @@
+// test/positionReconciler.test.js - Broker / PositionLevels / Trades reconciliation report and auto-fix
+import { test } from 'node:test';
+import assert from 'node:assert/strict';
+import { PositionReconciler } from '../lib/PositionReconciler.js';
+import { PositionStorage } from '../lib/utils/positionStorage.js';
+import { FileStateStore } from '../lib/state/fileStateStore.js';
+
+process.env.LOG_LEVEL = 'error';
+
+/**
+ * Daily bars, oldest first, with a constant close and a 2.00 high-low range, so ATR is 2
+ */
+function flatBars(close, count) {
+  return Array.from({ length: count }, (_, i) => ({
+    timestamp: new Date(Date.UTC(2024, 0, i + 1)).toISOString(),
+    open: close, high: close + 1, low: close - 1, close
+  }));
+}
+
+/**
+ * Broker holding an unprotected UPRO long and an SPXU short whose stored quantity has drifted,
+ * levels left behind for TQQQ and for a QQQ entry still filling, and Trades rows to match
+ */
+async function driftedAccount() {
+  const broker = {
+    async getPositions() {
+      return [
+        { symbol: 'UPRO', qty: '10', avg_entry_price: '100', current_price: '104' },
+        { symbol: 'SPXU', qty: '-5', avg_entry_price: '20', current_price: '19' }
+      ];
+    },
+    async getOrders() {
+      return [{ id: 'soxl-entry', symbol: 'SOXL', status: 'new' }];
+    },
+    async getHistoricalData(symbol, timeframe, limit) {
+      return flatBars(104, limit);
+    }
+  };
+
+  const stateStore = new FileStateStore({ statePath: null });
+  const positionStorage = new PositionStorage({ stateStore, enableLogging: false });
+  await positionStorage.storePositionLevels('SPXU', { stopLoss: 21, takeProfit: 17, side: 'short', quantity: 8, orderId: 'spxu-entry' });
+  await positionStorage.storePositionLevels('TQQQ', { stopLoss: 40, takeProfit: 60, side: 'long', quantity: 3, orderId: 'tqqq-entry' });
+  await positionStorage.storePositionLevels('QQQ', {
+    stopLoss: 380, takeProfit: 420, side: 'long', quantity: 2, orderId: 'qqq-entry',
+    metadata: { entryOrder: { id: 'qqq-entry', status: 'new', final: false } }
+  });
+
+  for (const [symbol, orderId] of [['SPXU', 'spxu-entry'], ['TQQQ', 'tqqq-entry'], ['QQQ', 'qqq-entry'], ['SOXL', 'soxl-entry']]) {
+    await stateStore.logTrade({ symbol, side: 'buy', quantity: 1, price: 10, orderId });
+  }
+
+  const reconciler = new PositionReconciler(broker, { stateStore, positionStorage });
+  return { reconciler, stateStore, positionStorage };
+}
+
+test('every disagreement is reported and nothing is changed without autoFix', async () => {
+  const { reconciler, positionStorage } = await driftedAccount();
+  const report = await reconciler.reconcile();
+
+  assert.deepEqual(report.issues.unprotectedPositions, [
+    { symbol: 'UPRO', side: 'long', quantity: 10, avgEntryPrice: 100, currentPrice: 104 }
+  ]);
+  assert.deepEqual(report.issues.quantityMismatches, [{ symbol: 'SPXU', brokerQuantity: 5, storedQuantity: 8 }]);
+  // The QQQ entry is still filling, so its levels and trade are left to the exit manager
+  assert.deepEqual(report.issues.orphanedLevels.map(issue => issue.symbol), ['TQQQ']);
+  // SOXL's entry order is still open at the broker
+  assert.deepEqual(report.issues.staleTrades.map(issue => issue.orderId), ['tqqq-entry']);
+  assert.equal(report.summary.issues, 4);
+  assert.deepEqual(report.fixes, []);
+
+  assert.ok(await positionStorage.getPositionLevels('TQQQ'));
+  assert.equal((await positionStorage.getPositionLevels('SPXU')).quantity, 8);
+});
+
+test('autoFix stores ATR levels, removes orphans, corrects quantities and closes stale rows', async () => {
+  const { reconciler, stateStore, positionStorage } = await driftedAccount();
+  const report = await reconciler.reconcile({ autoFix: true });
+
+  assert.deepEqual(report.errors, []);
+  assert.deepEqual(report.fixes.map(fix => [fix.type, fix.symbol, fix.action]), [
+    ['unprotected_position', 'UPRO', 'levels_stored'],
+    ['orphaned_levels', 'TQQQ', 'levels_removed'],
+    ['quantity_mismatch', 'SPXU', 'quantity_updated'],
+    ['stale_trade', 'TQQQ', 'trade_closed']
+  ]);
+
+  // 2 ATR below and 3 ATR above the current price
+  const upro = await positionStorage.getPositionLevels('UPRO');
+  assert.equal(upro.stopLoss, 100);
+  assert.equal(upro.takeProfit, 110);
+  assert.equal(upro.quantity, 10);
+  assert.equal(upro.metadata.reconciled, true);
+
+  assert.equal(await positionStorage.getPositionLevels('TQQQ'), null);
+  assert.equal((await positionStorage.getPositionLevels('SPXU')).quantity, 5);
+  assert.equal(stateStore.tradesByOrderId.get('tqqq-entry').status, 'CLOSED');
+  assert.equal(stateStore.tradesByOrderId.get('tqqq-entry').remainingQty, 0);
+
+  const rerun = await reconciler.reconcile();
+  assert.equal(rerun.summary.issues, 0);
+});
+
+test('a fix that fails is reported without stopping the others', async () => {
+  const { reconciler } = await driftedAccount();
+  reconciler.alpaca.getHistoricalData = async () => flatBars(104, 5);
+
+  const report = await reconciler.reconcile({ autoFix: true });
+  assert.deepEqual(report.errors, [{ type: 'unprotected_position', symbol: 'UPRO', error: 'Insufficient data for ATR calculation' }]);
+  assert.equal(report.fixes.length, 3);
+});
@@ -0,0 +1,169 @@
+// test/rateLimiter.test.js - Fixed-window provider quotas and their persisted counters
+import { test } from 'node:test';
+import assert from 'node:assert/strict';
+import { RateLimiter } from '../lib/services/rateLimiter.js';
+import { incrementedRateLimitUsage } from '../lib/state/stateStore.js';
+
+process.env.LOG_LEVEL = 'error';
+
+/**
+ * State store stub keeping rate limit usage in a plain object and counting its reads and writes
+ */
+function memoryStore(usage = {}) {
+  return {
+    enabled: true,
+    usage,
+    reads: 0,
+    increments: [],
+    async getRateLimitUsage() {
+      this.reads++;
+      return this.usage;
+    },
+    async setRateLimitUsage(source, value) {
+      this.usage[source] = value;
+      return true;
+    },
+    async incrementRateLimitUsage(source, windowStart, count) {
+      this.increments.push([source, windowStart, count]);
+      this.usage[source] = incrementedRateLimitUsage(this.usage[source], windowStart, count);
+      return this.usage[source];
+    }
+  };
+}
+
+function limiter(options = {}) {
+  let now = Date.UTC(2024, 0, 2, 15, 0, 30);
+  const rateLimiter = new RateLimiter({
+    limits: { finnhub: { limit: 2, window: 'minute' }, alphaVantage: { limit: 25, window: 'day' } },
+    now: () => now,
+    ...options
+  });
+  return { rateLimiter, advance: ms => { now += ms; } };
+}
+
+test('calls are allowed until the window quota is used, then again in the next window', async () => {
+  const { rateLimiter, advance } = limiter();
+
+  assert.equal(await rateLimiter.canCall('finnhub'), true);
+  await rateLimiter.recordAttempt('finnhub');
+  await rateLimiter.recordAttempt('finnhub');
+  assert.equal(await rateLimiter.canCall('finnhub'), false);
+  assert.deepEqual(rateLimiter.getStatus('finnhub'), {
+    calls: 2,
+    limit: 2,
+    remaining: 0,
+    window: 'minute',
+    windowStart: '2024-01-02T15:00:00.000Z',
+    resetTime: '2024-01-02T15:01:00.000Z'
+  });
+
+  advance(30000);
+  assert.equal(await rateLimiter.canCall('finnhub'), true);
+  assert.equal(rateLimiter.getStatus('finnhub').calls, 0);
+});
+
+test('windows are aligned to UTC, so a day quota resets at midnight', async () => {
+  const { rateLimiter } = limiter();
+  await rateLimiter.recordAttempt('alphaVantage');
+  assert.equal(rateLimiter.getStatus('alphaVantage').windowStart, '2024-01-02T00:00:00.000Z');
+  assert.equal(rateLimiter.getStatus('alphaVantage').resetTime, '2024-01-03T00:00:00.000Z');
+});
+
+test('sources without a configured limit are never called', async () => {
+  const { rateLimiter } = limiter();
+  assert.equal(await rateLimiter.canCall('yahooFinance'), false);
+  await rateLimiter.recordAttempt('yahooFinance');
+});
+
+test('stored usage of the current window is shared between instances', async () => {
+  const store = memoryStore();
+  const earlier = limiter({ stateStore: store }).rateLimiter;
+  await earlier.recordAttempt('finnhub');
+  await earlier.persistUsage();
+  assert.deepEqual(store.usage.finnhub, { windowStart: '2024-01-02T15:00:00.000Z', calls: 1 });
+
+  const { rateLimiter } = limiter({ stateStore: store });
+  await rateLimiter.recordAttempt('finnhub');
+  assert.equal(await rateLimiter.canCall('finnhub'), false);
+  await rateLimiter.persistUsage();
+  assert.equal(store.usage.finnhub.calls, 2);
+  assert.equal(store.reads, 2);
+});
+
+test('instances that loaded the same count add to it instead of overwriting each other', async () => {
+  const store = memoryStore();
+  const first = limiter({ stateStore: store }).rateLimiter;
+  const second = limiter({ stateStore: store }).rateLimiter;
+  assert.equal(await first.canCall('finnhub'), true);
+  assert.equal(await second.canCall('finnhub'), true);
+
+  await first.recordAttempt('finnhub');
+  await second.recordAttempt('finnhub');
+  await first.persistUsage();
+  await second.persistUsage();
+
+  assert.equal(store.usage.finnhub.calls, 2);
+  assert.equal(await second.canCall('finnhub'), false);
+});
+
+test('a run reads the store once and writes each source once, however many calls it makes', async () => {
+  const store = memoryStore();
+  const { rateLimiter } = limiter({ stateStore: store });
+
+  for (let i = 0; i < 20; i++) {
+    await rateLimiter.canCall('alphaVantage');
+    await rateLimiter.recordAttempt('alphaVantage');
+  }
+  await rateLimiter.canCall('finnhub');
+  await rateLimiter.recordAttempt('finnhub');
+  assert.deepEqual(store.increments, []);
+
+  await rateLimiter.persistUsage();
+  assert.equal(store.reads, 1);
+  assert.deepEqual(store.increments, [
+    ['alphaVantage', '2024-01-02T00:00:00.000Z', 20],
+    ['finnhub', '2024-01-02T15:00:00.000Z', 1]
+  ]);
+
+  // Nothing new to add
+  await rateLimiter.persistUsage();
+  assert.equal(store.increments.length, 2);
+});
+
+test('calls on both sides of a window boundary are stored against their own windows', async () => {
+  const store = memoryStore();
+  const { rateLimiter, advance } = limiter({ stateStore: store });
+
+  await rateLimiter.recordAttempt('finnhub');
+  advance(30000);
+  await rateLimiter.recordAttempt('finnhub');
+  await rateLimiter.persistUsage();
+
+  assert.deepEqual(store.increments, [
+    ['finnhub', '2024-01-02T15:00:00.000Z', 1],
+    ['finnhub', '2024-01-02T15:01:00.000Z', 1]
+  ]);
+  assert.equal(rateLimiter.getStatus('finnhub').calls, 1);
+});
+
+test('stored usage from an earlier window is ignored', async () => {
+  const store = memoryStore({ finnhub: { windowStart: '2024-01-02T14:59:00.000Z', calls: '2' } });
+  const { rateLimiter } = limiter({ stateStore: store });
+  assert.equal(await rateLimiter.canCall('finnhub'), true);
+});
+
+test('an unreadable store falls back to counting in memory', async () => {
+  const store = { enabled: true, getRateLimitUsage: async () => { throw new Error('sheet unavailable'); }, incrementRateLimitUsage: async () => null };
+  const { rateLimiter } = limiter({ stateStore: store });
+
+  await rateLimiter.recordAttempt('finnhub');
+  assert.equal(await rateLimiter.canCall('finnhub'), true);
+  await rateLimiter.persistUsage();
+  await rateLimiter.recordAttempt('finnhub');
+  assert.equal(await rateLimiter.canCall('finnhub'), false);
+});
+
+test('an unknown window is rejected', () => {
+  assert.throws(() => new RateLimiter({ limits: { finnhub: { limit: 60, window: 'week' } } }),
+    /Unknown rate limit window for finnhub: week/);
+});
@@ -0,0 +1,174 @@
+// test/regimeRotation.test.js - Regime flip confirmation and the pipeline's sell-then-buy rotation
+import { test } from 'node:test';
+import assert from 'node:assert/strict';
+import { SignalExecutionPipeline } from '../lib/SignalExecutionPipeline.js';
+import { RegimeDetectionStrategy } from '../lib/strategies/regimeDetection.js';
+import { SimulatedBroker } from '../lib/brokers/simulatedBroker.js';
+import { MarketDataService } from '../lib/services/marketDataService.js';
+import { MarketDataCache } from '../lib/services/marketDataCache.js';
+
+process.env.LOG_LEVEL = 'error';
+
+const regimeState = { baseSymbol: 'SPY', regime: 'bull', strategyName: 'SPY_RegimeDetection' };
+
+function rotationSignal() {
+  return {
+    symbol: 'UPRO',
+    side: 'buy',
+    reason: 'SPY_regime_change_to_bull',
+    currentPrice: 50,
+    positionSize: 0.03,
+    rotateFrom: 'SPXU',
+    regimeState
+  };
+}
+
+/**
+ * Pipeline whose exit manager returns `exit` for the old leg and whose entry step returns
+ * `entry`; every call is recorded in `events` in the order it happened
+ */
+function rotationPipeline({ exit, entry }) {
+  const events = [];
+  const pipeline = new SignalExecutionPipeline({
+    exitManager: {
+      async closeSymbol(symbol, exitType) {
+        events.push(['sell', symbol, exitType]);
+        return exit;
+      }
+    },
+    stateStore: {
+      async logTrade(trade) { events.push(['logTrade', trade.symbol, trade.type, trade.rotationId]); },
+      async storeRegimeState(state) { events.push(['storeRegimeState', state.regime]); }
+    },
+    now: () => Date.UTC(2024, 0, 2)
+  });
+  pipeline.processSignal = async signal => {
+    events.push(['buy', signal.symbol, signal.rotationId, 'rotateFrom' in signal, 'regimeState' in signal]);
+    return { symbol: signal.symbol, side: 'buy', quantity: 60, status: 'executed', ...entry };
+  };
+  return { pipeline, events };
+}
+
+const context = { strategyName: 'SPY_RegimeDetection', baseSymbol: 'SPY' };
+
+test('the old leg is sold before the new one is bought, both under one rotation id', async () => {
+  const { pipeline, events } = rotationPipeline({ exit: { symbol: 'SPXU', quantity: 40, status: 'executed' } });
+  const result = await pipeline.processRotation(rotationSignal(), context);
+
+  const rotationId = 'SPY_RegimeDetection-SPXU-UPRO-1704153600000';
+  assert.deepEqual(events, [
+    ['sell', 'SPXU', 'regime_rotation'],
+    ['logTrade', 'SPXU', 'exit', rotationId],
+    ['storeRegimeState', 'bull'],
+    ['buy', 'UPRO', rotationId, false, false]
+  ]);
+  assert.equal(result.status, 'executed');
+  assert.equal(result.rotation.rotationId, rotationId);
+  assert.equal(result.rotation.fromSymbol, 'SPXU');
+  assert.equal(result.rotation.toSymbol, 'UPRO');
+  assert.equal(result.rotation.exit.rotationId, rotationId);
+});
+
+test('a failed sale aborts the rotation without buying or storing the regime', async () => {
+  const { pipeline, events } = rotationPipeline({ exit: { symbol: 'SPXU', status: 'failed' } });
+  const result = await pipeline.processRotation(rotationSignal(), context);
+
+  assert.deepEqual(events, [['sell', 'SPXU', 'regime_rotation']]);
+  assert.equal(result.status, 'failed');
+  assert.deepEqual(result.reasons, ['rotation_exit_failed']);
+  assert.equal(result.quantity, 0);
+});
+
+test('the regime is stored once the old leg is out, even when the entry is skipped', async () => {
+  const pending = rotationPipeline({
+    exit: { symbol: 'SPXU', status: 'pending' },
+    entry: { quantity: 0, status: 'skipped', reasons: ['triplet_exposure_limit'] }
+  });
+  const skipped = await pending.pipeline.processRotation(rotationSignal(), context);
+  assert.equal(skipped.status, 'skipped');
+  assert.ok(pending.events.some(([event]) => event === 'storeRegimeState'));
+  assert.ok(!pending.events.some(([event]) => event === 'logTrade'));
+
+  // Nothing held in the old leg
+  const flat = rotationPipeline({ exit: null });
+  await flat.pipeline.processRotation(rotationSignal(), context);
+  assert.deepEqual(flat.events.map(([event]) => event), ['sell', 'storeRegimeState', 'buy']);
+});
+
+function regimeStrategy() {
+  return new RegimeDetectionStrategy({ baseSymbol: 'SPY', spyLookback: 5, minConfirmationDays: 3, stateStore: {} });
+}
+
+test('a flip is confirmed only once minConfirmationDays closes sit on the new side of their moving average', () => {
+  const strategy = regimeStrategy();
+  const flat = Array(10).fill(100);
+
+  assert.equal(strategy.confirmedRegime(flat), 'bear'); // a close on the MA is not above it
+  assert.equal(strategy.confirmedRegime([...flat, 110]), null);
+  assert.equal(strategy.confirmedRegime([...flat, 110, 111]), null);
+  assert.equal(strategy.confirmedRegime([...flat, 110, 111, 112]), 'bull');
+  assert.equal(strategy.confirmedRegime([...flat, 110, 111, 112, 90]), null);
+});
+
+test('confirmation needs minConfirmationDays full moving-average windows', () => {
+  const strategy = regimeStrategy();
+  assert.equal(strategy.confirmedRegime([100, 101, 102, 103, 104, 105]), null);
+  assert.equal(strategy.confirmedRegime([100, 101, 102, 103, 104, 105, 106]), 'bull');
+});
+
+/**
+ * Daily bars on the weekday closes up to 2024-02-01, oldest first
+ */
+function dailyBars(closes) {
+  const sessions = [];
+  for (let day = Date.UTC(2024, 1, 1, 21); sessions.length < closes.length; day -= 86400000) {
+    const weekday = new Date(day).getUTCDay();
+    if (weekday !== 0 && weekday !== 6) sessions.unshift(new Date(day).toISOString());
+  }
+  return closes.map((close, i) => ({ timestamp: sessions[i], open: close, high: close + 1, low: close - 1, close, volume: 1000000 }));
+}
+
+/**
+ * Strategy holding `storedRegime`, run on a simulated broker whose provider answers most
+ * recent first
+ */
+function regimeRun(storedRegime, spyCloses) {
+  const spyBars = dailyBars(spyCloses);
+  const marketData = new MarketDataService({ cache: new MarketDataCache({ shared: new Map(), dailyStore: null }) });
+  marketData.fetchHistoricalData = async (symbol, limit) => ({
+    data: [...spyBars].reverse().slice(0, limit),
+    source: 'yahooFinance',
+    synthetic: false
+  });
+  const broker = new SimulatedBroker({ marketData, now: () => Date.parse(spyBars[spyBars.length - 1].timestamp) });
+  broker.setQuote('UPRO', { bid: 60, ask: 60 });
+  broker.setQuote('SPXU', { bid: 20, ask: 20 });
+
+  const strategy = new RegimeDetectionStrategy({
+    baseSymbol: 'SPY',
+    spyLookback: 5,
+    minConfirmationDays: 3,
+    stateStore: {
+      async initializeRegimeStateSheet() {},
+      async getRegimeState() { return { regime: storedRegime, changeDate: '2024-01-02T21:00:00.000Z' }; }
+    }
+  });
+  return { strategy, broker, closes: spyCloses };
+}
+
+test('a flip is confirmed on the latest closes when the provider answers newest first', async () => {
+  const { strategy, broker } = regimeRun('bear', [...Array(15).fill(100), 101, 102, 103, 104, 105]);
+  const signals = await strategy.generateSignals(broker);
+
+  assert.deepEqual(signals.map(signal => [signal.symbol, signal.rotateFrom, signal.regimeState.regime]), [['UPRO', 'SPXU', 'bull']]);
+});
+
+test('rotation confidence is scored on the trend into the new regime, not the old one', async () => {
+  const { strategy, broker, closes } = regimeRun('bull', [...Array(15).fill(100), 99, 98, 97, 96, 95]);
+  const [signal] = await strategy.generateSignals(broker);
+
+  assert.equal(signal.symbol, 'SPXU');
+  // Five falling closes in a row: full trend consistency for the bear leg
+  assert.equal(signal.confidence, strategy.calculateRegimeConfidence(signal.regimeStrength, closes, 'bear'));
+  assert.ok(signal.confidence > strategy.calculateRegimeConfidence(signal.regimeStrength, closes, 'bull'));
+});
@@ -0,0 +1,292 @@
+// test/riskManager.test.js - RiskManager sizing, stop/target methods, drawdown breaker and exposure limits
+import { test } from 'node:test';
+import assert from 'node:assert/strict';
+import { RiskManager } from '../lib/utils/riskManager.js';
+import { calculateExposure } from '../lib/utils/exposure.js';
+import { FileStateStore } from '../lib/state/fileStateStore.js';
+
+process.env.LOG_LEVEL = 'error';
+
+const account = { equity: '100000' };
+
+/**
+ * 30 daily bars around a 100 close with a constant 2-point range (ATR 2), oldest first
+ */
+function flatBars(count = 30) {
+  return Array.from({ length: count }, (_, i) => ({
+    timestamp: new Date(Date.UTC(2024, 0, 2 + i)).toISOString(),
+    open: 100,
+    high: 101,
+    low: 99,
+    close: 100,
+    volume: 1000000
+  }));
+}
+
+function closedTrades(wins, losses, winPnL = 200, lossPnL = -100) {
+  return [
+    ...Array.from({ length: wins }, () => ({ pnl: String(winPnL) })),
+    ...Array.from({ length: losses }, () => ({ pnl: String(lossPnL) }))
+  ];
+}
+
+function riskManager(config = {}, { bars = flatBars(), trades = [] } = {}) {
+  return new RiskManager({ maxPositionSize: 0.5, ...config }, {
+    marketData: { getHistoricalData: async () => bars },
+    stateStore: { getClosedTrades: async () => trades }
+  });
+}
+
+function buySignal(overrides = {}) {
+  return { symbol: 'UPRO', side: 'buy', currentPrice: 100, positionSize: 0.1, ...overrides };
+}
+
+test('fixed_fraction sizes at signal.positionSize of equity', async () => {
+  const adjusted = await riskManager().adjustSignal(buySignal(), account, []);
+  assert.equal(adjusted.sizingMode, 'fixed_fraction');
+  assert.equal(adjusted.quantity, 100);
+});
+
+test('fixed_risk loses riskPerTrade of equity at the stop', async () => {
+  const adjusted = await riskManager({ sizing: { mode: 'fixed_risk', riskPerTrade: 0.01 } }).adjustSignal(buySignal(), account, []);
+  assert.equal(adjusted.sizingMode, 'fixed_risk');
+  // $1,000 at risk over a 3% ($3) stop
+  assert.equal(adjusted.quantity, 333);
+});
+
+test('atr sizes so one ATR move costs volatilityTarget of equity', async () => {
+  const adjusted = await riskManager({ sizing: { mode: 'atr', volatilityTarget: 0.005 } }).adjustSignal(buySignal(), account, []);
+  assert.equal(adjusted.sizingMode, 'atr');
+  // $500 per ATR of 2
+  assert.equal(adjusted.quantity, 250);
+});
+
+test('atr falls back to fixed_fraction without enough bars', async () => {
+  const manager = riskManager({ sizing: { mode: 'atr' } }, { bars: flatBars(5) });
+  const adjusted = await manager.adjustSignal(buySignal(), account, []);
+  assert.equal(adjusted.sizingMode, 'fixed_fraction');
+  assert.equal(adjusted.quantity, 100);
+});
+
+test('kelly sizes at kellyFraction of the Kelly fraction from closed trades', async () => {
+  // 60% winners paying 2:1 give f* = 0.6 - 0.4 / 2 = 0.4; half Kelly is 20% of equity
+  const manager = riskManager({ sizing: { mode: 'kelly' } }, { trades: closedTrades(12, 8) });
+  const adjusted = await manager.adjustSignal(buySignal(), account, [], { strategyName: 'S1' });
+  assert.equal(adjusted.sizingMode, 'kelly');
+  assert.equal(adjusted.quantity, 200);
+});
+
+test('kelly falls back to fixed_fraction on short history and skips a strategy with no edge', async () => {
+  const shortHistory = riskManager({ sizing: { mode: 'kelly' } }, { trades: closedTrades(3, 2) });
+  assert.equal((await shortHistory.adjustSignal(buySignal(), account, [])).sizingMode, 'fixed_fraction');
+
+  const noEdge = riskManager({ sizing: { mode: 'kelly' } }, { trades: closedTrades(5, 15, 100, -100) });
+  assert.equal(await noEdge.adjustSignal(buySignal(), account, []), null);
+});
+
+test('per-strategy sizing overrides the configured mode', async () => {
+  const manager = riskManager({ sizing: { mode: 'fixed_fraction' } });
+  const adjusted = await manager.adjustSignal(buySignal(), account, [], { sizing: { mode: 'fixed_risk', riskPerTrade: 0.005 } });
+  assert.equal(adjusted.sizingMode, 'fixed_risk');
+  assert.equal(adjusted.quantity, 166);
+});
+
+test('every mode is capped by maxPositionSize and floored by minPositionSize', async () => {
+  const capped = await riskManager({ maxPositionSize: 0.05 }).adjustSignal(buySignal(), account, []);
+  assert.equal(capped.quantity, 50);
+
+  assert.equal(await riskManager().adjustSignal(buySignal({ positionSize: 0.0005 }), account, []), null);
+});
+
+test('an unknown sizing mode is rejected', async () => {
+  await assert.rejects(riskManager({ sizing: { mode: 'martingale' } }).adjustSignal(buySignal(), account, []),
+    /Unknown position sizing mode: martingale/);
+});
+
+function assertClose(actual, expected) {
+  assert.ok(Math.abs(actual - expected) < 1e-9, `${actual} is not ${expected}`);
+}
+
+test('percent levels sit stopLossPercent and takeProfitPercent from the price on either side', async () => {
+  const manager = riskManager({ stopLossPercent: 0.03, takeProfitPercent: 0.06 });
+
+  const long = await manager.adjustSignal(buySignal(), account, []);
+  assertClose(long.stopLoss, 97);
+  assertClose(long.takeProfit, 106);
+  assert.deepEqual(long.levelMethod, { stop: 'percent', target: 'percent' });
+
+  const short = await manager.adjustSignal(buySignal({ side: 'sell' }), account, []);
+  assertClose(short.stopLoss, 103);
+  assertClose(short.takeProfit, 94);
+});
+
+test('atr stops sit atrStopMultiplier ATRs away and rr targets a multiple of the stop distance', async () => {
+  const manager = riskManager({ levels: { stopMethod: 'atr', atrStopMultiplier: 2, targetMethod: 'rr', rewardRisk: 2 } });
+  const adjusted = await manager.adjustSignal(buySignal(), account, []);
+  assertClose(adjusted.stopLoss, 96);
+  assertClose(adjusted.takeProfit, 108);
+  assert.equal(adjusted.levelMethod.atr, 2);
+  assert.equal(adjusted.levelMethod.rewardRisk, 2);
+});
+
+test('swing stops sit just beyond the lowest low of the lookback', async () => {
+  const bars = flatBars();
+  bars[27] = { ...bars[27], low: 95 };
+  bars[9] = { ...bars[9], low: 90 }; // outside the 10-bar lookback
+  const manager = riskManager({ levels: { stopMethod: 'swing', swingLookback: 10, swingBufferPercent: 0.002 } }, { bars });
+
+  const adjusted = await manager.adjustSignal(buySignal(), account, []);
+  assertClose(adjusted.stopLoss, 95 * 0.998);
+  assert.equal(adjusted.levelMethod.swingLevel, 95);
+});
+
+test('atr and swing stops fall back to the percent stop, recording why', async () => {
+  const noBars = riskManager({ levels: { stopMethod: 'atr' } }, { bars: [] });
+  const atr = await noBars.adjustSignal(buySignal(), account, []);
+  assertClose(atr.stopLoss, 97);
+  assert.equal(atr.levelMethod.stop, 'percent');
+  assert.equal(atr.levelMethod.requestedStop, 'atr');
+  assert.equal(atr.levelMethod.fallbackReason, 'atr_unavailable');
+
+  // Bar lows at 99 are above a 90 entry, so no swing stop exists below it
+  const swing = await riskManager({ levels: { stopMethod: 'swing' } }).adjustSignal(buySignal({ currentPrice: 90 }), account, []);
+  assertClose(swing.stopLoss, 87.3);
+  assert.equal(swing.levelMethod.fallbackReason, 'swing_level_beyond_price');
+});
+
+test('per-strategy levels override the configured methods', async () => {
+  const manager = riskManager({ levels: { stopMethod: 'percent', targetMethod: 'percent' } });
+  const adjusted = await manager.adjustSignal(buySignal(), account, [], { levels: { targetMethod: 'rr', rewardRisk: 3 } });
+  assertClose(adjusted.takeProfit, 109);
+  assert.equal(adjusted.levelMethod.target, 'rr');
+});
+
+test('unknown stop and target methods are rejected', async () => {
+  await assert.rejects(riskManager({ levels: { stopMethod: 'chandelier' } }).adjustSignal(buySignal(), account, []),
+    /Unknown stop loss method: chandelier/);
+  await assert.rejects(riskManager({ levels: { targetMethod: 'fib' } }).adjustSignal(buySignal(), account, []),
+    /Unknown take profit method: fib/);
+});
+
+/**
+ * In-memory state store holding the equity high-water mark, starting from `equityState`
+ */
+function equityStore(equityState = {}) {
+  const store = new FileStateStore({ statePath: null, now: () => Date.UTC(2024, 0, 2) });
+  store.equityState = { ...store.equityState, ...equityState };
+  return store;
+}
+
+function breaker(config, store) {
+  return new RiskManager({ maxDrawdown: 0.1, ...config }, { stateStore: store });
+}
+
+test('the drawdown breaker trips at maxDrawdown below the high-water mark and holds until reset', async () => {
+  const store = equityStore({ highWaterMark: 100000 });
+  const manager = breaker({}, store);
+
+  const clear = await manager.checkDrawdownCircuitBreaker({ equity: '91000' });
+  assert.equal(clear.tripped, false);
+  assertClose(clear.drawdown, 0.09);
+
+  const tripped = await manager.checkDrawdownCircuitBreaker({ equity: '90000' });
+  assert.equal(tripped.tripped, true);
+  assert.equal(tripped.justTripped, true);
+  assert.equal(tripped.reason, 'max_drawdown_exceeded');
+  assert.equal((await store.getEquityState()).breakerTripped, true);
+  assertClose((await store.getEquityState()).trippedDrawdown, 0.1);
+
+  // Without drawdownRecovery only a reset re-arms it, however far equity recovers
+  const held = await manager.checkDrawdownCircuitBreaker({ equity: '99000' });
+  assert.equal(held.tripped, true);
+  assert.equal(held.justTripped, false);
+
+  // /api/emergency-stop reset_drawdown restarts the high-water mark at current equity
+  await store.setEquityState({ highWaterMark: 99000, breakerTripped: false, trippedAt: null, trippedDrawdown: null });
+  const reset = await manager.checkDrawdownCircuitBreaker({ equity: '99000' });
+  assert.equal(reset.tripped, false);
+  assert.equal(reset.drawdown, 0);
+});
+
+test('with drawdownRecovery the breaker re-arms once drawdown is back within it', async () => {
+  const store = equityStore({ highWaterMark: 100000, breakerTripped: true, trippedDrawdown: 0.12 });
+  const manager = breaker({ drawdownRecovery: 0.05 }, store);
+
+  assert.equal((await manager.checkDrawdownCircuitBreaker({ equity: '94000' })).tripped, true);
+
+  const rearmed = await manager.checkDrawdownCircuitBreaker({ equity: '96000' });
+  assert.equal(rearmed.tripped, false);
+  assert.equal(rearmed.rearmed, true);
+  assert.equal((await store.getEquityState()).breakerTripped, false);
+  assert.equal((await store.getEquityState()).updatedBy, 'recovery_threshold');
+});
+
+test('the drawdown breaker fails closed when the equity state cannot be read', async () => {
+  const store = { getEquityState: async () => null };
+  const result = await breaker({}, store).checkDrawdownCircuitBreaker({ equity: '100000' });
+  assert.equal(result.tripped, true);
+  assert.equal(result.reason, 'equity_state_unavailable');
+});
+
+// $100k equity holding $20k of UPRO (3x SPY bull), opened by SPY_Momentum, and $5k of SPXU
+const heldExposure = calculateExposure([
+  { symbol: 'UPRO', qty: '200', market_value: '20000' },
+  { symbol: 'SPXU', qty: '500', market_value: '5000' }
+], new Map([['UPRO', 'SPY_Momentum']]));
+
+function exposureCheck(config, signal, quantity, context = {}) {
+  return new RiskManager({ maxPositionSize: 0.5, ...config }).checkExposureLimits(
+    { symbol: 'UPRO', side: 'buy', currentPrice: 100, ...signal },
+    quantity,
+    { equity: 100000, exposure: heldExposure, strategyName: 'SPY_Momentum', ...context }
+  );
+}
+
+test('symbol, triplet and strategy limits downsize an entry to the headroom left in its bucket', () => {
+  const symbol = exposureCheck({ maxSymbolExposure: 0.25 }, {}, 100);
+  assert.equal(symbol.quantity, 50);
+  assert.equal(symbol.downsized, true);
+  assert.deepEqual(symbol.reasons, ['symbol_exposure_limit']);
+
+  // UPRO and SPXU both count toward SPY
+  const triplet = exposureCheck({ maxTripletExposure: 0.28 }, {}, 100);
+  assert.equal(triplet.quantity, 30);
+  assert.deepEqual(triplet.reasons, ['triplet_exposure_limit']);
+
+  const strategy = exposureCheck({ maxStrategyExposure: 0.22 }, {}, 100);
+  assert.equal(strategy.quantity, 20);
+  assert.deepEqual(strategy.reasons, ['strategy_exposure_limit']);
+  // Another strategy's bucket is empty
+  assert.equal(exposureCheck({ maxStrategyExposure: 0.22 }, {}, 100, { strategyName: 'QQQ_Momentum' }).downsized, false);
+
+  // The tightest breached limit wins
+  const both = exposureCheck({ maxSymbolExposure: 0.25, maxStrategyExposure: 0.22 }, {}, 100);
+  assert.equal(both.quantity, 20);
+  assert.deepEqual(both.reasons, ['symbol_exposure_limit', 'strategy_exposure_limit']);
+});
+
+test('gross and net leverage weight positions by ETF leverage, bear ETFs counting against net', () => {
+  // Gross notional is 3 x 25k = 75k; 1x leaves 25k, or 83 shares of a 3x ETF at $100
+  const gross = exposureCheck({ maxGrossLeverage: 1 }, {}, 200);
+  assert.equal(gross.quantity, 83);
+  assert.deepEqual(gross.reasons, ['gross_leverage_limit']);
+
+  // Net notional is 3 x (20k - 5k) = 45k: more UPRO breaches a 0.5x net limit, SPXU offsets it
+  const netLong = exposureCheck({ maxNetLeverage: 0.5 }, {}, 100);
+  assert.equal(netLong.quantity, 16);
+  assert.deepEqual(netLong.reasons, ['net_leverage_limit']);
+  assert.equal(exposureCheck({ maxNetLeverage: 0.5 }, { symbol: 'SPXU' }, 100).downsized, false);
+});
+
+test('exposure breaches are rejected with the reject action or below the minimum size, and reductions pass', () => {
+  const rejected = exposureCheck({ maxSymbolExposure: 0.25, exposureLimitAction: 'reject' }, {}, 100);
+  assert.equal(rejected.allowed, false);
+  assert.equal(rejected.quantity, 0);
+  assert.equal(rejected.limits[0].key, 'UPRO');
+
+  // 0.2005 leaves $50 of headroom, under the $100 minimum
+  assert.equal(exposureCheck({ maxSymbolExposure: 0.2005 }, {}, 100).allowed, false);
+
+  const reduction = exposureCheck({ maxSymbolExposure: 0.01 }, { side: 'sell' }, 100, { currentQty: 200 });
+  assert.deepEqual(reduction, { allowed: true, quantity: 100, downsized: false, reasons: [], limits: [] });
+});
@@ -0,0 +1,70 @@
+// test/runContext.test.js - Run IDs, client order IDs and duplicate-safe order submits
+import { test } from 'node:test';
+import assert from 'node:assert/strict';
+import {
+  createRunId, isValidRunId, buildClientOrderId, isDuplicateClientOrderIdError, submitOrderOnce
+} from '../lib/utils/runContext.js';
+import { SimulatedBroker } from '../lib/brokers/simulatedBroker.js';
+
+process.env.LOG_LEVEL = 'error';
+
+test('createRunId stamps the run time and is a valid run ID', () => {
+  const runId = createRunId(Date.UTC(2024, 2, 4, 15, 0, 0));
+  assert.match(runId, /^run-20240304T150000Z-[0-9a-f]{6}$/);
+  assert.ok(isValidRunId(runId));
+  assert.notEqual(createRunId(0), createRunId(0));
+});
+
+test('isValidRunId rejects IDs that cannot go into a client_order_id', () => {
+  assert.ok(isValidRunId('gh-12345'));
+  assert.equal(isValidRunId(''), false);
+  assert.equal(isValidRunId('run 1'), false);
+  assert.equal(isValidRunId('x'.repeat(65)), false);
+  assert.equal(isValidRunId(42), false);
+});
+
+test('buildClientOrderId is deterministic per run, strategy, symbol and purpose', () => {
+  const parts = { runId: 'run-1', strategy: 'SPY Momentum', symbol: 'UPRO' };
+  assert.equal(buildClientOrderId(parts), 'run-1-SPYMomentum-UPRO-entry');
+  assert.equal(buildClientOrderId(parts), buildClientOrderId({ ...parts }));
+  assert.equal(buildClientOrderId({ ...parts, purpose: 'stop_loss' }), 'run-1-SPYMomentum-UPRO-stop_loss');
+  assert.notEqual(buildClientOrderId(parts), buildClientOrderId({ ...parts, runId: 'run-2' }));
+  assert.equal(buildClientOrderId({ ...parts, runId: null }), null);
+});
+
+test('buildClientOrderId hashes long strategy names to stay within 128 characters', () => {
+  const parts = { runId: 'run-1', strategy: 'x'.repeat(200), symbol: 'UPRO', purpose: 'take_profit' };
+  const clientOrderId = buildClientOrderId(parts);
+  assert.ok(clientOrderId.length <= 128);
+  assert.match(clientOrderId, /^run-1-[0-9a-f]{10}-UPRO-take_profit$/);
+  assert.equal(buildClientOrderId(parts), clientOrderId);
+  assert.notEqual(buildClientOrderId({ ...parts, strategy: 'y'.repeat(200) }), clientOrderId);
+});
+
+test('isDuplicateClientOrderIdError reads the message and the API response body', () => {
+  assert.ok(isDuplicateClientOrderIdError(new Error('client_order_id must be unique')));
+  assert.ok(isDuplicateClientOrderIdError({ message: 'Request failed with status code 422', response: { data: { message: 'client_order_id must be unique' } } }));
+  assert.equal(isDuplicateClientOrderIdError(new Error('insufficient buying power')), false);
+  assert.equal(isDuplicateClientOrderIdError(undefined), false);
+});
+
+test('submitOrderOnce returns the order an earlier attempt placed under the same client_order_id', async () => {
+  const broker = new SimulatedBroker({ statePath: null, latencyMs: 0, alwaysOpen: true });
+  broker.setQuote('UPRO', 100);
+  const orderData = { symbol: 'UPRO', qty: 10, side: 'buy', type: 'market', time_in_force: 'day', client_order_id: 'run-1-S-UPRO-entry' };
+
+  const first = await submitOrderOnce(broker, orderData);
+  const second = await submitOrderOnce(broker, orderData);
+
+  assert.equal(first.existing, false);
+  assert.equal(second.existing, true);
+  assert.equal(second.order.id, first.order.id);
+  assert.equal((await broker.getPositions())[0].qty, '10');
+});
+
+test('submitOrderOnce rethrows other errors and duplicates without a client_order_id', async () => {
+  const failing = error => ({ submitOrder: async () => { throw error; }, getOrderByClientOrderId: async () => assert.fail('not looked up') });
+
+  await assert.rejects(submitOrderOnce(failing(new Error('market closed')), { symbol: 'UPRO', client_order_id: 'a' }), /market closed/);
+  await assert.rejects(submitOrderOnce(failing(new Error('client_order_id must be unique')), { symbol: 'UPRO' }), /must be unique/);
+});
@@ -0,0 +1,151 @@
+// test/signalAggregator.test.js - Bull/bear conflict policies and opposing-position handling
+import { test } from 'node:test';
+import assert from 'node:assert/strict';
+import { SignalAggregator } from '../lib/SignalAggregator.js';
+import { RiskManager } from '../lib/utils/riskManager.js';
+
+process.env.LOG_LEVEL = 'error';
+
+function entry(symbol, strategyName, confidence, positionSize = 0.1, extra = {}) {
+  return {
+    signal: { symbol, side: 'buy', confidence, positionSize, ...extra },
+    strategyName,
+    baseSymbol: 'QQQ'
+  };
+}
+
+function aggregator(options = {}) {
+  return new SignalAggregator({
+    policy: 'strongest',
+    opposingPositionAction: 'block',
+    strategyWeights: {},
+    strategyPriority: [],
+    now: () => Date.UTC(2024, 0, 2),
+    ...options
+  });
+}
+
+const symbolsOf = result => result.signals.map(item => item.signal.symbol);
+
+test('signals without a conflict, exits and symbols outside the triplets pass through in order', () => {
+  const entries = [
+    entry('TQQQ', 'QQQ_Momentum', 0.6),
+    { ...entry('SPXU', 'SPY_Momentum', 0.5), signal: { symbol: 'SPXU', side: 'sell', positionSize: 0 } },
+    entry('AAPL', 'Custom', 0.9),
+    entry('QQQ', 'QQQ_RegimeDetection', 0.7)
+  ];
+  const result = aggregator().aggregate(entries);
+
+  assert.deepEqual(result.signals, entries);
+  assert.deepEqual(result.blocked, []);
+  assert.deepEqual(result.conflicts, []);
+});
+
+test('strongest keeps the side with the most confident signal', () => {
+  const result = aggregator().aggregate([
+    entry('TQQQ', 'QQQ_Momentum', 0.6),
+    entry('SQQQ', 'QQQ_MeanReversion', 0.8)
+  ]);
+
+  assert.deepEqual(symbolsOf(result), ['SQQQ']);
+  assert.equal(result.conflicts[0].winner, 'bear');
+  assert.equal(result.blocked[0].symbol, 'TQQQ');
+  assert.equal(result.blocked[0].status, 'skipped');
+  assert.deepEqual(result.blocked[0].reasons, ['signal_conflict_strongest']);
+  assert.equal(result.blocked[0].timestamp, '2024-01-02T00:00:00.000Z');
+});
+
+test('a tie keeps neither side', () => {
+  const result = aggregator().aggregate([
+    entry('TQQQ', 'QQQ_Momentum', 0.7),
+    entry('SQQQ', 'QQQ_MeanReversion', 0.7)
+  ]);
+
+  assert.deepEqual(result.signals, []);
+  assert.equal(result.blocked.length, 2);
+  assert.equal(result.conflicts[0].winner, null);
+});
+
+test('weighted_vote sums confidence times strategy weight, matching weights by type suffix', () => {
+  const entries = [
+    entry('TQQQ', 'QQQ_Momentum', 0.5),
+    entry('TQQQ', 'QQQ_RegimeDetection', 0.3),
+    entry('SQQQ', 'QQQ_MeanReversion', 0.9)
+  ];
+
+  const equal = aggregator({ policy: 'weighted_vote' }).aggregate(entries);
+  assert.deepEqual(symbolsOf(equal), ['SQQQ']);
+
+  const weighted = aggregator({ policy: 'weighted_vote', strategyWeights: { Momentum: 2 } }).aggregate(entries);
+  assert.deepEqual(symbolsOf(weighted), ['TQQQ', 'TQQQ']);
+  assert.equal(weighted.conflicts[0].bull.score, 1.3);
+});
+
+test('priority keeps the side of the highest-priority strategy', () => {
+  const entries = [
+    entry('TQQQ', 'QQQ_Momentum', 0.9),
+    entry('SQQQ', 'QQQ_RegimeDetection', 0.4)
+  ];
+  const result = aggregator({ policy: 'priority', strategyPriority: ['RegimeDetection', 'Momentum'] }).aggregate(entries);
+
+  assert.deepEqual(symbolsOf(result), ['SQQQ']);
+  assert.deepEqual(result.blocked[0].reasons, ['signal_conflict_priority']);
+});
+
+test('net trades the larger side for the difference in position size', () => {
+  const result = aggregator({ policy: 'net' }).aggregate([
+    entry('TQQQ', 'QQQ_Momentum', 0.6, 0.1),
+    entry('SQQQ', 'QQQ_MeanReversion', 0.9, 0.04)
+  ]);
+
+  assert.deepEqual(symbolsOf(result), ['TQQQ']);
+  assert.ok(Math.abs(result.signals[0].signal.netScale - 0.6) < 1e-12);
+  assert.equal(result.signals[0].signal.netted, true);
+});
+
+test('net scales the winner in sizing modes that ignore positionSize', async () => {
+  const result = aggregator({ policy: 'net' }).aggregate([
+    entry('TQQQ', 'QQQ_Momentum', 0.6, 0.1, { currentPrice: 100 }),
+    entry('SQQQ', 'QQQ_MeanReversion', 0.9, 0.04, { currentPrice: 100 })
+  ]);
+  const riskManager = new RiskManager({ maxPositionSize: 0.5, sizing: { mode: 'fixed_risk', riskPerTrade: 0.01 } });
+
+  const full = await riskManager.adjustSignal(entry('TQQQ', 'QQQ_Momentum', 0.6, 0.1, { currentPrice: 100 }).signal, { equity: '100000' }, []);
+  const netted = await riskManager.adjustSignal(result.signals[0].signal, { equity: '100000' }, []);
+
+  // $1,000 at risk over a 3% stop is 333 shares; the net winner trades 60% of that
+  assert.equal(full.quantity, 333);
+  assert.equal(netted.quantity, 199);
+});
+
+test('an entry while the opposite leg is held is blocked, or closes that leg with the close action', () => {
+  const held = new Map([['SQQQ', { symbol: 'SQQQ', qty: 10 }]]);
+  const entries = [entry('TQQQ', 'QQQ_Momentum', 0.6)];
+
+  const blocked = aggregator().aggregate(entries, held);
+  assert.deepEqual(blocked.signals, []);
+  assert.deepEqual(blocked.blocked[0].reasons, ['opposite_leg_held']);
+  assert.deepEqual(blocked.closeLegs, []);
+
+  const closed = aggregator({ opposingPositionAction: 'close' }).aggregate(entries, held);
+  assert.deepEqual(closed.blocked[0].reasons, ['opposite_leg_closed']);
+  assert.deepEqual(closed.closeLegs, [{
+    symbol: 'SQQQ',
+    baseSymbol: 'QQQ',
+    strategyName: 'QQQ_Momentum',
+    reason: 'Opposing bull signal on QQQ'
+  }]);
+});
+
+test('a rotation out of the held opposite leg is not blocked', () => {
+  const held = new Map([['SQQQ', { symbol: 'SQQQ', qty: 10 }]]);
+  const result = aggregator().aggregate([entry('TQQQ', 'QQQ_RegimeDetection', 0.8, 0.1, { rotateFrom: 'SQQQ' })], held);
+
+  assert.deepEqual(symbolsOf(result), ['TQQQ']);
+  assert.deepEqual(result.blocked, []);
+});
+
+test('unknown policies and opposing position actions are rejected', () => {
+  assert.throws(() => aggregator({ policy: 'loudest' }), /Unknown signal conflict policy: loudest/);
+  assert.throws(() => aggregator({ opposingPositionAction: 'hedge' }), /Unknown opposing position action: hedge/);
+});
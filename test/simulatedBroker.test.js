@@ -0,0 +1,118 @@
+// test/simulatedBroker.test.js - SimulatedBroker fills, slippage, latency and bracket/OCO legs
+import { test } from 'node:test';
+import assert from 'node:assert/strict';
+import { SimulatedBroker } from '../lib/brokers/simulatedBroker.js';
+
+process.env.LOG_LEVEL = 'error';
+
+/**
+ * Broker on a hand-driven clock with UPRO quoted 99.9 / 100.1
+ */
+function simulatedBroker(options = {}) {
+  let now = Date.UTC(2024, 0, 2, 15, 0);
+  const broker = new SimulatedBroker({ initialCapital: 100000, now: () => now, ...options });
+  broker.setQuote('UPRO', { bid: 99.9, ask: 100.1 });
+  return { broker, advance: ms => { now += ms; } };
+}
+
+const statuses = async broker => Object.fromEntries((await broker.getOrders({ status: 'all', direction: 'asc' }))
+  .map(order => [`${order.type}:${order.side}`, order.status]));
+
+test('market orders fill at the ask or bid moved against the order by slippage, less commission', async () => {
+  const { broker } = simulatedBroker({ slippage: 0.001, commissionPerShare: 0.01 });
+
+  const buy = await broker.submitOrder({ symbol: 'UPRO', qty: 100, side: 'buy', type: 'market' });
+  assert.equal(buy.status, 'filled');
+  assert.ok(Math.abs(parseFloat(buy.filled_avg_price) - 100.1 * 1.001) < 1e-9);
+
+  broker.setQuote('UPRO', { bid: 110, ask: 110.2 });
+  const sell = await broker.submitOrder({ symbol: 'UPRO', qty: 100, side: 'sell', type: 'market' });
+  const sellPrice = parseFloat(sell.filled_avg_price);
+  assert.ok(Math.abs(sellPrice - 110 * 0.999) < 1e-9);
+
+  assert.deepEqual(await broker.getPositions(), []);
+  const [, closing] = broker.fills;
+  assert.ok(Math.abs(closing.realizedPL - 100 * (sellPrice - 100.1 * 1.001)) < 1e-6);
+  const account = await broker.getAccount();
+  assert.ok(Math.abs(parseFloat(account.cash) - (100000 + closing.realizedPL - 2)) < 1e-6);
+});
+
+test('orders wait out latencyMs before they can fill', async () => {
+  const { broker, advance } = simulatedBroker({ latencyMs: 1000 });
+
+  const order = await broker.submitOrder({ symbol: 'UPRO', qty: 10, side: 'buy', type: 'market' });
+  assert.equal(order.status, 'new');
+  advance(999);
+  assert.equal((await broker.getOrder(order.id)).status, 'new');
+  advance(1);
+  assert.equal((await broker.getOrder(order.id)).status, 'filled');
+});
+
+test('limit orders fill at the limit or better once crossed, stops trigger as market orders', async () => {
+  const { broker } = simulatedBroker();
+
+  const limit = await broker.submitOrder({ symbol: 'UPRO', qty: 10, side: 'buy', type: 'limit', limit_price: 99 });
+  assert.equal(limit.status, 'new');
+  broker.setQuote('UPRO', { bid: 98.4, ask: 98.5 });
+  const filledLimit = await broker.getOrder(limit.id);
+  assert.equal(filledLimit.status, 'filled');
+  assert.equal(parseFloat(filledLimit.filled_avg_price), 98.5);
+
+  const stop = await broker.submitOrder({ symbol: 'UPRO', qty: 10, side: 'sell', type: 'stop', stop_price: 95 });
+  assert.equal(stop.status, 'new');
+  broker.setQuote('UPRO', { bid: 94, ask: 94.2 });
+  const filledStop = await broker.getOrder(stop.id);
+  assert.equal(filledStop.status, 'filled');
+  assert.equal(parseFloat(filledStop.filled_avg_price), 94);
+});
+
+test('bracket exit legs are held until the entry fills, and a filled leg cancels its sibling', async () => {
+  const { broker, advance } = simulatedBroker({ latencyMs: 1000 });
+
+  const entry = await broker.submitOrder({
+    symbol: 'UPRO', qty: 10, side: 'buy', type: 'market', order_class: 'bracket',
+    take_profit: { limit_price: 110 }, stop_loss: { stop_price: 95 }
+  });
+  assert.deepEqual(entry.legs.map(leg => leg.status), ['held', 'held']);
+
+  advance(1000);
+  assert.deepEqual(await statuses(broker), { 'market:buy': 'filled', 'stop:sell': 'new', 'limit:sell': 'new' });
+
+  broker.setQuote('UPRO', { bid: 111, ask: 111.2 });
+  advance(1000);
+  assert.deepEqual(await statuses(broker), { 'market:buy': 'filled', 'stop:sell': 'canceled', 'limit:sell': 'filled' });
+  assert.deepEqual(await broker.getPositions(), []);
+});
+
+test('OCO legs rest at once and the stop filling cancels the take profit', async () => {
+  const { broker } = simulatedBroker();
+  await broker.submitOrder({ symbol: 'UPRO', qty: 10, side: 'buy', type: 'market' });
+
+  const oco = await broker.submitOrder({
+    symbol: 'UPRO', qty: 10, side: 'sell', type: 'limit', order_class: 'oco',
+    take_profit: { limit_price: 110 }, stop_loss: { stop_price: 95 }
+  });
+  assert.equal(oco.status, 'new');
+  assert.equal(oco.legs[0].status, 'new');
+
+  broker.setQuote('UPRO', { bid: 94, ask: 94.2 });
+  assert.equal((await broker.getOrder(oco.id)).status, 'canceled');
+  assert.equal((await broker.getOrder(oco.legs[0].id)).status, 'filled');
+  assert.deepEqual(await broker.getPositions(), []);
+});
+
+test('unaffordable orders, duplicate client order ids and inverted brackets are rejected', async () => {
+  const { broker } = simulatedBroker();
+
+  await assert.rejects(broker.submitOrder({ symbol: 'UPRO', qty: 2000, side: 'buy', type: 'market' }),
+    /Insufficient buying power for 2000 UPRO/);
+
+  await broker.submitOrder({ symbol: 'UPRO', qty: 1, side: 'buy', type: 'market', client_order_id: 'run-1-entry' });
+  await assert.rejects(broker.submitOrder({ symbol: 'UPRO', qty: 1, side: 'buy', type: 'market', client_order_id: 'run-1-entry' }),
+    /client_order_id must be unique/);
+
+  await assert.rejects(broker.submitOrder({
+    symbol: 'UPRO', qty: 1, side: 'buy', type: 'market', order_class: 'bracket',
+    take_profit: { limit_price: 90 }, stop_loss: { stop_price: 95 }
+  }), /wrong side of stop_loss/);
+});
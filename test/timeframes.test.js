@@ -0,0 +1,73 @@
+// test/timeframes.test.js - Timeframe names, the New York session clock and bar aggregation
+import { test } from 'node:test';
+import assert from 'node:assert/strict';
+import {
+  normalizeTimeframe, timeframeMinutes, finerTimeframes, newYorkTime, isRegularSession, regularSessionClose, aggregateBars
+} from '../lib/services/timeframes.js';
+
+/**
+ * `count` bars of `minutes` each from `start` (ISO), with closes 1, 2, 3 ...
+ */
+function bars(start, minutes, count) {
+  return Array.from({ length: count }, (_, i) => ({
+    timestamp: new Date(new Date(start).getTime() + i * minutes * 60000).toISOString(),
+    open: i + 0.5,
+    high: i + 2,
+    low: i,
+    close: i + 1,
+    volume: 100
+  }));
+}
+
+test('timeframe aliases normalize and unknown timeframes are rejected', () => {
+  assert.equal(normalizeTimeframe('1h'), '1Hour');
+  assert.equal(normalizeTimeframe('daily'), '1Day');
+  assert.equal(normalizeTimeframe('15m'), '15Min');
+  assert.equal(timeframeMinutes('1Day'), 390);
+  assert.equal(timeframeMinutes('5min'), 5);
+  assert.throws(() => timeframeMinutes('4Hour'), /Unsupported timeframe: 4Hour/);
+  assert.deepEqual(finerTimeframes('1Hour'), ['15Min', '5Min', '1Min']);
+});
+
+test('newYorkTime follows daylight saving time', () => {
+  assert.deepEqual(newYorkTime('2024-01-02T14:30:00Z'), { date: '2024-01-02', minutes: 570, weekday: 2 });
+  assert.deepEqual(newYorkTime('2024-07-01T13:30:00Z'), { date: '2024-07-01', minutes: 570, weekday: 1 });
+});
+
+test('the regular session runs 9:30-16:00 New York on weekdays and closes at 16:00 local time', () => {
+  assert.equal(isRegularSession('2024-01-02T14:30:00Z'), true);
+  assert.equal(isRegularSession('2024-01-02T21:00:00Z'), false);
+  assert.equal(isRegularSession('2024-01-06T15:00:00Z'), false);
+  assert.equal(regularSessionClose('2024-01-02T15:00:12.345Z').toISOString(), '2024-01-02T21:00:00.000Z');
+  assert.equal(regularSessionClose('2024-07-01T19:59:00Z').toISOString(), '2024-07-01T20:00:00.000Z');
+});
+
+test('hourly buckets are anchored at the 9:30 open and pre/post-market bars are dropped', () => {
+  // 9:00 to 16:15 New York (EST) in 15-minute bars
+  const hourly = aggregateBars(bars('2024-01-02T14:00:00Z', 15, 30), '1Hour');
+
+  assert.deepEqual(hourly.map(bar => bar.timestamp.slice(11, 16)), ['14:30', '15:30', '16:30', '17:30', '18:30', '19:30', '20:30']);
+  assert.deepEqual(hourly[0], { timestamp: '2024-01-02T14:30:00.000Z', open: 2.5, high: 7, low: 2, close: 6, volume: 400 });
+  // 15:30-16:00 is a half bucket of two bars
+  assert.deepEqual(hourly[6], { timestamp: '2024-01-02T20:30:00.000Z', open: 26.5, high: 29, low: 26, close: 28, volume: 200 });
+});
+
+test('buckets shift with daylight saving time', () => {
+  const hourly = aggregateBars(bars('2024-07-01T13:30:00Z', 60, 2), '1Hour');
+  assert.deepEqual(hourly.map(bar => bar.timestamp), ['2024-07-01T13:30:00.000Z', '2024-07-01T14:30:00.000Z']);
+});
+
+test('daily buckets are one per session and never cross a session boundary', () => {
+  // Two sessions of 7 hourly bars each, with a weekend bar between that is dropped
+  const input = [
+    ...bars('2024-01-05T14:30:00Z', 60, 7),
+    ...bars('2024-01-06T15:00:00Z', 60, 1),
+    ...bars('2024-01-08T14:30:00Z', 60, 7).map(bar => ({ ...bar, close: bar.close + 100 }))
+  ];
+  const daily = aggregateBars(input, '1Day');
+
+  assert.equal(daily.length, 2);
+  assert.deepEqual(daily[0], { timestamp: '2024-01-05T14:30:00.000Z', open: 0.5, high: 8, low: 0, close: 7, volume: 700 });
+  assert.equal(daily[1].timestamp, '2024-01-08T14:30:00.000Z');
+  assert.equal(daily[1].close, 107);
+});